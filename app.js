@@ -14,6 +14,16 @@ const orderRoutes = require('./routes/orderRoutes');
 const billRoutes = require('./routes/billRoutes');
 const reservationRoutes = require('./routes/reservationRoutes');
 const customerReservationRoutes = require('./routes/customerReservationRoutes');
+const guestReservationRoutes = require('./routes/guestReservationRoutes');
+const tableRoutes = require('./routes/tableRoutes');
+const scheduleRoutes = require('./routes/scheduleRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const guestProfileRoutes = require('./routes/guestProfileRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const eventBookingRoutes = require('./routes/eventBookingRoutes');
+const kitchenStationRoutes = require('./routes/kitchenStationRoutes');
+const realtimeRoutes = require('./routes/realtimeRoutes');
+const printerRoutes = require('./routes/printerRoutes');
 
 // Load environment variables
 dotenv.config();
@@ -42,6 +52,16 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/bills', billRoutes); // Billing and Reports
 app.use('/api/reservations', reservationRoutes);
 app.use('/api/customer/reservations', customerReservationRoutes);
+app.use('/api/guest/reservations', guestReservationRoutes); // Booking without an account
+app.use('/api/tables', tableRoutes); // Floor plan and live table status
+app.use('/api/schedule', scheduleRoutes); // Opening hours, closures and blackouts
+app.use('/api/waitlist', waitlistRoutes); // Walk-in waitlist and paging
+app.use('/api/guests', guestProfileRoutes); // No-show history per phone number
+app.use('/api/calendar', calendarRoutes); // iCalendar feeds of reservations
+app.use('/api/events', eventBookingRoutes); // Large parties, private events and buyouts
+app.use('/api/stations', kitchenStationRoutes); // Kitchen stations and how dishes are routed to them
+app.use('/api/realtime', realtimeRoutes); // Server-Sent Events for the KDS and waiter tablets
+app.use('/api/printers', printerRoutes); // Thermal printers, kitchen tickets and receipts
 
 
 // Error Handling Middleware (must be after all routes)
@@ -0,0 +1,117 @@
+// config/reservationRules.js
+// How long a reservation holds its table(s). Times of day are "HH:mm" in the server's local time.
+// Any key can be overridden at deploy time with a JSON string in RESERVATION_RULES, e.g.
+// RESERVATION_RULES='{"defaultDurationMinutes":100,"turnoverBufferMinutes":10}'
+const dotenv = require('dotenv');
+dotenv.config(); // Routes are loaded before app.js configures dotenv
+
+const defaultRules = {
+    // Used when no other rule applies
+    defaultDurationMinutes: 90,
+    // Time to clear and reset a table between two parties
+    turnoverBufferMinutes: 15,
+    // Longest booking anyone can make with an explicit end time
+    maxDurationMinutes: 360,
+    // Party size rules (first rule whose maxGuests fits wins; larger parties use the last rule)
+    partySizeDurations: [
+        { maxGuests: 2, durationMinutes: 75 },
+        { maxGuests: 4, durationMinutes: 90 },
+        { maxGuests: 8, durationMinutes: 120 },
+        { maxGuests: 20, durationMinutes: 150 },
+    ],
+    // Day parts take precedence over the party size rules above. A day part can set a flat
+    // durationMinutes, its own partySizeDurations, or neither (falls back to the rules above).
+    dayParts: [
+        { name: 'breakfast', start: '07:00', end: '11:00', durationMinutes: 45 },
+        {
+            name: 'lunch',
+            start: '11:00',
+            end: '15:00',
+            partySizeDurations: [
+                { maxGuests: 2, durationMinutes: 60 },
+                { maxGuests: 4, durationMinutes: 75 },
+                { maxGuests: 20, durationMinutes: 105 },
+            ],
+        },
+        { name: 'dinner', start: '17:00', end: '23:00' },
+    ],
+    // Confirmed bookings whose guests have not been seated this long after the booked time become
+    // no-shows. Guests are flagged, then required to pay a deposit, after repeated no-shows.
+    noShow: {
+        graceMinutes: 20,
+        checkIntervalMinutes: 5,
+        flagThreshold: 2,
+        depositThreshold: 3,
+    },
+    // WhatsApp reminders sent this many hours before a confirmed booking. Each reminder carries a
+    // link the guest can use to confirm they are coming or to cancel.
+    reminders: {
+        hoursBefore: [24, 2],
+    },
+    // Public booking without an account: phone verification codes and abuse limits
+    guestBooking: {
+        codeExpiryMinutes: 10,
+        resendCooldownSeconds: 60,
+        maxCodeAttempts: 5,
+        maxUpcomingBookingsPerPhone: 2,
+    },
+    // Deposits. Every matching rule is evaluated and the largest amount wins. A rule can match on
+    // party size (minGuests), weekday (daysOfWeek, 0 = Sunday), specific dates (dates, YYYY-MM-DD),
+    // start time (fromTime, HH:mm) and tables (tableNumbers); conditions left out always match.
+    // It charges a flat amount and/or amountPerGuest.
+    deposits: {
+        currency: 'NPR',
+        rules: [
+            { name: 'large_party', minGuests: 7, amountPerGuest: 500 },
+            { name: 'weekend_dinner', daysOfWeek: [5, 6], fromTime: '18:00', amountPerGuest: 300 },
+            { name: 'new_years_eve', dates: ['2025-12-31', '2026-12-31'], amountPerGuest: 1000 },
+        ],
+        // Guests flagged for repeated no-shows pay this per guest on any booking
+        noShowAmountPerGuest: 500,
+        // Guests cancelling at least this long before the booking get the deposit back; later
+        // cancellations and no-shows forfeit it. Cancellations by the restaurant are always refunded.
+        freeCancellationHours: 24,
+    },
+    // Private events and whole-venue buyouts (/api/events). Customers and guests cannot book
+    // parties larger than largePartyMaxGuests online; those go through an event booking instead.
+    events: {
+        largePartyMaxGuests: 20,
+        // Tables are blocked this long before and after the event for setting up and clearing down
+        setupMinutes: 60,
+        clearDownMinutes: 30,
+        quoteValidDays: 14,
+        // Deposit instalments as a share of the quoted total, due this many days before the event
+        // (or straight away when the event is sooner). The rest is settled on the bill.
+        depositSchedule: [
+            { label: 'Booking deposit', percent: 25, daysBeforeEvent: 30 },
+            { label: 'Second deposit', percent: 25, daysBeforeEvent: 7 },
+        ],
+    },
+    // Dishes guests choose in advance; sent to the kitchen as an order when the party is seated
+    preOrders: {
+        // Pre-orders can be changed until this long before the booked time, so the kitchen can prepare
+        cutoffMinutes: 120,
+        maxQuantityPerDish: 20,
+    },
+};
+
+let overrides = {};
+if (process.env.RESERVATION_RULES) {
+    try {
+        overrides = JSON.parse(process.env.RESERVATION_RULES);
+    } catch (error) {
+        console.error(`Invalid RESERVATION_RULES, using defaults: ${error.message}`);
+    }
+}
+
+module.exports = {
+    ...defaultRules,
+    ...overrides,
+    // Allow overriding a single nested setting
+    noShow: { ...defaultRules.noShow, ...overrides.noShow },
+    reminders: { ...defaultRules.reminders, ...overrides.reminders },
+    guestBooking: { ...defaultRules.guestBooking, ...overrides.guestBooking },
+    deposits: { ...defaultRules.deposits, ...overrides.deposits },
+    events: { ...defaultRules.events, ...overrides.events },
+    preOrders: { ...defaultRules.preOrders, ...overrides.preOrders },
+};
@@ -1,11 +1,26 @@
 // controllers/billController.js
 const asyncHandler = require("express-async-handler");
 const Bill = require("../models/Bill");
+const Report = require("../models/Report");
 const Order = require("../models/Order");
 const Dish = require("../models/Dish");
 const { sendWhatsAppMessage } = require("../utils/whatsappService");
 const User = require("../models/User");
 const { v4: uuidv4 } = require("uuid"); // *** NEW: Import uuid for unique identifiers ***
+const { releaseTableIfIdle } = require("../utils/tableStatus");
+const { printReceipts } = require("../utils/printQueue");
+const {
+  unitPrice,
+  formatModifiers,
+  lineKey,
+} = require("../utils/dishModifiers");
+const { basePrice } = require("../utils/dishVariants");
+const { summarizeCoursePacing } = require("../utils/orderCourses");
+const { summarizeDishKitchenTimes } = require("../utils/preparationTimes");
+const {
+  findCreditableDeposit,
+  markDepositApplied,
+} = require("../utils/reservationDeposits");
 
 // @desc    Generate a bill for a completed order
 // @route   POST /api/bills/:orderId
@@ -37,12 +52,21 @@ const generateBill = asyncHandler(async (req, res) => {
       );
     }
     if (item.status === "accepted") {
+      // Current price from the dish model (or the chosen variant), plus the modifiers chosen
+      const price = unitPrice(
+        basePrice(item.dish, item.variant),
+        item.modifiers
+      );
       billedItems.push({
         dish: item.dish._id,
+        variant: item.variant,
+        variantName: item.variantName,
+        sku: item.sku,
         quantity: item.quantity,
-        price: item.dish.price, // Use the current price from the dish model
+        price,
+        modifiers: item.modifiers,
       });
-      totalAmount += item.quantity * item.dish.price;
+      totalAmount += item.quantity * price;
     }
   }
 
@@ -53,11 +77,19 @@ const generateBill = asyncHandler(async (req, res) => {
     );
   }
 
+  // Credit a deposit the party paid when booking (never more than the bill itself)
+  const depositReservation = await findCreditableDeposit(order.reservation);
+  const depositCredit = depositReservation
+    ? Math.min(depositReservation.deposit.amount, totalAmount)
+    : 0;
+
   const bill = new Bill({
     order: order._id,
     billedBy: req.user._id, // The logged-in admin
     items: billedItems,
     totalAmount: totalAmount,
+    depositCredit,
+    amountDue: totalAmount - depositCredit,
     paymentStatus: "pending",
     customerPhoneNumber: order.customerPhoneNumber,
     originalOrderTotal: order.totalAmount, // Store original total for reference
@@ -66,6 +98,10 @@ const generateBill = asyncHandler(async (req, res) => {
 
   const createdBill = await bill.save();
 
+  if (depositReservation) {
+    await markDepositApplied(depositReservation, createdBill);
+  }
+
   // Mark the order as billed
   order.isBilled = true;
   if (order.orderStatus !== "completed") {
@@ -73,6 +109,10 @@ const generateBill = asyncHandler(async (req, res) => {
   }
   await order.save();
 
+  // Billing closes the table's tab, so free it unless other orders are still open on it
+  await releaseTableIfIdle(order.tableNumber);
+  await printReceipts([createdBill], order);
+
   res.status(201).json(createdBill);
 });
 
@@ -138,8 +178,12 @@ const updateBillPaymentStatus = asyncHandler(async (req, res) => {
       messageBody += `--- Your Bill Summary ---\n`;
       updatedBill.items.forEach((item) => {
         const dishName =
-          item.dish && item.dish.name ? item.dish.name : "Unknown Dish";
-        messageBody += `${item.quantity}x ${dishName} @ Rs.${item.price.toFixed(
+          (item.dish && item.dish.name ? item.dish.name : "Unknown Dish") +
+          (item.variantName ? ` - ${item.variantName}` : "");
+        const modifiersText = formatModifiers(item.modifiers);
+        messageBody += `${item.quantity}x ${dishName}${
+          modifiersText ? ` (${modifiersText})` : ""
+        } @ Rs.${item.price.toFixed(
           2
         )}\n`;
       });
@@ -147,6 +191,14 @@ const updateBillPaymentStatus = asyncHandler(async (req, res) => {
       messageBody += `Total Amount: Rs. ${updatedBill.totalAmount.toFixed(
         2
       )}\n`;
+      if (updatedBill.depositCredit > 0) {
+        messageBody += `Reservation Deposit: -Rs. ${updatedBill.depositCredit.toFixed(
+          2
+        )}\n`;
+        messageBody += `Amount Paid Today: Rs. ${updatedBill.amountDue.toFixed(
+          2
+        )}\n`;
+      }
       messageBody += `Payment Status: PAID\n`;
       messageBody += `Billed by: ${billedByName}\n`;
       messageBody += `Thank you for your business!`;
@@ -166,7 +218,7 @@ const updateBillPaymentStatus = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 const splitBill = asyncHandler(async (req, res) => {
   const { orderId } = req.params;
-  const { splits } = req.body; // Expected format: [{ customerName: "...", items: [{ dish: "dishId", quantity: N }] }]
+  const { splits } = req.body; // Expected format: [{ customerName: "...", items: [{ dish: "dishId", variant: "variantId", modifiers: ["optionId"], quantity: N }] }]
 
   if (!splits || !Array.isArray(splits) || splits.length < 2) {
     res.status(400);
@@ -187,15 +239,15 @@ const splitBill = asyncHandler(async (req, res) => {
     throw new Error("This order has already been billed and cannot be split.");
   }
 
-  // Ensure the order has accepted items to be split
-  const acceptedOrderItemsMap = new Map(); // Map<dishId.toString(), { dish: DishDoc, quantity: Number }>
+  // Ensure the order has accepted items to be split. The same dish in another variant or with different modifiers is a separate line.
+  const acceptedOrderItemsMap = new Map(); // Map<lineKey, { dish: DishDoc, item: OrderItem, quantity: Number }>
   originalOrder.items.forEach((item) => {
     if (item.status === "accepted" && item.dish) {
-      const dishIdStr = item.dish._id.toString();
-      acceptedOrderItemsMap.set(dishIdStr, {
+      const key = lineKey(item.dish, item.modifiers, item.variant);
+      acceptedOrderItemsMap.set(key, {
         dish: item.dish, // Store the populated dish document
-        quantity:
-          (acceptedOrderItemsMap.get(dishIdStr)?.quantity || 0) + item.quantity,
+        item, // Variant and modifiers of the line
+        quantity: (acceptedOrderItemsMap.get(key)?.quantity || 0) + item.quantity,
       });
     }
   });
@@ -208,6 +260,14 @@ const splitBill = asyncHandler(async (req, res) => {
   const createdBills = [];
   const splitGroupIdentifier = uuidv4(); // Generate a unique ID for this split operation
 
+  // A reservation deposit is credited on the first split(s) until it is used up
+  const depositReservation = await findCreditableDeposit(
+    originalOrder.reservation
+  );
+  let remainingDeposit = depositReservation
+    ? depositReservation.deposit.amount
+    : 0;
+
   // --- Validate and process each split portion ---
   for (const [index, split] of splits.entries()) {
     if (
@@ -240,30 +300,34 @@ const splitBill = asyncHandler(async (req, res) => {
         );
       }
 
-      const dishIdStr = splitItem.dish.toString();
+      const lineId = lineKey(
+        splitItem.dish,
+        splitItem.modifiers || [],
+        splitItem.variant
+      );
 
       // Check for duplicate items within the current split portion
-      if (currentSplitItemsTracker.has(dishIdStr)) {
+      if (currentSplitItemsTracker.has(lineId)) {
         res.status(400);
         throw new Error(
-          `Duplicate dish ${dishIdStr} found within split portion ${
+          `Duplicate dish ${lineId} found within split portion ${
             index + 1
           }. Each item should appear once per split.`
         );
       }
-      currentSplitItemsTracker.set(dishIdStr, splitItem.quantity);
+      currentSplitItemsTracker.set(lineId, splitItem.quantity);
 
       // Check if this dish is in the original accepted order items and if quantity is available
-      if (!acceptedOrderItemsMap.has(dishIdStr)) {
+      if (!acceptedOrderItemsMap.has(lineId)) {
         res.status(400);
         throw new Error(
-          `Dish ID ${dishIdStr} in split portion ${
+          `Dish ${lineId} (with this variant and modifiers) in split portion ${
             index + 1
           } is not part of the original accepted order items.`
         );
       }
 
-      const originalDishInfo = acceptedOrderItemsMap.get(dishIdStr);
+      const originalDishInfo = acceptedOrderItemsMap.get(lineId);
       if (splitItem.quantity > originalDishInfo.quantity) {
         res.status(400);
         throw new Error(
@@ -277,28 +341,43 @@ const splitBill = asyncHandler(async (req, res) => {
         );
       }
 
+      // Use price from the populated original dish (or its variant), plus the line's modifiers
+      const lineItem = originalDishInfo.item;
+      const price = unitPrice(
+        basePrice(originalDishInfo.dish, lineItem.variant),
+        lineItem.modifiers
+      );
       splitBillItems.push({
         dish: originalDishInfo.dish._id,
+        variant: lineItem.variant,
+        variantName: lineItem.variantName,
+        sku: lineItem.sku,
         quantity: splitItem.quantity,
-        price: originalDishInfo.dish.price, // Use price from the populated original dish
+        price,
+        modifiers: lineItem.modifiers,
       });
-      currentSplitAmount += splitItem.quantity * originalDishInfo.dish.price;
+      currentSplitAmount += splitItem.quantity * price;
 
       // Decrement quantity from the master map of original accepted items
       originalDishInfo.quantity -= splitItem.quantity;
       if (originalDishInfo.quantity === 0) {
-        acceptedOrderItemsMap.delete(dishIdStr); // Remove if fully allocated
+        acceptedOrderItemsMap.delete(lineId); // Remove if fully allocated
       } else {
-        acceptedOrderItemsMap.set(dishIdStr, originalDishInfo); // Update remaining quantity
+        acceptedOrderItemsMap.set(lineId, originalDishInfo); // Update remaining quantity
       }
     }
 
+    const depositCredit = Math.min(remainingDeposit, currentSplitAmount);
+    remainingDeposit -= depositCredit;
+
     // Create the new Bill document for this split portion
     const newBill = new Bill({
       order: originalOrder._id,
       billedBy: req.user._id,
       items: splitBillItems,
       totalAmount: currentSplitAmount,
+      depositCredit,
+      amountDue: currentSplitAmount - depositCredit,
       paymentStatus: "pending",
       customerPhoneNumber: originalOrder.customerPhoneNumber, // All splits get original order's phone for now
       isSplitBill: true,
@@ -330,11 +409,20 @@ const splitBill = asyncHandler(async (req, res) => {
   originalOrder.orderStatus = "completed";
   await originalOrder.save();
 
+  if (depositReservation && createdBills.length > 0) {
+    await markDepositApplied(depositReservation, createdBills[0]);
+  }
+
+  await releaseTableIfIdle(originalOrder.tableNumber);
+  await printReceipts(createdBills, originalOrder);
+
   res.status(201).json({
     message: "Bill successfully split into multiple portions.",
     splitBills: createdBills.map((bill) => ({
       _id: bill._id,
       totalAmount: bill.totalAmount,
+      depositCredit: bill.depositCredit,
+      amountDue: bill.amountDue,
       customerName: bill.customerName,
       paymentStatus: bill.paymentStatus,
       splitGroupIdentifier: bill.splitGroupIdentifier,
@@ -418,6 +506,70 @@ const getDailySalesReport = asyncHandler(async (req, res) => {
   res.json(reportData); // Always return the freshly generated or existing data
 });
 
+// @desc    Kitchen pacing report: average minutes from firing each course to ready, and between courses
+// @route   GET /api/bills/reports/kitchen/pacing?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD (defaults to today)
+// @access  Private/Admin
+const getCoursePacingReport = asyncHandler(async (req, res) => {
+  const periodStart = req.query.startDate
+    ? new Date(req.query.startDate)
+    : new Date();
+  const periodEnd = req.query.endDate
+    ? new Date(req.query.endDate)
+    : new Date(periodStart);
+
+  if (isNaN(periodStart.getTime()) || isNaN(periodEnd.getTime())) {
+    res.status(400);
+    throw new Error("Invalid date format. Please use ISO 8601 YYYY-MM-DD.");
+  }
+  periodStart.setHours(0, 0, 0, 0);
+  periodEnd.setHours(23, 59, 59, 999);
+
+  const orders = await Order.find({
+    orderDate: { $gte: periodStart, $lte: periodEnd },
+    orderStatus: { $ne: "cancelled" },
+    "courses.firedAt": { $exists: true },
+  }).select("courses");
+
+  res.json({
+    periodStart,
+    periodEnd,
+    totalOrders: orders.length,
+    ...summarizeCoursePacing(orders),
+  });
+});
+
+// @desc    Kitchen times per dish from item timestamps: minutes to accept, preparing to ready, and fired to ready
+// @route   GET /api/bills/reports/kitchen/dish-times?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD (defaults to today)
+// @access  Private/Admin
+const getDishKitchenTimesReport = asyncHandler(async (req, res) => {
+  const periodStart = req.query.startDate
+    ? new Date(req.query.startDate)
+    : new Date();
+  const periodEnd = req.query.endDate
+    ? new Date(req.query.endDate)
+    : new Date(periodStart);
+
+  if (isNaN(periodStart.getTime()) || isNaN(periodEnd.getTime())) {
+    res.status(400);
+    throw new Error("Invalid date format. Please use ISO 8601 YYYY-MM-DD.");
+  }
+  periodStart.setHours(0, 0, 0, 0);
+  periodEnd.setHours(23, 59, 59, 999);
+
+  const orders = await Order.find({
+    orderDate: { $gte: periodStart, $lte: periodEnd },
+    "items.statusHistory.0": { $exists: true },
+  })
+    .select("items")
+    .populate("items.dish", "name");
+
+  res.json({
+    periodStart,
+    periodEnd,
+    dishes: summarizeDishKitchenTimes(orders),
+  });
+});
+
 // @desc    Generate and/or get Monthly Sales Report for a specific month/year or current month
 // @route   GET /api/reports/sales/monthly?year=YYYY&month=MM (month is 1-indexed)
 // @access  Private/Admin
@@ -497,9 +649,17 @@ const getMonthlySalesReport = asyncHandler(async (req, res) => {
 });
 
 // @desc    Generate and/or get Most Ordered Dishes report for a specific date range or all time
-// @route   GET /api/reports/dishes/most-ordered?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&generate=true
+// @route   GET /api/reports/dishes/most-ordered?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&generate=true&groupBy=dish|variant
 // @access  Private/Admin
 const getMostOrderedDishes = asyncHandler(async (req, res) => {
+  const groupBy = req.query.groupBy || "dish";
+  if (!["dish", "variant"].includes(groupBy)) {
+    res.status(400);
+    throw new Error('Invalid groupBy. Must be "dish" or "variant".');
+  }
+  // Per-variant reports (e.g. Half vs Full plates) are stored separately from per-dish ones
+  const reportType =
+    groupBy === "variant" ? "most_ordered_variants" : "most_ordered_dishes";
   const matchQuery = { paymentStatus: "paid" };
   let periodStart = null;
   let periodEnd = null;
@@ -544,7 +704,7 @@ const getMostOrderedDishes = asyncHandler(async (req, res) => {
 
   // Try to find an existing report first
   const existingReport = await Report.findOne({
-    reportType: "most_ordered_dishes",
+    reportType,
     reportDate: reportKeyDate, // Match by the derived unique key date for aggregation
     // For accurate lookup of range-based reports, data.startDate and data.endDate could be part of index
     // 'data.startDate': periodStart,
@@ -563,7 +723,12 @@ const getMostOrderedDishes = asyncHandler(async (req, res) => {
     { $unwind: "$items" },
     {
       $group: {
-        _id: "$items.dish",
+        _id:
+          groupBy === "variant"
+            ? { dish: "$items.dish", variant: "$items.variant" }
+            : { dish: "$items.dish" },
+        variantName: { $first: "$items.variantName" },
+        sku: { $first: "$items.sku" },
         totalQuantity: { $sum: "$items.quantity" },
       },
     },
@@ -572,18 +737,27 @@ const getMostOrderedDishes = asyncHandler(async (req, res) => {
     {
       $lookup: {
         from: "dishes",
-        localField: "_id",
+        localField: "_id.dish",
         foreignField: "_id",
         as: "dishInfo",
       },
     },
     { $unwind: "$dishInfo" },
     {
-      $project: {
-        _id: 0,
-        dishName: "$dishInfo.name",
-        totalQuantity: 1,
-      },
+      $project:
+        groupBy === "variant"
+          ? {
+              _id: 0,
+              dishName: "$dishInfo.name",
+              variantName: 1,
+              sku: 1,
+              totalQuantity: 1,
+            }
+          : {
+              _id: 0,
+              dishName: "$dishInfo.name",
+              totalQuantity: 1,
+            },
     },
   ]);
   const reportData = mostOrdered; // This is already an array
@@ -596,7 +770,7 @@ const getMostOrderedDishes = asyncHandler(async (req, res) => {
     // Consider a compound index with reportType, reportDate, and potentially hashes of periodStart/End,
     // or a simpler strategy if the range is always static (e.g., all-time).
     const findQuery = {
-      reportType: "most_ordered_dishes",
+      reportType,
       reportDate: reportKeyDate,
     };
     // Add specific range properties to the findQuery for uniqueness if needed
@@ -703,6 +877,8 @@ module.exports = {
   getDailySalesReport,
   getMonthlySalesReport,
   getMostOrderedDishes,
+  getCoursePacingReport,
+  getDishKitchenTimesReport,
   getStoredReports,
   getStoredReportById,
   deleteStoredReport,
@@ -0,0 +1,116 @@
+// controllers/calendarController.js
+const crypto = require('crypto');
+const asyncHandler = require('express-async-handler');
+const Reservation = require('../models/Reservation');
+const User = require('../models/User');
+const { reservationListQuery } = require('../utils/reservationAvailability');
+const { buildReservationCalendar, buildReservationFeed, sendCalendar } = require('../utils/reservationCalendar');
+const { DAY_MS } = require('../utils/reservationTiming');
+
+const FEED_HISTORY_DAYS = 30; // Without a date filter, feeds start this many days back
+const STAFF_ROLES = ['admin']; // Like GET /api/reservations, only admins see every reservation's guest details
+const FEED_FILTERS = ['status', 'tableNumber'];
+
+// @desc    Create (or replace) the logged-in user's private calendar feed URL
+// @route   POST /api/calendar/feed
+// @access  Private/Admin, Customer
+const createCalendarFeed = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id);
+    const feedToken = user.getCalendarFeedToken();
+    await user.save({ validateBeforeSave: false });
+
+    // Optional filters (same as GET /api/reservations) become part of the URL
+    const filters = new URLSearchParams();
+    for (const filter of FEED_FILTERS) {
+        if (req.body && req.body[filter]) {
+            filters.set(filter, req.body[filter]);
+        }
+    }
+
+    const baseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+    const query = filters.toString();
+
+    res.status(201).json({
+        feedUrl: `${baseUrl}/api/calendar/feed/${feedToken}.ics${query ? `?${query}` : ''}`,
+        message: 'Subscribe to this URL in your calendar app. Keep it private; creating a new one disables the old one.',
+    });
+});
+
+// @desc    Disable the logged-in user's calendar feed URL
+// @route   DELETE /api/calendar/feed
+// @access  Private/Admin, Waiter, Customer
+const revokeCalendarFeed = asyncHandler(async (req, res) => {
+    await User.updateOne({ _id: req.user._id }, { $unset: { calendarFeedToken: 1 } });
+    res.json({ message: 'Calendar feed disabled' });
+});
+
+// @desc    iCalendar feed of reservations: every reservation for staff, their own for customers
+// @route   GET /api/calendar/feed/:token.ics?status=confirmed&tableNumber=T-1&date=YYYY-MM-DD
+// @access  Public (the feed token is the credential)
+const getCalendarFeed = asyncHandler(async (req, res) => {
+    const feedToken = String(req.params.token).replace(/\.ics$/, '');
+    const user = await User.findOne({
+        calendarFeedToken: crypto.createHash('sha256').update(feedToken).digest('hex'),
+    });
+
+    if (!user || (!STAFF_ROLES.includes(user.role) && user.role !== 'customer')) {
+        res.status(404);
+        throw new Error('Calendar feed not found');
+    }
+
+    const { status, date, tableNumber } = req.query;
+    const isStaff = STAFF_ROLES.includes(user.role);
+    const query = isStaff
+        ? reservationListQuery({ status, date, tableNumber })
+        : reservationListQuery({ status, date });
+    if (!isStaff) {
+        query.reservedBy = user._id;
+    }
+    if (!date) {
+        query.reservationTime = { $gte: new Date(Date.now() - FEED_HISTORY_DAYS * DAY_MS) };
+    }
+
+    const reservations = await Reservation.find(query).sort({ reservationTime: 1 });
+
+    const calendar = buildReservationFeed(reservations, isStaff ? {} : { name: 'My reservations', audience: 'guest' });
+    sendCalendar(res, calendar, 'reservations.ics');
+});
+
+// @desc    Download a reservation as an .ics file (a cancelled one removes the event)
+// @route   GET /api/reservations/:id/calendar
+// @access  Private/Admin
+const downloadReservationCalendar = asyncHandler(async (req, res) => {
+    const reservation = await Reservation.findById(req.params.id);
+
+    if (!reservation) {
+        res.status(404);
+        throw new Error('Reservation not found');
+    }
+
+    sendCalendar(res, buildReservationCalendar(reservation), `reservation-${reservation._id}.ics`);
+});
+
+// @desc    Download the customer's own reservation as an .ics calendar invite
+// @route   GET /api/customer/reservations/:id/calendar
+// @access  Private/Customer
+const downloadCustomerReservationCalendar = asyncHandler(async (req, res) => {
+    const reservation = await Reservation.findOne({
+        _id: req.params.id,
+        reservedBy: req.user._id,
+    });
+
+    if (!reservation) {
+        res.status(404);
+        throw new Error('Reservation not found or you do not have permission to view it');
+    }
+
+    sendCalendar(res, buildReservationCalendar(reservation, 'guest'), `reservation-${reservation._id}.ics`);
+});
+
+module.exports = {
+    createCalendarFeed,
+    revokeCalendarFeed,
+    getCalendarFeed,
+    downloadReservationCalendar,
+    downloadCustomerReservationCalendar,
+};
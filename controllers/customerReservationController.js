@@ -2,12 +2,30 @@
 const asyncHandler = require('express-async-handler');
 const Reservation = require('../models/Reservation');
 const User = require('../models/User');
+const {
+    findConflictingReservation,
+    checkPartySize,
+    resolveReservationTables,
+    findAvailableTables,
+    toAvailableTable,
+} = require('../utils/reservationAvailability');
+const { resolveReservationEndTime } = require('../utils/reservationTiming');
+const { checkReservationSchedule } = require('../utils/scheduleService');
+const { cancelReservationReminders } = require('../utils/reservationReminders');
+const { auditAs } = require('../utils/reservationAudit');
+const { checkPreOrderWindow, buildPreOrderItems } = require('../utils/preOrders');
+const {
+    getDepositRequirement,
+    refreshDepositRequirement,
+    chargeDeposit,
+    settleDepositOnCancellation,
+} = require('../utils/reservationDeposits');
 
 // @desc    Create a new reservation as a customer
 // @route   POST /api/customer/reservations
 // @access  Private/Customer
 const createCustomerReservation = asyncHandler(async (req, res) => {
-    const { tableNumber, customerName, customerPhoneNumber, numberOfGuests, reservationTime, notes } = req.body;
+    const { tableNumber, combinedTableNumbers, customerName, customerPhoneNumber, numberOfGuests, reservationTime, endTime, notes } = req.body;
 
     // Basic input validation
     if (!tableNumber || !customerName || !customerPhoneNumber || !numberOfGuests || !reservationTime) {
@@ -15,19 +33,25 @@ const createCustomerReservation = asyncHandler(async (req, res) => {
         throw new Error('Please fill all required reservation fields: table number, customer name, phone number, number of guests, and reservation time.');
     }
 
-    // Validate tableNumber against our known list
-    const ALL_TABLE_NUMBERS = ['T-1', 'T-2', 'T-3', 'T-4', 'T-5', 'T-6', 'T-7', 'T-8', 'T-9', 'T-10'];
-    if (!ALL_TABLE_NUMBERS.includes(tableNumber)) {
-        res.status(400);
-        throw new Error(`Invalid table number: ${tableNumber}. Please choose from ${ALL_TABLE_NUMBERS.join(', ')}.`);
-    }
-
     // Validate number of guests
     if (typeof numberOfGuests !== 'number' || numberOfGuests < 1) {
         res.status(400);
         throw new Error('Number of guests must be a positive number.');
     }
 
+    const partySizeProblem = checkPartySize(numberOfGuests);
+    if (partySizeProblem) {
+        res.status(partySizeProblem.status);
+        throw new Error(partySizeProblem.message);
+    }
+
+    // Validate the table(s) against the active floor plan and make sure they can seat the party
+    const { problem } = await resolveReservationTables({ tableNumber, combinedTableNumbers, numberOfGuests });
+    if (problem) {
+        res.status(problem.status);
+        throw new Error(problem.message);
+    }
+
     // Validate reservationTime is a valid date
     const parsedReservationTime = new Date(reservationTime);
     if (isNaN(parsedReservationTime.getTime())) {
@@ -35,39 +59,69 @@ const createCustomerReservation = asyncHandler(async (req, res) => {
         throw new Error('Invalid reservation time format. Please provide a valid date/time (e.g., ISO 8601).');
     }
 
-    // Check for existing reservations for this table within the time window
-    const conflictWindowStart = new Date(parsedReservationTime.getTime() - (2 * 60 * 60 * 1000));
-    const conflictWindowEnd = new Date(parsedReservationTime.getTime() + (2 * 60 * 60 * 1000));
+    // Work out how long the party holds the table(s): an explicit end time, or the configured duration rules
+    const timing = resolveReservationEndTime({ reservationTime: parsedReservationTime, numberOfGuests, endTime });
+    if (timing.problem) {
+        res.status(timing.problem.status);
+        throw new Error(timing.problem.message);
+    }
 
-    const existingReservation = await Reservation.findOne({
-        tableNumber,
-        reservationTime: {
-            $gte: conflictWindowStart,
-            $lte: conflictWindowEnd
-        },
-        status: { $in: ['pending', 'confirmed', 'seated'] }
+    const tableNumbers = [tableNumber, ...(combinedTableNumbers || [])];
+
+    // Customers must respect opening hours, last seating, the booking lead time and blackouts
+    const scheduleProblem = await checkReservationSchedule({
+        reservationTime: parsedReservationTime,
+        endTime: timing.endTime,
+        tableNumbers,
+        enforceLeadTime: true,
+    });
+    if (scheduleProblem) {
+        res.status(scheduleProblem.status);
+        throw new Error(scheduleProblem.message);
+    }
+
+    // Check for existing reservations holding any of these tables during the requested visit
+    const existingReservation = await findConflictingReservation({
+        tableNumbers,
+        reservationTime: parsedReservationTime,
+        endTime: timing.endTime,
     });
 
     if (existingReservation) {
         res.status(409);
-        throw new Error(`Table ${tableNumber} is already reserved or unavailable around ${parsedReservationTime.toLocaleTimeString()} on ${parsedReservationTime.toLocaleDateString()}.`);
+        throw new Error(`Table ${tableNumbers.join(' + ')} is already reserved or unavailable between ${parsedReservationTime.toLocaleTimeString()} and ${timing.endTime.toLocaleTimeString()} on ${parsedReservationTime.toLocaleDateString()}.`);
     }
 
-    const reservation = await Reservation.create({
+    const deposit = await getDepositRequirement({
+        reservationTime: parsedReservationTime,
+        numberOfGuests,
+        tableNumbers,
+        phoneNumber: customerPhoneNumber,
+    });
+
+    const reservation = new Reservation({
         tableNumber,
+        combinedTableNumbers,
         customerName,
         customerPhoneNumber,
         numberOfGuests,
         reservationTime: parsedReservationTime,
+        endTime: timing.endTime,
+        hasExplicitEndTime: timing.isExplicit,
+        deposit,
         notes,
         reservedBy: req.user._id,
         isCustomerReservation: true, // Mark as customer reservation
         status: 'pending', // Customer reservations start as pending
     });
+    auditAs(reservation, { user: req.user });
+    await reservation.save();
 
     res.status(201).json({
         ...reservation.toObject(),
-        message: 'Reservation created successfully. It will be reviewed by admin and you will be notified once approved.'
+        message: reservation.deposit.status === 'pending'
+            ? `Reservation created successfully. A deposit of ${deposit.currency} ${deposit.amount} is required; pay it at POST /api/customer/reservations/${reservation._id}/deposit so the booking can be approved.`
+            : 'Reservation created successfully. It will be reviewed by admin and you will be notified once approved.'
     });
 });
 
@@ -109,7 +163,7 @@ const getCustomerReservationById = asyncHandler(async (req, res) => {
 // @route   PUT /api/customer/reservations/:id
 // @access  Private/Customer
 const updateCustomerReservation = asyncHandler(async (req, res) => {
-    const { tableNumber, customerName, customerPhoneNumber, numberOfGuests, reservationTime, notes } = req.body;
+    const { tableNumber, combinedTableNumbers, customerName, customerPhoneNumber, numberOfGuests, reservationTime, endTime, notes } = req.body;
 
     const reservation = await Reservation.findOne({
         _id: req.params.id,
@@ -121,53 +175,121 @@ const updateCustomerReservation = asyncHandler(async (req, res) => {
         throw new Error('Reservation not found or you do not have permission to update it');
     }
 
-    // Only allow updates if reservation is still pending
-    if (reservation.status !== 'pending') {
+    // Pending and confirmed reservations can be changed; a confirmed one goes back for approval
+    if (!['pending', 'confirmed'].includes(reservation.status)) {
         res.status(400);
-        throw new Error('Cannot update reservation that is not in pending status');
+        throw new Error('Cannot update reservation that is already seated, completed, or cancelled');
     }
 
-    // Validate tableNumber if provided
-    if (tableNumber) {
-        const ALL_TABLE_NUMBERS = ['T-1', 'T-2', 'T-3', 'T-4', 'T-5', 'T-6', 'T-7', 'T-8', 'T-9', 'T-10'];
-        if (!ALL_TABLE_NUMBERS.includes(tableNumber)) {
-            res.status(400);
-            throw new Error(`Invalid table number: ${tableNumber}. Please choose from ${ALL_TABLE_NUMBERS.join(', ')}.`);
+    if (numberOfGuests !== undefined && (typeof numberOfGuests !== 'number' || numberOfGuests < 1)) {
+        res.status(400);
+        throw new Error('Number of guests must be a positive number.');
+    }
+
+    const partySizeProblem = checkPartySize(numberOfGuests);
+    if (partySizeProblem) {
+        res.status(partySizeProblem.status);
+        throw new Error(partySizeProblem.message);
+    }
+
+    const targetTableNumber = tableNumber || reservation.tableNumber;
+    const targetCombinedTableNumbers = combinedTableNumbers !== undefined
+        ? combinedTableNumbers
+        : (tableNumber ? [] : reservation.combinedTableNumbers); // Picking a new table drops the old combination
+    const targetGuests = numberOfGuests || reservation.numberOfGuests;
+
+    // Re-validate the table(s) whenever the seating or party size changes
+    const seatingChanged = tableNumber !== undefined || combinedTableNumbers !== undefined || numberOfGuests !== undefined;
+    if (seatingChanged) {
+        const { problem } = await resolveReservationTables({
+            tableNumber: targetTableNumber,
+            combinedTableNumbers: targetCombinedTableNumbers,
+            numberOfGuests: targetGuests,
+        });
+        if (problem) {
+            res.status(problem.status);
+            throw new Error(problem.message);
         }
+    }
+
+    const parsedReservationTime = reservationTime ? new Date(reservationTime) : reservation.reservationTime;
+    if (isNaN(parsedReservationTime.getTime())) {
+        res.status(400);
+        throw new Error('Invalid reservation time format. Please provide a valid date/time (e.g., ISO 8601).');
+    }
 
-        // Check for conflicts if table number is being changed
-        if (tableNumber !== reservation.tableNumber) {
-            const parsedReservationTime = reservationTime ? new Date(reservationTime) : reservation.reservationTime;
-            const conflictWindowStart = new Date(parsedReservationTime.getTime() - (2 * 60 * 60 * 1000));
-            const conflictWindowEnd = new Date(parsedReservationTime.getTime() + (2 * 60 * 60 * 1000));
-
-            const existingReservation = await Reservation.findOne({
-                _id: { $ne: req.params.id },
-                tableNumber,
-                reservationTime: {
-                    $gte: conflictWindowStart,
-                    $lte: conflictWindowEnd
-                },
-                status: { $in: ['pending', 'confirmed', 'seated'] }
-            });
-
-            if (existingReservation) {
-                res.status(409);
-                throw new Error(`Table ${tableNumber} is already reserved or unavailable around ${parsedReservationTime.toLocaleTimeString()} on ${parsedReservationTime.toLocaleDateString()}.`);
-            }
+    // Keep the customer's own visit length when only the start moves, otherwise re-derive it from the duration rules
+    let requestedEndTime = endTime;
+    if (!requestedEndTime && reservation.hasExplicitEndTime) {
+        requestedEndTime = new Date(parsedReservationTime.getTime() + (reservation.endTime - reservation.reservationTime));
+    }
+    const timing = resolveReservationEndTime({
+        reservationTime: parsedReservationTime,
+        numberOfGuests: targetGuests,
+        endTime: requestedEndTime,
+    });
+    if (timing.problem) {
+        res.status(timing.problem.status);
+        throw new Error(timing.problem.message);
+    }
+
+    // Check for conflicts if the table(s) or visit times are being changed
+    if (seatingChanged || reservationTime || endTime) {
+        const tableNumbers = [targetTableNumber, ...targetCombinedTableNumbers];
+
+        const scheduleProblem = await checkReservationSchedule({
+            reservationTime: parsedReservationTime,
+            endTime: timing.endTime,
+            tableNumbers,
+            enforceLeadTime: true,
+        });
+        if (scheduleProblem) {
+            res.status(scheduleProblem.status);
+            throw new Error(scheduleProblem.message);
+        }
+
+        const existingReservation = await findConflictingReservation({
+            tableNumbers,
+            reservationTime: parsedReservationTime,
+            endTime: timing.endTime,
+            excludeReservationId: reservation._id,
+        });
+
+        if (existingReservation) {
+            res.status(409);
+            throw new Error(`Table ${tableNumbers.join(' + ')} is already reserved or unavailable between ${parsedReservationTime.toLocaleTimeString()} and ${timing.endTime.toLocaleTimeString()} on ${parsedReservationTime.toLocaleDateString()}.`);
         }
     }
 
     // Update fields
-    if (tableNumber) reservation.tableNumber = tableNumber;
+    reservation.tableNumber = targetTableNumber;
+    reservation.combinedTableNumbers = targetCombinedTableNumbers;
     if (customerName) reservation.customerName = customerName;
     if (customerPhoneNumber) reservation.customerPhoneNumber = customerPhoneNumber;
     if (numberOfGuests) reservation.numberOfGuests = numberOfGuests;
-    if (reservationTime) reservation.reservationTime = new Date(reservationTime);
+    reservation.reservationTime = parsedReservationTime;
+    reservation.endTime = timing.endTime;
+    reservation.hasExplicitEndTime = timing.isExplicit;
     if (notes !== undefined) reservation.notes = notes;
+    await refreshDepositRequirement(reservation); // A bigger party or another night can change the deposit
+
+    // Any change by the customer needs the admin's approval again
+    const wasConfirmed = reservation.status === 'confirmed';
+    reservation.status = 'pending';
+    reservation.approvedBy = undefined;
+    reservation.approvedAt = undefined;
+    auditAs(reservation, {
+        user: req.user,
+        action: 'resubmitted',
+        note: wasConfirmed ? 'Changed by the customer after approval; awaiting re-approval' : 'Changed by the customer; awaiting approval',
+    });
 
     const updatedReservation = await reservation.save();
 
+    if (wasConfirmed) {
+        await cancelReservationReminders(updatedReservation); // Rescheduled when the admin approves again
+    }
+
     res.json({
         ...updatedReservation.toObject(),
         message: 'Reservation updated successfully. It will be reviewed by admin again.'
@@ -195,19 +317,97 @@ const cancelCustomerReservation = asyncHandler(async (req, res) => {
     }
 
     reservation.status = 'cancelled';
+    auditAs(reservation, { user: req.user });
     await reservation.save();
+    await cancelReservationReminders(reservation);
+    const deposit = await settleDepositOnCancellation(reservation);
 
     res.json({
         message: 'Reservation cancelled successfully',
+        depositOutcome: deposit.outcome,
+        depositMessage: deposit.message,
         reservation
     });
 });
 
-// @desc    Get available tables for customer
+// @desc    Pay the deposit for customer's own reservation
+// @route   POST /api/customer/reservations/:id/deposit
+// @access  Private/Customer
+const payCustomerReservationDeposit = asyncHandler(async (req, res) => {
+    const { paymentMethod } = req.body;
+
+    const reservation = await Reservation.findOne({
+        _id: req.params.id,
+        reservedBy: req.user._id
+    });
+
+    if (!reservation) {
+        res.status(404);
+        throw new Error('Reservation not found or you do not have permission to pay for it');
+    }
+
+    if (!['pending', 'confirmed'].includes(reservation.status)) {
+        res.status(400);
+        throw new Error(`Cannot pay a deposit for a reservation that is ${reservation.status}`);
+    }
+
+    auditAs(reservation, { user: req.user });
+    const { reservation: updatedReservation, problem } = await chargeDeposit(reservation, paymentMethod);
+    if (problem) {
+        res.status(problem.status);
+        throw new Error(problem.message);
+    }
+
+    res.json({
+        message: 'Deposit paid successfully',
+        reservation: updatedReservation
+    });
+});
+
+// @desc    Choose dishes in advance for customer's own reservation (an empty list clears the pre-order)
+// @route   PUT /api/customer/reservations/:id/pre-order
+// @access  Private/Customer
+const updateCustomerPreOrder = asyncHandler(async (req, res) => {
+    const { items } = req.body;
+
+    const reservation = await Reservation.findOne({
+        _id: req.params.id,
+        reservedBy: req.user._id
+    });
+
+    if (!reservation) {
+        res.status(404);
+        throw new Error('Reservation not found or you do not have permission to update it');
+    }
+
+    const windowProblem = checkPreOrderWindow(reservation);
+    if (windowProblem) {
+        res.status(windowProblem.status);
+        throw new Error(windowProblem.message);
+    }
+
+    const { preOrderItems, problem } = await buildPreOrderItems(items);
+    if (problem) {
+        res.status(problem.status);
+        throw new Error(problem.message);
+    }
+
+    reservation.preOrderItems = preOrderItems;
+    reservation.preOrderUpdatedAt = new Date();
+    auditAs(reservation, { user: req.user, action: 'pre_order_updated' });
+    const updatedReservation = await reservation.save();
+
+    res.json({
+        message: preOrderItems.length > 0 ? 'Pre-order saved. The kitchen will start on it when you are seated.' : 'Pre-order cleared',
+        reservation: updatedReservation
+    });
+});
+
+// @desc    Get available tables for customer, best fit for the party first
 // @route   GET /api/customer/reservations/available
 // @access  Private/Customer
 const getCustomerAvailableTables = asyncHandler(async (req, res) => {
-    const { reservationTime, numberOfGuests } = req.query;
+    const { reservationTime, endTime, numberOfGuests, suggestCombinations } = req.query;
 
     if (!reservationTime) {
         res.status(400);
@@ -220,26 +420,33 @@ const getCustomerAvailableTables = asyncHandler(async (req, res) => {
         throw new Error('Invalid reservation time format. Please provide a valid date/time (e.g., ISO 8601).');
     }
 
-    const ALL_TABLE_NUMBERS = ['T-1', 'T-2', 'T-3', 'T-4', 'T-5', 'T-6', 'T-7', 'T-8', 'T-9', 'T-10'];
-    const conflictWindowStart = new Date(parsedReservationTime.getTime() - (2 * 60 * 60 * 1000));
-    const conflictWindowEnd = new Date(parsedReservationTime.getTime() + (2 * 60 * 60 * 1000));
+    const guests = numberOfGuests !== undefined ? parseInt(numberOfGuests, 10) : undefined;
+    if (guests !== undefined && (isNaN(guests) || guests < 1)) {
+        res.status(400);
+        throw new Error('Number of guests must be a positive number.');
+    }
 
-    const conflictingReservations = await Reservation.find({
-        reservationTime: {
-            $gte: conflictWindowStart,
-            $lte: conflictWindowEnd
-        },
-        status: { $in: ['pending', 'confirmed', 'seated'] }
-    });
+    const timing = resolveReservationEndTime({ reservationTime: parsedReservationTime, numberOfGuests: guests, endTime });
+    if (timing.problem) {
+        res.status(timing.problem.status);
+        throw new Error(timing.problem.message);
+    }
 
-    const reservedTableNumbers = conflictingReservations.map(res => res.tableNumber);
-    const availableTableNumbers = ALL_TABLE_NUMBERS.filter(tableNum =>
-        !reservedTableNumbers.includes(tableNum)
-    );
+    const { availableTables, suggestedCombinations, unavailableReason } = await findAvailableTables({
+        reservationTime: parsedReservationTime,
+        endTime: timing.endTime,
+        numberOfGuests: guests,
+        suggestCombinations: suggestCombinations !== 'false',
+    });
 
     res.json({
         requestedTime: parsedReservationTime,
-        availableTables: availableTableNumbers,
+        requestedEndTime: timing.endTime, // Tables must be free for the whole visit, not just at the start
+        numberOfGuests: guests || null,
+        availableTables: availableTables.map(table => table.number),
+        tables: availableTables.map(toAvailableTable),
+        suggestedCombinations,
+        unavailableReason, // Set when the restaurant is closed or not taking bookings at this time
     });
 });
 
@@ -249,5 +456,7 @@ module.exports = {
     getCustomerReservationById,
     updateCustomerReservation,
     cancelCustomerReservation,
+    payCustomerReservationDeposit,
+    updateCustomerPreOrder,
     getCustomerAvailableTables,
 }; 
\ No newline at end of file
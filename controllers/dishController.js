@@ -1,8 +1,54 @@
 // controllers/dishController.js
 const asyncHandler = require("express-async-handler");
 const Dish = require("../models/Dish");
+const KitchenStation = require("../models/KitchenStation");
 const path = require("path");
 const fs = require("fs");
+const { parseModifierGroups } = require("../utils/dishModifiers");
+const { parseVariants } = require("../utils/dishVariants");
+const { learnPreparationTimes } = require("../utils/preparationTimes");
+
+// Validates variants and checks their SKUs are not used by another dish
+const checkVariants = async (variants, dishId) => {
+  const parsed = parseVariants(variants);
+  if (parsed.problem) {
+    return parsed;
+  }
+  const skus = parsed.variants
+    .filter((variant) => variant.sku)
+    .map((variant) => variant.sku.trim());
+  if (skus.length > 0) {
+    const clash = await Dish.findOne({
+      _id: { $ne: dishId },
+      "variants.sku": { $in: skus },
+    });
+    if (clash) {
+      return {
+        variants: [],
+        problem: {
+          status: 400,
+          message: `A variant SKU is already used by dish "${clash.name}".`,
+        },
+      };
+    }
+  }
+  return parsed;
+};
+
+// Resolves the station a dish is assigned to; an empty value clears it (multipart forms send "")
+const checkStation = async (station) => {
+  if (!station) {
+    return { station: null, problem: null };
+  }
+  const found = await KitchenStation.findById(station).catch(() => null);
+  if (!found) {
+    return {
+      station: null,
+      problem: { status: 400, message: `Kitchen station ${station} not found.` },
+    };
+  }
+  return { station: found._id, problem: null };
+};
 
 // @desc    Create a new dish
 // @route   POST /api/dishes
@@ -16,6 +62,12 @@ const createDish = asyncHandler(async (req, res) => {
     category,
     isAvailable,
     dietaryRestrictions,
+    modifierGroups,
+    variants,
+    course,
+    station,
+    preparationTime,
+    useLearnedPreparationTime,
   } = req.body;
   const imageUrl = req.file ? `/uploads/${req.file.filename}` : "";
 
@@ -56,6 +108,24 @@ const createDish = asyncHandler(async (req, res) => {
   }
   // Mongoose schema enum will handle validation of individual items in the array
 
+  const parsedModifiers = parseModifierGroups(modifierGroups || []);
+  if (parsedModifiers.problem) {
+    res.status(parsedModifiers.problem.status);
+    throw new Error(parsedModifiers.problem.message);
+  }
+
+  const parsedVariants = await checkVariants(variants || []);
+  if (parsedVariants.problem) {
+    res.status(parsedVariants.problem.status);
+    throw new Error(parsedVariants.problem.message);
+  }
+
+  const checkedStation = await checkStation(station);
+  if (checkedStation.problem) {
+    res.status(checkedStation.problem.status);
+    throw new Error(checkedStation.problem.message);
+  }
+
   const dish = await Dish.create({
     name,
     description,
@@ -64,6 +134,12 @@ const createDish = asyncHandler(async (req, res) => {
     isAvailable,
     imageUrl,
     dietaryRestrictions: dietaryRestrictions || [], // --- NEW: Save dietaryRestrictions ---
+    modifierGroups: parsedModifiers.modifierGroups,
+    variants: parsedVariants.variants,
+    course, // Schema enum validates it; defaults to "main"
+    station: checkedStation.station,
+    preparationTime, // Minutes; schema keeps it non-negative and defaults to 15
+    useLearnedPreparationTime,
   });
 
   res.status(201).json(dish);
@@ -103,6 +179,12 @@ const updateDish = asyncHandler(async (req, res) => {
     category,
     isAvailable,
     dietaryRestrictions,
+    modifierGroups,
+    variants,
+    course,
+    station,
+    preparationTime,
+    useLearnedPreparationTime,
   } = req.body;
   let newImageUrl = req.file
     ? `/uploads/${req.file.filename}`
@@ -126,6 +208,13 @@ const updateDish = asyncHandler(async (req, res) => {
     dish.category = category !== undefined ? category : dish.category;
     dish.isAvailable =
       isAvailable !== undefined ? isAvailable : dish.isAvailable;
+    dish.course = course !== undefined ? course : dish.course;
+    dish.preparationTime =
+      preparationTime !== undefined ? preparationTime : dish.preparationTime;
+    dish.useLearnedPreparationTime =
+      useLearnedPreparationTime !== undefined
+        ? useLearnedPreparationTime
+        : dish.useLearnedPreparationTime;
     dish.imageUrl = newImageUrl;
     // --- NEW: Update dietaryRestrictions ---
     if (dietaryRestrictions !== undefined) {
@@ -135,6 +224,32 @@ const updateDish = asyncHandler(async (req, res) => {
       }
       dish.dietaryRestrictions = dietaryRestrictions;
     }
+    if (modifierGroups !== undefined) {
+      const parsedModifiers = parseModifierGroups(modifierGroups);
+      if (parsedModifiers.problem) {
+        res.status(parsedModifiers.problem.status);
+        throw new Error(parsedModifiers.problem.message);
+      }
+      // Groups and options sent with their _id keep it, so orders referring to them stay valid
+      dish.modifierGroups = parsedModifiers.modifierGroups;
+    }
+    if (variants !== undefined) {
+      const parsedVariants = await checkVariants(variants, dish._id);
+      if (parsedVariants.problem) {
+        res.status(parsedVariants.problem.status);
+        throw new Error(parsedVariants.problem.message);
+      }
+      // Variants sent with their _id keep it, so open orders keep their variant and price
+      dish.variants = parsedVariants.variants;
+    }
+    if (station !== undefined) {
+      const checkedStation = await checkStation(station);
+      if (checkedStation.problem) {
+        res.status(checkedStation.problem.status);
+        throw new Error(checkedStation.problem.message);
+      }
+      dish.station = checkedStation.station;
+    }
 
     if (updatedName !== dish.name) {
       const dishExists = await Dish.findOne({ name: updatedName });
@@ -209,6 +324,24 @@ const toggleDishAvailability = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Learn dishes' real preparation times from finished tickets
+// @route   POST /api/dishes/preparation-times/learn
+// @access  Private (Admin)
+const learnDishPreparationTimes = asyncHandler(async (req, res) => {
+  const days = req.body.days !== undefined ? Number(req.body.days) : 30;
+
+  if (!Number.isInteger(days) || days < 1) {
+    res.status(400);
+    throw new Error("Days must be a positive whole number.");
+  }
+
+  const learned = await learnPreparationTimes({ days });
+  res.json({
+    message: `Learned preparation times for ${learned.length} dish(es) from the last ${days} day(s). Dishes use them once useLearnedPreparationTime is on and enough tickets back them.`,
+    dishes: learned,
+  });
+});
+
 module.exports = {
   createDish,
   getDishes,
@@ -216,4 +349,5 @@ module.exports = {
   updateDish,
   deleteDish,
   toggleDishAvailability,
+  learnDishPreparationTimes,
 };
@@ -0,0 +1,386 @@
+// controllers/eventBookingController.js
+const asyncHandler = require('express-async-handler');
+const EventBooking = require('../models/EventBooking');
+const reservationRules = require('../config/reservationRules');
+const { sendWhatsAppMessage } = require('../utils/whatsappService');
+const {
+    TABLE_HOLDING_STATUSES,
+    resolveEventTables,
+    findEventConflicts,
+    describeEventConflicts,
+    buildSetMenu,
+    calculateEventQuote,
+    buildDepositSchedule,
+    syncEventBlackout,
+    chargeEventDeposit,
+    refundEventDeposits,
+} = require('../utils/eventBookings');
+const { DAY_MS } = require('../utils/reservationTiming');
+
+// Allowed status changes; cancelling is possible until the event has taken place
+const STATUS_TRANSITIONS = {
+    inquiry: ['quoted', 'cancelled'],
+    quoted: ['contract_sent', 'cancelled'],
+    contract_sent: ['confirmed', 'cancelled'],
+    confirmed: ['completed', 'cancelled'],
+    completed: [],
+    cancelled: [],
+};
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && value >= 0;
+
+// Validates and applies the editable event fields shared by create and update.
+// Returns a problem ({ status, message }) or null.
+const applyEventDetails = async (event, body) => {
+    const {
+        title, contactName, contactPhoneNumber, contactEmail, numberOfGuests, startsAt, endsAt,
+        isBuyout, sections, tableNumbers, setMenu, setMenuPricePerGuest, minimumSpend, venueHireFee, depositSchedule, notes,
+    } = body;
+
+    if (numberOfGuests !== undefined && (typeof numberOfGuests !== 'number' || numberOfGuests < 1)) {
+        return { status: 400, message: 'Number of guests must be a positive number.' };
+    }
+    for (const [name, value] of Object.entries({ minimumSpend, venueHireFee })) {
+        if (value !== undefined && !isNonNegativeNumber(value)) {
+            return { status: 400, message: `${name} must be a non-negative number.` };
+        }
+    }
+    if (setMenuPricePerGuest !== undefined && setMenuPricePerGuest !== null && !isNonNegativeNumber(setMenuPricePerGuest)) {
+        return { status: 400, message: 'setMenuPricePerGuest must be a non-negative number (or null to use the set menu prices).' };
+    }
+
+    const parsedStartsAt = startsAt !== undefined ? new Date(startsAt) : event.startsAt;
+    const parsedEndsAt = endsAt !== undefined ? new Date(endsAt) : event.endsAt;
+    if (isNaN(parsedStartsAt.getTime()) || isNaN(parsedEndsAt.getTime())) {
+        return { status: 400, message: 'Invalid start or end date. Please provide valid dates (e.g., ISO 8601).' };
+    }
+    if (parsedEndsAt <= parsedStartsAt) {
+        return { status: 400, message: 'The event must end after it starts.' };
+    }
+    if ((startsAt !== undefined || endsAt !== undefined) && parsedStartsAt <= new Date()) {
+        return { status: 400, message: 'The event must start in the future.' };
+    }
+
+    // Work out the tables again whenever the seating, party size or buyout changes
+    const seatingChanged = event.isNew || isBuyout !== undefined || sections !== undefined || tableNumbers !== undefined || numberOfGuests !== undefined;
+    if (seatingChanged) {
+        const targetIsBuyout = isBuyout !== undefined ? Boolean(isBuyout) : event.isBuyout;
+        const targetSections = targetIsBuyout ? [] : (sections !== undefined ? sections : event.sections);
+        const targetTableNumbers = targetIsBuyout ? [] : (tableNumbers !== undefined ? tableNumbers : event.tableNumbers);
+        const seating = await resolveEventTables({
+            isBuyout: targetIsBuyout,
+            sections: targetSections,
+            tableNumbers: targetTableNumbers,
+            numberOfGuests: numberOfGuests || event.numberOfGuests,
+        });
+        if (seating.problem) {
+            return seating.problem;
+        }
+        event.isBuyout = targetIsBuyout;
+        event.sections = targetSections;
+        event.tableNumbers = targetTableNumbers;
+        event.heldTableNumbers = seating.tableNumbers;
+    }
+
+    if (setMenu !== undefined) {
+        const menu = await buildSetMenu(setMenu);
+        if (menu.problem) {
+            return menu.problem;
+        }
+        event.setMenu = menu.setMenu;
+    }
+
+    if (title !== undefined) event.title = title;
+    if (contactName !== undefined) event.contactName = contactName;
+    if (contactPhoneNumber !== undefined) event.contactPhoneNumber = contactPhoneNumber;
+    if (contactEmail !== undefined) event.contactEmail = contactEmail;
+    if (numberOfGuests !== undefined) event.numberOfGuests = numberOfGuests;
+    event.startsAt = parsedStartsAt;
+    event.endsAt = parsedEndsAt;
+    if (setMenuPricePerGuest !== undefined) event.setMenuPricePerGuest = setMenuPricePerGuest === null ? undefined : setMenuPricePerGuest;
+    if (minimumSpend !== undefined) event.minimumSpend = minimumSpend;
+    if (venueHireFee !== undefined) event.venueHireFee = venueHireFee;
+    if (notes !== undefined) event.notes = notes;
+    calculateEventQuote(event);
+
+    // Instalments can be replaced until the first one is paid. A schedule derived from the configured
+    // instalments follows the quote; one an admin set is left alone.
+    const anyInstalmentPaid = event.depositSchedule.some(instalment => instalment.status !== 'pending');
+    if (depositSchedule !== undefined) {
+        if (anyInstalmentPaid) {
+            return { status: 400, message: 'The deposit schedule cannot be changed after an instalment has been paid.' };
+        }
+        if (depositSchedule === null) { // Back to the configured instalments
+            event.isCustomDepositSchedule = false;
+            event.depositSchedule = event.depositSchedule.length > 0 ? buildDepositSchedule(event) : [];
+            return null;
+        }
+        const invalid = !Array.isArray(depositSchedule) || depositSchedule.some(instalment => !instalment.label
+            || !isNonNegativeNumber(instalment.amount) || isNaN(new Date(instalment.dueDate).getTime()));
+        if (invalid) {
+            return { status: 400, message: 'Deposit schedule must be an array of { label, amount, dueDate } instalments.' };
+        }
+        event.depositSchedule = depositSchedule.map(({ label, amount, dueDate }) => ({ label, amount, dueDate, status: 'pending' }));
+        event.isCustomDepositSchedule = true;
+    } else if (event.depositSchedule.length > 0 && !anyInstalmentPaid && !event.isCustomDepositSchedule) {
+        event.depositSchedule = buildDepositSchedule(event);
+    }
+
+    return null;
+};
+
+// Checks the event's tables and time against reservations and other blackouts
+const checkEventConflicts = async (event) => {
+    const conflicts = await findEventConflicts(event);
+    if (conflicts.reservations.length === 0 && conflicts.blackouts.length === 0) {
+        return null;
+    }
+    return {
+        status: 409,
+        message: `The event clashes with ${describeEventConflicts(conflicts)}. Move those bookings or choose other tables or times.`,
+    };
+};
+
+// @desc    Create an event booking (large party, private event or buyout); its tables are held straight away
+// @route   POST /api/events
+// @access  Private/Admin
+const createEventBooking = asyncHandler(async (req, res) => {
+    const { title, contactName, contactPhoneNumber, numberOfGuests, startsAt, endsAt } = req.body;
+
+    if (!title || !contactName || !contactPhoneNumber || !numberOfGuests || !startsAt || !endsAt) {
+        res.status(400);
+        throw new Error('Please provide a title, contact name, contact phone number, number of guests, start and end for the event.');
+    }
+
+    const event = new EventBooking({
+        title,
+        contactName,
+        contactPhoneNumber,
+        numberOfGuests,
+        startsAt,
+        endsAt,
+        currency: reservationRules.deposits.currency,
+        createdBy: req.user._id,
+    });
+
+    const problem = await applyEventDetails(event, req.body)
+        || await checkEventConflicts(event);
+    if (problem) {
+        res.status(problem.status);
+        throw new Error(problem.message);
+    }
+
+    await event.validate(); // Before the tables are blocked
+    await syncEventBlackout(event);
+    const createdEvent = await event.save();
+
+    res.status(201).json(createdEvent);
+});
+
+// @desc    Get event bookings, optionally by status or date range
+// @route   GET /api/events?status=confirmed&from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private/Admin, Waiter
+const getEventBookings = asyncHandler(async (req, res) => {
+    const { status, from, to } = req.query;
+    const query = {};
+
+    if (status) {
+        query.status = status;
+    }
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+        res.status(400);
+        throw new Error('Invalid from or to date. Please use YYYY-MM-DD.');
+    }
+    if (fromDate) {
+        query.endsAt = { $gt: fromDate };
+    }
+    if (toDate) {
+        query.startsAt = { $lt: toDate };
+    }
+
+    const events = await EventBooking.find(query)
+        .populate('createdBy', 'name')
+        .sort({ startsAt: 1 });
+
+    res.json(events);
+});
+
+// @desc    Get a single event booking
+// @route   GET /api/events/:id
+// @access  Private/Admin, Waiter
+const getEventBookingById = asyncHandler(async (req, res) => {
+    const event = await EventBooking.findById(req.params.id)
+        .populate('createdBy', 'name')
+        .populate('blackout');
+
+    if (!event) {
+        res.status(404);
+        throw new Error('Event booking not found');
+    }
+
+    res.json(event);
+});
+
+// @desc    Update an event booking's details, tables, set menu or pricing (the quote is recalculated);
+//          depositSchedule: [...] sets custom instalments, null goes back to the configured ones
+// @route   PUT /api/events/:id
+// @access  Private/Admin
+const updateEventBooking = asyncHandler(async (req, res) => {
+    const event = await EventBooking.findById(req.params.id);
+
+    if (!event) {
+        res.status(404);
+        throw new Error('Event booking not found');
+    }
+
+    if (!TABLE_HOLDING_STATUSES.includes(event.status)) {
+        res.status(400);
+        throw new Error(`Cannot update an event booking that is ${event.status}`);
+    }
+
+    const problem = await applyEventDetails(event, req.body)
+        || await checkEventConflicts(event);
+    if (problem) {
+        res.status(problem.status);
+        throw new Error(problem.message);
+    }
+
+    await event.validate();
+    await syncEventBlackout(event);
+    const updatedEvent = await event.save();
+
+    res.json(updatedEvent);
+});
+
+// @desc    Move an event booking through quote, contract and confirmation (or cancel it)
+// @route   PUT /api/events/:id/status
+// @access  Private/Admin
+const updateEventBookingStatus = asyncHandler(async (req, res) => {
+    const { status, signedBy, waiveDeposit, refundDeposits } = req.body;
+
+    const event = await EventBooking.findById(req.params.id);
+
+    if (!event) {
+        res.status(404);
+        throw new Error('Event booking not found');
+    }
+
+    if (!(STATUS_TRANSITIONS[event.status] || []).includes(status)) {
+        res.status(400);
+        throw new Error(`Cannot change an event booking from ${event.status} to ${status}. Allowed: ${STATUS_TRANSITIONS[event.status].join(', ') || 'none'}.`);
+    }
+
+    const now = new Date();
+    let depositMessage = null;
+
+    if (status === 'quoted') {
+        calculateEventQuote(event);
+        event.quote.sentAt = now;
+        event.quote.validUntil = new Date(now.getTime() + reservationRules.events.quoteValidDays * DAY_MS);
+        if (event.depositSchedule.length === 0 && !event.isCustomDepositSchedule) {
+            event.depositSchedule = buildDepositSchedule(event, now);
+        }
+    }
+
+    if (status === 'contract_sent') {
+        event.contract.sentAt = now;
+    }
+
+    if (status === 'confirmed') {
+        if (!signedBy) {
+            res.status(400);
+            throw new Error('Please provide the name of the person who signed the contract (signedBy).');
+        }
+        const overdue = event.depositSchedule.filter(instalment => instalment.status === 'pending' && instalment.dueDate <= now);
+        if (overdue.length > 0) {
+            if (!waiveDeposit) {
+                res.status(400);
+                throw new Error(`${overdue.map(instalment => `${instalment.label} (${event.currency} ${instalment.amount})`).join(', ')} must be paid before the event can be confirmed. Send "waiveDeposit": true to confirm without it.`);
+            }
+            overdue.forEach(instalment => { instalment.status = 'waived'; });
+        }
+        event.contract.signedAt = now;
+        event.contract.signedBy = signedBy;
+    }
+
+    if (status === 'cancelled' && refundDeposits) {
+        const { refunded, failed } = await refundEventDeposits(event, 'Event cancelled');
+        depositMessage = failed.length > 0
+            ? `Refunded ${event.currency} ${refunded}. Refunds failed for ${failed.join(', ')}; please refund those manually.`
+            : `Refunded ${event.currency} ${refunded}.`;
+    }
+
+    event.status = status;
+    await syncEventBlackout(event); // Cancelled and completed events release their tables
+    const updatedEvent = await event.save();
+
+    if (status === 'quoted' || status === 'confirmed') {
+        const messageBody = status === 'quoted'
+            ? `Hello ${updatedEvent.contactName}!\n\n` +
+              `Here is your quote for *${updatedEvent.title}* on ${updatedEvent.startsAt.toLocaleString()} ` +
+              `for ${updatedEvent.numberOfGuests} guests: ${updatedEvent.currency} ${updatedEvent.quote.total}.\n` +
+              `The quote is valid until ${updatedEvent.quote.validUntil.toLocaleDateString()}.\n\n` +
+              `Restaurant Name` // Replace with your restaurant name
+            : `Hello ${updatedEvent.contactName}!\n\n` +
+              `Your event *${updatedEvent.title}* on ${updatedEvent.startsAt.toLocaleString()} ` +
+              `for ${updatedEvent.numberOfGuests} guests is *CONFIRMED*.\n\n` +
+              `We look forward to hosting you!\n` +
+              `Restaurant Name`; // Replace with your restaurant name
+
+        await sendWhatsAppMessage(updatedEvent.contactPhoneNumber, messageBody);
+    }
+
+    res.json({
+        message: ['Event booking updated successfully.', depositMessage].filter(Boolean).join(' '),
+        event: updatedEvent,
+    });
+});
+
+// @desc    Pay a deposit instalment for an event booking
+// @route   POST /api/events/:id/deposits/:instalmentId
+// @access  Private/Admin, Waiter
+const payEventDeposit = asyncHandler(async (req, res) => {
+    const { paymentMethod } = req.body;
+
+    const event = await EventBooking.findById(req.params.id);
+
+    if (!event) {
+        res.status(404);
+        throw new Error('Event booking not found');
+    }
+
+    if (!TABLE_HOLDING_STATUSES.includes(event.status)) {
+        res.status(400);
+        throw new Error(`Cannot pay a deposit for an event booking that is ${event.status}`);
+    }
+
+    const instalment = event.depositSchedule.id(req.params.instalmentId);
+    if (!instalment) {
+        res.status(404);
+        throw new Error('Deposit instalment not found');
+    }
+
+    const problem = await chargeEventDeposit(event, instalment, paymentMethod);
+    if (problem) {
+        res.status(problem.status);
+        throw new Error(problem.message);
+    }
+
+    const updatedEvent = await event.save();
+
+    res.json({
+        message: `${instalment.label} paid successfully`,
+        event: updatedEvent,
+    });
+});
+
+module.exports = {
+    createEventBooking,
+    getEventBookings,
+    getEventBookingById,
+    updateEventBooking,
+    updateEventBookingStatus,
+    payEventDeposit,
+};
@@ -0,0 +1,72 @@
+// controllers/guestProfileController.js
+const asyncHandler = require('express-async-handler');
+const GuestProfile = require('../models/GuestProfile');
+const Reservation = require('../models/Reservation');
+
+// @desc    Get guest profiles, e.g. flagged guests or guests who must pay a deposit
+// @route   GET /api/guests?flagged=true&requiresDeposit=true&phoneNumber=+1234567890
+// @access  Private/Admin
+const getGuestProfiles = asyncHandler(async (req, res) => {
+    const { flagged, requiresDeposit, phoneNumber } = req.query;
+    const query = {};
+
+    if (flagged !== undefined) {
+        query.isFlagged = flagged === 'true';
+    }
+    if (requiresDeposit !== undefined) {
+        query.requiresDeposit = requiresDeposit === 'true';
+    }
+    if (phoneNumber) {
+        query.phoneNumber = phoneNumber;
+    }
+
+    const profiles = await GuestProfile.find(query).sort({ noShowCount: -1, lastNoShowAt: -1 });
+
+    res.json(profiles);
+});
+
+// @desc    Get a guest profile with the guest's no-show reservations
+// @route   GET /api/guests/:id
+// @access  Private/Admin
+const getGuestProfileById = asyncHandler(async (req, res) => {
+    const profile = await GuestProfile.findById(req.params.id);
+
+    if (!profile) {
+        res.status(404);
+        throw new Error('Guest profile not found');
+    }
+
+    const noShows = await Reservation.find({ customerPhoneNumber: profile.phoneNumber, status: 'no_show' })
+        .select('customerName tableNumber combinedTableNumbers reservationTime numberOfGuests noShowAt')
+        .sort({ reservationTime: -1 });
+
+    res.json({ ...profile.toObject(), noShows });
+});
+
+// @desc    Clear or set a guest's flag / deposit requirement, or add notes
+// @route   PUT /api/guests/:id
+// @access  Private/Admin
+const updateGuestProfile = asyncHandler(async (req, res) => {
+    const { isFlagged, requiresDeposit, notes } = req.body;
+
+    const profile = await GuestProfile.findById(req.params.id);
+
+    if (!profile) {
+        res.status(404);
+        throw new Error('Guest profile not found');
+    }
+
+    if (isFlagged !== undefined) profile.isFlagged = isFlagged;
+    if (requiresDeposit !== undefined) profile.requiresDeposit = requiresDeposit;
+    if (notes !== undefined) profile.notes = notes;
+
+    const updatedProfile = await profile.save();
+
+    res.json(updatedProfile);
+});
+
+module.exports = {
+    getGuestProfiles,
+    getGuestProfileById,
+    updateGuestProfile,
+};
@@ -0,0 +1,444 @@
+// controllers/guestReservationController.js
+const asyncHandler = require('express-async-handler');
+const Reservation = require('../models/Reservation');
+const reservationRules = require('../config/reservationRules');
+const { sendWhatsAppMessage } = require('../utils/whatsappService');
+const {
+    ACTIVE_RESERVATION_STATUSES,
+    findConflictingReservation,
+    checkPartySize,
+    resolveReservationTables,
+} = require('../utils/reservationAvailability');
+const { resolveReservationEndTime } = require('../utils/reservationTiming');
+const { checkReservationSchedule } = require('../utils/scheduleService');
+const { sendVerificationCode, verifyCode } = require('../utils/phoneVerification');
+const { generateReferenceCode } = require('../utils/reservationTokens');
+const { cancelReservationReminders } = require('../utils/reservationReminders');
+const { auditAs } = require('../utils/reservationAudit');
+const { checkPreOrderWindow, buildPreOrderItems } = require('../utils/preOrders');
+const {
+    getDepositRequirement,
+    refreshDepositRequirement,
+    chargeDeposit,
+    settleDepositOnCancellation,
+} = require('../utils/reservationDeposits');
+
+const PHONE_NUMBER_PATTERN = /^\+[1-9]\d{1,14}$/;
+const GUEST_ACTOR = { channel: 'customer', actorName: 'Guest (no account)' };
+
+// Looks up a guest booking; both the reference code and the phone number it was booked with must match
+const findGuestReservation = (referenceCode, phoneNumber) => {
+    // An unencoded '+' in a query string arrives as a space
+    const normalizedPhone = String(phoneNumber || '').trim().replace(/^(?=\d)/, '+');
+    return Reservation.findOne({
+        referenceCode: String(referenceCode).toUpperCase(),
+        customerPhoneNumber: normalizedPhone,
+        isGuestReservation: true,
+    });
+};
+
+// @desc    Send a one-time verification code to the guest's phone
+// @route   POST /api/guest/reservations/verify-phone
+// @access  Public (rate limited)
+const requestVerificationCode = asyncHandler(async (req, res) => {
+    const { customerPhoneNumber } = req.body;
+
+    if (!customerPhoneNumber || !PHONE_NUMBER_PATTERN.test(customerPhoneNumber)) {
+        res.status(400);
+        throw new Error('Please provide a valid phone number in E.164 format (e.g., +1234567890).');
+    }
+
+    const { expiresAt, problem } = await sendVerificationCode(customerPhoneNumber);
+    if (problem) {
+        res.status(problem.status);
+        throw new Error(problem.message);
+    }
+
+    res.json({ message: 'A verification code has been sent to your phone via WhatsApp.', expiresAt });
+});
+
+// @desc    Book a table without an account, using the code sent to the guest's phone
+// @route   POST /api/guest/reservations
+// @access  Public (rate limited)
+const createGuestReservation = asyncHandler(async (req, res) => {
+    const { tableNumber, combinedTableNumbers, customerName, customerPhoneNumber, verificationCode, numberOfGuests, reservationTime, endTime, notes } = req.body;
+
+    // Basic input validation
+    if (!tableNumber || !customerName || !customerPhoneNumber || !numberOfGuests || !reservationTime) {
+        res.status(400);
+        throw new Error('Please fill all required reservation fields: table number, customer name, phone number, number of guests, and reservation time.');
+    }
+
+    if (!verificationCode) {
+        res.status(400);
+        throw new Error('Please provide the verification code sent to your phone.');
+    }
+
+    if (typeof numberOfGuests !== 'number' || numberOfGuests < 1) {
+        res.status(400);
+        throw new Error('Number of guests must be a positive number.');
+    }
+
+    const partySizeProblem = checkPartySize(numberOfGuests);
+    if (partySizeProblem) {
+        res.status(partySizeProblem.status);
+        throw new Error(partySizeProblem.message);
+    }
+
+    // Stop one phone number from holding many tables
+    const upcomingBookings = await Reservation.countDocuments({
+        customerPhoneNumber,
+        isGuestReservation: true,
+        status: { $in: ACTIVE_RESERVATION_STATUSES },
+        reservationTime: { $gte: new Date() },
+    });
+    if (upcomingBookings >= reservationRules.guestBooking.maxUpcomingBookingsPerPhone) {
+        res.status(429);
+        throw new Error(`This phone number already has ${upcomingBookings} upcoming reservations. Please cancel one or contact the restaurant.`);
+    }
+
+    // Validate the table(s) against the active floor plan and make sure they can seat the party
+    const { problem } = await resolveReservationTables({ tableNumber, combinedTableNumbers, numberOfGuests });
+    if (problem) {
+        res.status(problem.status);
+        throw new Error(problem.message);
+    }
+
+    const parsedReservationTime = new Date(reservationTime);
+    if (isNaN(parsedReservationTime.getTime())) {
+        res.status(400);
+        throw new Error('Invalid reservation time format. Please provide a valid date/time (e.g., ISO 8601).');
+    }
+
+    const timing = resolveReservationEndTime({ reservationTime: parsedReservationTime, numberOfGuests, endTime });
+    if (timing.problem) {
+        res.status(timing.problem.status);
+        throw new Error(timing.problem.message);
+    }
+
+    const tableNumbers = [tableNumber, ...(combinedTableNumbers || [])];
+
+    // Guests follow the same rules as customers: opening hours, last seating, lead time and blackouts
+    const scheduleProblem = await checkReservationSchedule({
+        reservationTime: parsedReservationTime,
+        endTime: timing.endTime,
+        tableNumbers,
+        enforceLeadTime: true,
+    });
+    if (scheduleProblem) {
+        res.status(scheduleProblem.status);
+        throw new Error(scheduleProblem.message);
+    }
+
+    const existingReservation = await findConflictingReservation({
+        tableNumbers,
+        reservationTime: parsedReservationTime,
+        endTime: timing.endTime,
+    });
+
+    if (existingReservation) {
+        res.status(409);
+        throw new Error(`Table ${tableNumbers.join(' + ')} is already reserved or unavailable between ${parsedReservationTime.toLocaleTimeString()} and ${timing.endTime.toLocaleTimeString()} on ${parsedReservationTime.toLocaleDateString()}.`);
+    }
+
+    // Checked last so a code is only used up by a booking that actually goes through
+    const codeProblem = await verifyCode(customerPhoneNumber, verificationCode);
+    if (codeProblem) {
+        res.status(codeProblem.status);
+        throw new Error(codeProblem.message);
+    }
+
+    // Guests with repeated no-shows, large parties and busy nights pay a deposit
+    const deposit = await getDepositRequirement({
+        reservationTime: parsedReservationTime,
+        numberOfGuests,
+        tableNumbers,
+        phoneNumber: customerPhoneNumber,
+    });
+
+    const reservation = new Reservation({
+        tableNumber,
+        combinedTableNumbers,
+        customerName,
+        customerPhoneNumber,
+        numberOfGuests,
+        reservationTime: parsedReservationTime,
+        endTime: timing.endTime,
+        hasExplicitEndTime: timing.isExplicit,
+        deposit,
+        notes,
+        isCustomerReservation: true, // Reviewed by admins like other customer bookings
+        isGuestReservation: true,
+        referenceCode: generateReferenceCode(),
+        status: 'pending',
+    });
+    auditAs(reservation, GUEST_ACTOR);
+    await reservation.save();
+
+    const messageBody = `Hello ${reservation.customerName}!\n\n` +
+                        `We received your reservation request for ${reservation.numberOfGuests} guests ` +
+                        `at ${reservation.reservationTime.toLocaleString()}.\n` +
+                        `Your booking reference is *${reservation.referenceCode}*. Use it with this phone number ` +
+                        `to view, change or cancel your booking. We'll message you once it is approved.\n\n` +
+                        `Restaurant Name`; // Replace with your restaurant name
+
+    await sendWhatsAppMessage(reservation.customerPhoneNumber, messageBody);
+
+    res.status(201).json({
+        ...reservation.toObject(),
+        message: reservation.deposit.status === 'pending'
+            ? `Reservation created successfully. Keep your reference code to manage the booking. A deposit of ${deposit.currency} ${deposit.amount} is required; pay it at POST /api/guest/reservations/${reservation.referenceCode}/deposit so the booking can be approved.`
+            : 'Reservation created successfully. Keep your reference code to manage the booking. It will be reviewed by admin and you will be notified once approved.'
+    });
+});
+
+// @desc    View a guest booking
+// @route   GET /api/guest/reservations/:referenceCode?phone=+1234567890
+// @access  Public (reference code + phone number; rate limited)
+const getGuestReservation = asyncHandler(async (req, res) => {
+    const reservation = await findGuestReservation(req.params.referenceCode, req.query.phone);
+
+    if (!reservation) {
+        res.status(404);
+        throw new Error('No reservation found for this reference code and phone number');
+    }
+
+    res.json(reservation);
+});
+
+// @desc    Change a guest booking (a confirmed one goes back for approval)
+// @route   PUT /api/guest/reservations/:referenceCode
+// @access  Public (reference code + phone number; rate limited)
+const updateGuestReservation = asyncHandler(async (req, res) => {
+    const { customerPhoneNumber, tableNumber, combinedTableNumbers, customerName, numberOfGuests, reservationTime, endTime, notes } = req.body;
+
+    const reservation = await findGuestReservation(req.params.referenceCode, customerPhoneNumber);
+
+    if (!reservation) {
+        res.status(404);
+        throw new Error('No reservation found for this reference code and phone number');
+    }
+
+    if (!['pending', 'confirmed'].includes(reservation.status)) {
+        res.status(400);
+        throw new Error('Cannot update reservation that is already seated, completed, or cancelled');
+    }
+
+    if (numberOfGuests !== undefined && (typeof numberOfGuests !== 'number' || numberOfGuests < 1)) {
+        res.status(400);
+        throw new Error('Number of guests must be a positive number.');
+    }
+
+    const partySizeProblem = checkPartySize(numberOfGuests);
+    if (partySizeProblem) {
+        res.status(partySizeProblem.status);
+        throw new Error(partySizeProblem.message);
+    }
+
+    const targetTableNumber = tableNumber || reservation.tableNumber;
+    const targetCombinedTableNumbers = combinedTableNumbers !== undefined
+        ? combinedTableNumbers
+        : (tableNumber ? [] : reservation.combinedTableNumbers); // Picking a new table drops the old combination
+    const targetGuests = numberOfGuests || reservation.numberOfGuests;
+
+    const seatingChanged = tableNumber !== undefined || combinedTableNumbers !== undefined || numberOfGuests !== undefined;
+    if (seatingChanged) {
+        const { problem } = await resolveReservationTables({
+            tableNumber: targetTableNumber,
+            combinedTableNumbers: targetCombinedTableNumbers,
+            numberOfGuests: targetGuests,
+        });
+        if (problem) {
+            res.status(problem.status);
+            throw new Error(problem.message);
+        }
+    }
+
+    const parsedReservationTime = reservationTime ? new Date(reservationTime) : reservation.reservationTime;
+    if (isNaN(parsedReservationTime.getTime())) {
+        res.status(400);
+        throw new Error('Invalid reservation time format. Please provide a valid date/time (e.g., ISO 8601).');
+    }
+
+    // Keep the guest's own visit length when only the start moves, otherwise re-derive it from the duration rules
+    let requestedEndTime = endTime;
+    if (!requestedEndTime && reservation.hasExplicitEndTime) {
+        requestedEndTime = new Date(parsedReservationTime.getTime() + (reservation.endTime - reservation.reservationTime));
+    }
+    const timing = resolveReservationEndTime({
+        reservationTime: parsedReservationTime,
+        numberOfGuests: targetGuests,
+        endTime: requestedEndTime,
+    });
+    if (timing.problem) {
+        res.status(timing.problem.status);
+        throw new Error(timing.problem.message);
+    }
+
+    if (seatingChanged || reservationTime || endTime) {
+        const tableNumbers = [targetTableNumber, ...targetCombinedTableNumbers];
+
+        const scheduleProblem = await checkReservationSchedule({
+            reservationTime: parsedReservationTime,
+            endTime: timing.endTime,
+            tableNumbers,
+            enforceLeadTime: true,
+        });
+        if (scheduleProblem) {
+            res.status(scheduleProblem.status);
+            throw new Error(scheduleProblem.message);
+        }
+
+        const existingReservation = await findConflictingReservation({
+            tableNumbers,
+            reservationTime: parsedReservationTime,
+            endTime: timing.endTime,
+            excludeReservationId: reservation._id,
+        });
+
+        if (existingReservation) {
+            res.status(409);
+            throw new Error(`Table ${tableNumbers.join(' + ')} is already reserved or unavailable between ${parsedReservationTime.toLocaleTimeString()} and ${timing.endTime.toLocaleTimeString()} on ${parsedReservationTime.toLocaleDateString()}.`);
+        }
+    }
+
+    // The phone number is the guest's verified identity, so it cannot be changed here
+    reservation.tableNumber = targetTableNumber;
+    reservation.combinedTableNumbers = targetCombinedTableNumbers;
+    if (customerName) reservation.customerName = customerName;
+    if (numberOfGuests) reservation.numberOfGuests = numberOfGuests;
+    reservation.reservationTime = parsedReservationTime;
+    reservation.endTime = timing.endTime;
+    reservation.hasExplicitEndTime = timing.isExplicit;
+    if (notes !== undefined) reservation.notes = notes;
+    await refreshDepositRequirement(reservation); // A bigger party or another night can change the deposit
+
+    // Any change by the guest needs the admin's approval again
+    const wasConfirmed = reservation.status === 'confirmed';
+    reservation.status = 'pending';
+    reservation.approvedBy = undefined;
+    reservation.approvedAt = undefined;
+    auditAs(reservation, {
+        ...GUEST_ACTOR,
+        action: 'resubmitted',
+        note: wasConfirmed ? 'Changed by the guest after approval; awaiting re-approval' : 'Changed by the guest; awaiting approval',
+    });
+
+    const updatedReservation = await reservation.save();
+
+    if (wasConfirmed) {
+        await cancelReservationReminders(updatedReservation); // Rescheduled when the admin approves again
+    }
+
+    res.json({
+        ...updatedReservation.toObject(),
+        message: 'Reservation updated successfully. It will be reviewed by admin again.'
+    });
+});
+
+// @desc    Cancel a guest booking
+// @route   DELETE /api/guest/reservations/:referenceCode?phone=+1234567890
+// @access  Public (reference code + phone number; rate limited)
+const cancelGuestReservation = asyncHandler(async (req, res) => {
+    const reservation = await findGuestReservation(req.params.referenceCode, req.query.phone);
+
+    if (!reservation) {
+        res.status(404);
+        throw new Error('No reservation found for this reference code and phone number');
+    }
+
+    if (!['pending', 'confirmed'].includes(reservation.status)) {
+        res.status(400);
+        throw new Error('Cannot cancel reservation that is already seated, completed, or cancelled');
+    }
+
+    reservation.status = 'cancelled';
+    auditAs(reservation, GUEST_ACTOR);
+    await reservation.save();
+    await cancelReservationReminders(reservation);
+    const deposit = await settleDepositOnCancellation(reservation);
+
+    res.json({
+        message: 'Reservation cancelled successfully',
+        depositOutcome: deposit.outcome,
+        depositMessage: deposit.message,
+        reservation
+    });
+});
+
+// @desc    Pay the deposit for a guest booking
+// @route   POST /api/guest/reservations/:referenceCode/deposit
+// @access  Public (reference code + phone number; rate limited)
+const payGuestReservationDeposit = asyncHandler(async (req, res) => {
+    const { customerPhoneNumber, paymentMethod } = req.body;
+
+    const reservation = await findGuestReservation(req.params.referenceCode, customerPhoneNumber);
+
+    if (!reservation) {
+        res.status(404);
+        throw new Error('No reservation found for this reference code and phone number');
+    }
+
+    if (!['pending', 'confirmed'].includes(reservation.status)) {
+        res.status(400);
+        throw new Error(`Cannot pay a deposit for a reservation that is ${reservation.status}`);
+    }
+
+    auditAs(reservation, GUEST_ACTOR);
+    const { reservation: updatedReservation, problem } = await chargeDeposit(reservation, paymentMethod);
+    if (problem) {
+        res.status(problem.status);
+        throw new Error(problem.message);
+    }
+
+    res.json({
+        message: 'Deposit paid successfully',
+        reservation: updatedReservation
+    });
+});
+
+// @desc    Choose dishes in advance for a guest booking (an empty list clears the pre-order)
+// @route   PUT /api/guest/reservations/:referenceCode/pre-order
+// @access  Public (reference code + phone number; rate limited)
+const updateGuestPreOrder = asyncHandler(async (req, res) => {
+    const { customerPhoneNumber, items } = req.body;
+
+    const reservation = await findGuestReservation(req.params.referenceCode, customerPhoneNumber);
+
+    if (!reservation) {
+        res.status(404);
+        throw new Error('No reservation found for this reference code and phone number');
+    }
+
+    const windowProblem = checkPreOrderWindow(reservation);
+    if (windowProblem) {
+        res.status(windowProblem.status);
+        throw new Error(windowProblem.message);
+    }
+
+    const { preOrderItems, problem } = await buildPreOrderItems(items);
+    if (problem) {
+        res.status(problem.status);
+        throw new Error(problem.message);
+    }
+
+    reservation.preOrderItems = preOrderItems;
+    reservation.preOrderUpdatedAt = new Date();
+    auditAs(reservation, { ...GUEST_ACTOR, action: 'pre_order_updated' });
+    const updatedReservation = await reservation.save();
+
+    res.json({
+        message: preOrderItems.length > 0 ? 'Pre-order saved. The kitchen will start on it when you are seated.' : 'Pre-order cleared',
+        reservation: updatedReservation
+    });
+});
+
+module.exports = {
+    requestVerificationCode,
+    createGuestReservation,
+    getGuestReservation,
+    updateGuestReservation,
+    cancelGuestReservation,
+    payGuestReservationDeposit,
+    updateGuestPreOrder,
+};
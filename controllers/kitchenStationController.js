@@ -0,0 +1,144 @@
+// controllers/kitchenStationController.js
+const asyncHandler = require('express-async-handler');
+const KitchenStation = require('../models/KitchenStation');
+const Dish = require('../models/Dish');
+const { checkStationCategories } = require('../utils/kitchenStations');
+
+// Only one station catches unrouted dishes
+const clearOtherDefaults = (stationId) => KitchenStation.updateMany(
+    { _id: { $ne: stationId }, isDefault: true },
+    { isDefault: false }
+);
+
+// @desc    Create a kitchen station
+// @route   POST /api/stations
+// @access  Private/Admin
+const createStation = asyncHandler(async (req, res) => {
+    const { name, categories, isDefault, isActive, sortOrder } = req.body;
+
+    if (!name) {
+        res.status(400);
+        throw new Error('Station name is required.');
+    }
+
+    const stationExists = await KitchenStation.findOne({ name });
+    if (stationExists) {
+        res.status(400);
+        throw new Error(`Station "${name}" already exists.`);
+    }
+
+    const problem = await checkStationCategories(categories || []);
+    if (problem) {
+        res.status(problem.status);
+        throw new Error(problem.message);
+    }
+
+    const station = await KitchenStation.create({
+        name,
+        categories: (categories || []).map(category => category.trim()),
+        isDefault,
+        isActive,
+        sortOrder,
+    });
+    if (station.isDefault) {
+        await clearOtherDefaults(station._id);
+    }
+
+    res.status(201).json(station);
+});
+
+// @desc    Get all kitchen stations
+// @route   GET /api/stations
+// @access  Private/Admin, Chef
+const getStations = asyncHandler(async (req, res) => {
+    const stations = await KitchenStation.find({}).sort({ sortOrder: 1, name: 1 });
+    res.json(stations);
+});
+
+// @desc    Get a single kitchen station with the dishes assigned to it directly
+// @route   GET /api/stations/:id
+// @access  Private/Admin, Chef
+const getStationById = asyncHandler(async (req, res) => {
+    const station = await KitchenStation.findById(req.params.id);
+
+    if (!station) {
+        res.status(404);
+        throw new Error('Station not found');
+    }
+
+    const dishes = await Dish.find({ station: station._id }).select('name category');
+    res.json({ ...station.toObject(), dishes });
+});
+
+// @desc    Update a kitchen station
+// @route   PUT /api/stations/:id
+// @access  Private/Admin
+const updateStation = asyncHandler(async (req, res) => {
+    const { name, categories, isDefault, isActive, sortOrder } = req.body;
+
+    const station = await KitchenStation.findById(req.params.id);
+
+    if (!station) {
+        res.status(404);
+        throw new Error('Station not found');
+    }
+
+    if (name !== undefined && name !== station.name) {
+        const stationExists = await KitchenStation.findOne({ name });
+        if (stationExists) {
+            res.status(400);
+            throw new Error(`Station "${name}" already exists.`);
+        }
+        station.name = name;
+    }
+
+    if (categories !== undefined) {
+        const problem = await checkStationCategories(categories, station._id);
+        if (problem) {
+            res.status(problem.status);
+            throw new Error(problem.message);
+        }
+        station.categories = categories.map(category => category.trim());
+    }
+
+    station.isDefault = isDefault !== undefined ? isDefault : station.isDefault;
+    station.isActive = isActive !== undefined ? isActive : station.isActive;
+    station.sortOrder = sortOrder !== undefined ? sortOrder : station.sortOrder;
+
+    const updatedStation = await station.save();
+    if (updatedStation.isDefault) {
+        await clearOtherDefaults(updatedStation._id);
+    }
+
+    res.json(updatedStation);
+});
+
+// @desc    Delete a kitchen station
+// @route   DELETE /api/stations/:id
+// @access  Private/Admin
+const deleteStation = asyncHandler(async (req, res) => {
+    const station = await KitchenStation.findById(req.params.id);
+
+    if (!station) {
+        res.status(404);
+        throw new Error('Station not found');
+    }
+
+    // Dishes pointing at a deleted station would silently fall back to other routing
+    const assignedDishes = await Dish.countDocuments({ station: station._id });
+    if (assignedDishes > 0) {
+        res.status(409);
+        throw new Error(`Cannot delete the ${station.name} station while ${assignedDishes} dish(es) are assigned to it. Reassign them or deactivate the station instead.`);
+    }
+
+    await station.deleteOne();
+    res.json({ message: 'Station removed' });
+});
+
+module.exports = {
+    createStation,
+    getStations,
+    getStationById,
+    updateStation,
+    deleteStation,
+};
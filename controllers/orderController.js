@@ -4,12 +4,70 @@ const Order = require("../models/Order");
 const Dish = require("../models/Dish"); // To get dish price
 const { sendWhatsAppMessage } = require("../utils/whatsappService");
 const User = require("../models/User");
+const Table = require("../models/Table");
+const Reservation = require("../models/Reservation");
+const { occupyTable } = require("../utils/tableStatus");
+const { tablesHeldQuery } = require("../utils/reservationAvailability");
+const {
+  findOpenTab,
+  buildOrderItems,
+  appendRound,
+  groupItemsIntoTickets,
+} = require("../utils/orderTabs");
+const {
+  COURSES,
+  applyCourseHolds,
+  fireCourse,
+  nextHeldCourse,
+  updateCourseReadiness,
+  groupFiredItemsByCourse,
+} = require("../utils/orderCourses");
+const {
+  IN_PROGRESS_ITEM_STATUSES,
+  checkModificationReason,
+  estimateOrderTotal,
+  loadDishPrices,
+  notifyKitchen,
+} = require("../utils/orderModifications");
+const {
+  resolveModifiers,
+  formatModifiers,
+  lineKey,
+} = require("../utils/dishModifiers");
+const { resolveVariant, variantFields } = require("../utils/dishVariants");
+const {
+  loadStationRouting,
+  stationForDish,
+  summarizeStations,
+} = require("../utils/kitchenStations");
+const { publishOrderEvent } = require("../utils/realtime");
+const { printKitchenTickets } = require("../utils/printQueue");
+const {
+  ITEM_STATUSES,
+  CLOSED_ITEM_STATUSES,
+  transitionItem,
+  statusBeforeCancellationRequest,
+} = require("../utils/orderItemStateMachine");
+const {
+  PREPARATION_FIELDS,
+  itemTiming,
+  orderTiming,
+} = require("../utils/preparationTimes");
+const reservationRules = require("../config/reservationRules");
 
 // @desc    Create a new order
 // @route   POST /api/orders
 // @access  Private (Waiter/Admin)
 const createOrder = asyncHandler(async (req, res) => {
-  const { tableNumber, customerName, customerPhoneNumber, items } = req.body;
+  const {
+    tableNumber,
+    customerName,
+    customerPhoneNumber,
+    items,
+    reservationId,
+    forceNewOrder,
+    fireAll,
+  } = req.body;
 
   if (
     !tableNumber ||
@@ -24,27 +82,57 @@ const createOrder = asyncHandler(async (req, res) => {
     );
   }
 
-  // Validate and prepare order items
-  const orderItems = [];
-  let initialTotal = 0;
+  const table = await Table.findOne({ number: tableNumber, isActive: true });
+  if (!table) {
+    res.status(400);
+    throw new Error(
+      `Invalid table number: ${tableNumber}. Please choose one of the active tables.`
+    );
+  }
 
-  for (const item of items) {
-    const dish = await Dish.findById(item.dish);
-    if (!dish) {
-      res.status(404);
-      throw new Error(`Dish with ID ${item.dish} not found.`);
-    }
-    if (item.quantity <= 0) {
+  // Further rounds go on the table's open tab, so the table gets a single bill
+  const openTab = await findOpenTab(tableNumber);
+  if (openTab && !forceNewOrder) {
+    res.status(409);
+    throw new Error(
+      `Table ${tableNumber} already has an open tab (order ${openTab._id}). Add the items to it with POST /api/orders/${openTab._id}/items, or send forceNewOrder to start a separate order.`
+    );
+  }
+
+  // Link the order to the party's reservation so a paid deposit is credited on the bill.
+  // Without an explicit reservationId, use the party currently seated at this table.
+  let reservation = null;
+  if (reservationId) {
+    reservation = await Reservation.findOne({
+      _id: reservationId,
+      ...tablesHeldQuery([tableNumber]),
+      status: { $in: ["confirmed", "seated"] },
+    });
+    if (!reservation) {
       res.status(400);
-      throw new Error(`Quantity for dish ${dish.name} must be at least 1.`);
+      throw new Error(
+        `Reservation ${reservationId} is not an active booking for table ${tableNumber}.`
+      );
     }
-    orderItems.push({
-      dish: item.dish,
-      quantity: item.quantity,
-      status: "pending", // Default status for new items
-      notes: item.notes || "", // Capture notes for the item
-    });
-    initialTotal += dish.price * item.quantity;
+  } else {
+    reservation = await Reservation.findOne({
+      ...tablesHeldQuery([tableNumber]),
+      status: "seated",
+      reservationTime: {
+        $gte: new Date(
+          Date.now() - reservationRules.maxDurationMinutes * 60 * 1000
+        ),
+      },
+    }).sort({ reservationTime: -1 });
+  }
+
+  // Validate and prepare order items (the first round of the tab)
+  const { orderItems, problem } = await buildOrderItems(items, {
+    addedBy: req.user._id,
+  });
+  if (problem) {
+    res.status(problem.status);
+    throw new Error(problem.message);
   }
 
   // 3. Create the order document
@@ -53,8 +141,7 @@ const createOrder = asyncHandler(async (req, res) => {
     customerName,
     customerPhoneNumber,
     waiter: req.user._id, // The logged-in waiter
-    items: orderItems,
-    totalAmount: initialTotal,
+    reservation: reservation ? reservation._id : undefined,
     orderStatus: "pending",
     timestamps: {
       // --- NEW: Set initial pending timestamp ---
@@ -62,8 +149,21 @@ const createOrder = asyncHandler(async (req, res) => {
     },
   });
 
+  // The first course goes to the kitchen now; later courses wait to be fired
+  applyCourseHolds(order, orderItems, { fireAll, firedBy: req.user._id });
+  order.items = orderItems;
+
   const createdOrder = await order.save(); // The pre-save hook on Order model will run here
 
+  // The table now has guests being served
+  await occupyTable(tableNumber);
+  await publishOrderEvent(createdOrder, "order.created");
+  await printKitchenTickets(
+    createdOrder,
+    createdOrder.items.filter((item) => item.fireStatus === "fired"),
+    "NEW ORDER"
+  );
+
   // 4. Respond with the created order, populating dish details for the client
   const populatedOrder = await Order.findById(createdOrder._id)
     .populate({
@@ -75,6 +175,152 @@ const createOrder = asyncHandler(async (req, res) => {
   res.status(201).json(populatedOrder);
 });
 
+// @desc    Add a round of items to an open order (the table's tab)
+// @route   POST /api/orders/:id/items
+// @access  Private (Waiter/Admin)
+const addOrderItems = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404);
+    throw new Error("Order not found");
+  }
+
+  if (
+    req.user.role === "waiter" &&
+    order.waiter.toString() !== req.user._id.toString()
+  ) {
+    res.status(403);
+    throw new Error("Not authorized to add items to this order.");
+  }
+
+  const { orderItems, problem } = await buildOrderItems(req.body.items, {
+    addedBy: req.user._id,
+  });
+  if (problem) {
+    res.status(problem.status);
+    throw new Error(problem.message);
+  }
+
+  const roundProblem = appendRound(order, orderItems, {
+    fireAll: req.body.fireAll,
+    firedBy: req.user._id,
+  });
+  if (roundProblem) {
+    res.status(roundProblem.status);
+    throw new Error(roundProblem.message);
+  }
+
+  const updatedOrder = await order.save();
+  const newItems = updatedOrder.items.slice(-orderItems.length);
+  await publishOrderEvent(updatedOrder, "order.items_added", {
+    items: newItems,
+    payload: { round: updatedOrder.currentRound },
+  });
+  await printKitchenTickets(
+    updatedOrder,
+    newItems.filter((item) => item.fireStatus === "fired"),
+    `ROUND ${updatedOrder.currentRound}`
+  );
+
+  const populatedOrder = await Order.findById(updatedOrder._id)
+    .populate({
+      path: "items.dish",
+      select: "name price description category",
+    })
+    .populate("waiter", "name email");
+
+  res.status(201).json(populatedOrder);
+});
+
+// @desc    Fire a held course (or the next held course) to the kitchen
+// @route   PUT /api/orders/:id/fire
+// @access  Private (Waiter/Admin)
+const fireOrderCourse = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404);
+    throw new Error("Order not found");
+  }
+
+  if (
+    req.user.role === "waiter" &&
+    order.waiter.toString() !== req.user._id.toString()
+  ) {
+    res.status(403);
+    throw new Error("Not authorized to fire courses on this order.");
+  }
+
+  if (order.isBilled || ["completed", "cancelled"].includes(order.orderStatus)) {
+    res.status(400);
+    throw new Error(
+      `Cannot fire a course on an order that is ${order.orderStatus} or already billed.`
+    );
+  }
+
+  const heldBefore = order.items
+    .filter((item) => item.fireStatus === "held")
+    .map((item) => String(item._id));
+  const { course, firedItems, problem } = fireCourse(
+    order,
+    req.body.course,
+    req.user._id
+  );
+  if (problem) {
+    res.status(problem.status);
+    throw new Error(problem.message);
+  }
+
+  // The kitchen has new work on this order, so it goes back on the KDS
+  if (order.orderStatus === "ready") {
+    order.orderStatus = "preparing";
+  }
+
+  const updatedOrder = await order.save();
+  const firedNow = updatedOrder.items.filter(
+    (item) =>
+      heldBefore.includes(String(item._id)) && item.fireStatus === "fired"
+  );
+  await publishOrderEvent(updatedOrder, "order.course_fired", {
+    items: firedNow,
+    payload: { course },
+  });
+  await printKitchenTickets(
+    updatedOrder,
+    firedNow,
+    `FIRE ${course.toUpperCase()}`
+  );
+
+  const populatedOrder = await Order.findById(updatedOrder._id)
+    .populate("waiter", "name email")
+    .populate("items.dish", "name price");
+
+  res.json({
+    message: `Fired ${firedItems} ${course} item(s) to the kitchen.`,
+    nextHeldCourse: nextHeldCourse(updatedOrder),
+    order: populatedOrder,
+  });
+});
+
+// @desc    Get the open tab (unbilled order) on a table
+// @route   GET /api/orders/tab/:tableNumber
+// @access  Private (Waiter/Admin)
+const getTableTab = asyncHandler(async (req, res) => {
+  const openTab = await findOpenTab(req.params.tableNumber);
+
+  if (!openTab) {
+    res.status(404);
+    throw new Error(`Table ${req.params.tableNumber} has no open tab.`);
+  }
+
+  const populatedOrder = await Order.findById(openTab._id)
+    .populate("waiter", "name email")
+    .populate("items.dish", "name price");
+
+  res.json(populatedOrder);
+});
+
 // @desc    Get all orders
 // @route   GET /api/orders
 // @access  Private (Admin/Chef/Waiter)
@@ -106,23 +352,120 @@ const getOrders = asyncHandler(async (req, res) => {
   res.json(orders);
 });
 
-// --- NEW: Get all orders for KDS (Kitchen Display System) ---
-// @desc    Get orders for the KDS (Kitchen Display System)
-// @route   GET /api/orders/kds
-// @access  Private (Chef/Admin)
-const getKDSOrders = asyncHandler(async (req, res) => {
-  // Only show orders that are either pending, preparing, or ready
-  const orders = await Order.find({
+// Open orders the kitchen is working on, oldest first
+const findKitchenOrders = () =>
+  Order.find({
     orderStatus: { $in: ["pending", "preparing", "ready"] },
   })
     .populate({
       path: "items.dish",
-      select: "name price description category preparationTime", // Include prep time for timer logic
+      select: `price description category station ${PREPARATION_FIELDS}`, // Include prep times for timer logic
     })
     .populate("waiter", "name")
     .sort({ "timestamps.pending": 1 }); // Sort by oldest pending first
 
-  res.json(orders);
+// The kitchen only sees fired items, grouped by course (and by round as tickets);
+// held courses are listed so it knows what is still to come. Modifiers are spelled out per item,
+// and items and orders carry their promised-ready time and overdue flag for the timers.
+// `includeItem` narrows the items further (e.g. to one station); orders left with none are dropped.
+const toKDSOrders = (orders, includeItem = () => true) => {
+  const now = new Date();
+  return orders
+    .map((order) => {
+      const kdsOrder = order.toObject();
+      const heldCourses = [
+        ...new Set(
+          kdsOrder.items
+            .filter((item) => item.fireStatus === "held" && includeItem(item))
+            .map((item) => item.course)
+        ),
+      ];
+      kdsOrder.items = kdsOrder.items
+        .filter((item) => item.fireStatus !== "held" && includeItem(item))
+        .map((item) => ({
+          ...item,
+          modifiersText: formatModifiers(item.modifiers),
+          ...itemTiming(item, kdsOrder, now),
+        }));
+      return {
+        ...kdsOrder,
+        ...orderTiming(kdsOrder, now),
+        heldCourses,
+        courses: groupFiredItemsByCourse(kdsOrder),
+        tickets: groupItemsIntoTickets(kdsOrder),
+      };
+    })
+    .filter((kdsOrder) => kdsOrder.items.length > 0);
+};
+
+// --- NEW: Get all orders for KDS (Kitchen Display System) ---
+// @desc    Get orders for the KDS (Kitchen Display System)
+// @route   GET /api/orders/kds
+// @access  Private (Chef/Admin)
+const getKDSOrders = asyncHandler(async (req, res) => {
+  const orders = await findKitchenOrders();
+  res.json(toKDSOrders(orders));
+});
+
+// @desc    Get the KDS for one kitchen station: only the items routed to it
+// @route   GET /api/orders/kds/station/:stationId
+// @access  Private (Chef/Admin)
+const getStationKDSOrders = asyncHandler(async (req, res) => {
+  const routing = await loadStationRouting();
+  const station = routing.byId.get(req.params.stationId);
+
+  if (!station) {
+    res.status(404);
+    throw new Error("Kitchen station not found or inactive.");
+  }
+
+  const orders = await findKitchenOrders();
+  const stationId = String(station._id);
+  const kdsOrders = toKDSOrders(orders, (item) => {
+    const itemStation = stationForDish(item.dish, routing);
+    return itemStation && String(itemStation._id) === stationId;
+  });
+
+  res.json({
+    station: { _id: station._id, name: station.name },
+    orders: kdsOrders,
+  });
+});
+
+// @desc    Get the expo view: each open order with how far every station is, and whether all are ready
+// @route   GET /api/orders/kds/expo
+// @access  Private (Chef/Admin/Waiter)
+const getExpoOrders = asyncHandler(async (req, res) => {
+  const [routing, orders] = await Promise.all([
+    loadStationRouting(),
+    findKitchenOrders(),
+  ]);
+
+  const expoOrders = orders
+    .map((order) => {
+      const stations = summarizeStations(order.toObject(), routing);
+      return {
+        _id: order._id,
+        tableNumber: order.tableNumber,
+        waiter: order.waiter,
+        orderStatus: order.orderStatus,
+        orderDate: order.orderDate,
+        ...orderTiming(order),
+        heldCourses: [
+          ...new Set(
+            order.items
+              .filter((item) => item.fireStatus === "held")
+              .map((item) => item.course)
+          ),
+        ],
+        stations,
+        allStationsReady:
+          stations.length > 0 && stations.every((station) => station.isReady),
+      };
+    })
+    .filter((expoOrder) => expoOrder.stations.length > 0);
+
+  res.json(expoOrders);
 });
 
 // @desc    Get single order by ID
@@ -170,15 +513,7 @@ const updateOrderItemStatus = asyncHandler(async (req, res) => {
     throw new Error("Order item not found");
   }
 
-  const validItemStatuses = [
-    "accepted",
-    "declined",
-    "preparing",
-    "ready",
-    "cancelled",
-    "cancellation_requested",
-  ];
-  if (!validItemStatuses.includes(status)) {
+  if (!ITEM_STATUSES.includes(status)) {
     res.status(400);
     throw new Error("Invalid item status provided");
   }
@@ -194,13 +529,31 @@ const updateOrderItemStatus = asyncHandler(async (req, res) => {
     );
   }
 
-  item.status = status;
+  if (item.fireStatus === "held") {
+    res.status(400);
+    throw new Error(
+      `This item is held until the ${item.course} course is fired.`
+    );
+  }
+
+  const transitionProblem = transitionItem(item, status, {
+    role: req.user.role,
+    by: req.user._id,
+  });
+  if (transitionProblem) {
+    res.status(transitionProblem.status);
+    throw new Error(transitionProblem.message);
+  }
+  item.kitchenNotice = ""; // The kitchen has seen any change to the item
 
   let allItemsProcessed = true;
   let anyItemsAccepted = false;
   let allItemsReady = true;
 
   for (const orderItem of order.items) {
+    if (orderItem.fireStatus === "held") {
+      continue; // Held courses have not reached the kitchen yet
+    }
     if (orderItem.status === "pending") {
       allItemsProcessed = false;
     }
@@ -221,19 +574,35 @@ const updateOrderItemStatus = asyncHandler(async (req, res) => {
   if (allItemsProcessed && anyItemsAccepted) {
     order.orderStatus = "preparing";
   }
-  if (allItemsReady && anyItemsAccepted) {
+  // An order with courses still held is not ready: the kitchen has more to make
+  if (allItemsReady && anyItemsAccepted && !nextHeldCourse(order)) {
     order.orderStatus = "ready";
   }
 
   // The pre-save hook will handle the timestamp updates, so no need to do it here.
+  updateCourseReadiness(order);
 
   const updatedOrder = await order.save();
+  await publishOrderEvent(updatedOrder, "order.item_status", {
+    items: [updatedOrder.items.id(itemId)],
+  });
 
-  const populatedOrder = await Order.findById(updatedOrder._id)
-    .populate("waiter", "name email")
-    .populate("items.dish", "name price");
-
-  res.json(populatedOrder);
+  const [populatedOrder, routing] = await Promise.all([
+    Order.findById(updatedOrder._id)
+      .populate("waiter", "name email")
+      .populate("items.dish", "name price category station"),
+    loadStationRouting(),
+  ]);
+
+  // Every station (and the expo) reads item status from the order, so the change shows everywhere;
+  // the response tells the station whether the rest of the order is ready too
+  const stations = summarizeStations(populatedOrder.toObject(), routing);
+  res.json({
+    ...populatedOrder.toObject(),
+    stations,
+    allStationsReady:
+      stations.length > 0 && stations.every((station) => station.isReady),
+  });
 });
 
 // @desc    Update overall order status (for chef/admin)
@@ -276,11 +645,21 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     );
   }
 
+  // Held courses still have to be fired, made and billed, which a ready or completed order cannot do
+  const heldCourse = nextHeldCourse(order);
+  if (["ready", "completed"].includes(status) && heldCourse) {
+    res.status(400);
+    throw new Error(
+      `Cannot mark the order ${status} while the ${heldCourse} course is still held. Fire it first.`
+    );
+  }
+
   // --- NEW: Capture old status for pre-save hook trigger ---
   const oldOrderStatus = order.orderStatus;
   order.orderStatus = status;
 
   const updatedOrder = await order.save();
+  await publishOrderEvent(updatedOrder, "order.status");
 
   res.json(updatedOrder);
 });
@@ -315,12 +694,15 @@ const cancelOrder = asyncHandler(async (req, res) => {
   const oldOrderStatus = order.orderStatus;
   order.orderStatus = "cancelled";
   order.items.forEach((item) => {
-    if (item.status !== "declined") {
-      item.status = "cancelled";
+    if (item.status !== "declined" && item.status !== "cancelled") {
+      transitionItem(item, "cancelled", { role: "system", by: req.user._id });
     }
   });
 
   const updatedOrder = await order.save();
+  await publishOrderEvent(updatedOrder, "order.cancelled", {
+    items: updatedOrder.items,
+  });
 
   res.json(updatedOrder);
 });
@@ -345,15 +727,12 @@ const requestItemCancellation = asyncHandler(async (req, res) => {
     throw new Error("Order item not found");
   }
 
-  if (
-    order.orderStatus === "completed" ||
-    order.isBilled ||
-    item.status === "cancelled" ||
-    item.status === "ready"
-  ) {
+  if (order.orderStatus === "completed" || order.isBilled) {
     res.status(400);
     throw new Error(
-      `Cannot request cancellation for item in "${item.status}" status or for a ${order.orderStatus} order.`
+      `Cannot request cancellation for items of a ${
+        order.isBilled ? "billed" : order.orderStatus
+      } order.`
     );
   }
 
@@ -367,9 +746,19 @@ const requestItemCancellation = asyncHandler(async (req, res) => {
     );
   }
 
-  item.status = "cancellation_requested";
+  const transitionProblem = transitionItem(item, "cancellation_requested", {
+    role: req.user.role,
+    by: req.user._id,
+  });
+  if (transitionProblem) {
+    res.status(transitionProblem.status);
+    throw new Error(transitionProblem.message);
+  }
 
   const updatedOrder = await order.save();
+  await publishOrderEvent(updatedOrder, "order.item_cancellation_requested", {
+    items: [updatedOrder.items.id(itemId)],
+  });
 
   const populatedOrder = await Order.findById(updatedOrder._id)
     .populate("waiter", "name email")
@@ -410,7 +799,7 @@ const manageItemCancellation = asyncHandler(async (req, res) => {
   const dishName = (await Dish.findById(item.dish))?.name || "an item";
 
   if (action === "approve") {
-    item.status = "cancelled";
+    transitionItem(item, "cancelled", { role: "admin", by: req.user._id });
     const adminUser = await User.findById(req.user._id).select("name");
     const adminName = adminUser ? adminUser.name : "Admin";
     const messageBody =
@@ -420,7 +809,11 @@ const manageItemCancellation = asyncHandler(async (req, res) => {
       `Your order total will be adjusted accordingly.`;
     await sendWhatsAppMessage(customerPhoneNumber, messageBody);
   } else if (action === "reject") {
-    item.status = "accepted";
+    // The item goes back to where the kitchen had it
+    transitionItem(item, statusBeforeCancellationRequest(item), {
+      role: "admin",
+      by: req.user._id,
+    });
     const adminUser = await User.findById(req.user._id).select("name");
     const adminName = adminUser ? adminUser.name : "Admin";
     const messageBody =
@@ -435,6 +828,10 @@ const manageItemCancellation = asyncHandler(async (req, res) => {
   }
 
   const updatedOrder = await order.save();
+  await publishOrderEvent(updatedOrder, "order.item_cancellation_resolved", {
+    items: [updatedOrder.items.id(itemId)],
+    payload: { action },
+  });
 
   const populatedOrder = await Order.findById(updatedOrder._id)
     .populate("waiter", "name email")
@@ -443,13 +840,8 @@ const manageItemCancellation = asyncHandler(async (req, res) => {
   res.json(populatedOrder);
 });
 
-// @desc    Admin modifies an existing order item (dish and/or quantity)
-// @route   PUT /api/orders/:orderId/item/:itemId/modify
-// @access  Private/Admin
-const modifyOrderItem = asyncHandler(async (req, res) => {
-  const { orderId, itemId } = req.params;
-  const { dish: newDishId, quantity: newQuantity } = req.body;
-
+// Loads an order an admin wants to correct; billed, completed and cancelled orders are final
+const findModifiableOrder = async (orderId, res) => {
   const order = await Order.findById(orderId);
 
   if (!order) {
@@ -468,6 +860,85 @@ const modifyOrderItem = asyncHandler(async (req, res) => {
     );
   }
 
+  return order;
+};
+
+const isPreview = (req) =>
+  req.query.preview === "true" || req.body.preview === true;
+
+// Saves the change (or only reports its effect for a preview) and responds
+const completeModification = async (req, res, order, modification, totals) => {
+  const { reopensOrder, ...entry } = modification;
+
+  if (isPreview(req)) {
+    return res.json({
+      preview: true,
+      action: modification.action,
+      priceImpact: modification.priceImpact,
+      estimatedTotalBefore: totals.before,
+      estimatedTotalAfter: totals.after,
+      kitchenNotified: modification.kitchenNotified,
+    });
+  }
+
+  order.modifications.push({
+    ...entry,
+    reasonCode: req.body.reasonCode,
+    reasonNote: req.body.reasonNote || "",
+    modifiedBy: req.user._id,
+  });
+
+  // The kitchen has new work on this order, so it goes back on the KDS
+  if (reopensOrder && order.orderStatus === "ready") {
+    order.orderStatus = "preparing";
+  }
+
+  const updatedOrder = await order.save();
+  const modifiedItem = updatedOrder.items.id(entry.item);
+  await publishOrderEvent(updatedOrder, "order.modified", {
+    items: modifiedItem ? [modifiedItem] : undefined,
+    payload: { action: entry.action },
+  });
+  // Kitchens working from paper need a ticket for an item added straight to the kitchen
+  if (
+    entry.action === "added" &&
+    modifiedItem &&
+    modifiedItem.fireStatus === "fired"
+  ) {
+    await printKitchenTickets(updatedOrder, [modifiedItem], "ADDED BY ADMIN");
+  }
+
+  const populatedOrder = await Order.findById(updatedOrder._id)
+    .populate({
+      path: "items.dish",
+      select: "name price description category",
+    })
+    .populate("waiter", "name email")
+    .populate("modifications.modifiedBy", "name");
+
+  res.json(populatedOrder);
+};
+
+// @desc    Admin modifies an existing order item (dish, variant, quantity and/or modifiers); ?preview=true shows the price impact without saving
+// @route   PUT /api/orders/:orderId/item/:itemId/modify
+// @access  Private/Admin
+const modifyOrderItem = asyncHandler(async (req, res) => {
+  const { orderId, itemId } = req.params;
+  const {
+    dish: newDishId,
+    variant: newVariantId,
+    quantity: newQuantity,
+    modifiers: newModifierIds,
+  } = req.body;
+
+  const reasonProblem = checkModificationReason(req.body);
+  if (reasonProblem) {
+    res.status(reasonProblem.status);
+    throw new Error(reasonProblem.message);
+  }
+
+  const order = await findModifiableOrder(orderId, res);
+
   const itemToModify = order.items.id(itemId);
 
   if (!itemToModify) {
@@ -475,16 +946,36 @@ const modifyOrderItem = asyncHandler(async (req, res) => {
     throw new Error("Order item not found in this order");
   }
 
+  if (CLOSED_ITEM_STATUSES.includes(itemToModify.status)) {
+    res.status(400);
+    throw new Error(
+      `Cannot modify an item that is already ${itemToModify.status}.`
+    );
+  }
+
+  if (
+    newDishId === undefined &&
+    newVariantId === undefined &&
+    newQuantity === undefined &&
+    newModifierIds === undefined
+  ) {
+    res.status(400);
+    throw new Error(
+      "Please provide a new dish, variant, quantity and/or modifiers."
+    );
+  }
+
   if (newQuantity !== undefined) {
     if (typeof newQuantity !== "number" || newQuantity <= 0) {
       res.status(400);
       throw new Error("New quantity must be a positive number.");
     }
-    itemToModify.quantity = newQuantity;
   }
 
+  const oldDish = await Dish.findById(itemToModify.dish);
+  let newDish = oldDish;
   if (newDishId !== undefined) {
-    const newDish = await Dish.findById(newDishId);
+    newDish = await Dish.findById(newDishId);
     if (!newDish) {
       res.status(404);
       throw new Error(`New dish with ID ${newDishId} not found.`);
@@ -493,30 +984,273 @@ const modifyOrderItem = asyncHandler(async (req, res) => {
       res.status(400);
       throw new Error(`New dish "${newDish.name}" is currently not available.`);
     }
+  }
+
+  const dishChanged = !newDish._id.equals(itemToModify.dish);
+  const quantity = newQuantity !== undefined ? newQuantity : itemToModify.quantity;
+
+  // A different dish needs its own variant and options; otherwise the current ones stay unless new ones are sent
+  let variant = {
+    variant: itemToModify.variant,
+    variantName: itemToModify.variantName,
+    sku: itemToModify.sku,
+  };
+  if (dishChanged || newVariantId !== undefined) {
+    const resolved = resolveVariant(newDish, newVariantId);
+    if (resolved.problem) {
+      res.status(resolved.problem.status);
+      throw new Error(resolved.problem.message);
+    }
+    variant = {
+      variant: undefined,
+      variantName: "",
+      sku: "",
+      ...variantFields(resolved.variant),
+    };
+  }
+
+  let modifiers = itemToModify.modifiers.map((modifier) => modifier.toObject());
+  if (dishChanged || newModifierIds !== undefined) {
+    const resolved = resolveModifiers(newDish, newModifierIds || []);
+    if (resolved.problem) {
+      res.status(resolved.problem.status);
+      throw new Error(resolved.problem.message);
+    }
+    modifiers = resolved.modifiers;
+  }
+  const lineChanged =
+    lineKey(newDish, modifiers, variant.variant) !==
+    lineKey(itemToModify.dish, itemToModify.modifiers, itemToModify.variant);
+
+  if (!lineChanged && quantity === itemToModify.quantity) {
+    res.status(400);
+    throw new Error(
+      "The item already has this dish, variant, quantity and modifiers."
+    );
+  }
+
+  const dishesById = await loadDishPrices(order, [newDish._id]);
+  const totalBefore = estimateOrderTotal(order, dishesById);
+  const oldName = oldDish ? oldDish.name : "Unknown dish";
+  const modification = {
+    action: "modified",
+    item: itemToModify._id,
+    dishBefore: itemToModify.dish,
+    dishAfter: newDish._id,
+    variantBefore: itemToModify.variantName,
+    variantAfter: variant.variantName,
+    quantityBefore: itemToModify.quantity,
+    quantityAfter: quantity,
+    modifiersBefore: formatModifiers(itemToModify.modifiers),
+    modifiersAfter: formatModifiers(modifiers),
+    statusBefore: itemToModify.status,
+    kitchenNotified: IN_PROGRESS_ITEM_STATUSES.includes(itemToModify.status),
+    reopensOrder: lineChanged || quantity > itemToModify.quantity,
+  };
+
+  if (modification.kitchenNotified) {
+    const describe = (name, variantName, qty, text) =>
+      `${name}${variantName ? ` [${variantName}]` : ""} x${qty}${
+        text ? ` (${text})` : ""
+      }`;
+    notifyKitchen(
+      itemToModify,
+      `Changed by ${req.user.name}: ${describe(
+        oldName,
+        modification.variantBefore,
+        itemToModify.quantity,
+        modification.modifiersBefore
+      )} -> ${describe(
+        newDish.name,
+        modification.variantAfter,
+        quantity,
+        modification.modifiersAfter
+      )}`
+    );
+  }
+  itemToModify.quantity = quantity;
+  if (lineChanged) {
+    // A different dish (or size, or options) has to be accepted by the kitchen again
     itemToModify.dish = newDish._id;
-    itemToModify.status = "pending";
+    itemToModify.set(variant);
+    itemToModify.modifiers = modifiers;
+    itemToModify.overdueAlertedAt = undefined; // The kitchen starts the new line afresh
+    if (itemToModify.status !== "pending") {
+      transitionItem(itemToModify, "pending", {
+        role: "admin",
+        by: req.user._id,
+      });
+    }
   }
 
-  const updatedOrder = await order.save();
+  const totalAfter = estimateOrderTotal(order, dishesById);
+  modification.priceImpact = totalAfter - totalBefore;
 
-  const populatedOrder = await Order.findById(updatedOrder._id)
-    .populate({
-      path: "items.dish",
-      select: "name price description category",
-    })
-    .populate("waiter", "name email");
+  await completeModification(req, res, order, modification, {
+    before: totalBefore,
+    after: totalAfter,
+  });
+});
 
-  res.json(populatedOrder);
+// @desc    Admin adds an item to an order as a correction (into the current round); ?preview=true shows the price impact without saving
+// @route   POST /api/orders/:orderId/item
+// @access  Private/Admin
+const addOrderItemCorrection = asyncHandler(async (req, res) => {
+  const {
+    dish: dishId,
+    variant: variantId,
+    quantity = 1,
+    notes,
+    modifiers: modifierIds,
+    course,
+  } = req.body;
+
+  const reasonProblem = checkModificationReason(req.body);
+  if (reasonProblem) {
+    res.status(reasonProblem.status);
+    throw new Error(reasonProblem.message);
+  }
+
+  const order = await findModifiableOrder(req.params.orderId, res);
+
+  const dish = await Dish.findById(dishId);
+  if (!dish) {
+    res.status(404);
+    throw new Error(`Dish with ID ${dishId} not found.`);
+  }
+  if (!dish.isAvailable) {
+    res.status(400);
+    throw new Error(`Dish "${dish.name}" is currently not available.`);
+  }
+  if (typeof quantity !== "number" || quantity <= 0) {
+    res.status(400);
+    throw new Error("Quantity must be a positive number.");
+  }
+  if (course !== undefined && !COURSES.includes(course)) {
+    res.status(400);
+    throw new Error(`Unknown course '${course}'.`);
+  }
+  const resolved = resolveVariant(dish, variantId);
+  if (resolved.problem) {
+    res.status(resolved.problem.status);
+    throw new Error(resolved.problem.message);
+  }
+  const { modifiers, problem } = resolveModifiers(dish, modifierIds);
+  if (problem) {
+    res.status(problem.status);
+    throw new Error(problem.message);
+  }
+
+  const dishesById = await loadDishPrices(order, [dish._id]);
+  const totalBefore = estimateOrderTotal(order, dishesById);
+
+  const newItem = {
+    dish: dish._id,
+    ...variantFields(resolved.variant),
+    quantity,
+    status: "pending",
+    notes: notes || "",
+    modifiers,
+    course: course || dish.course,
+    round: order.currentRound || 1,
+    addedBy: req.user._id,
+  };
+  // Same course rules as a new round: a course already fired goes straight to the kitchen
+  applyCourseHolds(order, [newItem], { firedBy: req.user._id });
+  order.items.push(newItem);
+  const addedItem = order.items[order.items.length - 1];
+  notifyKitchen(addedItem, `Added by ${req.user.name}`);
+
+  const totalAfter = estimateOrderTotal(order, dishesById);
+
+  await completeModification(
+    req,
+    res,
+    order,
+    {
+      action: "added",
+      item: addedItem._id,
+      dishAfter: dish._id,
+      variantAfter: resolved.variant ? resolved.variant.name : "",
+      quantityAfter: quantity,
+      modifiersAfter: formatModifiers(modifiers),
+      priceImpact: totalAfter - totalBefore,
+      kitchenNotified: addedItem.fireStatus === "fired",
+      reopensOrder: addedItem.fireStatus === "fired",
+    },
+    { before: totalBefore, after: totalAfter }
+  );
+});
+
+// @desc    Admin removes an item from an order; ?preview=true shows the price impact without saving
+// @route   PUT /api/orders/:orderId/item/:itemId/remove
+// @access  Private/Admin
+const removeOrderItem = asyncHandler(async (req, res) => {
+  const { orderId, itemId } = req.params;
+
+  const reasonProblem = checkModificationReason(req.body);
+  if (reasonProblem) {
+    res.status(reasonProblem.status);
+    throw new Error(reasonProblem.message);
+  }
+
+  const order = await findModifiableOrder(orderId, res);
+
+  const item = order.items.id(itemId);
+
+  if (!item) {
+    res.status(404);
+    throw new Error("Order item not found in this order");
+  }
+
+  if (CLOSED_ITEM_STATUSES.includes(item.status)) {
+    res.status(400);
+    throw new Error(`Item is already ${item.status}.`);
+  }
+
+  const dishesById = await loadDishPrices(order);
+  const totalBefore = estimateOrderTotal(order, dishesById);
+  const modification = {
+    action: "removed",
+    item: item._id,
+    dishBefore: item.dish,
+    quantityBefore: item.quantity,
+    statusBefore: item.status,
+    kitchenNotified: IN_PROGRESS_ITEM_STATUSES.includes(item.status),
+    reopensOrder: false,
+  };
+
+  // The item stays on the order as cancelled, so the kitchen sees it was taken off
+  if (modification.kitchenNotified) {
+    notifyKitchen(item, `Removed by ${req.user.name}: stop preparing`);
+  }
+  transitionItem(item, "cancelled", { role: "admin", by: req.user._id });
+
+  const totalAfter = estimateOrderTotal(order, dishesById);
+  modification.priceImpact = totalAfter - totalBefore;
+
+  await completeModification(req, res, order, modification, {
+    before: totalBefore,
+    after: totalAfter,
+  });
 });
 
 module.exports = {
   createOrder,
+  addOrderItems,
+  fireOrderCourse,
+  getTableTab,
   getOrders,
   getKDSOrders, // --- NEW: Export the new KDS function ---
+  getStationKDSOrders,
+  getExpoOrders,
   getOrderById,
   updateOrderItemStatus,
   updateOrderStatus,
   cancelOrder,
   requestItemCancellation,
   manageItemCancellation,
+  modifyOrderItem,
+  addOrderItemCorrection,
+  removeOrderItem,
 };
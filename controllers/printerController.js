@@ -0,0 +1,220 @@
+// controllers/printerController.js
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Printer = require('../models/Printer');
+const PrintJob = require('../models/PrintJob');
+const KitchenStation = require('../models/KitchenStation');
+const { reprintJob, printTestPage } = require('../utils/printQueue');
+
+const PRINTER_FIELDS = ['name', 'host', 'port', 'stations', 'printsUnassignedTickets', 'printsReceipts', 'lineWidth', 'isActive'];
+
+// Checks the stations a printer serves all exist
+const checkStations = async (stations) => {
+    if (!Array.isArray(stations) || stations.some(id => !mongoose.isValidObjectId(id))) {
+        return { status: 400, message: 'Stations must be an array of kitchen station IDs.' };
+    }
+    const found = await KitchenStation.countDocuments({ _id: { $in: stations } });
+    if (found !== new Set(stations.map(String)).size) {
+        return { status: 400, message: 'One or more kitchen stations were not found.' };
+    }
+    return null;
+};
+
+// @desc    Register a network printer
+// @route   POST /api/printers
+// @access  Private/Admin
+const createPrinter = asyncHandler(async (req, res) => {
+    const { name, host, stations } = req.body;
+
+    if (!name || !host) {
+        res.status(400);
+        throw new Error('Printer name and host are required.');
+    }
+
+    const printerExists = await Printer.findOne({ name });
+    if (printerExists) {
+        res.status(400);
+        throw new Error(`Printer "${name}" already exists.`);
+    }
+
+    if (stations !== undefined) {
+        const problem = await checkStations(stations);
+        if (problem) {
+            res.status(problem.status);
+            throw new Error(problem.message);
+        }
+    }
+
+    const fields = Object.fromEntries(PRINTER_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+    const printer = await Printer.create(fields);
+
+    res.status(201).json(printer);
+});
+
+// @desc    Get all printers
+// @route   GET /api/printers
+// @access  Private/Admin
+const getPrinters = asyncHandler(async (req, res) => {
+    const printers = await Printer.find({}).populate('stations', 'name').sort({ name: 1 });
+    res.json(printers);
+});
+
+// @desc    Get a single printer
+// @route   GET /api/printers/:id
+// @access  Private/Admin
+const getPrinterById = asyncHandler(async (req, res) => {
+    const printer = await Printer.findById(req.params.id).populate('stations', 'name');
+
+    if (!printer) {
+        res.status(404);
+        throw new Error('Printer not found');
+    }
+
+    res.json(printer);
+});
+
+// @desc    Update a printer
+// @route   PUT /api/printers/:id
+// @access  Private/Admin
+const updatePrinter = asyncHandler(async (req, res) => {
+    const printer = await Printer.findById(req.params.id);
+
+    if (!printer) {
+        res.status(404);
+        throw new Error('Printer not found');
+    }
+
+    const { name, stations } = req.body;
+    if (name !== undefined && name !== printer.name) {
+        const printerExists = await Printer.findOne({ name });
+        if (printerExists) {
+            res.status(400);
+            throw new Error(`Printer "${name}" already exists.`);
+        }
+    }
+    if (stations !== undefined) {
+        const problem = await checkStations(stations);
+        if (problem) {
+            res.status(problem.status);
+            throw new Error(problem.message);
+        }
+    }
+
+    PRINTER_FIELDS.filter(field => req.body[field] !== undefined).forEach(field => {
+        printer[field] = req.body[field];
+    });
+    const updatedPrinter = await printer.save();
+
+    res.json(updatedPrinter);
+});
+
+// @desc    Delete a printer (its print history is kept)
+// @route   DELETE /api/printers/:id
+// @access  Private/Admin
+const deletePrinter = asyncHandler(async (req, res) => {
+    const printer = await Printer.findById(req.params.id);
+
+    if (!printer) {
+        res.status(404);
+        throw new Error('Printer not found');
+    }
+
+    await printer.deleteOne();
+    res.json({ message: 'Printer removed' });
+});
+
+// @desc    Print a test page
+// @route   POST /api/printers/:id/test
+// @access  Private/Admin
+const testPrinter = asyncHandler(async (req, res) => {
+    const printer = await Printer.findById(req.params.id);
+
+    if (!printer) {
+        res.status(404);
+        throw new Error('Printer not found');
+    }
+
+    const printJob = await printTestPage(printer);
+    res.status(201).json({ message: `Test page queued for ${printer.name}.`, printJob: printJob._id, preview: printJob.preview });
+});
+
+// @desc    List print jobs, newest first (without their ESC/POS data)
+// @route   GET /api/printers/jobs?status=failed&kind=receipt&order=<orderId>&printer=<printerId>
+// @access  Private/Admin, Chef
+const getPrintJobs = asyncHandler(async (req, res) => {
+    const { status, kind, order, printer } = req.query;
+    const query = {};
+
+    if (status) {
+        query.status = status;
+    }
+    if (kind) {
+        query.kind = kind;
+    }
+    if (order) {
+        query.order = order;
+    }
+    if (printer) {
+        query.printer = printer;
+    }
+
+    const printJobs = await PrintJob.find(query)
+        .select('-data')
+        .populate('printer', 'name')
+        .sort({ createdAt: -1 })
+        .limit(200);
+
+    res.json(printJobs);
+});
+
+// @desc    Get a print job as a plain-text preview (default) or as the raw ESC/POS bytes
+// @route   GET /api/printers/jobs/:jobId?format=text|escpos
+// @access  Private/Admin, Chef
+const getPrintJob = asyncHandler(async (req, res) => {
+    const printJob = await PrintJob.findById(req.params.jobId);
+
+    if (!printJob) {
+        res.status(404);
+        throw new Error('Print job not found');
+    }
+
+    if (req.query.format === 'escpos') {
+        res.set('Content-Type', 'application/octet-stream');
+        res.set('Content-Disposition', `attachment; filename="${printJob.kind}-${printJob._id}.bin"`);
+        return res.send(printJob.data);
+    }
+    res.type('text/plain').send(printJob.preview);
+});
+
+// @desc    Send a print job to its printer again (e.g. after fixing a jammed or offline printer)
+// @route   POST /api/printers/jobs/:jobId/reprint
+// @access  Private/Admin, Chef
+const reprintPrintJob = asyncHandler(async (req, res) => {
+    const printJob = await PrintJob.findById(req.params.jobId);
+
+    if (!printJob) {
+        res.status(404);
+        throw new Error('Print job not found');
+    }
+
+    const attempted = await reprintJob(printJob);
+    res.json({
+        message: attempted.status === 'printed'
+            ? 'Printed.'
+            : `The printer could not be reached (${attempted.lastError}). The job will be retried.`,
+        status: attempted.status,
+        attempts: attempted.attempts,
+    });
+});
+
+module.exports = {
+    createPrinter,
+    getPrinters,
+    getPrinterById,
+    updatePrinter,
+    deletePrinter,
+    testPrinter,
+    getPrintJobs,
+    getPrintJob,
+    reprintPrintJob,
+};
@@ -0,0 +1,26 @@
+// controllers/realtimeController.js
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const { openEventStream } = require('../utils/realtime');
+
+// @desc    Stream order and ticket updates (Server-Sent Events). Chefs may narrow kitchen events to their
+//          stations; waiters receive events for their own orders. Reconnecting clients send Last-Event-ID
+//          (or ?lastEventId=) to replay what they missed, or get a 'resync' event when that is not possible.
+// @route   GET /api/realtime/stream?token=<JWT>&stations=<id,id>&lastEventId=<id>
+// @access  Private (Admin/Chef/Waiter)
+const streamEvents = asyncHandler(async (req, res) => {
+    const stations = req.query.stations ? String(req.query.stations).split(',').map(id => id.trim()).filter(Boolean) : [];
+    if (stations.some(id => !mongoose.isValidObjectId(id))) {
+        res.status(400);
+        throw new Error('Stations must be a comma-separated list of kitchen station IDs.');
+    }
+
+    await openEventStream(req, res, {
+        stations,
+        lastEventId: req.get('Last-Event-ID') || req.query.lastEventId,
+    });
+});
+
+module.exports = {
+    streamEvents,
+};
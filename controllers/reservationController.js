@@ -3,18 +3,36 @@ const asyncHandler = require('express-async-handler');
 const Reservation = require('../models/Reservation');
 const { sendWhatsAppMessage } = require('../utils/whatsappService'); // NEW: Import WhatsApp service
 const User = require('../models/User'); // NEW: Import User model to get admin/user name for message
-
-// --- Hardcoded list of all tables in the restaurant ---
-// In a more complex system, you would have a 'Table' model in the database.
-const ALL_TABLE_NUMBERS = ['T-1', 'T-2', 'T-3', 'T-4', 'T-5', 'T-6', 'T-7', 'T-8', 'T-9', 'T-10'];
-// You could also add capacities here: e.g., { number: 'T-1', capacity: 4 }
+const ReservationHistory = require('../models/ReservationHistory');
+const {
+    reservationListQuery,
+    findConflictingReservation,
+    resolveReservationTables,
+    findAvailableTables,
+    buildDayAvailability,
+    toAvailableTable,
+} = require('../utils/reservationAvailability');
+const { resolveReservationEndTime } = require('../utils/reservationTiming');
+const { checkReservationSchedule } = require('../utils/scheduleService');
+const { getGuestHistory, clearNoShow } = require('../utils/guestProfiles');
+const { markReservationNoShow } = require('../utils/noShowMonitor');
+const { scheduleReservationReminders, cancelReservationReminders } = require('../utils/reservationReminders');
+const { auditAs } = require('../utils/reservationAudit');
+const { createPreOrderOrder } = require('../utils/preOrders');
+const {
+    getDepositRequirement,
+    refreshDepositRequirement,
+    chargeDeposit,
+    refundDeposit,
+    settleDepositOnCancellation,
+} = require('../utils/reservationDeposits');
 
 
 // @desc    Create a new table reservation
 // @route   POST /api/reservations
 // @access  Private/Admin, Waiter
 const createReservation = asyncHandler(async (req, res) => {
-    const { tableNumber, customerName, customerPhoneNumber, numberOfGuests, reservationTime, notes } = req.body;
+    const { tableNumber, combinedTableNumbers, customerName, customerPhoneNumber, numberOfGuests, reservationTime, endTime, notes } = req.body;
 
     // Basic input validation
     if (!tableNumber || !customerName || !customerPhoneNumber || !numberOfGuests || !reservationTime) {
@@ -22,18 +40,19 @@ const createReservation = asyncHandler(async (req, res) => {
         throw new Error('Please fill all required reservation fields: table number, customer name, phone number, number of guests, and reservation time.');
     }
 
-    // Validate tableNumber against our known list (optional, but good for consistency)
-    if (!ALL_TABLE_NUMBERS.includes(tableNumber)) {
-        res.status(400);
-        throw new Error(`Invalid table number: ${tableNumber}. Please choose from ${ALL_TABLE_NUMBERS.join(', ')}.`);
-    }
-
     // Validate number of guests
     if (typeof numberOfGuests !== 'number' || numberOfGuests < 1) {
         res.status(400);
         throw new Error('Number of guests must be a positive number.');
     }
 
+    // Validate the table(s) against the active floor plan and make sure they can seat the party
+    const { problem } = await resolveReservationTables({ tableNumber, combinedTableNumbers, numberOfGuests });
+    if (problem) {
+        res.status(problem.status);
+        throw new Error(problem.message);
+    }
+
     // Validate reservationTime is a valid date
     const parsedReservationTime = new Date(reservationTime);
     if (isNaN(parsedReservationTime.getTime())) {
@@ -41,37 +60,67 @@ const createReservation = asyncHandler(async (req, res) => {
         throw new Error('Invalid reservation time format. Please provide a valid date/time (e.g., ISO 8601).');
     }
 
-    // Define a time window for conflict checking (e.g., 2 hours before and 2 hours after the requested time)
-    // This prevents booking the same table for overlapping reservations.
-    const conflictWindowStart = new Date(parsedReservationTime.getTime() - (2 * 60 * 60 * 1000)); // 2 hours before
-    const conflictWindowEnd = new Date(parsedReservationTime.getTime() + (2 * 60 * 60 * 1000));   // 2 hours after
+    // Work out how long the party holds the table(s): an explicit end time, or the configured duration rules
+    const timing = resolveReservationEndTime({ reservationTime: parsedReservationTime, numberOfGuests, endTime });
+    if (timing.problem) {
+        res.status(timing.problem.status);
+        throw new Error(timing.problem.message);
+    }
 
-    // Check for existing reservations for this table within the time window
-    const existingReservation = await Reservation.findOne({
-        tableNumber,
-        reservationTime: {
-            $gte: conflictWindowStart,
-            $lte: conflictWindowEnd
-        },
-        status: { $in: ['pending', 'confirmed', 'seated'] } // Only check active reservations
+    const tableNumbers = [tableNumber, ...(combinedTableNumbers || [])];
+
+    // Staff bookings skip the online lead time (e.g. a phone booking for later tonight)
+    const scheduleProblem = await checkReservationSchedule({
+        reservationTime: parsedReservationTime,
+        endTime: timing.endTime,
+        tableNumbers,
+        enforceLeadTime: false,
+    });
+    if (scheduleProblem) {
+        res.status(scheduleProblem.status);
+        throw new Error(scheduleProblem.message);
+    }
+
+    // Check for existing reservations holding any of these tables during the requested visit
+    // This prevents booking the same table for overlapping reservations.
+    const existingReservation = await findConflictingReservation({
+        tableNumbers,
+        reservationTime: parsedReservationTime,
+        endTime: timing.endTime,
     });
 
     if (existingReservation) {
         res.status(409); // Conflict
-        throw new Error(`Table ${tableNumber} is already reserved or unavailable around ${parsedReservationTime.toLocaleTimeString()} on ${parsedReservationTime.toLocaleDateString()}.`);
+        throw new Error(`Table ${tableNumbers.join(' + ')} is already reserved or unavailable between ${parsedReservationTime.toLocaleTimeString()} and ${timing.endTime.toLocaleTimeString()} on ${parsedReservationTime.toLocaleDateString()}.`);
     }
 
-    const reservation = await Reservation.create({
+    // Staff take the deposit afterwards at POST /api/reservations/:id/deposit
+    const deposit = await getDepositRequirement({
+        reservationTime: parsedReservationTime,
+        numberOfGuests,
+        tableNumbers,
+        phoneNumber: customerPhoneNumber,
+    });
+
+    const reservation = new Reservation({
         tableNumber,
+        combinedTableNumbers,
         customerName,
         customerPhoneNumber,
         numberOfGuests,
         reservationTime: parsedReservationTime, // Use the parsed Date object
+        endTime: timing.endTime,
+        hasExplicitEndTime: timing.isExplicit,
+        deposit,
         notes,
         reservedBy: req.user._id, // The authenticated user (admin or waiter) making the reservation
         isCustomerReservation: false, // Admin/waiter reservations are not customer reservations
         status: 'confirmed', // Admin/waiter reservations are automatically confirmed
     });
+    auditAs(reservation, { user: req.user });
+    await reservation.save();
+
+    await scheduleReservationReminders(reservation);
 
     res.status(201).json(reservation);
 });
@@ -81,25 +130,7 @@ const createReservation = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 const getReservations = asyncHandler(async (req, res) => {
     const { status, date, tableNumber } = req.query;
-    const query = {};
-
-    if (status) {
-        query.status = status;
-    }
-    if (tableNumber) {
-        query.tableNumber = tableNumber;
-    }
-    if (date) {
-        const startOfDay = new Date(date);
-        startOfDay.setUTCHours(0, 0, 0, 0); // Start of the day in UTC
-        const endOfDay = new Date(date);
-        endOfDay.setUTCHours(23, 59, 59, 999); // End of the day in UTC
-
-        query.reservationTime = {
-            $gte: startOfDay,
-            $lte: endOfDay,
-        };
-    }
+    const query = reservationListQuery({ status, date, tableNumber });
 
     const reservations = await Reservation.find(query)
         .populate('reservedBy', 'name email role') // Populate the user who made the reservation
@@ -123,11 +154,146 @@ const getReservationById = asyncHandler(async (req, res) => {
     }
 });
 
+// @desc    Get a reservation's change history, oldest first (still available after the reservation is deleted)
+// @route   GET /api/reservations/:id/history
+// @access  Private/Admin
+const getReservationHistory = asyncHandler(async (req, res) => {
+    const history = await ReservationHistory.find({ reservation: req.params.id })
+        .populate('actor', 'name email role')
+        .sort({ createdAt: 1 });
+
+    if (history.length === 0 && !(await Reservation.exists({ _id: req.params.id }))) {
+        res.status(404);
+        throw new Error('Reservation not found');
+    }
+
+    res.json(history);
+});
+
+// @desc    Update a reservation's details (for a series, only this occurrence changes)
+// @route   PUT /api/reservations/:id
+// @access  Private/Admin, Waiter
+const updateReservation = asyncHandler(async (req, res) => {
+    const { tableNumber, combinedTableNumbers, customerName, customerPhoneNumber, numberOfGuests, reservationTime, endTime, notes } = req.body;
+
+    const reservation = await Reservation.findById(req.params.id);
+
+    if (!reservation) {
+        res.status(404);
+        throw new Error('Reservation not found');
+    }
+
+    if (!['pending', 'confirmed'].includes(reservation.status)) {
+        res.status(400);
+        throw new Error(`Cannot update a reservation that is ${reservation.status}`);
+    }
+
+    if (numberOfGuests !== undefined && (typeof numberOfGuests !== 'number' || numberOfGuests < 1)) {
+        res.status(400);
+        throw new Error('Number of guests must be a positive number.');
+    }
+
+    const targetTableNumber = tableNumber || reservation.tableNumber;
+    const targetCombinedTableNumbers = combinedTableNumbers !== undefined
+        ? combinedTableNumbers
+        : (tableNumber ? [] : reservation.combinedTableNumbers); // Picking a new table drops the old combination
+    const targetGuests = numberOfGuests || reservation.numberOfGuests;
+
+    // Re-validate the table(s) whenever the seating or party size changes
+    const seatingChanged = tableNumber !== undefined || combinedTableNumbers !== undefined || numberOfGuests !== undefined;
+    if (seatingChanged) {
+        const { problem } = await resolveReservationTables({
+            tableNumber: targetTableNumber,
+            combinedTableNumbers: targetCombinedTableNumbers,
+            numberOfGuests: targetGuests,
+        });
+        if (problem) {
+            res.status(problem.status);
+            throw new Error(problem.message);
+        }
+    }
+
+    const parsedReservationTime = reservationTime ? new Date(reservationTime) : reservation.reservationTime;
+    if (isNaN(parsedReservationTime.getTime())) {
+        res.status(400);
+        throw new Error('Invalid reservation time format. Please provide a valid date/time (e.g., ISO 8601).');
+    }
+
+    // Keep an explicit visit length when only the start moves, otherwise re-derive it from the duration rules
+    let requestedEndTime = endTime;
+    if (!requestedEndTime && reservation.hasExplicitEndTime) {
+        requestedEndTime = new Date(parsedReservationTime.getTime() + (reservation.endTime - reservation.reservationTime));
+    }
+    const timing = resolveReservationEndTime({
+        reservationTime: parsedReservationTime,
+        numberOfGuests: targetGuests,
+        endTime: requestedEndTime,
+    });
+    if (timing.problem) {
+        res.status(timing.problem.status);
+        throw new Error(timing.problem.message);
+    }
+
+    // Check for conflicts if the table(s) or visit times are being changed
+    if (seatingChanged || reservationTime || endTime) {
+        const tableNumbers = [targetTableNumber, ...targetCombinedTableNumbers];
+
+        const scheduleProblem = await checkReservationSchedule({
+            reservationTime: parsedReservationTime,
+            endTime: timing.endTime,
+            tableNumbers,
+            enforceLeadTime: false, // Staff can still move a booking at short notice
+        });
+        if (scheduleProblem) {
+            res.status(scheduleProblem.status);
+            throw new Error(scheduleProblem.message);
+        }
+
+        const existingReservation = await findConflictingReservation({
+            tableNumbers,
+            reservationTime: parsedReservationTime,
+            endTime: timing.endTime,
+            excludeReservationId: reservation._id,
+        });
+
+        if (existingReservation) {
+            res.status(409);
+            throw new Error(`Table ${tableNumbers.join(' + ')} is already reserved or unavailable between ${parsedReservationTime.toLocaleTimeString()} and ${timing.endTime.toLocaleTimeString()} on ${parsedReservationTime.toLocaleDateString()}.`);
+        }
+    }
+
+    const timeMoved = parsedReservationTime.getTime() !== reservation.reservationTime.getTime();
+
+    // Update fields
+    reservation.tableNumber = targetTableNumber;
+    reservation.combinedTableNumbers = targetCombinedTableNumbers;
+    if (customerName) reservation.customerName = customerName;
+    if (customerPhoneNumber) reservation.customerPhoneNumber = customerPhoneNumber;
+    if (numberOfGuests) reservation.numberOfGuests = numberOfGuests;
+    reservation.reservationTime = parsedReservationTime;
+    reservation.endTime = timing.endTime;
+    reservation.hasExplicitEndTime = timing.isExplicit;
+    if (notes !== undefined) reservation.notes = notes;
+    if (reservation.series) {
+        reservation.isSeriesException = true; // Later series-wide edits leave this occurrence alone
+    }
+    await refreshDepositRequirement(reservation);
+
+    auditAs(reservation, { user: req.user });
+    const updatedReservation = await reservation.save();
+
+    if (timeMoved && updatedReservation.status === 'confirmed') {
+        await scheduleReservationReminders(updatedReservation);
+    }
+
+    res.json(updatedReservation);
+});
+
 // @desc    Update reservation status
 // @route   PUT /api/reservations/:id/status
 // @access  Private/Admin
 const updateReservationStatus = asyncHandler(async (req, res) => {
-    const { status } = req.body; // Expected status: 'confirmed', 'seated', 'cancelled', 'completed'
+    const { status, cancelledByGuest } = req.body; // Expected status: 'confirmed', 'seated', 'cancelled', 'completed', 'no_show'
 
     const reservation = await Reservation.findById(req.params.id);
 
@@ -137,13 +303,27 @@ const updateReservationStatus = asyncHandler(async (req, res) => {
     }
 
     // Basic validation for status transition (optional, but good practice)
-    const validStatuses = ['pending', 'confirmed', 'seated', 'cancelled', 'completed'];
+    const validStatuses = ['pending', 'confirmed', 'seated', 'cancelled', 'completed', 'no_show'];
     if (!validStatuses.includes(status)) {
         res.status(400);
         throw new Error('Invalid status provided');
     }
 
     const oldStatus = reservation.status; // Store old status for comparison
+    auditAs(reservation, { user: req.user });
+
+    // Marking a no-show by hand counts against the guest and frees the table, same as the monitor
+    if (status === 'no_show' && oldStatus !== 'no_show') {
+        const noShowReservation = await markReservationNoShow(reservation);
+        return res.json(noShowReservation);
+    }
+
+    // Undo a no-show recorded by mistake (e.g. the guest arrived late)
+    if (oldStatus === 'no_show' && status !== 'no_show') {
+        reservation.noShowAt = undefined;
+        await clearNoShow(reservation.customerPhoneNumber);
+    }
+
     reservation.status = status;
     
     // If confirming a customer reservation, set approval details
@@ -152,8 +332,31 @@ const updateReservationStatus = asyncHandler(async (req, res) => {
         reservation.approvedAt = new Date();
     }
     
+    // Dishes pre-ordered with the booking go to the kitchen once the party is seated. The order is
+    // created before the status is saved, so if it fails the reservation is not seated and staff can retry.
+    let preOrder;
+    if (status === 'seated' && oldStatus !== 'seated'
+        && reservation.preOrderItems.length > 0 && !reservation.preOrderOrder) {
+        const { order, skippedItems } = await createPreOrderOrder(reservation, req.user._id);
+        // Staff tell the party which pre-ordered dishes are no longer available
+        preOrder = { order: order ? order._id : null, skippedItems };
+    }
+
     const updatedReservation = await reservation.save();
 
+    // Reminders only go out for confirmed bookings
+    if (updatedReservation.status === 'confirmed' && oldStatus !== 'confirmed') {
+        await scheduleReservationReminders(updatedReservation);
+    } else if (updatedReservation.status !== 'confirmed') {
+        await cancelReservationReminders(updatedReservation);
+    }
+
+    // Staff cancelling on the guest's behalf (cancelledByGuest) follow the guest cancellation policy;
+    // otherwise the restaurant cancelled and a paid deposit is refunded
+    if (updatedReservation.status === 'cancelled' && oldStatus !== 'cancelled') {
+        await settleDepositOnCancellation(updatedReservation, { cancelledByRestaurant: !cancelledByGuest });
+    }
+
     // NEW: Send WhatsApp notification if status changes to 'confirmed'
     if (updatedReservation.status === 'confirmed' && oldStatus !== 'confirmed') {
         const adminUser = await User.findById(req.user._id).select('name'); // Get admin's name
@@ -169,7 +372,7 @@ const updateReservationStatus = asyncHandler(async (req, res) => {
         await sendWhatsAppMessage(updatedReservation.customerPhoneNumber, messageBody);
     }
 
-    res.json(updatedReservation);
+    res.json(preOrder ? { ...updatedReservation.toObject(), preOrder } : updatedReservation);
 });
 
 // @desc    Get pending customer reservations for admin approval
@@ -183,14 +386,20 @@ const getPendingCustomerReservations = asyncHandler(async (req, res) => {
     .populate('reservedBy', 'name email')
     .sort({ createdAt: 1 });
 
-    res.json(reservations);
+    // Show each guest's no-show history next to the booking awaiting approval
+    const withGuestHistory = await Promise.all(reservations.map(async (reservation) => ({
+        ...reservation.toObject(),
+        guestHistory: await getGuestHistory(reservation.customerPhoneNumber),
+    })));
+
+    res.json(withGuestHistory);
 });
 
 // @desc    Approve or reject customer reservation
 // @route   PUT /api/reservations/:id/approve
 // @access  Private/Admin
 const approveCustomerReservation = asyncHandler(async (req, res) => {
-    const { action } = req.body; // 'approve' or 'reject'
+    const { action, waiveDeposit } = req.body; // 'approve' or 'reject'
 
     if (!['approve', 'reject'].includes(action)) {
         res.status(400);
@@ -215,6 +424,16 @@ const approveCustomerReservation = asyncHandler(async (req, res) => {
     }
 
     const oldStatus = reservation.status;
+    auditAs(reservation, { user: req.user, action: action === 'approve' ? 'approved' : 'rejected' });
+
+    if (action === 'approve' && reservation.deposit.status === 'pending') {
+        if (!waiveDeposit) {
+            res.status(400);
+            throw new Error(`This reservation needs a deposit of ${reservation.deposit.currency} ${reservation.deposit.amount} before it can be approved. Send "waiveDeposit": true to approve without it.`);
+        }
+        reservation.deposit.status = 'not_required';
+        reservation.deposit.reason = 'waived';
+    }
     
     if (action === 'approve') {
         reservation.status = 'confirmed';
@@ -226,8 +445,14 @@ const approveCustomerReservation = asyncHandler(async (req, res) => {
 
     const updatedReservation = await reservation.save();
 
+    if (action === 'reject') {
+        await settleDepositOnCancellation(updatedReservation, { cancelledByRestaurant: true });
+    }
+
     // Send WhatsApp notification if approved
     if (action === 'approve') {
+        await scheduleReservationReminders(updatedReservation);
+
         const adminUser = await User.findById(req.user._id).select('name');
         const adminName = adminUser ? adminUser.name : 'Admin';
 
@@ -243,7 +468,8 @@ const approveCustomerReservation = asyncHandler(async (req, res) => {
 
     res.json({
         message: `Reservation ${action}d successfully`,
-        reservation: updatedReservation
+        reservation: updatedReservation,
+        guestHistory: await getGuestHistory(updatedReservation.customerPhoneNumber),
     });
 });
 
@@ -258,16 +484,80 @@ const deleteReservation = asyncHandler(async (req, res) => {
         throw new Error('Reservation not found');
     }
 
+    auditAs(reservation, { user: req.user });
+
+    // Give back a paid deposit first, so no payment is left without its reservation
+    if (reservation.deposit.status === 'paid') {
+        const { problem } = await refundDeposit(reservation, 'Reservation deleted');
+        if (problem) {
+            res.status(problem.status);
+            throw new Error(problem.message);
+        }
+    }
+
+    await cancelReservationReminders(reservation);
     await reservation.deleteOne();
     res.json({ message: 'Reservation removed successfully' });
 });
 
+// @desc    Take a reservation's deposit (e.g. card over the phone)
+// @route   POST /api/reservations/:id/deposit
+// @access  Private/Admin, Waiter
+const payReservationDeposit = asyncHandler(async (req, res) => {
+    const { paymentMethod } = req.body;
+
+    const reservation = await Reservation.findById(req.params.id);
+
+    if (!reservation) {
+        res.status(404);
+        throw new Error('Reservation not found');
+    }
+
+    auditAs(reservation, { user: req.user });
+    const { reservation: updatedReservation, problem } = await chargeDeposit(reservation, paymentMethod);
+    if (problem) {
+        res.status(problem.status);
+        throw new Error(problem.message);
+    }
+
+    res.json(updatedReservation);
+});
+
+// @desc    Refund a reservation's paid deposit (e.g. as a goodwill gesture after a late cancellation)
+// @route   PUT /api/reservations/:id/deposit/refund
+// @access  Private/Admin
+const refundReservationDeposit = asyncHandler(async (req, res) => {
+    const { reason } = req.body;
+
+    const reservation = await Reservation.findById(req.params.id);
 
-// @desc    Get list of available tables for a given time
-// @route   GET /api/reservations/available?reservationTime=YYYY-MM-DDTHH:MM:SSZ&numberOfGuests=N
+    if (!reservation) {
+        res.status(404);
+        throw new Error('Reservation not found');
+    }
+
+    auditAs(reservation, { user: req.user, note: reason });
+
+    // A forfeited deposit has been kept but not spent, so it can still be given back
+    if (reservation.deposit.status === 'forfeited') {
+        reservation.deposit.status = 'paid';
+    }
+
+    const { reservation: updatedReservation, problem } = await refundDeposit(reservation, reason);
+    if (problem) {
+        res.status(problem.status);
+        throw new Error(problem.message);
+    }
+
+    res.json(updatedReservation);
+});
+
+
+// @desc    Get list of available tables for a given time, best fit for the party first
+// @route   GET /api/reservations/available?reservationTime=YYYY-MM-DDTHH:MM:SSZ&numberOfGuests=N&endTime=YYYY-MM-DDTHH:MM:SSZ&suggestCombinations=true
 // @access  Public (no login required)
 const getAvailableTables = asyncHandler(async (req, res) => {
-    const { reservationTime, numberOfGuests } = req.query;
+    const { reservationTime, endTime, numberOfGuests, suggestCombinations } = req.query;
 
     if (!reservationTime) {
         res.status(400);
@@ -280,40 +570,75 @@ const getAvailableTables = asyncHandler(async (req, res) => {
         throw new Error('Invalid reservation time format. Please provide a valid date/time (e.g., ISO 8601).');
     }
 
-    // Define the time window for checking conflicts (e.g., 2 hours before and 2 hours after)
-    const conflictWindowStart = new Date(parsedReservationTime.getTime() - (2 * 60 * 60 * 1000)); // 2 hours before
-    const conflictWindowEnd = new Date(parsedReservationTime.getTime() + (2 * 60 * 60 * 1000));   // 2 hours after
+    const guests = numberOfGuests !== undefined ? parseInt(numberOfGuests, 10) : undefined;
+    if (guests !== undefined && (isNaN(guests) || guests < 1)) {
+        res.status(400);
+        throw new Error('Number of guests must be a positive number.');
+    }
 
-    // Find all active reservations within the conflict window
-    const conflictingReservations = await Reservation.find({
-        reservationTime: {
-            $gte: conflictWindowStart,
-            $lte: conflictWindowEnd
-        },
-        status: { $in: ['pending', 'confirmed', 'seated'] }
+    const timing = resolveReservationEndTime({ reservationTime: parsedReservationTime, numberOfGuests: guests, endTime });
+    if (timing.problem) {
+        res.status(timing.problem.status);
+        throw new Error(timing.problem.message);
+    }
+
+    const { availableTables, suggestedCombinations, unavailableReason } = await findAvailableTables({
+        reservationTime: parsedReservationTime,
+        endTime: timing.endTime,
+        numberOfGuests: guests,
+        suggestCombinations: suggestCombinations !== 'false',
     });
 
-    // Get table numbers that are already reserved
-    const reservedTableNumbers = conflictingReservations.map(res => res.tableNumber);
+    res.json({
+        requestedTime: parsedReservationTime,
+        requestedEndTime: timing.endTime, // Tables must be free for the whole visit, not just at the start
+        numberOfGuests: guests || null,
+        availableTables: availableTables.map(table => table.number), // Best-fitting tables first
+        tables: availableTables.map(toAvailableTable),
+        // Only filled when no single table seats the party
+        suggestedCombinations,
+        unavailableReason, // Set when the restaurant is closed or not taking bookings at this time
+    });
+});
 
-    // Filter out reserved tables from the list of all tables
-    const availableTableNumbers = ALL_TABLE_NUMBERS.filter(tableNum =>
-        !reservedTableNumbers.includes(tableNum)
-    );
+// @desc    Get every bookable time slot for a day with the free tables and remaining covers per slot
+// @route   GET /api/reservations/availability?date=YYYY-MM-DD&guests=N&interval=15
+// @access  Public (used by the host stand and the booking widget)
+const getAvailabilityGrid = asyncHandler(async (req, res) => {
+    const { date, guests, interval } = req.query;
 
-    // Optional: Filter by numberOfGuests if you had table capacities defined
-    // For now, we return all available tables regardless of guest count.
-    // If ALL_TABLE_NUMBERS was an array of objects with capacities:
-    // const availableTablesWithCapacity = ALL_TABLE_NUMBERS.filter(table =>
-    //     !reservedTableNumbers.includes(table.number) && table.capacity >= numberOfGuests
-    // );
+    // Parse as a local calendar day (new Date('YYYY-MM-DD') would be midnight UTC)
+    const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+    if (!dateMatch) {
+        res.status(400);
+        throw new Error('A date in YYYY-MM-DD format is required to check availability.');
+    }
+    const day = new Date(Number(dateMatch[1]), Number(dateMatch[2]) - 1, Number(dateMatch[3]));
+    if (isNaN(day.getTime())) {
+        res.status(400);
+        throw new Error('Invalid date. Please use YYYY-MM-DD.');
+    }
 
+    const numberOfGuests = guests !== undefined ? parseInt(guests, 10) : undefined;
+    if (numberOfGuests !== undefined && (isNaN(numberOfGuests) || numberOfGuests < 1)) {
+        res.status(400);
+        throw new Error('Number of guests must be a positive number.');
+    }
+
+    const intervalMinutes = interval !== undefined ? parseInt(interval, 10) : 15;
+    if (isNaN(intervalMinutes) || intervalMinutes < 5 || intervalMinutes > 120) {
+        res.status(400);
+        throw new Error('Slot interval must be between 5 and 120 minutes.');
+    }
+
+    const { slots, unavailableReason } = await buildDayAvailability({ day, numberOfGuests, intervalMinutes });
 
     res.json({
-        requestedTime: parsedReservationTime,
-        availableTables: availableTableNumbers,
-        // You can also return the reserved tables for debugging/info
-        // reservedTables: reservedTableNumbers
+        date,
+        numberOfGuests: numberOfGuests || null,
+        intervalMinutes,
+        slots,
+        unavailableReason,
     });
 });
 
@@ -322,9 +647,14 @@ module.exports = {
     createReservation,
     getReservations,
     getReservationById,
+    getReservationHistory,
+    updateReservation,
     updateReservationStatus,
     deleteReservation,
+    payReservationDeposit,
+    refundReservationDeposit,
     getAvailableTables,
+    getAvailabilityGrid,
     getPendingCustomerReservations,
     approveCustomerReservation,
 };
@@ -0,0 +1,86 @@
+// controllers/reservationResponseController.js
+const asyncHandler = require('express-async-handler');
+const Reservation = require('../models/Reservation');
+const { verifyReservationActionToken } = require('../utils/reservationTokens');
+const { cancelReservationReminders } = require('../utils/reservationReminders');
+const { settleDepositOnCancellation } = require('../utils/reservationDeposits');
+const { auditAs } = require('../utils/reservationAudit');
+
+// Finds the reservation a reminder link points to; throws 404 for bad or expired links
+const findReservationForToken = async (req, res) => {
+    const reservationId = verifyReservationActionToken(req.params.token);
+    const reservation = reservationId ? await Reservation.findById(reservationId) : null;
+
+    if (!reservation) {
+        res.status(404);
+        throw new Error('This link is invalid or has expired.');
+    }
+
+    return reservation;
+};
+
+// Only what the guest needs to recognise their booking (the link may be forwarded)
+const toGuestView = (reservation) => ({
+    customerName: reservation.customerName,
+    tableNumber: reservation.tableNumber,
+    combinedTableNumbers: reservation.combinedTableNumbers,
+    numberOfGuests: reservation.numberOfGuests,
+    reservationTime: reservation.reservationTime,
+    endTime: reservation.endTime,
+    status: reservation.status,
+    guestResponse: reservation.guestResponse || null,
+    canRespond: ['pending', 'confirmed'].includes(reservation.status),
+});
+
+// @desc    Show the reservation behind a reminder link
+// @route   GET /api/reservations/respond/:token
+// @access  Public (the signed token is the credential)
+const getReservationByToken = asyncHandler(async (req, res) => {
+    const reservation = await findReservationForToken(req, res);
+    res.json(toGuestView(reservation));
+});
+
+// @desc    Confirm attendance or cancel from a reminder link
+// @route   POST /api/reservations/respond/:token
+// @access  Public (the signed token is the credential)
+const respondToReservation = asyncHandler(async (req, res) => {
+    const { action } = req.body; // 'confirm' or 'cancel'
+
+    if (!['confirm', 'cancel'].includes(action)) {
+        res.status(400);
+        throw new Error('Action must be either "confirm" or "cancel"');
+    }
+
+    const reservation = await findReservationForToken(req, res);
+
+    if (!['pending', 'confirmed'].includes(reservation.status)) {
+        res.status(400);
+        throw new Error(`This reservation is ${reservation.status} and can no longer be changed.`);
+    }
+
+    auditAs(reservation, { channel: 'customer', actorName: 'Guest (reminder link)' });
+    reservation.guestResponse = action === 'confirm' ? 'confirmed' : 'cancelled';
+    reservation.guestRespondedAt = new Date();
+    if (action === 'cancel') {
+        reservation.status = 'cancelled';
+    }
+    const updatedReservation = await reservation.save();
+
+    let depositMessage = null;
+    if (action === 'cancel') {
+        await cancelReservationReminders(updatedReservation);
+        depositMessage = (await settleDepositOnCancellation(updatedReservation)).message;
+    }
+
+    res.json({
+        message: action === 'confirm'
+            ? 'Thank you! Your reservation is confirmed. We look forward to seeing you.'
+            : ['Your reservation has been cancelled.', depositMessage].filter(Boolean).join(' '),
+        reservation: toGuestView(updatedReservation),
+    });
+});
+
+module.exports = {
+    getReservationByToken,
+    respondToReservation,
+};
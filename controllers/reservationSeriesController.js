@@ -0,0 +1,371 @@
+// controllers/reservationSeriesController.js
+const asyncHandler = require('express-async-handler');
+const Reservation = require('../models/Reservation');
+const ReservationSeries = require('../models/ReservationSeries');
+const { resolveReservationTables } = require('../utils/reservationAvailability');
+const {
+    MAX_SERIES_OCCURRENCES,
+    generateOccurrenceTimes,
+    atTimeOfDay,
+    checkOccurrence,
+} = require('../utils/reservationSeries');
+const { getDepositRequirement, refreshDepositRequirement, settleDepositOnCancellation } = require('../utils/reservationDeposits');
+const { scheduleReservationReminders, cancelReservationReminders } = require('../utils/reservationReminders');
+const { auditAs } = require('../utils/reservationAudit');
+
+const VALID_FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Occurrences from now on that are still going ahead
+const upcomingOccurrencesQuery = (seriesId) => ({
+    series: seriesId,
+    status: { $in: ['pending', 'confirmed'] },
+    reservationTime: { $gte: new Date() },
+});
+
+// Lists the dates that could not be booked, for the error message
+const describeProblems = (problems) => problems
+    .map(({ reservationTime, message }) => `${reservationTime.toLocaleDateString()}: ${message}`)
+    .join(' ');
+
+// @desc    Create a recurring reservation series (e.g. the same table every Friday)
+// @route   POST /api/reservations/series
+// @access  Private/Admin, Waiter
+const createReservationSeries = asyncHandler(async (req, res) => {
+    const {
+        tableNumber, combinedTableNumbers, customerName, customerPhoneNumber, numberOfGuests,
+        firstReservationTime, frequency, until, occurrenceCount, durationMinutes, notes, skipConflicts,
+    } = req.body;
+
+    if (!tableNumber || !customerName || !customerPhoneNumber || !numberOfGuests || !firstReservationTime || !frequency) {
+        res.status(400);
+        throw new Error('Please provide table number, customer name, phone number, number of guests, first reservation time and frequency.');
+    }
+
+    if (!VALID_FREQUENCIES.includes(frequency)) {
+        res.status(400);
+        throw new Error(`Invalid frequency. Must be one of ${VALID_FREQUENCIES.join(', ')}.`);
+    }
+
+    if (!until && !occurrenceCount) {
+        res.status(400);
+        throw new Error('Please provide either an end date (until) or a number of occurrences (occurrenceCount).');
+    }
+
+    if (occurrenceCount !== undefined
+        && (!Number.isInteger(occurrenceCount) || occurrenceCount < 1 || occurrenceCount > MAX_SERIES_OCCURRENCES)) {
+        res.status(400);
+        throw new Error(`Number of occurrences must be a whole number from 1 to ${MAX_SERIES_OCCURRENCES}.`);
+    }
+
+    if (typeof numberOfGuests !== 'number' || numberOfGuests < 1) {
+        res.status(400);
+        throw new Error('Number of guests must be a positive number.');
+    }
+
+    if (durationMinutes !== undefined && (typeof durationMinutes !== 'number' || durationMinutes <= 0)) {
+        res.status(400);
+        throw new Error('Duration must be a positive number of minutes.');
+    }
+
+    const parsedFirstTime = new Date(firstReservationTime);
+    const parsedUntil = until ? new Date(until) : undefined;
+    if (isNaN(parsedFirstTime.getTime()) || (parsedUntil && isNaN(parsedUntil.getTime()))) {
+        res.status(400);
+        throw new Error('Invalid date format. Please provide valid dates (e.g., ISO 8601).');
+    }
+
+    const { problem } = await resolveReservationTables({ tableNumber, combinedTableNumbers, numberOfGuests });
+    if (problem) {
+        res.status(problem.status);
+        throw new Error(problem.message);
+    }
+
+    const occurrenceTimes = generateOccurrenceTimes({
+        firstReservationTime: parsedFirstTime,
+        frequency,
+        until: parsedUntil,
+        occurrenceCount,
+    });
+    if (occurrenceTimes.length === 0) {
+        res.status(400);
+        throw new Error('The series has no occurrences. Check the first reservation time and end date.');
+    }
+
+    // An end date alone is capped too; rather than cut the series short, say so
+    if (occurrenceCount === undefined && occurrenceTimes.length === MAX_SERIES_OCCURRENCES) {
+        const lastTime = occurrenceTimes[occurrenceTimes.length - 1];
+        const runsPastCap = generateOccurrenceTimes({ firstReservationTime: lastTime, frequency, until: parsedUntil, occurrenceCount: 2 }).length > 1;
+        if (runsPastCap) {
+            res.status(400);
+            throw new Error(`A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences, which ends on ${lastTime.toLocaleDateString()}. Choose an earlier end date or start a new series after that.`);
+        }
+    }
+
+    // Check every occurrence before booking any of them
+    const tableNumbers = [tableNumber, ...(combinedTableNumbers || [])];
+    const bookable = [];
+    const problems = [];
+    for (const reservationTime of occurrenceTimes) {
+        const timing = await checkOccurrence({ reservationTime, numberOfGuests, tableNumbers, durationMinutes });
+        if (timing.problem) {
+            problems.push({ reservationTime, message: timing.problem.message });
+        } else {
+            bookable.push({ reservationTime, timing });
+        }
+    }
+
+    if (problems.length > 0 && (!skipConflicts || bookable.length === 0)) {
+        res.status(409);
+        throw new Error(`${problems.length} of ${occurrenceTimes.length} occurrences cannot be booked. ${describeProblems(problems)}${bookable.length > 0 ? ' Send "skipConflicts": true to book the rest.' : ''}`);
+    }
+
+    const series = await ReservationSeries.create({
+        tableNumber,
+        combinedTableNumbers,
+        customerName,
+        customerPhoneNumber,
+        numberOfGuests,
+        frequency,
+        firstReservationTime: parsedFirstTime,
+        durationMinutes,
+        until: parsedUntil,
+        occurrenceCount,
+        notes,
+        createdBy: req.user._id,
+    });
+
+    const reservations = [];
+    for (const { reservationTime, timing } of bookable) {
+        const deposit = await getDepositRequirement({ reservationTime, numberOfGuests, tableNumbers, phoneNumber: customerPhoneNumber });
+        const reservation = new Reservation({
+            tableNumber,
+            combinedTableNumbers,
+            customerName,
+            customerPhoneNumber,
+            numberOfGuests,
+            reservationTime,
+            endTime: timing.endTime,
+            hasExplicitEndTime: timing.isExplicit,
+            deposit,
+            notes,
+            series: series._id,
+            reservedBy: req.user._id,
+            isCustomerReservation: false,
+            status: 'confirmed', // Staff bookings are confirmed straight away
+        });
+        auditAs(reservation, { user: req.user, note: `Series ${series._id}` });
+        await reservation.save();
+        await scheduleReservationReminders(reservation);
+        reservations.push(reservation);
+    }
+
+    res.status(201).json({
+        series,
+        reservations,
+        skippedOccurrences: problems,
+    });
+});
+
+// @desc    Get reservation series
+// @route   GET /api/reservations/series?status=active&customerPhoneNumber=+1234567890
+// @access  Private/Admin, Waiter
+const getReservationSeries = asyncHandler(async (req, res) => {
+    const { status, customerPhoneNumber } = req.query;
+    const query = {};
+
+    if (status) {
+        query.status = status;
+    }
+    if (customerPhoneNumber) {
+        query.customerPhoneNumber = customerPhoneNumber;
+    }
+
+    const seriesList = await ReservationSeries.find(query)
+        .populate('createdBy', 'name')
+        .sort({ createdAt: -1 });
+
+    res.json(seriesList);
+});
+
+// @desc    Get a reservation series with all its occurrences
+// @route   GET /api/reservations/series/:id
+// @access  Private/Admin, Waiter
+const getReservationSeriesById = asyncHandler(async (req, res) => {
+    const series = await ReservationSeries.findById(req.params.id).populate('createdBy', 'name');
+
+    if (!series) {
+        res.status(404);
+        throw new Error('Reservation series not found');
+    }
+
+    const occurrences = await Reservation.find({ series: series._id }).sort({ reservationTime: 1 });
+
+    res.json({ ...series.toObject(), occurrences });
+});
+
+// @desc    Change every upcoming occurrence of a series (occurrences edited on their own are left alone)
+// @route   PUT /api/reservations/series/:id
+// @access  Private/Admin, Waiter
+const updateReservationSeries = asyncHandler(async (req, res) => {
+    const { tableNumber, combinedTableNumbers, customerName, customerPhoneNumber, numberOfGuests, timeOfDay, durationMinutes, notes } = req.body;
+
+    const series = await ReservationSeries.findById(req.params.id);
+
+    if (!series) {
+        res.status(404);
+        throw new Error('Reservation series not found');
+    }
+
+    if (series.status !== 'active') {
+        res.status(400);
+        throw new Error('Cannot update a cancelled reservation series');
+    }
+
+    if (numberOfGuests !== undefined && (typeof numberOfGuests !== 'number' || numberOfGuests < 1)) {
+        res.status(400);
+        throw new Error('Number of guests must be a positive number.');
+    }
+
+    if (timeOfDay !== undefined && !TIME_OF_DAY_PATTERN.test(timeOfDay)) {
+        res.status(400);
+        throw new Error('Time of day must be in HH:mm format (e.g., 19:30).');
+    }
+
+    if (durationMinutes !== undefined && durationMinutes !== null && (typeof durationMinutes !== 'number' || durationMinutes <= 0)) {
+        res.status(400);
+        throw new Error('Duration must be a positive number of minutes (or null to use the duration rules).');
+    }
+
+    const targetTableNumber = tableNumber || series.tableNumber;
+    const targetCombinedTableNumbers = combinedTableNumbers !== undefined
+        ? combinedTableNumbers
+        : (tableNumber ? [] : series.combinedTableNumbers); // Picking a new table drops the old combination
+    const targetGuests = numberOfGuests || series.numberOfGuests;
+    const targetDuration = durationMinutes !== undefined ? durationMinutes : series.durationMinutes;
+
+    const seatingChanged = tableNumber !== undefined || combinedTableNumbers !== undefined || numberOfGuests !== undefined;
+    if (seatingChanged) {
+        const { problem } = await resolveReservationTables({
+            tableNumber: targetTableNumber,
+            combinedTableNumbers: targetCombinedTableNumbers,
+            numberOfGuests: targetGuests,
+        });
+        if (problem) {
+            res.status(problem.status);
+            throw new Error(problem.message);
+        }
+    }
+
+    const occurrences = await Reservation.find({ ...upcomingOccurrencesQuery(series._id), isSeriesException: false })
+        .sort({ reservationTime: 1 });
+
+    // Check every occurrence before changing any of them
+    const timingChanged = seatingChanged || timeOfDay !== undefined || durationMinutes !== undefined;
+    const tableNumbers = [targetTableNumber, ...targetCombinedTableNumbers];
+    const changes = [];
+    const problems = [];
+    for (const occurrence of occurrences) {
+        const reservationTime = timeOfDay ? atTimeOfDay(occurrence.reservationTime, timeOfDay) : occurrence.reservationTime;
+        if (!timingChanged) {
+            changes.push({ occurrence, reservationTime, timing: null });
+            continue;
+        }
+        const timing = await checkOccurrence({
+            reservationTime,
+            numberOfGuests: targetGuests,
+            tableNumbers,
+            durationMinutes: targetDuration,
+            excludeReservationId: occurrence._id,
+        });
+        if (timing.problem) {
+            problems.push({ reservationTime, message: timing.problem.message });
+        } else {
+            changes.push({ occurrence, reservationTime, timing });
+        }
+    }
+
+    if (problems.length > 0) {
+        res.status(409);
+        throw new Error(`${problems.length} upcoming occurrences cannot be changed. ${describeProblems(problems)} Change those occurrences individually first.`);
+    }
+
+    const updatedOccurrences = [];
+    for (const { occurrence, reservationTime, timing } of changes) {
+        const timeMoved = reservationTime.getTime() !== occurrence.reservationTime.getTime();
+        occurrence.tableNumber = targetTableNumber;
+        occurrence.combinedTableNumbers = targetCombinedTableNumbers;
+        occurrence.numberOfGuests = targetGuests;
+        if (customerName) occurrence.customerName = customerName;
+        if (customerPhoneNumber) occurrence.customerPhoneNumber = customerPhoneNumber;
+        if (notes !== undefined) occurrence.notes = notes;
+        if (timing) {
+            occurrence.reservationTime = reservationTime;
+            occurrence.endTime = timing.endTime;
+            occurrence.hasExplicitEndTime = timing.isExplicit;
+        }
+        await refreshDepositRequirement(occurrence);
+        auditAs(occurrence, { user: req.user, note: 'Changed with the whole series' });
+        const updatedOccurrence = await occurrence.save();
+        if (timeMoved) {
+            await scheduleReservationReminders(updatedOccurrence);
+        }
+        updatedOccurrences.push(updatedOccurrence);
+    }
+
+    series.tableNumber = targetTableNumber;
+    series.combinedTableNumbers = targetCombinedTableNumbers;
+    series.numberOfGuests = targetGuests;
+    series.durationMinutes = targetDuration === null ? undefined : targetDuration;
+    if (timeOfDay) series.firstReservationTime = atTimeOfDay(series.firstReservationTime, timeOfDay);
+    if (customerName) series.customerName = customerName;
+    if (customerPhoneNumber) series.customerPhoneNumber = customerPhoneNumber;
+    if (notes !== undefined) series.notes = notes;
+    const updatedSeries = await series.save();
+
+    res.json({ series: updatedSeries, updatedOccurrences });
+});
+
+// @desc    Cancel a series and all of its upcoming occurrences
+// @route   DELETE /api/reservations/series/:id
+// @access  Private/Admin, Waiter
+const cancelReservationSeries = asyncHandler(async (req, res) => {
+    const { cancelledByGuest } = req.body || {};
+
+    const series = await ReservationSeries.findById(req.params.id);
+
+    if (!series) {
+        res.status(404);
+        throw new Error('Reservation series not found');
+    }
+
+    if (series.status === 'cancelled') {
+        res.status(400);
+        throw new Error('Reservation series is already cancelled');
+    }
+
+    const occurrences = await Reservation.find(upcomingOccurrencesQuery(series._id));
+    for (const occurrence of occurrences) {
+        occurrence.status = 'cancelled';
+        auditAs(occurrence, { user: req.user, note: 'Series cancelled' });
+        await occurrence.save();
+        await cancelReservationReminders(occurrence);
+        await settleDepositOnCancellation(occurrence, { cancelledByRestaurant: !cancelledByGuest });
+    }
+
+    series.status = 'cancelled';
+    const updatedSeries = await series.save();
+
+    res.json({
+        message: `Reservation series cancelled along with ${occurrences.length} upcoming occurrence(s)`,
+        series: updatedSeries,
+    });
+});
+
+module.exports = {
+    createReservationSeries,
+    getReservationSeries,
+    getReservationSeriesById,
+    updateReservationSeries,
+    cancelReservationSeries,
+};
@@ -0,0 +1,253 @@
+// controllers/scheduleController.js
+const asyncHandler = require('express-async-handler');
+const Blackout = require('../models/Blackout');
+const Table = require('../models/Table');
+const { getRestaurantSchedule } = require('../utils/scheduleService');
+
+const VALID_BLACKOUT_TYPES = ['holiday', 'closure', 'private_event'];
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validates one weeklyHours entry before it reaches the schema, so bad input is a 400 rather than a
+// save error; returns an error message or null
+const validateDailyHours = (entry) => {
+    if (!entry || typeof entry !== 'object') {
+        return 'Weekly hours entries must be { dayOfWeek, isClosed, periods } objects.';
+    }
+    if (!Number.isInteger(entry.dayOfWeek) || entry.dayOfWeek < 0 || entry.dayOfWeek > 6) {
+        return 'Day of week must be a whole number from 0 (Sunday) to 6 (Saturday).';
+    }
+    if (entry.isClosed !== undefined && typeof entry.isClosed !== 'boolean') {
+        return `isClosed for day ${entry.dayOfWeek} must be true or false.`;
+    }
+    if (entry.periods === undefined) {
+        return null;
+    }
+    if (!Array.isArray(entry.periods)) {
+        return `Periods for day ${entry.dayOfWeek} must be an array of { open, close } times.`;
+    }
+    for (const period of entry.periods) {
+        if (!period || !TIME_OF_DAY_PATTERN.test(period.open) || !TIME_OF_DAY_PATTERN.test(period.close)) {
+            return `Opening periods for day ${entry.dayOfWeek} need open and close times in the 24-hour HH:mm format (e.g. 17:30).`;
+        }
+        // A close time earlier than the open time runs past midnight; the same time would be an empty period
+        if (period.open === period.close) {
+            return `An opening period for day ${entry.dayOfWeek} opens and closes at ${period.open}; the close time must come after the open time.`;
+        }
+    }
+    return null;
+};
+
+// @desc    Get the restaurant's opening hours and booking rules
+// @route   GET /api/schedule
+// @access  Public (the booking widget shows opening hours)
+const getSchedule = asyncHandler(async (req, res) => {
+    const schedule = await getRestaurantSchedule();
+    res.json(schedule);
+});
+
+// @desc    Update opening hours, last seating cutoff and minimum lead time
+// @route   PUT /api/schedule
+// @access  Private/Admin
+const updateSchedule = asyncHandler(async (req, res) => {
+    const { weeklyHours, lastSeatingMinutesBeforeClose, minLeadTimeMinutes } = req.body;
+
+    const schedule = await getRestaurantSchedule();
+
+    if (weeklyHours !== undefined) {
+        if (!Array.isArray(weeklyHours)) {
+            res.status(400);
+            throw new Error('Weekly hours must be an array of { dayOfWeek, isClosed, periods } entries.');
+        }
+        const entryProblem = weeklyHours.map(validateDailyHours).find(Boolean);
+        if (entryProblem) {
+            res.status(400);
+            throw new Error(entryProblem);
+        }
+        const days = weeklyHours.map(entry => entry.dayOfWeek);
+        if (new Set(days).size !== days.length) {
+            res.status(400);
+            throw new Error('Each day of the week can only appear once in the weekly hours.');
+        }
+        // Days left out keep their current hours
+        const merged = schedule.weeklyHours
+            .map(entry => entry.toObject())
+            .filter(entry => !days.includes(entry.dayOfWeek))
+            .concat(weeklyHours)
+            .sort((a, b) => a.dayOfWeek - b.dayOfWeek);
+        schedule.weeklyHours = merged;
+    }
+
+    if (lastSeatingMinutesBeforeClose !== undefined) {
+        if (typeof lastSeatingMinutesBeforeClose !== 'number' || lastSeatingMinutesBeforeClose < 0) {
+            res.status(400);
+            throw new Error('Last seating minutes before close must be a non-negative number.');
+        }
+        schedule.lastSeatingMinutesBeforeClose = lastSeatingMinutesBeforeClose;
+    }
+
+    if (minLeadTimeMinutes !== undefined) {
+        if (typeof minLeadTimeMinutes !== 'number' || minLeadTimeMinutes < 0) {
+            res.status(400);
+            throw new Error('Minimum lead time must be a non-negative number of minutes.');
+        }
+        schedule.minLeadTimeMinutes = minLeadTimeMinutes;
+    }
+
+    schedule.updatedBy = req.user._id;
+    const updatedSchedule = await schedule.save();
+
+    res.json(updatedSchedule);
+});
+
+// Validates blackout fields shared by create and update; returns an error message or null
+const validateBlackoutFields = async ({ type, startsAt, endsAt, tableNumbers }) => {
+    if (type !== undefined && !VALID_BLACKOUT_TYPES.includes(type)) {
+        return `Invalid blackout type. Must be one of ${VALID_BLACKOUT_TYPES.join(', ')}.`;
+    }
+    if (isNaN(startsAt.getTime()) || isNaN(endsAt.getTime())) {
+        return 'Invalid start or end date. Please provide valid dates (e.g., ISO 8601).';
+    }
+    if (endsAt <= startsAt) {
+        return 'Blackout end must be after its start.';
+    }
+    if (tableNumbers !== undefined) {
+        if (!Array.isArray(tableNumbers)) {
+            return 'Table numbers must be an array (leave empty to block the whole venue).';
+        }
+        const tables = await Table.find({ number: { $in: tableNumbers } }).select('number');
+        const unknown = tableNumbers.filter(number => !tables.some(table => table.number === number));
+        if (unknown.length > 0) {
+            return `Unknown table number: ${unknown.join(', ')}.`;
+        }
+    }
+    return null;
+};
+
+// @desc    Get blackouts (holidays, closures, private events), optionally within a date range
+// @route   GET /api/schedule/blackouts?from=YYYY-MM-DD&to=YYYY-MM-DD&type=private_event
+// @access  Private/Admin, Waiter
+const getBlackouts = asyncHandler(async (req, res) => {
+    const { from, to, type } = req.query;
+    const query = {};
+
+    if (type) {
+        query.type = type;
+    }
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+        res.status(400);
+        throw new Error('Invalid from or to date. Please use YYYY-MM-DD.');
+    }
+    if (fromDate) {
+        query.endsAt = { $gt: fromDate };
+    }
+    if (toDate) {
+        query.startsAt = { $lt: toDate };
+    }
+
+    const blackouts = await Blackout.find(query)
+        .populate('createdBy', 'name')
+        .sort({ startsAt: 1 });
+
+    res.json(blackouts);
+});
+
+// @desc    Create a blackout for the whole venue or specific tables
+// @route   POST /api/schedule/blackouts
+// @access  Private/Admin
+const createBlackout = asyncHandler(async (req, res) => {
+    const { title, type, startsAt, endsAt, tableNumbers, notes } = req.body;
+
+    if (!title || !startsAt || !endsAt) {
+        res.status(400);
+        throw new Error('Please provide a title, start and end for the blackout.');
+    }
+
+    const parsedStartsAt = new Date(startsAt);
+    const parsedEndsAt = new Date(endsAt);
+    const validationError = await validateBlackoutFields({ type, startsAt: parsedStartsAt, endsAt: parsedEndsAt, tableNumbers });
+    if (validationError) {
+        res.status(400);
+        throw new Error(validationError);
+    }
+
+    const blackout = await Blackout.create({
+        title,
+        type,
+        startsAt: parsedStartsAt,
+        endsAt: parsedEndsAt,
+        tableNumbers,
+        notes,
+        createdBy: req.user._id,
+    });
+
+    res.status(201).json(blackout);
+});
+
+// @desc    Update a blackout
+// @route   PUT /api/schedule/blackouts/:id
+// @access  Private/Admin
+const updateBlackout = asyncHandler(async (req, res) => {
+    const { title, type, startsAt, endsAt, tableNumbers, notes } = req.body;
+
+    const blackout = await Blackout.findById(req.params.id);
+
+    if (!blackout) {
+        res.status(404);
+        throw new Error('Blackout not found');
+    }
+
+    if (blackout.eventBooking) {
+        res.status(400);
+        throw new Error(`This blackout holds the tables for an event booking; change the event at /api/events/${blackout.eventBooking} instead.`);
+    }
+
+    const parsedStartsAt = startsAt !== undefined ? new Date(startsAt) : blackout.startsAt;
+    const parsedEndsAt = endsAt !== undefined ? new Date(endsAt) : blackout.endsAt;
+    const validationError = await validateBlackoutFields({ type, startsAt: parsedStartsAt, endsAt: parsedEndsAt, tableNumbers });
+    if (validationError) {
+        res.status(400);
+        throw new Error(validationError);
+    }
+
+    if (title !== undefined) blackout.title = title;
+    if (type !== undefined) blackout.type = type;
+    blackout.startsAt = parsedStartsAt;
+    blackout.endsAt = parsedEndsAt;
+    if (tableNumbers !== undefined) blackout.tableNumbers = tableNumbers;
+    if (notes !== undefined) blackout.notes = notes;
+
+    const updatedBlackout = await blackout.save();
+
+    res.json(updatedBlackout);
+});
+
+// @desc    Delete a blackout
+// @route   DELETE /api/schedule/blackouts/:id
+// @access  Private/Admin
+const deleteBlackout = asyncHandler(async (req, res) => {
+    const blackout = await Blackout.findById(req.params.id);
+
+    if (!blackout) {
+        res.status(404);
+        throw new Error('Blackout not found');
+    }
+
+    if (blackout.eventBooking) {
+        res.status(400);
+        throw new Error(`This blackout holds the tables for an event booking; cancel the event at /api/events/${blackout.eventBooking}/status instead.`);
+    }
+
+    await blackout.deleteOne();
+    res.json({ message: 'Blackout removed successfully' });
+});
+
+module.exports = {
+    getSchedule,
+    updateSchedule,
+    getBlackouts,
+    createBlackout,
+    updateBlackout,
+    deleteBlackout,
+};
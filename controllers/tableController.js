@@ -0,0 +1,213 @@
+// controllers/tableController.js
+const asyncHandler = require('express-async-handler');
+const Table = require('../models/Table');
+const Order = require('../models/Order');
+const Reservation = require('../models/Reservation');
+const { pageNextWaitlistParty } = require('../utils/waitlistService');
+
+const VALID_TABLE_STATUSES = ['free', 'occupied', 'reserved', 'cleaning'];
+
+// @desc    Create a new table
+// @route   POST /api/tables
+// @access  Private/Admin
+const createTable = asyncHandler(async (req, res) => {
+    const { number, capacity, section, shape, adjacentTables, isCombinable, isActive, status } = req.body;
+
+    if (!number || !capacity) {
+        res.status(400);
+        throw new Error('Table number and capacity are required.');
+    }
+
+    if (typeof capacity !== 'number' || capacity < 1) {
+        res.status(400);
+        throw new Error('Table capacity must be a positive number.');
+    }
+
+    const tableExists = await Table.findOne({ number });
+    if (tableExists) {
+        res.status(400);
+        throw new Error(`Table with number "${number}" already exists.`);
+    }
+
+    if (adjacentTables !== undefined && !Array.isArray(adjacentTables)) {
+        res.status(400);
+        throw new Error('Adjacent tables must be an array of table numbers.');
+    }
+
+    const table = await Table.create({
+        number,
+        capacity,
+        section,
+        shape,
+        adjacentTables,
+        isCombinable,
+        isActive,
+        status,
+    });
+
+    res.status(201).json(table);
+});
+
+// @desc    Get all tables (with optional filters)
+// @route   GET /api/tables?section=patio&status=free&isActive=true
+// @access  Private/Admin, Waiter
+const getTables = asyncHandler(async (req, res) => {
+    const { section, status, isActive } = req.query;
+    const query = {};
+
+    if (section) {
+        query.section = section;
+    }
+    if (status) {
+        query.status = status;
+    }
+    if (isActive !== undefined) {
+        query.isActive = isActive === 'true';
+    }
+
+    const tables = await Table.find(query)
+        .collation({ locale: 'en', numericOrdering: true }) // So 'T-2' sorts before 'T-10'
+        .sort({ section: 1, number: 1 });
+
+    res.json(tables);
+});
+
+// @desc    Get a single table by ID
+// @route   GET /api/tables/:id
+// @access  Private/Admin, Waiter
+const getTableById = asyncHandler(async (req, res) => {
+    const table = await Table.findById(req.params.id);
+
+    if (table) {
+        res.json(table);
+    } else {
+        res.status(404);
+        throw new Error('Table not found');
+    }
+});
+
+// @desc    Update a table
+// @route   PUT /api/tables/:id
+// @access  Private/Admin
+const updateTable = asyncHandler(async (req, res) => {
+    const { number, capacity, section, shape, adjacentTables, isCombinable, isActive, status } = req.body;
+
+    const table = await Table.findById(req.params.id);
+
+    if (!table) {
+        res.status(404);
+        throw new Error('Table not found');
+    }
+
+    if (number !== undefined && number !== table.number) {
+        const tableExists = await Table.findOne({ number });
+        if (tableExists) {
+            res.status(400);
+            throw new Error(`Table with number "${number}" already exists.`);
+        }
+
+        // Orders and reservations reference tables by number, so renaming a table in use would orphan them
+        const [openOrders, activeReservations] = await Promise.all([
+            Order.countDocuments({ tableNumber: table.number, isBilled: false, orderStatus: { $ne: 'cancelled' } }),
+            Reservation.countDocuments({ tableNumber: table.number, status: { $in: ['pending', 'confirmed', 'seated'] } }),
+        ]);
+        if (openOrders > 0 || activeReservations > 0) {
+            res.status(409);
+            throw new Error(`Cannot renumber table ${table.number} while it has open orders or active reservations.`);
+        }
+        table.number = number;
+    }
+
+    if (capacity !== undefined) {
+        if (typeof capacity !== 'number' || capacity < 1) {
+            res.status(400);
+            throw new Error('Table capacity must be a positive number.');
+        }
+        table.capacity = capacity;
+    }
+    if (section !== undefined) table.section = section;
+    if (shape !== undefined) table.shape = shape;
+    if (adjacentTables !== undefined) {
+        if (!Array.isArray(adjacentTables)) {
+            res.status(400);
+            throw new Error('Adjacent tables must be an array of table numbers.');
+        }
+        table.adjacentTables = adjacentTables;
+    }
+    if (isCombinable !== undefined) table.isCombinable = isCombinable;
+    if (isActive !== undefined) table.isActive = isActive;
+    if (status !== undefined) {
+        if (!VALID_TABLE_STATUSES.includes(status)) {
+            res.status(400);
+            throw new Error(`Invalid table status. Must be one of ${VALID_TABLE_STATUSES.join(', ')}.`);
+        }
+        table.status = status;
+    }
+
+    const updatedTable = await table.save();
+
+    res.json(updatedTable);
+});
+
+// @desc    Update the live status of a table (free/occupied/reserved/cleaning)
+// @route   PUT /api/tables/:id/status
+// @access  Private/Admin, Waiter
+const updateTableStatus = asyncHandler(async (req, res) => {
+    const { status } = req.body;
+
+    if (!VALID_TABLE_STATUSES.includes(status)) {
+        res.status(400);
+        throw new Error(`Invalid table status. Must be one of ${VALID_TABLE_STATUSES.join(', ')}.`);
+    }
+
+    const table = await Table.findById(req.params.id);
+
+    if (!table) {
+        res.status(404);
+        throw new Error('Table not found');
+    }
+
+    const wasFree = table.status === 'free';
+    table.status = status;
+    const updatedTable = await table.save();
+
+    // A table coming free (e.g. after cleaning) is offered to the next walk-in party that fits
+    if (status === 'free' && !wasFree) {
+        await pageNextWaitlistParty(updatedTable);
+    }
+
+    res.json(updatedTable);
+});
+
+// @desc    Delete a table
+// @route   DELETE /api/tables/:id
+// @access  Private/Admin
+const deleteTable = asyncHandler(async (req, res) => {
+    const table = await Table.findById(req.params.id);
+
+    if (!table) {
+        res.status(404);
+        throw new Error('Table not found');
+    }
+
+    const [openOrders, activeReservations] = await Promise.all([
+        Order.countDocuments({ tableNumber: table.number, isBilled: false, orderStatus: { $ne: 'cancelled' } }),
+        Reservation.countDocuments({ tableNumber: table.number, status: { $in: ['pending', 'confirmed', 'seated'] } }),
+    ]);
+    if (openOrders > 0 || activeReservations > 0) {
+        res.status(409);
+        throw new Error(`Cannot delete table ${table.number} while it has open orders or active reservations. Deactivate it instead.`);
+    }
+
+    await table.deleteOne();
+    res.json({ message: 'Table removed successfully' });
+});
+
+module.exports = {
+    createTable,
+    getTables,
+    getTableById,
+    updateTable,
+    updateTableStatus,
+    deleteTable,
+};
@@ -0,0 +1,324 @@
+// controllers/waitlistController.js
+const asyncHandler = require('express-async-handler');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Table = require('../models/Table');
+const { sendWhatsAppMessage } = require('../utils/whatsappService');
+const { occupyTable } = require('../utils/tableStatus');
+const { MINUTE_MS } = require('../utils/reservationTiming');
+const { findConflictingReservation } = require('../utils/reservationAvailability');
+const {
+    ACTIVE_WAITLIST_STATUSES,
+    getHistoricalTurnTimes,
+    loadWaitEstimateInputs,
+    computeWaitMinutes,
+    estimateWaitMinutes,
+    notifyWaitlistEntry,
+    pageNextWaitlistParty,
+} = require('../utils/waitlistService');
+
+// Offers a table that a paged party did not take to the next party in line
+const reofferTable = async (tableNumber) => {
+    const table = await Table.findOne({ number: tableNumber, status: 'free' });
+    if (table) {
+        await pageNextWaitlistParty(table);
+    }
+};
+
+// @desc    Add a walk-in party to the waitlist and quote them a wait
+// @route   POST /api/waitlist
+// @access  Private/Admin, Waiter
+const addToWaitlist = asyncHandler(async (req, res) => {
+    const { customerName, customerPhoneNumber, partySize, notes } = req.body;
+
+    if (!customerName || !customerPhoneNumber || !partySize) {
+        res.status(400);
+        throw new Error('Please provide the customer name, phone number and party size.');
+    }
+
+    if (!Number.isInteger(partySize) || partySize < 1) {
+        res.status(400);
+        throw new Error('Party size must be a whole number of at least 1.');
+    }
+
+    const quotedWaitMinutes = await estimateWaitMinutes(partySize);
+    if (quotedWaitMinutes === null) {
+        res.status(400);
+        throw new Error(`No table seats a party of ${partySize}. Please take a reservation with combined tables instead.`);
+    }
+
+    const entry = await WaitlistEntry.create({
+        customerName,
+        customerPhoneNumber,
+        partySize,
+        quotedWaitMinutes,
+        notes,
+        addedBy: req.user._id,
+    });
+
+    const messageBody = `Hello ${entry.customerName}!\n\n` +
+                        `You're on the waitlist for a table for ${entry.partySize}. ` +
+                        `Your estimated wait is about ${quotedWaitMinutes} minutes. ` +
+                        `We'll message you here as soon as your table is ready.\n\n` +
+                        `Restaurant Name`; // Replace with your restaurant name
+
+    await sendWhatsAppMessage(entry.customerPhoneNumber, messageBody);
+
+    res.status(201).json(entry);
+});
+
+// @desc    Get the waitlist (active parties by default) with each party's position and current estimate
+// @route   GET /api/waitlist?status=seated&date=YYYY-MM-DD
+// @access  Private/Admin, Waiter
+const getWaitlist = asyncHandler(async (req, res) => {
+    const { status, date } = req.query;
+    const query = {};
+
+    if (status) {
+        query.status = status;
+    } else {
+        query.status = { $in: ACTIVE_WAITLIST_STATUSES };
+    }
+
+    if (date) {
+        const startOfDay = new Date(date);
+        startOfDay.setHours(0, 0, 0, 0);
+        const endOfDay = new Date(date);
+        endOfDay.setHours(23, 59, 59, 999);
+        query.createdAt = { $gte: startOfDay, $lte: endOfDay };
+    }
+
+    const entries = await WaitlistEntry.find(query)
+        .populate('addedBy', 'name')
+        .populate('seatedBy', 'name')
+        .sort({ createdAt: 1 });
+
+    // Tables, turn times and the list are loaded once for every party's estimate
+    const now = new Date();
+    const estimateInputs = entries.some(entry => ACTIVE_WAITLIST_STATUSES.includes(entry.status))
+        ? await loadWaitEstimateInputs({ now })
+        : null;
+    let position = 0;
+    const waitlist = [];
+    for (const entry of entries) {
+        const item = entry.toObject();
+        if (ACTIVE_WAITLIST_STATUSES.includes(entry.status)) {
+            position += 1;
+            item.position = position;
+            item.waitedMinutes = Math.round((now - entry.createdAt) / MINUTE_MS);
+            item.estimatedWaitMinutes = computeWaitMinutes(entry.partySize, estimateInputs, {
+                joinedAt: entry.createdAt,
+                excludeEntryId: entry._id,
+                now,
+            });
+        }
+        waitlist.push(item);
+    }
+
+    res.json(waitlist);
+});
+
+// @desc    Quoted vs. actual wait for seated parties, to see how accurate the quotes are
+// @route   GET /api/waitlist/stats?startDate=...&endDate=...
+// @access  Private/Admin
+const getWaitlistStats = asyncHandler(async (req, res) => {
+    const { startDate, endDate } = req.query;
+    const match = { status: 'seated', quotedWaitMinutes: { $ne: null } };
+
+    if (startDate || endDate) {
+        match.seatedAt = {};
+        if (startDate) match.seatedAt.$gte = new Date(startDate);
+        if (endDate) match.seatedAt.$lte = new Date(endDate);
+    }
+
+    const [stats] = await WaitlistEntry.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: null,
+                partiesSeated: { $sum: 1 },
+                averageQuotedWaitMinutes: { $avg: '$quotedWaitMinutes' },
+                averageActualWaitMinutes: { $avg: '$actualWaitMinutes' },
+                averageDifferenceMinutes: { $avg: { $subtract: ['$actualWaitMinutes', '$quotedWaitMinutes'] } },
+                seatedWithinQuote: { $sum: { $cond: [{ $lte: ['$actualWaitMinutes', '$quotedWaitMinutes'] }, 1, 0] } },
+            },
+        },
+        { $project: { _id: 0 } },
+    ]);
+
+    const walkedAway = await WaitlistEntry.countDocuments({
+        status: 'left',
+        ...(match.seatedAt ? { updatedAt: match.seatedAt } : {}),
+    });
+
+    res.json({
+        partiesSeated: 0,
+        averageQuotedWaitMinutes: null,
+        averageActualWaitMinutes: null,
+        averageDifferenceMinutes: null,
+        seatedWithinQuote: 0,
+        ...stats,
+        walkedAway,
+    });
+});
+
+// @desc    Get a waitlist entry by ID
+// @route   GET /api/waitlist/:id
+// @access  Private/Admin, Waiter
+const getWaitlistEntryById = asyncHandler(async (req, res) => {
+    const entry = await WaitlistEntry.findById(req.params.id)
+        .populate('addedBy', 'name')
+        .populate('seatedBy', 'name');
+
+    if (!entry) {
+        res.status(404);
+        throw new Error('Waitlist entry not found');
+    }
+
+    res.json(entry);
+});
+
+// @desc    Page a waitlisted party that their table is ready (manually, or again if they have not shown up)
+// @route   PUT /api/waitlist/:id/notify
+// @access  Private/Admin, Waiter
+const notifyWaitlistParty = asyncHandler(async (req, res) => {
+    const { tableNumber } = req.body;
+
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry) {
+        res.status(404);
+        throw new Error('Waitlist entry not found');
+    }
+
+    if (!ACTIVE_WAITLIST_STATUSES.includes(entry.status)) {
+        res.status(400);
+        throw new Error(`Cannot page a party whose waitlist entry is ${entry.status}.`);
+    }
+
+    if (tableNumber) {
+        const table = await Table.findOne({ number: tableNumber, isActive: true });
+        if (!table) {
+            res.status(400);
+            throw new Error(`Table ${tableNumber} does not exist or is not in service.`);
+        }
+    }
+
+    const updatedEntry = await notifyWaitlistEntry(entry, tableNumber || entry.offeredTableNumber);
+
+    res.json(updatedEntry);
+});
+
+// @desc    Seat a waitlisted party at a table
+// @route   PUT /api/waitlist/:id/seat
+// @access  Private/Admin, Waiter
+const seatWaitlistParty = asyncHandler(async (req, res) => {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry) {
+        res.status(404);
+        throw new Error('Waitlist entry not found');
+    }
+
+    if (!ACTIVE_WAITLIST_STATUSES.includes(entry.status)) {
+        res.status(400);
+        throw new Error(`Cannot seat a party whose waitlist entry is ${entry.status}.`);
+    }
+
+    const tableNumber = req.body.tableNumber || entry.offeredTableNumber;
+    if (!tableNumber) {
+        res.status(400);
+        throw new Error('Please provide the table number to seat the party at.');
+    }
+
+    const table = await Table.findOne({ number: tableNumber, isActive: true });
+    if (!table) {
+        res.status(400);
+        throw new Error(`Table ${tableNumber} does not exist or is not in service.`);
+    }
+
+    if (table.capacity < entry.partySize) {
+        res.status(400);
+        throw new Error(`Table ${tableNumber} seats ${table.capacity}, but the party has ${entry.partySize} guests.`);
+    }
+
+    if (table.status !== 'free') {
+        res.status(409);
+        throw new Error(`Table ${tableNumber} is currently ${table.status}.`);
+    }
+
+    // A walk-in must be able to finish before a reservation on the table starts
+    const seatedAt = new Date();
+    const turnTimes = await getHistoricalTurnTimes();
+    const turnMinutes = turnTimes.byTable.get(tableNumber) || turnTimes.overall;
+    const expectedEnd = new Date(seatedAt.getTime() + turnMinutes * MINUTE_MS);
+    const reservation = await findConflictingReservation({
+        tableNumbers: [tableNumber],
+        reservationTime: seatedAt,
+        endTime: expectedEnd,
+    });
+    if (reservation) {
+        res.status(409);
+        throw new Error(`Table ${tableNumber} is reserved from ${reservation.reservationTime.toLocaleTimeString()}, before a walk-in would usually be done (about ${Math.round(turnMinutes)} minutes). Please choose another table.`);
+    }
+
+    await occupyTable(tableNumber);
+
+    const previouslyOfferedTable = entry.offeredTableNumber;
+    entry.status = 'seated';
+    entry.tableNumber = tableNumber;
+    entry.seatedAt = seatedAt;
+    entry.seatedBy = req.user._id;
+    entry.actualWaitMinutes = Math.round((seatedAt - entry.createdAt) / MINUTE_MS);
+    const updatedEntry = await entry.save();
+
+    // The party took a different table than the one they were paged for, so offer that one on
+    if (previouslyOfferedTable && previouslyOfferedTable !== tableNumber) {
+        await reofferTable(previouslyOfferedTable);
+    }
+
+    res.json(updatedEntry);
+});
+
+// @desc    Remove a party from the waitlist (cancelled, or left without being seated)
+// @route   PUT /api/waitlist/:id/cancel
+// @access  Private/Admin, Waiter
+const cancelWaitlistEntry = asyncHandler(async (req, res) => {
+    const { status = 'cancelled' } = req.body;
+
+    if (!['cancelled', 'left'].includes(status)) {
+        res.status(400);
+        throw new Error("Status must be 'cancelled' or 'left'.");
+    }
+
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry) {
+        res.status(404);
+        throw new Error('Waitlist entry not found');
+    }
+
+    if (!ACTIVE_WAITLIST_STATUSES.includes(entry.status)) {
+        res.status(400);
+        throw new Error(`Waitlist entry is already ${entry.status}.`);
+    }
+
+    const offeredTableNumber = entry.status === 'notified' ? entry.offeredTableNumber : null;
+    entry.status = status;
+    const updatedEntry = await entry.save();
+
+    if (offeredTableNumber) {
+        await reofferTable(offeredTableNumber);
+    }
+
+    res.json(updatedEntry);
+});
+
+module.exports = {
+    addToWaitlist,
+    getWaitlist,
+    getWaitlistStats,
+    getWaitlistEntryById,
+    notifyWaitlistParty,
+    seatWaitlistParty,
+    cancelWaitlistEntry,
+};
@@ -23,6 +23,15 @@ const protect = asyncHandler(async (req, res, next) => {
     }
 });
 
+// EventSource cannot send headers, so event streams may pass the JWT as ?token= instead.
+// Only use this on streaming routes: tokens in URLs end up in access logs.
+const acceptQueryToken = (req, res, next) => {
+    if (!req.headers.authorization && req.query.token) {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+};
+
 const authorizeRoles = (...roles) => {
     return (req, res, next) => {
         if (!req.user || !roles.includes(req.user.role)) {
@@ -33,4 +42,4 @@ const authorizeRoles = (...roles) => {
     };
 };
 
-module.exports = { protect, authorizeRoles };
\ No newline at end of file
+module.exports = { protect, authorizeRoles, acceptQueryToken };
\ No newline at end of file
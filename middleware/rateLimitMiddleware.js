@@ -0,0 +1,50 @@
+// middleware/rateLimitMiddleware.js
+
+/**
+ * Limits how many requests a client can make in a time window (fixed window, kept in memory,
+ * so limits are per server instance and reset on restart).
+ * @param {object} options
+ * @param {number} options.windowMs - Length of the window in milliseconds.
+ * @param {number} options.max - Requests allowed per key in each window.
+ * @param {function(object): string} [options.keyGenerator] - Builds the key from the request (defaults to the client IP).
+ * @param {string} [options.message]
+ * @returns {function} - Express middleware.
+ */
+const rateLimit = ({ windowMs, max, keyGenerator = (req) => req.ip, message = 'Too many requests. Please try again later.' }) => {
+    const hits = new Map();
+
+    // Forget expired windows so the map does not grow forever
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) {
+                hits.delete(key);
+            }
+        }
+    }, windowMs);
+    cleanup.unref();
+
+    return (req, res, next) => {
+        const key = keyGenerator(req);
+        if (!key) {
+            return next();
+        }
+
+        const now = Date.now();
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+        entry.count += 1;
+
+        if (entry.count > max) {
+            res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+            res.status(429);
+            throw new Error(message);
+        }
+        next();
+    };
+};
+
+module.exports = { rateLimit };
@@ -8,15 +8,28 @@ const billItemSchema = mongoose.Schema({
     ref: "Dish",
     required: true,
   },
+  // Dish variant billed (e.g. "Full" or "Large"), for per-variant reports
+  variant: { type: mongoose.Schema.Types.ObjectId },
+  variantName: { type: String, default: "" },
+  sku: { type: String, default: "" },
   quantity: {
     type: Number,
     required: true,
   },
   price: {
-    // Price at the time of billing (important if dish prices change later)
+    // Price at the time of billing (important if dish prices change later), including modifiers
     type: Number,
     required: true,
   },
+  modifiers: [
+    {
+      _id: false,
+      groupName: { type: String },
+      option: { type: mongoose.Schema.Types.ObjectId },
+      name: { type: String },
+      priceDelta: { type: Number, default: 0 },
+    },
+  ],
 });
 
 // Main Bill Schema
@@ -39,6 +52,16 @@ const billSchema = mongoose.Schema(
       required: true,
       default: 0,
     },
+    depositCredit: {
+      // Reservation deposit already paid by the party, deducted from what they owe
+      type: Number,
+      default: 0,
+    },
+    amountDue: {
+      // totalAmount minus depositCredit
+      type: Number,
+      default: 0,
+    },
     billDate: {
       type: Date,
       default: Date.now,
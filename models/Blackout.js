@@ -0,0 +1,53 @@
+// models/Blackout.js
+const mongoose = require('mongoose');
+
+// A period during which tables (or the whole venue) cannot be booked: holidays, special closures, private events
+const blackoutSchema = new mongoose.Schema(
+    {
+        title: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        type: {
+            type: String,
+            enum: ['holiday', 'closure', 'private_event'],
+            default: 'closure',
+        },
+        startsAt: {
+            type: Date,
+            required: true,
+        },
+        endsAt: {
+            type: Date,
+            required: true,
+        },
+        tableNumbers: { // Tables blocked by this blackout; empty means the whole venue
+            type: [String],
+            default: [],
+        },
+        notes: {
+            type: String,
+            trim: true,
+            default: '',
+        },
+        eventBooking: { // Set when the blackout holds the tables for an event booking (managed from /api/events)
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'EventBooking',
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+blackoutSchema.index({ startsAt: 1, endsAt: 1 });
+
+const Blackout = mongoose.model('Blackout', blackoutSchema);
+
+module.exports = Blackout;
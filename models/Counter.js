@@ -0,0 +1,36 @@
+// models/Counter.js
+const mongoose = require('mongoose');
+
+// A named sequence that only ever goes up, shared by every server instance (e.g. realtime event ids)
+const counterSchema = new mongoose.Schema(
+    {
+        _id: { // Name of the sequence, e.g. 'realtime_event'
+            type: String,
+        },
+        seq: {
+            type: Number,
+            default: 0,
+        },
+    }
+);
+
+/**
+ * Takes the next number of a sequence, creating the sequence at 1.
+ * @param {string} name
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function (name) {
+    const update = [{ _id: name }, { $inc: { seq: 1 } }, { upsert: true, new: true }];
+    try {
+        return (await this.findOneAndUpdate(...update)).seq;
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+        return (await this.findOneAndUpdate(...update)).seq; // Another instance created the sequence at the same moment
+    }
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
@@ -1,5 +1,30 @@
 // models/Dish.js
 const mongoose = require("mongoose");
+const { COURSES } = require("../utils/orderCourses");
+
+// A choice offered with a dish (e.g. "Large", "Extra cheese", "No onions")
+const modifierOptionSchema = mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  priceDelta: { type: Number, default: 0 }, // Added to the dish price; negative for discounts
+  isAvailable: { type: Boolean, default: true },
+});
+
+// A set of related options (e.g. "Size", "Extras") and how many of them may be chosen
+const modifierGroupSchema = mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  isRequired: { type: Boolean, default: false },
+  minSelections: { type: Number, default: 0, min: 0 },
+  maxSelections: { type: Number, default: 1, min: 1 },
+  options: [modifierOptionSchema],
+});
+
+// A size or portion of a dish (e.g. "Half", "Full", "Large") with its own price
+const variantSchema = mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  price: { type: Number, required: true, min: 0 },
+  sku: { type: String, trim: true, default: "" },
+  isAvailable: { type: Boolean, default: true },
+});
 
 const dishSchema = mongoose.Schema(
   {
@@ -42,12 +67,46 @@ const dishSchema = mongoose.Schema(
         "kosher",
       ], // Example enums
     },
+    // Course the dish is usually served in; order items can override it
+    course: {
+      type: String,
+      enum: COURSES,
+      default: "main",
+    },
+    // Minutes the kitchen needs for the dish once it is fired; drives promised-ready times and overdue alerts
+    preparationTime: {
+      type: Number,
+      min: 0,
+      default: 15,
+    },
+    // Average from finished tickets (see utils/preparationTimes.js)
+    learnedPreparationTime: {
+      minutes: { type: Number },
+      sampleSize: { type: Number, default: 0 },
+      learnedAt: { type: Date },
+    },
+    // Use the learned average instead of preparationTime once it rests on enough tickets
+    useLearnedPreparationTime: {
+      type: Boolean,
+      default: false,
+    },
+    // Station that prepares the dish; when unset, the station claiming its category (or the default) does
+    station: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "KitchenStation",
+      default: null,
+    },
+    modifierGroups: [modifierGroupSchema],
+    // When a dish has variants, orders must pick one and its price replaces the dish price
+    variants: [variantSchema],
   },
   {
     timestamps: true,
   }
 );
 
+dishSchema.index({ "variants.sku": 1 });
+
 const Dish = mongoose.model("Dish", dishSchema);
 
 module.exports = Dish;
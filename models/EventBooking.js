@@ -0,0 +1,148 @@
+// models/EventBooking.js
+const mongoose = require('mongoose');
+
+// A private event or large party: several tables, whole sections or the entire venue, with a set
+// menu, minimum spend and deposit instalments. While active, its tables are held by a Blackout.
+const eventBookingSchema = new mongoose.Schema(
+    {
+        title: { // e.g. 'Sharma wedding reception'
+            type: String,
+            required: true,
+            trim: true,
+        },
+        contactName: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        contactPhoneNumber: {
+            type: String,
+            required: true,
+            trim: true,
+            match: [/^\+[1-9]\d{1,14}$/, 'Please enter a valid phone number in E.164 format (e.g., +1234567890)'],
+        },
+        contactEmail: {
+            type: String,
+            trim: true,
+        },
+        numberOfGuests: {
+            type: Number,
+            required: true,
+            min: [1, 'Number of guests must be at least 1'],
+        },
+        startsAt: {
+            type: Date,
+            required: true,
+        },
+        endsAt: {
+            type: Date,
+            required: true,
+        },
+        isBuyout: { // Whole-venue hire: every table is blocked
+            type: Boolean,
+            default: false,
+        },
+        sections: { // Sections booked in full
+            type: [String],
+            default: [],
+        },
+        tableNumbers: { // Tables booked individually
+            type: [String],
+            default: [],
+        },
+        heldTableNumbers: { // Every table the event holds: the tables above plus those in the sections (all tables for a buyout)
+            type: [String],
+            default: [],
+        },
+        setMenu: [ // Dishes chosen in advance, priced per guest
+            {
+                _id: false,
+                dish: { type: mongoose.Schema.Types.ObjectId, ref: 'Dish', required: true },
+                variant: { type: mongoose.Schema.Types.ObjectId }, // Chosen size or portion, if the dish has variants
+                variantName: { type: String },
+                sku: { type: String },
+                name: { type: String, required: true }, // Copied so the quote does not change with the menu
+                price: { type: Number, required: true, min: 0 },
+                quantity: { type: Number, default: 1, min: 1 }, // Portions per guest
+            },
+        ],
+        setMenuPricePerGuest: { // Agreed price per guest; defaults to the sum of the set menu
+            type: Number,
+            min: 0,
+        },
+        minimumSpend: { // The bill is at least this much, whatever is ordered
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        venueHireFee: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        currency: {
+            type: String,
+        },
+        quote: {
+            setMenuTotal: { type: Number, default: 0 },
+            total: { type: Number, default: 0 }, // Greater of the set menu total and the minimum spend, plus the hire fee
+            sentAt: { type: Date },
+            validUntil: { type: Date },
+        },
+        contract: {
+            sentAt: { type: Date },
+            signedAt: { type: Date },
+            signedBy: { type: String, trim: true },
+        },
+        depositSchedule: [ // Instalments; the rest is settled on the bill
+            {
+                label: { type: String, required: true },
+                amount: { type: Number, required: true, min: 0 },
+                dueDate: { type: Date, required: true },
+                status: {
+                    type: String,
+                    enum: ['pending', 'paid', 'refunded', 'waived'],
+                    default: 'pending',
+                },
+                provider: { type: String },
+                paymentId: { type: String },
+                paidAt: { type: Date },
+                refundId: { type: String },
+                refundedAt: { type: Date },
+            },
+        ],
+        isCustomDepositSchedule: { // Set by an admin, so it is kept when the quote changes
+            type: Boolean,
+            default: false,
+        },
+        status: {
+            type: String,
+            enum: ['inquiry', 'quoted', 'contract_sent', 'confirmed', 'completed', 'cancelled'],
+            default: 'inquiry',
+        },
+        blackout: { // Holds the tables while the event is active
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Blackout',
+        },
+        notes: {
+            type: String,
+            trim: true,
+            default: '',
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+eventBookingSchema.index({ startsAt: 1, endsAt: 1 });
+eventBookingSchema.index({ status: 1, startsAt: 1 });
+
+const EventBooking = mongoose.model('EventBooking', eventBookingSchema);
+
+module.exports = EventBooking;
@@ -0,0 +1,43 @@
+// models/GuestProfile.js
+const mongoose = require('mongoose');
+
+// Booking history kept per phone number (guests book with a phone number, not always an account)
+const guestProfileSchema = new mongoose.Schema(
+    {
+        phoneNumber: {
+            type: String,
+            required: true,
+            unique: true,
+            trim: true,
+            match: [/^\+[1-9]\d{1,14}$/, 'Please enter a valid phone number in E.164 format (e.g., +1234567890)'],
+        },
+        noShowCount: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        lastNoShowAt: {
+            type: Date,
+        },
+        isFlagged: { // Shown to admins as a warning when approving this guest's bookings
+            type: Boolean,
+            default: false,
+        },
+        requiresDeposit: { // Guest must pay a deposit to book
+            type: Boolean,
+            default: false,
+        },
+        notes: {
+            type: String,
+            trim: true,
+            default: '',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const GuestProfile = mongoose.model('GuestProfile', guestProfileSchema);
+
+module.exports = GuestProfile;
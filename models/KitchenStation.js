@@ -0,0 +1,36 @@
+// models/KitchenStation.js
+const mongoose = require('mongoose');
+
+const kitchenStationSchema = new mongoose.Schema(
+    {
+        name: { // e.g. 'Grill', 'Bar', 'Pastry'
+            type: String,
+            required: true,
+            unique: true,
+            trim: true,
+        },
+        categories: { // Dish categories routed to this station unless the dish names its own station
+            type: [String],
+            default: [],
+        },
+        isDefault: { // Catches dishes no station claims; at most one station should be the default
+            type: Boolean,
+            default: false,
+        },
+        isActive: { // Inactive stations receive no items; their dishes fall back to category or default routing
+            type: Boolean,
+            default: true,
+        },
+        sortOrder: { // Position of the station on the expo view
+            type: Number,
+            default: 0,
+        },
+    },
+    {
+        timestamps: true, // Adds createdAt and updatedAt
+    }
+);
+
+const KitchenStation = mongoose.model('KitchenStation', kitchenStationSchema);
+
+module.exports = KitchenStation;
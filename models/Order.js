@@ -1,23 +1,96 @@
 // models/Order.js
 const mongoose = require("mongoose");
+const { unitPrice } = require("../utils/dishModifiers");
+const { basePrice } = require("../utils/dishVariants");
+const { COURSES } = require("../utils/orderCourses");
+const { ITEM_STATUSES } = require("../utils/orderItemStateMachine");
+
+// A modifier chosen for an item, copied from the dish so later menu edits do not change the order
+const orderItemModifierSchema = new mongoose.Schema(
+  {
+    group: { type: mongoose.Schema.Types.ObjectId, required: true },
+    groupName: { type: String, required: true },
+    option: { type: mongoose.Schema.Types.ObjectId, required: true },
+    name: { type: String, required: true },
+    priceDelta: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
 
 const orderItemSchema = new mongoose.Schema({
   dish: { type: mongoose.Schema.Types.ObjectId, ref: "Dish", required: true },
+  // Chosen size or portion (a Dish variant's _id); its name and SKU are copied for the kitchen and reports
+  variant: { type: mongoose.Schema.Types.ObjectId },
+  variantName: { type: String, default: "" },
+  sku: { type: String, default: "" },
   quantity: { type: Number, required: true, min: 1 },
   status: {
     type: String,
-    enum: [
-      "pending",
-      "accepted",
-      "declined",
-      "preparing",
-      "ready",
-      "cancelled",
-      "cancellation_requested",
-    ],
+    enum: ITEM_STATUSES, // Moves between them go through utils/orderItemStateMachine.js
     default: "pending",
   },
+  // Latest time the item reached each status, for per-dish kitchen analytics
+  timestamps: {
+    pending: { type: Date, default: Date.now },
+    accepted: { type: Date },
+    preparing: { type: Date },
+    ready: { type: Date },
+    declined: { type: Date },
+    cancelled: { type: Date },
+    cancellation_requested: { type: Date },
+  },
+  // Every status change: who made it, in which role, and when
+  statusHistory: [
+    {
+      _id: false,
+      from: { type: String, required: true },
+      to: { type: String, required: true },
+      at: { type: Date, default: Date.now },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      role: { type: String },
+    },
+  ],
   notes: { type: String, default: "" },
+  modifiers: [orderItemModifierSchema], // e.g. Size: Large, Extras: Extra cheese
+  course: { type: String, enum: COURSES, default: "main" },
+  // Held items wait for the waiter to fire their course before the kitchen sees them
+  fireStatus: { type: String, enum: ["held", "fired"], default: "fired" },
+  firedAt: { type: Date },
+  // Which round of the tab the item was ordered in; each round is a separate kitchen ticket
+  round: { type: Number, default: 1 },
+  addedAt: { type: Date, default: Date.now },
+  addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  // Shown on the KDS when an admin changes an item the kitchen already started; cleared when the kitchen updates it
+  kitchenNotice: { type: String, default: "" },
+  kitchenNoticeAt: { type: Date },
+  // Set when the kitchen and waiter were alerted that the item passed its promised-ready time;
+  // cleared when the item is sent back or changed, so it can alert again
+  overdueAlertedAt: { type: Date },
+});
+
+// Every admin correction to an order's items, for accountability
+const orderModificationSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ["added", "modified", "removed"],
+    required: true,
+  },
+  item: { type: mongoose.Schema.Types.ObjectId, required: true }, // The order item's _id
+  dishBefore: { type: mongoose.Schema.Types.ObjectId, ref: "Dish" },
+  dishAfter: { type: mongoose.Schema.Types.ObjectId, ref: "Dish" },
+  variantBefore: { type: String, default: "" }, // Variant names
+  variantAfter: { type: String, default: "" },
+  quantityBefore: { type: Number },
+  quantityAfter: { type: Number },
+  modifiersBefore: { type: String, default: "" },
+  modifiersAfter: { type: String, default: "" },
+  statusBefore: { type: String }, // Item status when it was changed
+  priceImpact: { type: Number, default: 0 }, // Change to what the guest will pay
+  reasonCode: { type: String, required: true },
+  reasonNote: { type: String, default: "" },
+  kitchenNotified: { type: Boolean, default: false },
+  modifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  modifiedAt: { type: Date, default: Date.now },
 });
 
 const orderSchema = new mongoose.Schema({
@@ -25,12 +98,28 @@ const orderSchema = new mongoose.Schema({
   customerName: { type: String, required: true },
   waiter: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   items: [orderItemSchema], // Array of dishes in the order
+  currentRound: { type: Number, default: 1 }, // Latest round added to the tab
   orderStatus: {
     type: String,
     enum: ["pending", "preparing", "ready", "completed", "cancelled"],
     default: "pending",
   },
   totalAmount: { type: Number, default: 0 },
+  modifications: [orderModificationSchema],
+  // When each course was fired and when all its items were ready, for pacing reports
+  courses: [
+    {
+      _id: false,
+      course: { type: String, enum: COURSES, required: true },
+      firedAt: { type: Date },
+      firedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      readyAt: { type: Date },
+    },
+  ],
+  // Reservation the party booked with; its paid deposit is credited on the bill
+  reservation: { type: mongoose.Schema.Types.ObjectId, ref: "Reservation" },
+  // Created from dishes the guests pre-ordered with their reservation
+  isPreOrder: { type: Boolean, default: false },
   orderDate: { type: Date, default: Date.now },
   isBilled: { type: Boolean, default: false },
   customerPhoneNumber: {
@@ -66,7 +155,14 @@ orderSchema.pre("save", async function (next) {
         typeof orderItem.dish.price === "number" &&
         orderItem.status === "accepted"
       ) {
-        return acc + orderItem.quantity * orderItem.dish.price;
+        return (
+          acc +
+          orderItem.quantity *
+            unitPrice(
+              basePrice(orderItem.dish, orderItem.variant),
+              orderItem.modifiers
+            )
+        );
       }
       console.warn(
         `Warning: Dish with ID ${
@@ -0,0 +1,40 @@
+// models/PhoneVerification.js
+const mongoose = require('mongoose');
+
+// One-time code sent to a guest's phone before they can book without an account
+const phoneVerificationSchema = new mongoose.Schema(
+    {
+        phoneNumber: {
+            type: String,
+            required: true,
+            unique: true,
+            trim: true,
+            match: [/^\+[1-9]\d{1,14}$/, 'Please enter a valid phone number in E.164 format (e.g., +1234567890)'],
+        },
+        codeHash: { // Only a hash of the code is stored
+            type: String,
+            required: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        attempts: { // Wrong codes entered for the current code
+            type: Number,
+            default: 0,
+        },
+        sentAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+phoneVerificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes expired codes
+
+const PhoneVerification = mongoose.model('PhoneVerification', phoneVerificationSchema);
+
+module.exports = PhoneVerification;
@@ -0,0 +1,58 @@
+// models/PrintJob.js
+const mongoose = require('mongoose');
+
+// A rendered kitchen ticket or receipt waiting for (or sent to) a printer
+const printJobSchema = new mongoose.Schema(
+    {
+        printer: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Printer',
+            required: true,
+        },
+        kind: {
+            type: String,
+            enum: ['kitchen_ticket', 'receipt', 'test'],
+            required: true,
+        },
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order',
+        },
+        bill: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Bill',
+        },
+        data: { // ESC/POS bytes sent to the printer
+            type: Buffer,
+            required: true,
+        },
+        preview: { // The same document as plain text, for screens and troubleshooting
+            type: String,
+            default: '',
+        },
+        status: {
+            type: String,
+            enum: ['queued', 'printed', 'failed'],
+            default: 'queued',
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        lastError: {
+            type: String,
+        },
+        printedAt: {
+            type: Date,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+printJobSchema.index({ status: 1, createdAt: -1 });
+
+const PrintJob = mongoose.model('PrintJob', printJobSchema);
+
+module.exports = PrintJob;
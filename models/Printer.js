@@ -0,0 +1,53 @@
+// models/Printer.js
+const mongoose = require('mongoose');
+
+// A network thermal printer that accepts raw ESC/POS on a TCP port
+const printerSchema = new mongoose.Schema(
+    {
+        name: { // e.g. 'Grill printer', 'Front desk'
+            type: String,
+            required: true,
+            unique: true,
+            trim: true,
+        },
+        host: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        port: { // Raw printing port; 9100 on almost every network printer
+            type: Number,
+            default: 9100,
+            min: 1,
+            max: 65535,
+        },
+        stations: [{ // Kitchen tickets for these stations print here
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'KitchenStation',
+        }],
+        printsUnassignedTickets: { // Also takes ticket items whose station has no printer
+            type: Boolean,
+            default: false,
+        },
+        printsReceipts: { // Customer receipts print here
+            type: Boolean,
+            default: false,
+        },
+        lineWidth: { // Characters per line: 42 on 80mm paper, 32 on 58mm
+            type: Number,
+            default: 42,
+            min: 16,
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+    },
+    {
+        timestamps: true, // Adds createdAt and updatedAt
+    }
+);
+
+const Printer = mongoose.model('Printer', printerSchema);
+
+module.exports = Printer;
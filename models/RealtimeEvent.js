@@ -0,0 +1,45 @@
+// models/RealtimeEvent.js
+const mongoose = require('mongoose');
+
+// How long pushed events are kept for clients that reconnect and replay what they missed
+const RETENTION_HOURS = Number(process.env.REALTIME_EVENT_RETENTION_HOURS) || 12;
+
+// An order or ticket change pushed to kitchen screens and waiter tablets. The seq is the SSE event id,
+// so a reconnecting client replays everything after the last id it saw.
+const realtimeEventSchema = new mongoose.Schema(
+    {
+        seq: { // From the 'realtime_event' counter: strictly increasing across every server instance
+            type: Number,
+            required: true,
+            unique: true,
+        },
+        type: { // e.g. 'order.created', 'order.item_status'
+            type: String,
+            required: true,
+        },
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order',
+        },
+        // Who receives the event; admins receive everything
+        audience: {
+            roles: { type: [String], default: [] }, // Every user with one of these roles
+            waiter: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // The waiter who owns the order
+            stations: [{ type: mongoose.Schema.Types.ObjectId, ref: 'KitchenStation' }], // Empty means every station
+        },
+        payload: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now,
+        },
+    }
+);
+
+realtimeEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_HOURS * 60 * 60 }); // MongoDB removes old events
+
+const RealtimeEvent = mongoose.model('RealtimeEvent', realtimeEventSchema);
+
+module.exports = RealtimeEvent;
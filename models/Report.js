@@ -3,7 +3,7 @@ const reportSchema = mongoose.Schema(
     {
         reportType: {
             type: String,
-            enum: ['dailt_sales','monthly_sales', 'most_ordered_dishes'],
+            enum: ['dailt_sales','monthly_sales', 'most_ordered_dishes', 'most_ordered_variants'],
             required: true
 
         },
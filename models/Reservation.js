@@ -1,5 +1,7 @@
 // models/Reservation.js
 const mongoose = require('mongoose');
+const { resolveReservationEndTime } = require('../utils/reservationTiming');
+const { snapshotReservation, recordReservationChange } = require('../utils/reservationAudit');
 
 const reservationSchema = new mongoose.Schema(
     {
@@ -9,6 +11,10 @@ const reservationSchema = new mongoose.Schema(
             trim: true,
             
         },
+        combinedTableNumbers: { // Extra tables pushed together with tableNumber for a larger party
+            type: [String],
+            default: [],
+        },
         customerName: {
             type: String,
             required: true,
@@ -29,11 +35,55 @@ const reservationSchema = new mongoose.Schema(
             type: Date,
             required: true,
         },
+        endTime: { // When the table(s) are expected to be free again
+            type: Date,
+        },
+        hasExplicitEndTime: { // True when the end time was chosen by the booker rather than derived from the duration rules
+            type: Boolean,
+            default: false,
+        },
         status: {
             type: String,
-            enum: ['pending', 'confirmed', 'seated', 'cancelled', 'completed'],
+            enum: ['pending', 'confirmed', 'seated', 'cancelled', 'completed', 'no_show'],
             default: 'pending',
         },
+        noShowAt: { // When the reservation was marked as a no-show
+            type: Date,
+        },
+        reminders: [ // Reminder messages scheduled and sent for this reservation
+            {
+                hoursBefore: { type: Number, required: true },
+                scheduledFor: { type: Date, required: true },
+                sentAt: { type: Date },
+                delivered: { type: Boolean, default: false }, // Whether the messaging provider accepted the message
+                channel: { type: String, default: 'whatsapp' },
+            },
+        ],
+        guestResponse: { // Guest's answer to a reminder link
+            type: String,
+            enum: ['confirmed', 'cancelled'],
+        },
+        guestRespondedAt: {
+            type: Date,
+        },
+        deposit: { // Deposit taken to hold the booking (see deposits in config/reservationRules.js)
+            status: {
+                type: String,
+                enum: ['not_required', 'pending', 'paid', 'refunded', 'forfeited', 'applied'],
+                default: 'not_required',
+            },
+            amount: { type: Number, default: 0 },
+            currency: { type: String },
+            reason: { type: String }, // Rule that required the deposit
+            provider: { type: String },
+            paymentId: { type: String },
+            paidAt: { type: Date },
+            refundId: { type: String },
+            refundedAt: { type: Date },
+            forfeitedAt: { type: Date },
+            bill: { type: mongoose.Schema.Types.ObjectId, ref: 'Bill' }, // Bill the deposit was credited against
+            appliedAt: { type: Date },
+        },
         isCustomerReservation: {
             type: Boolean,
             default: false,
@@ -45,16 +95,68 @@ const reservationSchema = new mongoose.Schema(
         approvedAt: {
             type: Date,
         },
+        series: { // Standing booking this reservation is an occurrence of
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ReservationSeries',
+        },
+        isSeriesException: { // Occurrence changed on its own; edits to the whole series leave it alone
+            type: Boolean,
+            default: false,
+        },
+        isGuestReservation: { // Booked through the public guest path, without an account
+            type: Boolean,
+            default: false,
+        },
+        referenceCode: { // Lets a guest without an account view, change or cancel their booking
+            type: String,
+            unique: true,
+            sparse: true,
+        },
         reservedBy: { // User (Admin) who made the reservation
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
-            required: true,
+            required: function () {
+                return !this.isGuestReservation;
+            },
         },
         notes: { // Any special requests or notes
             type: String,
             trim: true,
             default: '',
         },
+        preOrderItems: [ // Dishes chosen in advance; the kitchen gets them as an order when the party is seated
+            {
+                dish: { type: mongoose.Schema.Types.ObjectId, ref: 'Dish', required: true },
+                name: { type: String, required: true }, // Copied for display; the bill uses the current price
+                variant: { type: mongoose.Schema.Types.ObjectId }, // Chosen size or portion, if the dish has variants
+                variantName: { type: String, default: '' },
+                price: { type: Number, required: true }, // Per portion, with modifiers
+                quantity: { type: Number, required: true, min: 1 },
+                modifiers: [
+                    {
+                        _id: false,
+                        group: { type: mongoose.Schema.Types.ObjectId },
+                        groupName: { type: String },
+                        option: { type: mongoose.Schema.Types.ObjectId },
+                        name: { type: String },
+                        priceDelta: { type: Number, default: 0 },
+                    },
+                ],
+                notes: { type: String, trim: true, default: '' },
+                dietaryRequirements: { type: [String], default: [] }, // What the guest eating it needs (e.g. 'vegan')
+            },
+        ],
+        preOrderUpdatedAt: {
+            type: Date,
+        },
+        preOrderOrder: { // Order (or open tab) the pre-order was sent to when the party was seated
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order',
+        },
+        calendarSequence: { // iCalendar SEQUENCE; bumped on every change calendar apps should pick up
+            type: Number,
+            default: 0,
+        },
     },
     {
         timestamps: true, // Adds createdAt and updatedAt
@@ -62,7 +164,51 @@ const reservationSchema = new mongoose.Schema(
 );
 
 
+// Derive the end time from the duration rules unless the booker chose one explicitly
+reservationSchema.pre('validate', function (next) {
+    const timingChanged = this.isNew || this.isModified('reservationTime') || this.isModified('numberOfGuests');
+    if (this.reservationTime && !this.hasExplicitEndTime && (timingChanged || !this.endTime)) {
+        this.endTime = resolveReservationEndTime({
+            reservationTime: this.reservationTime,
+            numberOfGuests: this.numberOfGuests,
+        }).endTime;
+    }
+    next();
+});
+
+// Fields shown in calendar events; changing any of them issues a new revision of the event
+const CALENDAR_FIELDS = ['reservationTime', 'endTime', 'tableNumber', 'combinedTableNumbers', 'numberOfGuests', 'customerName', 'status', 'notes'];
+
+reservationSchema.pre('save', function (next) {
+    if (!this.isNew && CALENDAR_FIELDS.some((field) => this.isModified(field))) {
+        this.calendarSequence = (this.calendarSequence || 0) + 1;
+    }
+    next();
+});
+
+// Change history: remember the fields as loaded, then record what each save or delete changed
+// (see utils/reservationAudit.js; controllers attribute changes with auditAs)
+reservationSchema.post('init', function () {
+    this.$locals.auditSnapshot = snapshotReservation(this);
+});
+
+reservationSchema.pre('save', function (next) {
+    this.$locals.auditIsNew = this.isNew;
+    next();
+});
+
+reservationSchema.post('save', async function () {
+    await recordReservationChange(this, { isNew: this.$locals.auditIsNew });
+});
+
+reservationSchema.post('deleteOne', { document: true, query: false }, async function () {
+    await recordReservationChange(this, { isDeleted: true });
+});
+
 reservationSchema.index({ tableNumber: 1, reservationTime: 1 });
+reservationSchema.index({ combinedTableNumbers: 1, reservationTime: 1 });
+reservationSchema.index({ status: 1, reservationTime: 1 }); // No-show monitor scans confirmed bookings by time
+reservationSchema.index({ series: 1, reservationTime: 1 });
 
 const Reservation = mongoose.model('Reservation', reservationSchema);
 
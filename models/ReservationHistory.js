@@ -0,0 +1,52 @@
+// models/ReservationHistory.js
+const mongoose = require('mongoose');
+
+// One change to a reservation: who made it, through which channel, and the fields before and after.
+// Entries are kept after the reservation itself is deleted.
+const reservationHistorySchema = new mongoose.Schema(
+    {
+        reservation: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Reservation',
+            required: true,
+        },
+        action: { // e.g. created, updated, status_changed, approved, resubmitted, deposit_changed, deleted
+            type: String,
+            required: true,
+        },
+        channel: { // Who made the change: restaurant staff, the guest themselves, or the system (monitors, payments)
+            type: String,
+            enum: ['staff', 'customer', 'system'],
+            required: true,
+        },
+        actor: { // Logged-in user behind the change (empty for guests without an account and the system)
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        actorName: { // Kept as text so the entry still reads correctly if the user is removed
+            type: String,
+            trim: true,
+        },
+        changes: [
+            {
+                _id: false,
+                field: { type: String, required: true },
+                from: { type: mongoose.Schema.Types.Mixed },
+                to: { type: mongoose.Schema.Types.Mixed },
+            },
+        ],
+        note: {
+            type: String,
+            trim: true,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+reservationHistorySchema.index({ reservation: 1, createdAt: 1 });
+
+const ReservationHistory = mongoose.model('ReservationHistory', reservationHistorySchema);
+
+module.exports = ReservationHistory;
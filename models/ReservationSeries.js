@@ -0,0 +1,75 @@
+// models/ReservationSeries.js
+const mongoose = require('mongoose');
+
+// A standing booking (e.g. the same table every Friday). Each occurrence is its own Reservation
+// pointing back here, so occurrences can be changed or cancelled one at a time.
+const reservationSeriesSchema = new mongoose.Schema(
+    {
+        tableNumber: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        combinedTableNumbers: {
+            type: [String],
+            default: [],
+        },
+        customerName: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        customerPhoneNumber: {
+            type: String,
+            required: true,
+            trim: true,
+            match: [/^\+[1-9]\d{1,14}$/, 'Please enter a valid phone number in E.164 format (e.g., +1234567890)'],
+        },
+        numberOfGuests: {
+            type: Number,
+            required: true,
+            min: [1, 'Number of guests must be at least 1'],
+        },
+        frequency: {
+            type: String,
+            enum: ['weekly', 'biweekly', 'monthly'],
+            required: true,
+        },
+        firstReservationTime: { // Date and time of the first occurrence; later ones keep the same local time of day
+            type: Date,
+            required: true,
+        },
+        durationMinutes: { // Explicit visit length; when empty each occurrence uses the duration rules
+            type: Number,
+        },
+        until: { // Last date an occurrence may fall on (either this or occurrenceCount)
+            type: Date,
+        },
+        occurrenceCount: {
+            type: Number,
+            min: 1,
+        },
+        status: {
+            type: String,
+            enum: ['active', 'cancelled'],
+            default: 'active',
+        },
+        notes: {
+            type: String,
+            trim: true,
+            default: '',
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const ReservationSeries = mongoose.model('ReservationSeries', reservationSeriesSchema);
+
+module.exports = ReservationSeries;
@@ -0,0 +1,68 @@
+// models/RestaurantSchedule.js
+const mongoose = require('mongoose');
+
+const TIME_OF_DAY_PATTERN = [/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must use the 24-hour HH:mm format (e.g. 17:30)'];
+
+// A service period within a day. A close time earlier than the open time runs past midnight (e.g. 18:00-02:00).
+const openingPeriodSchema = new mongoose.Schema(
+    {
+        open: { type: String, required: true, match: TIME_OF_DAY_PATTERN },
+        close: { type: String, required: true, match: TIME_OF_DAY_PATTERN },
+    },
+    { _id: false }
+);
+
+const dailyHoursSchema = new mongoose.Schema(
+    {
+        dayOfWeek: { // 0 = Sunday ... 6 = Saturday
+            type: Number,
+            required: true,
+            min: 0,
+            max: 6,
+        },
+        isClosed: {
+            type: Boolean,
+            default: false,
+        },
+        periods: {
+            type: [openingPeriodSchema],
+            default: [],
+        },
+    },
+    { _id: false }
+);
+
+// Single-document collection holding the restaurant's booking schedule
+const restaurantScheduleSchema = new mongoose.Schema(
+    {
+        weeklyHours: {
+            type: [dailyHoursSchema],
+            default: () => [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({
+                dayOfWeek,
+                isClosed: false,
+                periods: [{ open: '11:00', close: '22:00' }],
+            })),
+        },
+        lastSeatingMinutesBeforeClose: { // No reservation may start later than this before closing
+            type: Number,
+            default: 60,
+            min: 0,
+        },
+        minLeadTimeMinutes: { // Online bookings must be made at least this far in advance
+            type: Number,
+            default: 60,
+            min: 0,
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const RestaurantSchedule = mongoose.model('RestaurantSchedule', restaurantScheduleSchema);
+
+module.exports = RestaurantSchedule;
@@ -0,0 +1,56 @@
+// models/ScheduledJob.js
+const mongoose = require('mongoose');
+
+// A unit of background work persisted in the database so it survives server restarts
+const scheduledJobSchema = new mongoose.Schema(
+    {
+        type: { // Name of the registered handler, e.g. 'reservation_reminder'
+            type: String,
+            required: true,
+            trim: true,
+        },
+        runAt: {
+            type: Date,
+            required: true,
+        },
+        payload: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+        refId: { // Document the job is about (e.g. the reservation), so its jobs can be cancelled together
+            type: mongoose.Schema.Types.ObjectId,
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+            default: 'pending',
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        maxAttempts: {
+            type: Number,
+            default: 3,
+        },
+        lockedAt: { // When a worker claimed the job; stale locks are retried after a crash
+            type: Date,
+        },
+        completedAt: {
+            type: Date,
+        },
+        lastError: {
+            type: String,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+scheduledJobSchema.index({ refId: 1, type: 1, status: 1 });
+
+const ScheduledJob = mongoose.model('ScheduledJob', scheduledJobSchema);
+
+module.exports = ScheduledJob;
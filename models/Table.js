@@ -0,0 +1,64 @@
+// models/Table.js
+const mongoose = require('mongoose');
+
+const tableSchema = new mongoose.Schema(
+    {
+        number: { // Human-readable table identifier used across orders and reservations (e.g. 'T-1', 'P-3')
+            type: String,
+            required: true,
+            unique: true,
+            trim: true,
+        },
+        capacity: { // Maximum number of guests the table can seat
+            type: Number,
+            required: true,
+            min: [1, 'Table capacity must be at least 1'],
+        },
+        section: { // Zone of the restaurant (e.g. 'main', 'patio', 'bar')
+            type: String,
+            trim: true,
+            default: 'main',
+        },
+        shape: {
+            type: String,
+            enum: ['round', 'square', 'rectangle', 'booth', 'bar'],
+            default: 'square',
+        },
+        adjacentTables: { // Numbers of tables that can be pushed together with this one for larger parties
+            type: [String],
+            default: [],
+        },
+        isCombinable: { // Fixed tables (e.g. booths) can opt out of being joined with neighbours
+            type: Boolean,
+            default: true,
+        },
+        isActive: { // Inactive tables are hidden from reservations and orders without deleting history
+            type: Boolean,
+            default: true,
+        },
+        status: { // Live floor status
+            type: String,
+            enum: ['free', 'occupied', 'reserved', 'cleaning'],
+            default: 'free',
+        },
+        statusUpdatedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: true, // Adds createdAt and updatedAt
+    }
+);
+
+// Keep track of when the live status last changed (used to estimate how long a table has been occupied)
+tableSchema.pre('save', function (next) {
+    if (this.isModified('status') && !this.isNew) {
+        this.statusUpdatedAt = new Date();
+    }
+    next();
+});
+
+const Table = mongoose.model('Table', tableSchema);
+
+module.exports = Table;
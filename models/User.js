@@ -33,6 +33,11 @@ const userSchema = new mongoose.Schema(
     // Fields for password reset
     resetPasswordToken: String, // Stores the hashed reset token
     resetPasswordExpire: Date,  // Stores the expiration time of the token
+    // Hashed token for the user's private calendar feed URL (calendar apps can't send a login token)
+    calendarFeedToken: {
+      type: String,
+      select: false,
+    },
   },
   {
     timestamps: true, // Automatically adds `createdAt` and `updatedAt` fields
@@ -81,6 +86,19 @@ userSchema.methods.getResetPasswordToken = function () {
     return resetToken; // Return the UNHASHED token to send to the user's email
 };
 
+// Instance Method: Generate and set a new calendar feed token (any earlier feed URL stops working)
+userSchema.methods.getCalendarFeedToken = function () {
+  const feedToken = crypto.randomBytes(24).toString('hex');
+
+  // Stored hashed like the reset token; the plain token only ever appears in the feed URL
+  this.calendarFeedToken = crypto
+    .createHash('sha256')
+    .update(feedToken)
+    .digest('hex');
+
+  return feedToken;
+};
+
 // Create the User Model from the schema
 const User = mongoose.model("User", userSchema);
 
@@ -0,0 +1,77 @@
+// models/WaitlistEntry.js
+const mongoose = require('mongoose');
+
+// A walk-in party waiting for a table
+const waitlistEntrySchema = new mongoose.Schema(
+    {
+        customerName: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        customerPhoneNumber: {
+            type: String,
+            required: true,
+            trim: true,
+            match: [/^\+[1-9]\d{1,14}$/, 'Please enter a valid phone number in E.164 format (e.g., +1234567890)'],
+        },
+        partySize: {
+            type: Number,
+            required: true,
+            min: [1, 'Party size must be at least 1'],
+        },
+        status: {
+            type: String,
+            enum: ['waiting', 'notified', 'seated', 'cancelled', 'left'],
+            default: 'waiting',
+        },
+        quotedWaitMinutes: { // Wait estimate given to the guest when they joined the list
+            type: Number,
+            default: null,
+        },
+        notifiedAt: { // Last time the guest was paged that a table is ready
+            type: Date,
+        },
+        notifyCount: {
+            type: Number,
+            default: 0,
+        },
+        offeredTableNumber: { // Table the guest was paged for
+            type: String,
+            trim: true,
+        },
+        tableNumber: { // Table the party was actually seated at
+            type: String,
+            trim: true,
+        },
+        seatedAt: {
+            type: Date,
+        },
+        actualWaitMinutes: { // Minutes between joining the list and being seated (compare with quotedWaitMinutes)
+            type: Number,
+        },
+        notes: {
+            type: String,
+            trim: true,
+            default: '',
+        },
+        addedBy: { // Host who added the party
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        seatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true, // createdAt is when the party joined the list
+    }
+);
+
+waitlistEntrySchema.index({ status: 1, createdAt: 1 });
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+module.exports = WaitlistEntry;
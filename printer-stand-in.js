@@ -0,0 +1,92 @@
+// printer-stand-in.js
+// Local stand-in for a network thermal printer, for testing kitchen tickets and receipts without hardware.
+// Listens for raw ESC/POS on a TCP port (like a printer's port 9100) and prints what it receives as text.
+//
+//   npm run printer:stand-in -- [port] [--save <dir>] [--drop <n>]
+//
+// Register it as a printer with host 127.0.0.1 and the same port. It answers status queries as an online
+// printer. --save keeps every job's raw bytes as a .bin file; --drop resets the connection for the first
+// n jobs, to see the print queue retry them.
+
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+};
+const port = /^\d+$/.test(args[0]) ? Number(args[0]) : 9100;
+const saveDir = option('--save');
+let dropsLeft = Number(option('--drop')) || 0;
+
+// Turns ESC/POS bytes into readable text: formatting commands are dropped, feeds become blank lines
+// and cuts a row of '~'
+const render = (data) => {
+    let text = '';
+    let index = 0;
+    while (index < data.length) {
+        const byte = data[index];
+        if (byte === 0x1b) { // ESC
+            const command = data[index + 1];
+            if (command === 0x40) { // Initialize
+                index += 2;
+                continue;
+            }
+            if (command === 0x64) { // Feed n lines
+                text += '\n'.repeat(data[index + 2]);
+            }
+            index += 3; // ESC t n (code page), ESC a n (align), ESC E n (bold), ESC d n (feed)
+            continue;
+        }
+        if (byte === 0x1d) { // GS
+            const command = data[index + 1];
+            if (command === 0x56) { // Cut
+                const mode = data[index + 2];
+                text += `\n${'~'.repeat(42)}\n`;
+                index += mode === 0x41 || mode === 0x42 ? 4 : 3;
+                continue;
+            }
+            index += 3; // GS ! n (size)
+            continue;
+        }
+        text += String.fromCharCode(byte);
+        index += 1;
+    }
+    return text;
+};
+
+let jobCount = 0;
+const server = net.createServer((socket) => {
+    if (dropsLeft > 0) {
+        dropsLeft -= 1;
+        console.log(`[stand-in printer] Dropped a job (${dropsLeft} more to drop)`);
+        socket.resetAndDestroy();
+        return;
+    }
+
+    const chunks = [];
+    socket.on('data', (chunk) => {
+        if (chunk[0] === 0x10 && chunk[1] === 0x04) { // DLE EOT n: status query
+            socket.write(Buffer.from([0x12])); // Online, no errors
+            return;
+        }
+        chunks.push(chunk);
+    });
+    socket.on('end', () => {
+        const data = Buffer.concat(chunks);
+        jobCount += 1;
+        console.log(`\n[stand-in printer] Job ${jobCount} from ${socket.remoteAddress} (${data.length} bytes)\n`);
+        console.log(render(data));
+        if (saveDir) {
+            fs.mkdirSync(saveDir, { recursive: true });
+            fs.writeFileSync(path.join(saveDir, `job-${Date.now()}-${jobCount}.bin`), data);
+        }
+    });
+    socket.on('error', error => console.error('[stand-in printer] Connection error:', error.message));
+});
+
+server.listen(port, () => {
+    console.log(`[stand-in printer] Listening for ESC/POS on port ${port}`);
+});
@@ -10,6 +10,8 @@ const {
   getDailySalesReport,
   getMonthlySalesReport,
   getMostOrderedDishes,
+  getCoursePacingReport,
+  getDishKitchenTimesReport,
   getStoredReports,
   getStoredReportById,
   deleteStoredReport,
@@ -48,6 +50,12 @@ router
 router
   .route("/reports/dishes/most-ordered")
   .get(protect, authorizeRoles("admin"), getMostOrderedDishes);
+router
+  .route("/reports/kitchen/pacing")
+  .get(protect, authorizeRoles("admin"), getCoursePacingReport);
+router
+  .route("/reports/kitchen/dish-times")
+  .get(protect, authorizeRoles("admin"), getDishKitchenTimesReport);
 
 // Routes for Stored Reports (Admin only)
 router
@@ -0,0 +1,17 @@
+// routes/calendarRoutes.js
+const express = require('express');
+const router = express.Router();
+const { createCalendarFeed, revokeCalendarFeed, getCalendarFeed } = require('../controllers/calendarController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimitMiddleware');
+
+const feedRequestsPerIp = rateLimit({ windowMs: 15 * 60 * 1000, max: 60, message: 'Too many calendar requests. Please try again later.' });
+
+// Calendar apps can't log in, so the private feed URL carries its own token
+router.get('/feed/:token', feedRequestsPerIp, getCalendarFeed);
+
+router.route('/feed')
+    .post(protect, authorizeRoles('admin', 'customer'), createCalendarFeed) // Get a feed URL
+    .delete(protect, authorizeRoles('admin', 'waiter', 'customer'), revokeCalendarFeed); // Disable it (waiters can clear a feed made before they lost access)
+
+module.exports = router;
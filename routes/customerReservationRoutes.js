@@ -7,8 +7,11 @@ const {
     getCustomerReservationById,
     updateCustomerReservation,
     cancelCustomerReservation,
+    payCustomerReservationDeposit,
+    updateCustomerPreOrder,
     getCustomerAvailableTables,
 } = require('../controllers/customerReservationController');
+const { downloadCustomerReservationCalendar } = require('../controllers/calendarController');
 const { protect, authorizeRoles } = require('../middleware/authMiddleware');
 
 // All customer reservation routes require authentication and customer role
@@ -29,4 +32,13 @@ router.route('/:id')
     .put(updateCustomerReservation)      // Update reservation
     .delete(cancelCustomerReservation);  // Cancel reservation
 
+// Calendar invite (.ics) for the reservation
+router.get('/:id/calendar', downloadCustomerReservationCalendar);
+
+// Pay the deposit some bookings require
+router.post('/:id/deposit', payCustomerReservationDeposit);
+
+// Choose dishes in advance; they go to the kitchen when the party is seated
+router.put('/:id/pre-order', updateCustomerPreOrder);
+
 module.exports = router; 
\ No newline at end of file
@@ -8,6 +8,7 @@ const {
     updateDish,
     deleteDish,
     toggleDishAvailability, // <--- NEW: Import the new function
+    learnDishPreparationTimes,
 } = require('../controllers/dishController');
 const { protect, authorizeRoles } = require('../middleware/authMiddleware');
 const upload = require('../utils/upload');
@@ -17,6 +18,9 @@ router.route('/')
     .post(protect, authorizeRoles('admin', 'chef'), upload.single('image'), createDish)
     .get(getDishes);
 
+// Replace static prep-time estimates with averages from finished tickets
+router.post('/preparation-times/learn', protect, authorizeRoles('admin'), learnDishPreparationTimes);
+
 // Routes for specific dish operations by ID
 router.route('/:id')
     .get(getDishById)
@@ -0,0 +1,31 @@
+// routes/eventBookingRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    createEventBooking,
+    getEventBookings,
+    getEventBookingById,
+    updateEventBooking,
+    updateEventBookingStatus,
+    payEventDeposit,
+} = require('../controllers/eventBookingController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Large parties, private events and buyouts
+router.use(protect);
+
+router.route('/')
+    .post(authorizeRoles('admin'), createEventBooking)
+    .get(authorizeRoles('admin', 'waiter'), getEventBookings);
+
+router.route('/:id')
+    .get(authorizeRoles('admin', 'waiter'), getEventBookingById)
+    .put(authorizeRoles('admin'), updateEventBooking);
+
+// Quote -> contract -> confirmed (or cancelled)
+router.put('/:id/status', authorizeRoles('admin'), updateEventBookingStatus);
+
+// Staff take deposit instalments (e.g. card over the phone)
+router.post('/:id/deposits/:instalmentId', authorizeRoles('admin', 'waiter'), payEventDeposit);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// routes/guestProfileRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    getGuestProfiles,
+    getGuestProfileById,
+    updateGuestProfile,
+} = require('../controllers/guestProfileController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// No-show history per phone number (Admin only)
+router.get('/', protect, authorizeRoles('admin'), getGuestProfiles);
+
+router.route('/:id')
+    .get(protect, authorizeRoles('admin'), getGuestProfileById)
+    .put(protect, authorizeRoles('admin'), updateGuestProfile);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+// routes/guestReservationRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    requestVerificationCode,
+    createGuestReservation,
+    getGuestReservation,
+    updateGuestReservation,
+    cancelGuestReservation,
+    payGuestReservationDeposit,
+    updateGuestPreOrder,
+} = require('../controllers/guestReservationController');
+const { rateLimit } = require('../middleware/rateLimitMiddleware');
+const { MINUTE_MS } = require('../utils/reservationTiming');
+
+// Public routes, so every one of them is rate limited by client IP
+const codeRequestsPerIp = rateLimit({ windowMs: 15 * MINUTE_MS, max: 5, message: 'Too many verification code requests. Please try again later.' });
+const codeRequestsPerPhone = rateLimit({
+    windowMs: 60 * MINUTE_MS,
+    max: 5,
+    keyGenerator: (req) => req.body && req.body.customerPhoneNumber,
+    message: 'Too many verification codes requested for this phone number. Please try again later.',
+});
+const bookingsPerIp = rateLimit({ windowMs: 60 * MINUTE_MS, max: 10, message: 'Too many booking attempts. Please try again later.' });
+const lookupsPerIp = rateLimit({ windowMs: 15 * MINUTE_MS, max: 30, message: 'Too many requests. Please try again later.' });
+
+// Step 1: verify the phone number; step 2: book with the code
+router.post('/verify-phone', codeRequestsPerIp, codeRequestsPerPhone, requestVerificationCode);
+router.post('/', bookingsPerIp, createGuestReservation);
+
+// Manage a booking with its reference code and phone number
+router.route('/:referenceCode')
+    .get(lookupsPerIp, getGuestReservation)
+    .put(lookupsPerIp, updateGuestReservation)
+    .delete(lookupsPerIp, cancelGuestReservation);
+
+router.post('/:referenceCode/deposit', bookingsPerIp, payGuestReservationDeposit);
+router.put('/:referenceCode/pre-order', lookupsPerIp, updateGuestPreOrder);
+
+module.exports = router;
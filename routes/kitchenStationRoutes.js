@@ -0,0 +1,24 @@
+// routes/kitchenStationRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    createStation,
+    getStations,
+    getStationById,
+    updateStation,
+    deleteStation,
+} = require('../controllers/kitchenStationController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Base routes for kitchen stations
+router.route('/')
+    .post(protect, authorizeRoles('admin'), createStation) // Only admins configure stations
+    .get(protect, authorizeRoles('admin', 'chef'), getStations);
+
+// Routes for specific station by ID
+router.route('/:id')
+    .get(protect, authorizeRoles('admin', 'chef'), getStationById)
+    .put(protect, authorizeRoles('admin'), updateStation)
+    .delete(protect, authorizeRoles('admin'), deleteStation);
+
+module.exports = router;
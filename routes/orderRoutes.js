@@ -3,14 +3,22 @@ const express = require("express");
 const router = express.Router();
 const {
     createOrder,
+    addOrderItems,
+    fireOrderCourse,
+    getTableTab,
     getOrders,
     getKDSOrders,
+    getStationKDSOrders,
+    getExpoOrders,
     getOrderById,
     updateOrderItemStatus,
     updateOrderStatus,
     cancelOrder,
     requestItemCancellation,
     manageItemCancellation,
+    modifyOrderItem,
+    addOrderItemCorrection,
+    removeOrderItem,
 } = require('../controllers/orderController');
 const { protect, authorizeRoles } = require('../middleware/authMiddleware');
 
@@ -20,12 +28,46 @@ router
   .post(protect, authorizeRoles("waiter", "admin"), createOrder) // Waiter or Admin can create orders
   .get(protect, authorizeRoles("admin", "chef", "waiter"), getOrders); // Admin sees all, Chef sees kitchen relevant, Waiter sees own
 router.get("/kds", protect, authorizeRoles("chef", "admin"), getKDSOrders);
+router.get(
+  "/kds/expo",
+  protect,
+  authorizeRoles("chef", "admin", "waiter"),
+  getExpoOrders
+);
+router.get(
+  "/kds/station/:stationId",
+  protect,
+  authorizeRoles("chef", "admin"),
+  getStationKDSOrders
+);
+router.get(
+  "/tab/:tableNumber",
+  protect,
+  authorizeRoles("waiter", "admin"),
+  getTableTab
+);
 
 // Routes for specific order by ID
 router
   .route("/:id")
   .get(protect, authorizeRoles("admin", "chef", "waiter"), getOrderById); // Get single order
 
+// Route to add a round of items to an open order (the table's tab)
+router.post(
+  "/:id/items",
+  protect,
+  authorizeRoles("waiter", "admin"),
+  addOrderItems
+);
+
+// Route to fire a held course (or the next one) to the kitchen
+router.put(
+  "/:id/fire",
+  protect,
+  authorizeRoles("waiter", "admin"),
+  fireOrderCourse
+);
+
 // Route to update overall order status
 router.put(
   "/:id/status",
@@ -67,4 +109,24 @@ router.put(
   manageItemCancellation
 );
 
+// Admin corrections to an order's items; each needs a reasonCode and accepts ?preview=true
+router.post(
+  "/:orderId/item",
+  protect,
+  authorizeRoles("admin"),
+  addOrderItemCorrection
+);
+router.put(
+  "/:orderId/item/:itemId/modify",
+  protect,
+  authorizeRoles("admin"),
+  modifyOrderItem
+);
+router.put(
+  "/:orderId/item/:itemId/remove",
+  protect,
+  authorizeRoles("admin"),
+  removeOrderItem
+);
+
 module.exports = router;
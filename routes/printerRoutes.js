@@ -0,0 +1,35 @@
+// routes/printerRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    createPrinter,
+    getPrinters,
+    getPrinterById,
+    updatePrinter,
+    deletePrinter,
+    testPrinter,
+    getPrintJobs,
+    getPrintJob,
+    reprintPrintJob,
+} = require('../controllers/printerController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Print jobs (kitchen tickets and receipts); declared before /:id so 'jobs' is not taken for a printer ID
+router.get('/jobs', protect, authorizeRoles('admin', 'chef'), getPrintJobs);
+router.get('/jobs/:jobId', protect, authorizeRoles('admin', 'chef'), getPrintJob);
+router.post('/jobs/:jobId/reprint', protect, authorizeRoles('admin', 'chef'), reprintPrintJob);
+
+// Base routes for printers
+router.route('/')
+    .post(protect, authorizeRoles('admin'), createPrinter) // Only admins manage printers
+    .get(protect, authorizeRoles('admin'), getPrinters);
+
+// Routes for specific printer by ID
+router.route('/:id')
+    .get(protect, authorizeRoles('admin'), getPrinterById)
+    .put(protect, authorizeRoles('admin'), updatePrinter)
+    .delete(protect, authorizeRoles('admin'), deletePrinter);
+
+router.post('/:id/test', protect, authorizeRoles('admin'), testPrinter);
+
+module.exports = router;
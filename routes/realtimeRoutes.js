@@ -0,0 +1,10 @@
+// routes/realtimeRoutes.js
+const express = require('express');
+const router = express.Router();
+const { streamEvents } = require('../controllers/realtimeController');
+const { protect, authorizeRoles, acceptQueryToken } = require('../middleware/authMiddleware');
+
+// Live order and ticket updates for kitchen screens and waiter tablets
+router.get('/stream', acceptQueryToken, protect, authorizeRoles('admin', 'chef', 'waiter'), streamEvents);
+
+module.exports = router;
@@ -5,12 +5,26 @@ const {
     createReservation,
     getReservations,
     getReservationById,
+    getReservationHistory,
+    updateReservation,
     updateReservationStatus,
     deleteReservation,
+    payReservationDeposit,
+    refundReservationDeposit,
     getAvailableTables,
+    getAvailabilityGrid,
     getPendingCustomerReservations,
     approveCustomerReservation,
 } = require('../controllers/reservationController');
+const { getReservationByToken, respondToReservation } = require('../controllers/reservationResponseController');
+const { downloadReservationCalendar } = require('../controllers/calendarController');
+const {
+    createReservationSeries,
+    getReservationSeries,
+    getReservationSeriesById,
+    updateReservationSeries,
+    cancelReservationSeries,
+} = require('../controllers/reservationSeriesController');
 const { protect, authorizeRoles } = require('../middleware/authMiddleware');
 
 // --- UPDATED ROUTE: Get Available Tables (Now Publicly Accessible) ---
@@ -18,10 +32,28 @@ const { protect, authorizeRoles } = require('../middleware/authMiddleware');
 // Accessible by ANY guest (no login required)
 router.get('/available', getAvailableTables); // <--- MODIFIED: Removed 'protect' middleware
 
+// GET /api/reservations/availability?date=YYYY-MM-DD&guests=N
+// Whole-day slot grid for the host stand and booking widget (public, like /available)
+router.get('/availability', getAvailabilityGrid);
+
+// Guests confirm or cancel from the link in their reminder message (public; the signed token is the credential)
+router.route('/respond/:token')
+    .get(getReservationByToken)
+    .post(respondToReservation);
+
 // Routes for customer reservation approval (Admin only) - MUST come BEFORE /:id routes
 router.get('/pending-customer', protect, authorizeRoles('admin'), getPendingCustomerReservations);
 router.put('/:id/approve', protect, authorizeRoles('admin'), approveCustomerReservation);
 
+// Recurring reservations (e.g. the same table every Friday) - also BEFORE /:id routes
+router.route('/series')
+    .post(protect, authorizeRoles('admin', 'waiter'), createReservationSeries)
+    .get(protect, authorizeRoles('admin', 'waiter'), getReservationSeries);
+router.route('/series/:id')
+    .get(protect, authorizeRoles('admin', 'waiter'), getReservationSeriesById)
+    .put(protect, authorizeRoles('admin', 'waiter'), updateReservationSeries) // Every upcoming occurrence
+    .delete(protect, authorizeRoles('admin', 'waiter'), cancelReservationSeries);
+
 // Base routes for reservations
 router.route('/')
     // POST /api/reservations: Create a new reservation
@@ -33,10 +65,21 @@ router.route('/')
 // Routes for specific reservation by ID (More general, so defined AFTER static paths)
 router.route('/:id')
     .get(protect, authorizeRoles('admin'), getReservationById) // Get single reservation (Admin only)
+    .put(protect, authorizeRoles('admin', 'waiter'), updateReservation) // Edit details; for a series only this occurrence
     .delete(protect, authorizeRoles('admin'), deleteReservation); // Delete reservation (Admin only)
 
+// Who changed what, and when (Admin only)
+router.get('/:id/history', protect, authorizeRoles('admin'), getReservationHistory);
+
+// Download as an .ics calendar event (Admin only)
+router.get('/:id/calendar', protect, authorizeRoles('admin'), downloadReservationCalendar);
+
 // Route to update reservation status (Admin only)
 router.put('/:id/status', protect, authorizeRoles('admin'), updateReservationStatus);
 
+// Deposits: staff take payment, admins can refund
+router.post('/:id/deposit', protect, authorizeRoles('admin', 'waiter'), payReservationDeposit);
+router.put('/:id/deposit/refund', protect, authorizeRoles('admin'), refundReservationDeposit);
+
 
 module.exports = router;
@@ -0,0 +1,28 @@
+// routes/scheduleRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    getSchedule,
+    updateSchedule,
+    getBlackouts,
+    createBlackout,
+    updateBlackout,
+    deleteBlackout,
+} = require('../controllers/scheduleController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Opening hours and booking rules (public read so the booking widget can show them)
+router.route('/')
+    .get(getSchedule)
+    .put(protect, authorizeRoles('admin'), updateSchedule);
+
+// Holidays, special closures and private-event blackouts
+router.route('/blackouts')
+    .get(protect, authorizeRoles('admin', 'waiter'), getBlackouts)
+    .post(protect, authorizeRoles('admin'), createBlackout);
+
+router.route('/blackouts/:id')
+    .put(protect, authorizeRoles('admin'), updateBlackout)
+    .delete(protect, authorizeRoles('admin'), deleteBlackout);
+
+module.exports = router;
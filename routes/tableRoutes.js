@@ -0,0 +1,28 @@
+// routes/tableRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    createTable,
+    getTables,
+    getTableById,
+    updateTable,
+    updateTableStatus,
+    deleteTable,
+} = require('../controllers/tableController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Base routes for tables
+router.route('/')
+    .post(protect, authorizeRoles('admin'), createTable) // Only admins manage the floor plan
+    .get(protect, authorizeRoles('admin', 'waiter'), getTables);
+
+// Routes for specific table by ID
+router.route('/:id')
+    .get(protect, authorizeRoles('admin', 'waiter'), getTableById)
+    .put(protect, authorizeRoles('admin'), updateTable)
+    .delete(protect, authorizeRoles('admin'), deleteTable);
+
+// Route to update the live status of a table (e.g. waiter marks it as cleaned)
+router.put('/:id/status', protect, authorizeRoles('admin', 'waiter'), updateTableStatus);
+
+module.exports = router;
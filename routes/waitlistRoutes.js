@@ -0,0 +1,30 @@
+// routes/waitlistRoutes.js
+const express = require('express');
+const router = express.Router();
+const {
+    addToWaitlist,
+    getWaitlist,
+    getWaitlistStats,
+    getWaitlistEntryById,
+    notifyWaitlistParty,
+    seatWaitlistParty,
+    cancelWaitlistEntry,
+} = require('../controllers/waitlistController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Hosts manage the walk-in waitlist
+router.route('/')
+    .post(protect, authorizeRoles('admin', 'waiter'), addToWaitlist)
+    .get(protect, authorizeRoles('admin', 'waiter'), getWaitlist);
+
+// Quoted vs. actual wait times (must be before /:id)
+router.get('/stats', protect, authorizeRoles('admin'), getWaitlistStats);
+
+router.get('/:id', protect, authorizeRoles('admin', 'waiter'), getWaitlistEntryById);
+
+// Page, seat or remove a party
+router.put('/:id/notify', protect, authorizeRoles('admin', 'waiter'), notifyWaitlistParty);
+router.put('/:id/seat', protect, authorizeRoles('admin', 'waiter'), seatWaitlistParty);
+router.put('/:id/cancel', protect, authorizeRoles('admin', 'waiter'), cancelWaitlistEntry);
+
+module.exports = router;
@@ -1,7 +1,17 @@
 // server.js
 const app = require('./app'); // Import the configured app
+const { startNoShowMonitor } = require('./utils/noShowMonitor');
+const { startJobScheduler } = require('./utils/jobScheduler');
+const { startKitchenAlertMonitor } = require('./utils/preparationTimes');
+const { startRealtimeFanout } = require('./utils/realtime');
+require('./utils/reservationReminders'); // Registers the reminder job handler
+require('./utils/printQueue'); // Registers the print retry job handler
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
+    startNoShowMonitor(); // Release confirmed bookings whose guests never arrived
+    startJobScheduler(); // Persisted background jobs such as reservation reminders
+    startKitchenAlertMonitor(); // Alert the kitchen and waiters about overdue items
+    startRealtimeFanout(); // Push live events published by other instances to this instance's clients
 });
\ No newline at end of file
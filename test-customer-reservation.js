@@ -56,6 +56,23 @@ async function registerOrLogin(user) {
     }
 }
 
+async function ensureTable(adminToken, table) {
+    try {
+        await axios.post(`${BASE_URL}/tables`, table, {
+            headers: { Authorization: `Bearer ${adminToken}` }
+        });
+        console.log(`   ✅ Table ${table.number} created`);
+    } catch (err) {
+        const message = err.response?.data?.message || '';
+        if (err.response?.status === 400 && message.toLowerCase().includes('already exists')) {
+            console.log(`   ⚠️  Table ${table.number} already exists`);
+            return;
+        }
+        console.log(`   ❌ Table creation failed: ${message}`);
+        throw err;
+    }
+}
+
 async function testCustomerReservationFlow() {
     try {
         console.log('🚀 Testing Customer Reservation Flow...\n');
@@ -68,7 +85,9 @@ async function testCustomerReservationFlow() {
         // Step 2: Register or login an admin
         console.log('2. Ensuring admin account...');
         const adminToken = await registerOrLogin(testAdmin);
-        console.log('✅ Admin token acquired\n');
+        console.log('✅ Admin token acquired');
+        await ensureTable(adminToken, { number: testReservation.tableNumber, capacity: 4, section: 'main' });
+        console.log('');
 
         // Step 3: Customer checks available tables
         console.log('3. Customer checking available tables...');
@@ -0,0 +1,152 @@
+// utils/dishModifiers.js
+
+/**
+ * Checks modifier groups sent for a dish (as an array, or a JSON string from a multipart form) and fills in
+ * their selection limits: a required group needs at least one choice, and by default any number of options can be picked.
+ * @param {(object[]|string)} modifierGroups
+ * @returns {{modifierGroups: object[], problem: ({status: number, message: string}|null)}}
+ */
+const parseModifierGroups = (modifierGroups) => {
+    let groups = modifierGroups;
+    if (typeof groups === 'string') {
+        try {
+            groups = JSON.parse(groups);
+        } catch (error) {
+            return { modifierGroups: [], problem: { status: 400, message: 'Modifier groups must be valid JSON.' } };
+        }
+    }
+    if (!Array.isArray(groups)) {
+        return { modifierGroups: [], problem: { status: 400, message: 'Modifier groups must be an array.' } };
+    }
+
+    const normalized = [];
+    for (const group of groups) {
+        if (!group || !group.name || !Array.isArray(group.options) || group.options.length === 0) {
+            return { modifierGroups: [], problem: { status: 400, message: 'Each modifier group needs a name and at least one option.' } };
+        }
+        if (group.options.some(option => !option || !option.name)) {
+            return { modifierGroups: [], problem: { status: 400, message: `Every option in '${group.name}' needs a name.` } };
+        }
+        if (group.options.some(option => option.priceDelta !== undefined && typeof option.priceDelta !== 'number')) {
+            return { modifierGroups: [], problem: { status: 400, message: `Option prices in '${group.name}' must be numbers.` } };
+        }
+
+        const minSelections = group.minSelections !== undefined ? group.minSelections : (group.isRequired ? 1 : 0);
+        const maxSelections = group.maxSelections !== undefined ? group.maxSelections : group.options.length;
+        if (!Number.isInteger(minSelections) || !Number.isInteger(maxSelections)
+            || minSelections < 0 || maxSelections < 1 || minSelections > maxSelections) {
+            return {
+                modifierGroups: [],
+                problem: { status: 400, message: `'${group.name}' needs whole-number selection limits with minimum no more than maximum.` },
+            };
+        }
+        if (group.isRequired && minSelections < 1) {
+            return { modifierGroups: [], problem: { status: 400, message: `'${group.name}' is required, so its minimum selection must be at least 1.` } };
+        }
+        if (minSelections > group.options.length) {
+            return { modifierGroups: [], problem: { status: 400, message: `'${group.name}' requires more selections than it has options.` } };
+        }
+        normalized.push({ ...group, isRequired: minSelections > 0, minSelections, maxSelections });
+    }
+
+    return { modifierGroups: normalized, problem: null };
+};
+
+/**
+ * Matches chosen options against a dish's modifier groups and copies their names and prices.
+ * Every group's selection limits are enforced, so required groups must be answered.
+ * @param {object} dish - Dish document.
+ * @param {string[]} [optionIds=[]] - IDs of the chosen options.
+ * @returns {{modifiers: object[], problem: ({status: number, message: string}|null)}}
+ */
+const resolveModifiers = (dish, optionIds = []) => {
+    if (!Array.isArray(optionIds)) {
+        return { modifiers: [], problem: { status: 400, message: `Modifiers for ${dish.name} must be an array of option IDs.` } };
+    }
+
+    const groups = dish.modifierGroups || [];
+    const modifiers = [];
+    for (const optionId of optionIds) {
+        const group = groups.find(candidate => candidate.options.id(optionId));
+        if (!group) {
+            return { modifiers: [], problem: { status: 400, message: `Modifier ${optionId} is not an option for ${dish.name}.` } };
+        }
+        const option = group.options.id(optionId);
+        if (!option.isAvailable) {
+            return { modifiers: [], problem: { status: 400, message: `'${option.name}' is currently unavailable for ${dish.name}.` } };
+        }
+        if (modifiers.some(modifier => modifier.option.equals(option._id))) {
+            return { modifiers: [], problem: { status: 400, message: `'${option.name}' was chosen more than once for ${dish.name}.` } };
+        }
+        modifiers.push({
+            group: group._id,
+            groupName: group.name,
+            option: option._id,
+            name: option.name,
+            priceDelta: option.priceDelta,
+        });
+    }
+
+    for (const group of groups) {
+        const selected = modifiers.filter(modifier => modifier.group.equals(group._id)).length;
+        if (selected < group.minSelections) {
+            return {
+                modifiers: [],
+                problem: { status: 400, message: `Please choose at least ${group.minSelections} from '${group.name}' for ${dish.name}.` },
+            };
+        }
+        if (selected > group.maxSelections) {
+            return {
+                modifiers: [],
+                problem: { status: 400, message: `Please choose no more than ${group.maxSelections} from '${group.name}' for ${dish.name}.` },
+            };
+        }
+    }
+
+    return { modifiers, problem: null };
+};
+
+/**
+ * Price of one portion with its modifiers.
+ * @param {number} dishPrice
+ * @param {object[]} [modifiers=[]]
+ * @returns {number}
+ */
+const unitPrice = (dishPrice, modifiers = []) => modifiers.reduce((sum, modifier) => sum + (modifier.priceDelta || 0), dishPrice);
+
+/**
+ * Short description of an item's modifiers for the kitchen, e.g. 'Size: Large; Extras: Extra cheese, Bacon'.
+ * @param {object[]} [modifiers=[]]
+ * @returns {string}
+ */
+const formatModifiers = (modifiers = []) => {
+    const byGroup = new Map();
+    for (const modifier of modifiers) {
+        if (!byGroup.has(modifier.groupName)) {
+            byGroup.set(modifier.groupName, []);
+        }
+        byGroup.get(modifier.groupName).push(modifier.name);
+    }
+    return [...byGroup.entries()].map(([groupName, names]) => `${groupName}: ${names.join(', ')}`).join('; ');
+};
+
+/**
+ * Identifies an order line by its dish, variant and chosen options, so the same dish in another size or
+ * with different modifiers is billed and split separately.
+ * @param {(object|string)} dish - Dish document or ID.
+ * @param {Array<(object|string)>} [modifiers=[]] - Modifiers, or option IDs.
+ * @param {string} [variant] - Variant ID.
+ * @returns {string}
+ */
+const lineKey = (dish, modifiers = [], variant) => [
+    variant ? `${dish._id || dish}@${variant}` : String(dish._id || dish),
+    ...modifiers.map(modifier => String(modifier.option || modifier)).sort(),
+].join('+');
+
+module.exports = {
+    parseModifierGroups,
+    resolveModifiers,
+    unitPrice,
+    formatModifiers,
+    lineKey,
+};
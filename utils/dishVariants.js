@@ -0,0 +1,98 @@
+// utils/dishVariants.js
+
+/**
+ * Checks variants sent for a dish (as an array, or a JSON string from a multipart form).
+ * @param {(object[]|string)} variants
+ * @returns {{variants: object[], problem: ({status: number, message: string}|null)}}
+ */
+const parseVariants = (variants) => {
+    let parsed = variants;
+    if (typeof parsed === 'string') {
+        try {
+            parsed = JSON.parse(parsed);
+        } catch (error) {
+            return { variants: [], problem: { status: 400, message: 'Variants must be valid JSON.' } };
+        }
+    }
+    if (!Array.isArray(parsed)) {
+        return { variants: [], problem: { status: 400, message: 'Variants must be an array.' } };
+    }
+
+    for (const variant of parsed) {
+        if (!variant || !variant.name) {
+            return { variants: [], problem: { status: 400, message: 'Each variant needs a name (e.g. Half, Full, Large).' } };
+        }
+        if (typeof variant.price !== 'number' || variant.price < 0) {
+            return { variants: [], problem: { status: 400, message: `Price for variant '${variant.name}' must be a non-negative number.` } };
+        }
+    }
+
+    const names = parsed.map(variant => variant.name.trim().toLowerCase());
+    if (new Set(names).size !== names.length) {
+        return { variants: [], problem: { status: 400, message: 'Variant names must be different from each other.' } };
+    }
+    const skus = parsed.filter(variant => variant.sku).map(variant => variant.sku.trim());
+    if (new Set(skus).size !== skus.length) {
+        return { variants: [], problem: { status: 400, message: 'Variant SKUs must be different from each other.' } };
+    }
+
+    return { variants: parsed, problem: null };
+};
+
+/**
+ * Picks the variant ordered for a dish. Dishes with variants need one; dishes without take none.
+ * @param {object} dish - Dish document.
+ * @param {string} [variantId]
+ * @returns {{variant: (object|null), problem: ({status: number, message: string}|null)}}
+ */
+const resolveVariant = (dish, variantId) => {
+    const variants = dish.variants || [];
+    if (variants.length === 0) {
+        if (variantId) {
+            return { variant: null, problem: { status: 400, message: `${dish.name} has no variants to choose from.` } };
+        }
+        return { variant: null, problem: null };
+    }
+
+    if (!variantId) {
+        return {
+            variant: null,
+            problem: { status: 400, message: `Please choose a variant for ${dish.name}: ${variants.map(variant => variant.name).join(', ')}.` },
+        };
+    }
+    const variant = variants.id(variantId);
+    if (!variant) {
+        return { variant: null, problem: { status: 400, message: `Variant ${variantId} is not an option for ${dish.name}.` } };
+    }
+    if (!variant.isAvailable) {
+        return { variant: null, problem: { status: 400, message: `${dish.name} (${variant.name}) is currently unavailable.` } };
+    }
+    return { variant, problem: null };
+};
+
+/**
+ * Current price of a dish, or of the chosen variant. Falls back to the dish price if the variant was removed.
+ * @param {object} dish - Dish document.
+ * @param {string} [variantId]
+ * @returns {number}
+ */
+const basePrice = (dish, variantId) => {
+    const variant = variantId && dish.variants ? dish.variants.id(variantId) : null;
+    return variant ? variant.price : dish.price;
+};
+
+/**
+ * Copies the variant fields onto an order, bill or pre-order item.
+ * @param {(object|null)} variant - Variant subdocument.
+ * @returns {object}
+ */
+const variantFields = (variant) => (variant
+    ? { variant: variant._id, variantName: variant.name, sku: variant.sku || '' }
+    : {});
+
+module.exports = {
+    parseVariants,
+    resolveVariant,
+    basePrice,
+    variantFields,
+};
@@ -0,0 +1,128 @@
+// utils/escpos.js
+
+// ESC/POS commands understood by common thermal receipt printers (Epson TM series and compatibles)
+const ESC = 0x1b;
+const GS = 0x1d;
+const COMMANDS = {
+    initialize: [ESC, 0x40, ESC, 0x74, 16], // Reset, then select code page 16 (WPC1252)
+    align: { left: [ESC, 0x61, 0], center: [ESC, 0x61, 1], right: [ESC, 0x61, 2] },
+    bold: (on) => [ESC, 0x45, on ? 1 : 0],
+    size: (large) => [GS, 0x21, large ? 0x11 : 0x00], // Double width and height
+    feed: (lines) => [ESC, 0x64, lines],
+    cut: [GS, 0x56, 0x41, 3], // Feed 3 lines, then cut
+};
+
+// Text is written in WPC1252 (selected on initialize), which matches Latin-1 from 0xA0 to 0xFF, so
+// accented dish names print as they are; anything else prints as '?'
+const toPrintable = (text) => String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+// Word-wraps to the line width; a paragraph's leading indent is kept on all of its lines
+const wrap = (text, width) => {
+    const lines = [];
+    for (const paragraph of String(text).split('\n')) {
+        const indent = paragraph.match(/^ */)[0].slice(0, Math.floor(width / 2));
+        const innerWidth = width - indent.length;
+        let line = '';
+        for (const word of paragraph.trimStart().split(' ')) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (candidate.length <= innerWidth) {
+                line = candidate;
+                continue;
+            }
+            if (line) {
+                lines.push(indent + line);
+            }
+            line = word;
+            while (line.length > innerWidth) {
+                lines.push(indent + line.slice(0, innerWidth));
+                line = line.slice(innerWidth);
+            }
+        }
+        lines.push(indent + line);
+    }
+    return lines;
+};
+
+const pad = (text, width, align) => {
+    const space = Math.max(0, width - text.length);
+    if (align === 'center') {
+        return ' '.repeat(Math.floor(space / 2)) + text;
+    }
+    return align === 'right' ? ' '.repeat(space) + text : text;
+};
+
+/**
+ * Builds a printable document as an ESC/POS byte stream and, alongside it, a plain-text preview
+ * laid out the same way. Methods chain.
+ * @param {object} [options]
+ * @param {number} [options.width=42] - Characters per line in normal size (42 on 80mm paper, 32 on 58mm).
+ * @returns {object}
+ */
+const createEscPosDocument = ({ width = 42 } = {}) => {
+    const bytes = [...COMMANDS.initialize];
+    const preview = [];
+    let align = 'left';
+    let large = false;
+
+    const document = {
+        align(value) {
+            align = value;
+            bytes.push(...COMMANDS.align[value]);
+            return document;
+        },
+        bold(on = true) {
+            bytes.push(...COMMANDS.bold(on));
+            return document;
+        },
+        large(on = true) {
+            large = on;
+            bytes.push(...COMMANDS.size(on));
+            return document;
+        },
+        text(value = '') {
+            const lineWidth = large ? Math.floor(width / 2) : width;
+            for (const line of wrap(toPrintable(value), lineWidth)) {
+                bytes.push(...Buffer.from(`${line}\n`, 'latin1'));
+                preview.push(pad(line, width, align));
+            }
+            return document;
+        },
+        // Left text and right text on one line, e.g. a dish and its price
+        columns(left, right) {
+            const rightText = toPrintable(right);
+            const leftLines = wrap(toPrintable(left), Math.max(1, width - rightText.length - 1));
+            const first = leftLines.shift();
+            const line = first + ' '.repeat(Math.max(1, width - first.length - rightText.length)) + rightText;
+            bytes.push(...Buffer.from(`${line}\n`, 'latin1'));
+            preview.push(line);
+            leftLines.forEach(rest => document.text(rest));
+            return document;
+        },
+        divider(character = '-') {
+            return document.text(character.repeat(large ? Math.floor(width / 2) : width));
+        },
+        feed(lines = 1) {
+            bytes.push(...COMMANDS.feed(lines));
+            for (let index = 0; index < lines; index += 1) {
+                preview.push('');
+            }
+            return document;
+        },
+        cut() {
+            bytes.push(...COMMANDS.cut);
+            preview.push('', '~'.repeat(width)); // Where the paper is cut
+            return document;
+        },
+        toBuffer() {
+            return Buffer.from(bytes);
+        },
+        toPreview() {
+            return preview.join('\n');
+        },
+    };
+    return document;
+};
+
+module.exports = {
+    createEscPosDocument,
+};
@@ -0,0 +1,298 @@
+// utils/eventBookings.js
+const Table = require('../models/Table');
+const Dish = require('../models/Dish');
+const Blackout = require('../models/Blackout');
+const Reservation = require('../models/Reservation');
+const reservationRules = require('../config/reservationRules');
+const { MINUTE_MS, DAY_MS, overlappingReservationsQuery } = require('./reservationTiming');
+const { ACTIVE_RESERVATION_STATUSES, tablesHeldQuery } = require('./reservationAvailability');
+const { findBlackouts } = require('./scheduleService');
+const { getPaymentProvider } = require('./payments');
+const { resolveVariant, variantFields } = require('./dishVariants');
+
+// Events in these statuses hold their tables (a tentative hold starts with the first inquiry)
+const TABLE_HOLDING_STATUSES = ['inquiry', 'quoted', 'contract_sent', 'confirmed'];
+
+/**
+ * Works out which tables an event holds: explicit tables, whole sections, or every table for a buyout.
+ * @param {object} params
+ * @param {boolean} [params.isBuyout=false]
+ * @param {string[]} [params.sections=[]]
+ * @param {string[]} [params.tableNumbers=[]]
+ * @param {number} params.numberOfGuests
+ * @returns {Promise<{tableNumbers: string[], totalCapacity: number, problem: ({status: number, message: string}|null)}>}
+ */
+const resolveEventTables = async ({ isBuyout = false, sections = [], tableNumbers = [], numberOfGuests }) => {
+    if (!Array.isArray(sections) || !Array.isArray(tableNumbers)) {
+        return { tableNumbers: [], totalCapacity: 0, problem: { status: 400, message: 'Sections and table numbers must be arrays.' } };
+    }
+
+    if (isBuyout) {
+        const tables = await Table.find({ isActive: true }).select('number capacity');
+        return {
+            tableNumbers: tables.map(table => table.number),
+            totalCapacity: tables.reduce((sum, table) => sum + table.capacity, 0),
+            problem: null, // A buyout can be a standing reception, so seating is not checked
+        };
+    }
+
+    if (sections.length === 0 && tableNumbers.length === 0) {
+        return {
+            tableNumbers: [],
+            totalCapacity: 0,
+            problem: { status: 400, message: 'Please choose the tables or sections for the event, or book it as a buyout.' },
+        };
+    }
+
+    const sectionTables = sections.length > 0 ? await Table.find({ section: { $in: sections }, isActive: true }) : [];
+    const emptySections = sections.filter(section => !sectionTables.some(table => table.section === section));
+    if (emptySections.length > 0) {
+        return { tableNumbers: [], totalCapacity: 0, problem: { status: 400, message: `No active tables in section ${emptySections.join(', ')}.` } };
+    }
+
+    const namedTables = tableNumbers.length > 0 ? await Table.find({ number: { $in: tableNumbers }, isActive: true }) : [];
+    const unknownTables = tableNumbers.filter(number => !namedTables.some(table => table.number === number));
+    if (unknownTables.length > 0) {
+        return { tableNumbers: [], totalCapacity: 0, problem: { status: 400, message: `Table ${unknownTables.join(', ')} does not exist or is not active.` } };
+    }
+
+    const tablesByNumber = new Map([...sectionTables, ...namedTables].map(table => [table.number, table]));
+    const totalCapacity = [...tablesByNumber.values()].reduce((sum, table) => sum + table.capacity, 0);
+    if (totalCapacity < numberOfGuests) {
+        return {
+            tableNumbers: [],
+            totalCapacity,
+            problem: { status: 400, message: `The chosen tables seat ${totalCapacity} guests, but the event is for ${numberOfGuests}.` },
+        };
+    }
+
+    return { tableNumbers: [...tablesByNumber.keys()], totalCapacity, problem: null };
+};
+
+/**
+ * The period an event blocks its tables, including setting up and clearing down.
+ * @param {object} event - EventBooking document.
+ * @returns {{startsAt: Date, endsAt: Date}}
+ */
+const getBlockedInterval = (event) => ({
+    startsAt: new Date(event.startsAt.getTime() - reservationRules.events.setupMinutes * MINUTE_MS),
+    endsAt: new Date(event.endsAt.getTime() + reservationRules.events.clearDownMinutes * MINUTE_MS),
+});
+
+/**
+ * Finds reservations and other blackouts (closures, other events) clashing with an event's tables and time.
+ * @param {object} event - EventBooking document (may be unsaved).
+ * @returns {Promise<{reservations: object[], blackouts: object[]}>}
+ */
+const findEventConflicts = async (event) => {
+    const { startsAt, endsAt } = getBlockedInterval(event);
+
+    const reservationQuery = {
+        $and: [overlappingReservationsQuery(startsAt, endsAt)],
+        status: { $in: ACTIVE_RESERVATION_STATUSES },
+    };
+    if (!event.isBuyout) {
+        reservationQuery.$and.push(tablesHeldQuery(event.heldTableNumbers));
+    }
+
+    const [reservations, blackouts] = await Promise.all([
+        Reservation.find(reservationQuery).sort({ reservationTime: 1 }),
+        findBlackouts(startsAt, endsAt),
+    ]);
+
+    const clashingBlackouts = blackouts.filter(blackout => {
+        if (event.blackout && blackout._id.equals(event.blackout)) {
+            return false; // The event's own hold
+        }
+        return event.isBuyout
+            || blackout.tableNumbers.length === 0
+            || blackout.tableNumbers.some(number => event.heldTableNumbers.includes(number));
+    });
+
+    return { reservations, blackouts: clashingBlackouts };
+};
+
+/**
+ * Describes event conflicts for an error message.
+ * @param {{reservations: object[], blackouts: object[]}} conflicts
+ * @returns {string}
+ */
+const describeEventConflicts = ({ reservations, blackouts }) => [
+    ...reservations.map(reservation => `reservation for ${reservation.customerName} at ${reservation.reservationTime.toLocaleString()} (table ${[reservation.tableNumber, ...reservation.combinedTableNumbers].join(' + ')})`),
+    ...blackouts.map(blackout => `${blackout.title} (${blackout.startsAt.toLocaleString()} - ${blackout.endsAt.toLocaleString()})`),
+].join('; ');
+
+/**
+ * Loads the dishes for a set menu and copies their names and prices (of the chosen variant, if the dish has variants).
+ * @param {Array<{dish: string, variant: string, quantity: number}>} items - Dish IDs and portions per guest.
+ * @returns {Promise<{setMenu: object[], problem: ({status: number, message: string}|null)}>}
+ */
+const buildSetMenu = async (items) => {
+    if (!Array.isArray(items)) {
+        return { setMenu: [], problem: { status: 400, message: 'Set menu must be an array of { dish, quantity } items.' } };
+    }
+
+    const dishes = await Dish.find({ _id: { $in: items.map(item => item.dish) } });
+    const setMenu = [];
+    for (const item of items) {
+        const dish = dishes.find(candidate => candidate._id.equals(item.dish));
+        if (!dish) {
+            return { setMenu: [], problem: { status: 404, message: `Dish not found with ID: ${item.dish}` } };
+        }
+        if (!dish.isAvailable) {
+            return { setMenu: [], problem: { status: 400, message: `Dish '${dish.name}' is currently unavailable.` } };
+        }
+        const { variant, problem } = resolveVariant(dish, item.variant);
+        if (problem) {
+            return { setMenu: [], problem };
+        }
+        setMenu.push({
+            dish: dish._id,
+            ...variantFields(variant),
+            name: dish.name,
+            price: variant ? variant.price : dish.price,
+            quantity: item.quantity || 1,
+        });
+    }
+
+    return { setMenu, problem: null };
+};
+
+/**
+ * Recalculates an event's quote: the set menu for every guest or the minimum spend, whichever
+ * is higher, plus the venue hire fee. Updates the document without saving it.
+ * @param {object} event - EventBooking document.
+ * @returns {object} - The event's quote.
+ */
+const calculateEventQuote = (event) => {
+    const menuPricePerGuest = event.setMenuPricePerGuest !== undefined && event.setMenuPricePerGuest !== null
+        ? event.setMenuPricePerGuest
+        : event.setMenu.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+    event.quote.setMenuTotal = menuPricePerGuest * event.numberOfGuests;
+    event.quote.total = Math.max(event.quote.setMenuTotal, event.minimumSpend || 0) + (event.venueHireFee || 0);
+    return event.quote;
+};
+
+/**
+ * Builds the deposit instalments from the configured schedule and the quoted total.
+ * @param {object} event - EventBooking document with a calculated quote.
+ * @param {Date} [now]
+ * @returns {object[]}
+ */
+const buildDepositSchedule = (event, now = new Date()) => reservationRules.events.depositSchedule.map(instalment => ({
+    label: instalment.label,
+    amount: Math.round(event.quote.total * instalment.percent / 100),
+    dueDate: new Date(Math.max(now.getTime(), event.startsAt.getTime() - instalment.daysBeforeEvent * DAY_MS)),
+    status: 'pending',
+}));
+
+/**
+ * Creates, moves or removes the Blackout that holds an event's tables, so every availability check
+ * (staff, customer and guest bookings, the available-tables list and the day grid) leaves them out.
+ * Sets `event.blackout` without saving the event.
+ * @param {object} event - EventBooking document.
+ * @returns {Promise<(object|null)>} - The Blackout, or null when the event no longer holds tables.
+ */
+const syncEventBlackout = async (event) => {
+    const existing = event.blackout ? await Blackout.findById(event.blackout) : null;
+
+    if (!TABLE_HOLDING_STATUSES.includes(event.status)) {
+        if (existing) {
+            await existing.deleteOne();
+        }
+        event.blackout = undefined;
+        return null;
+    }
+
+    const { startsAt, endsAt } = getBlockedInterval(event);
+    const blackout = existing || new Blackout({ type: 'private_event', eventBooking: event._id, createdBy: event.createdBy });
+    blackout.title = `Private event: ${event.title}`;
+    blackout.startsAt = startsAt;
+    blackout.endsAt = endsAt;
+    blackout.tableNumbers = event.isBuyout ? [] : event.heldTableNumbers; // Empty blocks the whole venue
+    blackout.notes = `${event.numberOfGuests} guests (${event.status})`;
+
+    const savedBlackout = await blackout.save();
+    event.blackout = savedBlackout._id;
+    return savedBlackout;
+};
+
+/**
+ * Charges one deposit instalment through the payment provider. Updates the document without saving it.
+ * @param {object} event - EventBooking document.
+ * @param {object} instalment - Entry of event.depositSchedule.
+ * @param {string} paymentMethod - Payment method token from the payment form.
+ * @returns {Promise<({status: number, message: string}|null)>} - The problem, or null when paid.
+ */
+const chargeEventDeposit = async (event, instalment, paymentMethod) => {
+    if (instalment.status !== 'pending') {
+        return { status: 400, message: `This instalment is already ${instalment.status}.` };
+    }
+    if (!paymentMethod) {
+        return { status: 400, message: 'Please provide a payment method for the deposit.' };
+    }
+
+    const provider = getPaymentProvider();
+    const result = await provider.charge({
+        amount: instalment.amount,
+        currency: event.currency,
+        paymentMethod,
+        reference: `${event._id}:${instalment._id}`,
+        description: `${instalment.label} for ${event.title} on ${event.startsAt.toLocaleString()}`,
+    });
+
+    if (result.status !== 'succeeded') {
+        return { status: 402, message: `Deposit payment failed: ${result.failureReason}` };
+    }
+
+    instalment.status = 'paid';
+    instalment.provider = provider.name;
+    instalment.paymentId = result.paymentId;
+    instalment.paidAt = new Date();
+    return null;
+};
+
+/**
+ * Refunds every paid deposit instalment. Instalments whose refund fails stay paid for manual follow-up.
+ * Updates the document without saving it.
+ * @param {object} event - EventBooking document.
+ * @param {string} [reason]
+ * @returns {Promise<{refunded: number, failed: string[]}>} - Refunded amount and labels of failed refunds.
+ */
+const refundEventDeposits = async (event, reason) => {
+    let refunded = 0;
+    const failed = [];
+
+    for (const instalment of event.depositSchedule.filter(entry => entry.status === 'paid')) {
+        const result = await getPaymentProvider(instalment.provider).refund({
+            paymentId: instalment.paymentId,
+            amount: instalment.amount,
+            reason,
+        });
+        if (result.status !== 'succeeded') {
+            failed.push(instalment.label);
+            continue;
+        }
+        instalment.status = 'refunded';
+        instalment.refundId = result.refundId;
+        instalment.refundedAt = new Date();
+        refunded += instalment.amount;
+    }
+
+    return { refunded, failed };
+};
+
+module.exports = {
+    TABLE_HOLDING_STATUSES,
+    resolveEventTables,
+    getBlockedInterval,
+    findEventConflicts,
+    describeEventConflicts,
+    buildSetMenu,
+    calculateEventQuote,
+    buildDepositSchedule,
+    syncEventBlackout,
+    chargeEventDeposit,
+    refundEventDeposits,
+};
@@ -0,0 +1,75 @@
+// utils/guestProfiles.js
+const GuestProfile = require('../models/GuestProfile');
+const reservationRules = require('../config/reservationRules');
+
+/**
+ * Counts a no-show against a guest's phone number, flagging them or requiring a deposit
+ * once they reach the configured thresholds.
+ * @param {string} phoneNumber - Guest's phone number in E.164 format.
+ * @param {Date} [noShowAt]
+ * @returns {Promise<object>} - The updated GuestProfile.
+ */
+const recordNoShow = async (phoneNumber, noShowAt = new Date()) => {
+    const profile = await GuestProfile.findOneAndUpdate(
+        { phoneNumber },
+        { $inc: { noShowCount: 1 }, $set: { lastNoShowAt: noShowAt } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    const { flagThreshold, depositThreshold } = reservationRules.noShow;
+    let changed = false;
+    if (profile.noShowCount >= flagThreshold && !profile.isFlagged) {
+        profile.isFlagged = true;
+        changed = true;
+    }
+    if (profile.noShowCount >= depositThreshold && !profile.requiresDeposit) {
+        profile.requiresDeposit = true;
+        changed = true;
+    }
+
+    return changed ? profile.save() : profile;
+};
+
+/**
+ * Takes back a no-show recorded by mistake (e.g. the guest turned up late and was seated).
+ * Flags are left for an admin to clear.
+ * @param {string} phoneNumber
+ * @returns {Promise<object|null>}
+ */
+const clearNoShow = async (phoneNumber) => GuestProfile.findOneAndUpdate(
+    { phoneNumber, noShowCount: { $gt: 0 } },
+    { $inc: { noShowCount: -1 } },
+    { new: true }
+);
+
+/**
+ * Summarizes a guest's no-show history for admins reviewing their booking.
+ * @param {string} phoneNumber
+ * @returns {Promise<{noShowCount: number, lastNoShowAt: (Date|null), isFlagged: boolean, requiresDeposit: boolean, warning: (string|null)}>}
+ */
+const getGuestHistory = async (phoneNumber) => {
+    const profile = await GuestProfile.findOne({ phoneNumber });
+
+    if (!profile) {
+        return { noShowCount: 0, lastNoShowAt: null, isFlagged: false, requiresDeposit: false, warning: null };
+    }
+
+    let warning = null;
+    if (profile.requiresDeposit) {
+        warning = `This guest has ${profile.noShowCount} no-show(s) and must pay a deposit to book.`;
+    } else if (profile.isFlagged) {
+        warning = `This guest has been flagged for ${profile.noShowCount} no-show(s).`;
+    } else if (profile.noShowCount > 0) {
+        warning = `This guest has ${profile.noShowCount} previous no-show(s).`;
+    }
+
+    return {
+        noShowCount: profile.noShowCount,
+        lastNoShowAt: profile.lastNoShowAt || null,
+        isFlagged: profile.isFlagged,
+        requiresDeposit: profile.requiresDeposit,
+        warning,
+    };
+};
+
+module.exports = { recordNoShow, clearNoShow, getGuestHistory };
@@ -0,0 +1,132 @@
+// utils/icalendar.js
+// Minimal iCalendar (RFC 5545) writer for reservation feeds and .ics downloads
+
+const PRODUCT_ID = '-//Restaurant Management System//Reservations//EN';
+const MAX_LINE_OCTETS = 75; // Content lines longer than this are folded (RFC 5545 section 3.1)
+
+/**
+ * Formats a date as a UTC date-time (e.g. '20240115T190000Z').
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDateTime = (date) => new Date(date).toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+/**
+ * Escapes a TEXT value: backslashes, semicolons, commas and line breaks.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeText = (text) => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Folds a content line into chunks of at most 75 octets, continuing each with a space.
+ * Never splits a multi-byte UTF-8 character.
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+    for (const char of line) {
+        const octets = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts towards their length
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+        current += char;
+        currentOctets += octets;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+/**
+ * Builds the lines of one VEVENT.
+ * @param {object} event
+ * @param {string} event.uid - Stays the same across updates so calendar apps replace the event.
+ * @param {number} [event.sequence=0] - Revision number; bumped whenever the event changes.
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {('TENTATIVE'|'CONFIRMED'|'CANCELLED')} [event.status]
+ * @param {{name: string, email: string}} [event.organizer]
+ * @param {Date} [event.lastModified]
+ * @param {Date} [now] - DTSTAMP.
+ * @returns {string[]}
+ */
+const buildEventLines = (event, now = new Date()) => {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `SEQUENCE:${event.sequence || 0}`,
+        `DTSTAMP:${formatDateTime(now)}`,
+        `DTSTART:${formatDateTime(event.start)}`,
+        `DTEND:${formatDateTime(event.end)}`,
+        `SUMMARY:${escapeText(event.summary)}`,
+    ];
+    if (event.description) {
+        lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.location) {
+        lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    if (event.status) {
+        lines.push(`STATUS:${event.status}`);
+    }
+    if (event.organizer) {
+        lines.push(`ORGANIZER;CN="${event.organizer.name.replace(/"/g, '\'')}":mailto:${event.organizer.email}`);
+    }
+    if (event.lastModified) {
+        lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+    }
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+/**
+ * Builds a complete VCALENDAR document.
+ * @param {object} params
+ * @param {object[]} params.events - See buildEventLines.
+ * @param {('PUBLISH'|'REQUEST'|'CANCEL')} [params.method='PUBLISH'] - CANCEL tells calendar apps to remove the events.
+ * @param {string} [params.name] - Calendar name shown by subscribing apps.
+ * @param {Date} [params.now]
+ * @returns {string}
+ */
+const buildCalendar = ({ events, method = 'PUBLISH', name, now = new Date() }) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+    ];
+    if (name) {
+        lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    }
+    for (const event of events) {
+        lines.push(...buildEventLines(event, now));
+    }
+    lines.push('END:VCALENDAR');
+
+    // Lines end in CRLF, including the last one
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+    formatDateTime,
+    escapeText,
+    foldLine,
+    buildCalendar,
+};
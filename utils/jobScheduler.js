@@ -0,0 +1,138 @@
+// utils/jobScheduler.js
+const ScheduledJob = require('../models/ScheduledJob');
+const { MINUTE_MS } = require('./reservationTiming');
+
+// A running job whose worker has not finished within this time is assumed lost (e.g. server restart)
+const STALE_LOCK_MINUTES = 10;
+// Failed attempts are retried after 1, 2, 4, ... minutes
+const RETRY_BASE_MINUTES = 1;
+
+const handlers = new Map();
+
+/**
+ * Registers the function that runs jobs of a given type.
+ * @param {string} type - Job type, e.g. 'reservation_reminder'.
+ * @param {function(object, Date): Promise<void>} handler - Called with the ScheduledJob document and the current time.
+ */
+const registerJobHandler = (type, handler) => {
+    handlers.set(type, handler);
+};
+
+/**
+ * Persists a job to run at (or after) a given time.
+ * @param {object} params
+ * @param {string} params.type
+ * @param {Date} params.runAt
+ * @param {object} [params.payload]
+ * @param {string} [params.refId] - Document the job is about.
+ * @param {number} [params.maxAttempts]
+ * @returns {Promise<object>} - The ScheduledJob document.
+ */
+const scheduleJob = ({ type, runAt, payload = {}, refId, maxAttempts }) =>
+    ScheduledJob.create({ type, runAt, payload, refId, maxAttempts });
+
+/**
+ * Cancels pending jobs about a document (e.g. reminders for a cancelled reservation).
+ * @param {object} params
+ * @param {string} params.refId
+ * @param {string} [params.type] - Only cancel jobs of this type.
+ * @returns {Promise<number>} - Number of jobs cancelled.
+ */
+const cancelJobs = async ({ refId, type }) => {
+    const query = { refId, status: 'pending' };
+    if (type) {
+        query.type = type;
+    }
+    const result = await ScheduledJob.updateMany(query, { $set: { status: 'cancelled' } });
+    return result.modifiedCount;
+};
+
+// Atomically claims the next due job so two server instances never run the same job
+const claimNextJob = (now) => ScheduledJob.findOneAndUpdate(
+    {
+        runAt: { $lte: now },
+        $or: [
+            { status: 'pending' },
+            { status: 'running', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MINUTES * MINUTE_MS) } },
+        ],
+    },
+    { $set: { status: 'running', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { runAt: 1 } }
+);
+
+/**
+ * Runs every job that is due at `now`. Failed jobs are retried with exponential backoff
+ * until they run out of attempts.
+ * @param {Date} [now] - Current time (pass a fake clock's time in tests).
+ * @returns {Promise<{completed: number, failed: number, retried: number}>}
+ */
+const runDueJobs = async (now = new Date()) => {
+    const summary = { completed: 0, failed: 0, retried: 0 };
+
+    let job = await claimNextJob(now);
+    while (job) {
+        const handler = handlers.get(job.type);
+        try {
+            if (!handler) {
+                throw new Error(`No handler registered for job type '${job.type}'`);
+            }
+            await handler(job, now);
+            job.status = 'completed';
+            job.completedAt = now;
+            job.lastError = undefined;
+            summary.completed += 1;
+        } catch (error) {
+            job.lastError = error.message;
+            if (job.attempts < job.maxAttempts) {
+                job.status = 'pending';
+                job.runAt = new Date(now.getTime() + RETRY_BASE_MINUTES * 2 ** (job.attempts - 1) * MINUTE_MS);
+                summary.retried += 1;
+            } else {
+                job.status = 'failed';
+                summary.failed += 1;
+            }
+        }
+        job.lockedAt = undefined;
+        await job.save();
+
+        job = await claimNextJob(now);
+    }
+
+    return summary;
+};
+
+/**
+ * Polls for due jobs on a timer. Jobs live in the database, so nothing is lost when the server restarts.
+ * @param {object} [options]
+ * @param {number} [options.intervalMs=60000]
+ * @param {function(): Date} [options.clock] - Returns the current time (inject a fake clock in tests).
+ * @returns {NodeJS.Timeout} - Pass to clearInterval to stop the scheduler.
+ */
+const startJobScheduler = ({ intervalMs = MINUTE_MS, clock = () => new Date() } = {}) => {
+    let running = false;
+    const tick = async () => {
+        if (running) {
+            return; // Previous run is still going
+        }
+        running = true;
+        try {
+            await runDueJobs(clock());
+        } catch (error) {
+            console.error('Job scheduler failed:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    timer.unref(); // Do not keep the process alive just for the scheduler
+    return timer;
+};
+
+module.exports = {
+    registerJobHandler,
+    scheduleJob,
+    cancelJobs,
+    runDueJobs,
+    startJobScheduler,
+};
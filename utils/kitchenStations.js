@@ -0,0 +1,108 @@
+// utils/kitchenStations.js
+const KitchenStation = require('../models/KitchenStation');
+const { CLOSED_ITEM_STATUSES } = require('./orderItemStateMachine'); // Items that will not be made never hold up a station
+
+const normalizeCategory = (category) => (category || '').trim().toLowerCase();
+
+/**
+ * Loads the active stations and indexes them for routing dishes.
+ * @returns {Promise<{stations: object[], byId: Map<string, object>, byCategory: Map<string, object>, defaultStation: (object|null)}>}
+ */
+const loadStationRouting = async () => {
+    const stations = await KitchenStation.find({ isActive: true }).sort({ sortOrder: 1, name: 1 });
+    const byCategory = new Map();
+    for (const station of stations) {
+        for (const category of station.categories) {
+            if (!byCategory.has(normalizeCategory(category))) {
+                byCategory.set(normalizeCategory(category), station);
+            }
+        }
+    }
+    return {
+        stations,
+        byId: new Map(stations.map(station => [String(station._id), station])),
+        byCategory,
+        defaultStation: stations.find(station => station.isDefault) || null,
+    };
+};
+
+/**
+ * The station that prepares a dish: the dish's own station, else the station claiming its category,
+ * else the default station.
+ * @param {object} dish - Dish document or populated dish (needs `station` and `category`).
+ * @param {object} routing - From loadStationRouting.
+ * @returns {(object|null)} - The KitchenStation, or null when nothing claims the dish.
+ */
+const stationForDish = (dish, routing) => {
+    if (!dish) {
+        return routing.defaultStation;
+    }
+    const ownStation = dish.station && routing.byId.get(String(dish.station._id || dish.station));
+    return ownStation || routing.byCategory.get(normalizeCategory(dish.category)) || routing.defaultStation;
+};
+
+/**
+ * Checks the category list sent for a station and that no other active station already claims one of them.
+ * @param {string[]} categories
+ * @param {string} [stationId] - The station being updated.
+ * @returns {Promise<({status: number, message: string}|null)>}
+ */
+const checkStationCategories = async (categories, stationId) => {
+    if (!Array.isArray(categories) || categories.some(category => typeof category !== 'string' || !category.trim())) {
+        return { status: 400, message: 'Categories must be an array of dish category names.' };
+    }
+    const others = await KitchenStation.find({ _id: { $ne: stationId }, isActive: true }).select('name categories');
+    for (const category of categories) {
+        const owner = others.find(station => station.categories.some(claimed => normalizeCategory(claimed) === normalizeCategory(category)));
+        if (owner) {
+            return { status: 409, message: `Category '${category}' is already routed to the ${owner.name} station.` };
+        }
+    }
+    return null;
+};
+
+/**
+ * Groups an order's fired items by station and reports how far each station is, for the expo view.
+ * Items no station claims are grouped as 'Unassigned'.
+ * @param {object} order - Plain order object with `items.dish` populated.
+ * @param {object} routing - From loadStationRouting.
+ * @returns {Array<{station: (object|null), name: string, items: object[], totalItems: number, readyItems: number, isReady: boolean}>}
+ */
+const summarizeStations = (order, routing) => {
+    const groups = new Map();
+    for (const item of order.items) {
+        if (item.fireStatus === 'held' || CLOSED_ITEM_STATUSES.includes(item.status)) {
+            continue;
+        }
+        const station = stationForDish(item.dish, routing);
+        const key = station ? String(station._id) : 'unassigned';
+        if (!groups.has(key)) {
+            groups.set(key, {
+                station: station ? station._id : null,
+                name: station ? station.name : 'Unassigned',
+                sortOrder: station ? station.sortOrder : Number.MAX_SAFE_INTEGER,
+                items: [],
+            });
+        }
+        groups.get(key).items.push(item);
+    }
+
+    return [...groups.values()]
+        .sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name))
+        .map(({ sortOrder, ...group }) => {
+            const readyItems = group.items.filter(item => item.status === 'ready').length;
+            return {
+                ...group,
+                totalItems: group.items.length,
+                readyItems,
+                isReady: readyItems === group.items.length,
+            };
+        });
+};
+
+module.exports = {
+    loadStationRouting,
+    stationForDish,
+    checkStationCategories,
+    summarizeStations,
+};
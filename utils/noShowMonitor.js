@@ -0,0 +1,88 @@
+// utils/noShowMonitor.js
+const Reservation = require('../models/Reservation');
+const Table = require('../models/Table');
+const reservationRules = require('../config/reservationRules');
+const { MINUTE_MS } = require('./reservationTiming');
+const { getReservationTableNumbers } = require('./reservationAvailability');
+const { recordNoShow } = require('./guestProfiles');
+const { setTableStatus } = require('./tableStatus');
+const { pageNextWaitlistParty } = require('./waitlistService');
+const { cancelReservationReminders } = require('./reservationReminders');
+const { forfeitDeposit } = require('./reservationDeposits');
+const { auditAs } = require('./reservationAudit');
+
+/**
+ * Frees tables that were held on the floor for a reservation that is no longer coming.
+ * @param {object} reservation - Reservation document.
+ * @returns {Promise<void>}
+ */
+const releaseReservedTables = async (reservation) => {
+    const tableNumbers = getReservationTableNumbers(reservation);
+    const heldTables = await Table.find({ number: { $in: tableNumbers }, status: 'reserved' }).select('number');
+
+    for (const { number } of heldTables) {
+        const table = await setTableStatus(number, 'free');
+        await pageNextWaitlistParty(table);
+    }
+};
+
+/**
+ * Marks a reservation as a no-show, counts it against the guest, keeps any deposit and frees its tables.
+ * @param {object} reservation - Reservation document (not yet saved with the new status).
+ * @param {Date} [now]
+ * @returns {Promise<object>} - The saved reservation.
+ */
+const markReservationNoShow = async (reservation, now = new Date()) => {
+    reservation.status = 'no_show';
+    reservation.noShowAt = now;
+    const updatedReservation = await reservation.save();
+
+    await forfeitDeposit(updatedReservation, now);
+    await cancelReservationReminders(updatedReservation);
+    await recordNoShow(updatedReservation.customerPhoneNumber, now);
+    await releaseReservedTables(updatedReservation);
+
+    return updatedReservation;
+};
+
+/**
+ * Marks confirmed reservations whose guests have not been seated within the grace period as no-shows.
+ * @param {Date} [now] - Current time (injectable for testing).
+ * @returns {Promise<object[]>} - The reservations marked as no-shows.
+ */
+const markNoShows = async (now = new Date()) => {
+    const cutoff = new Date(now.getTime() - reservationRules.noShow.graceMinutes * MINUTE_MS);
+    const overdue = await Reservation.find({ status: 'confirmed', reservationTime: { $lte: cutoff } });
+
+    const marked = [];
+    for (const reservation of overdue) {
+        auditAs(reservation, { channel: 'system', actorName: 'No-show monitor' });
+        marked.push(await markReservationNoShow(reservation, now));
+    }
+    return marked;
+};
+
+/**
+ * Runs markNoShows on a timer. Errors are logged so one bad run does not stop the monitor.
+ * @param {object} [options]
+ * @param {number} [options.intervalMs] - Defaults to the configured check interval.
+ * @returns {NodeJS.Timeout} - Pass to clearInterval to stop the monitor.
+ */
+const startNoShowMonitor = ({ intervalMs = reservationRules.noShow.checkIntervalMinutes * MINUTE_MS } = {}) => {
+    const run = async () => {
+        try {
+            const marked = await markNoShows();
+            if (marked.length > 0) {
+                console.log(`No-show monitor: marked ${marked.length} reservation(s) as no-show.`);
+            }
+        } catch (error) {
+            console.error('No-show monitor failed:', error.message);
+        }
+    };
+
+    const timer = setInterval(run, intervalMs);
+    timer.unref(); // Do not keep the process alive just for the monitor
+    return timer;
+};
+
+module.exports = { markReservationNoShow, markNoShows, startNoShowMonitor };
@@ -0,0 +1,194 @@
+// utils/orderCourses.js
+const { MINUTE_MS } = require('./reservationTiming');
+const { CLOSED_ITEM_STATUSES } = require('./orderItemStateMachine'); // Items that will not be made never hold up a course
+const { average } = require('./statistics');
+
+// Courses in serving order; drinks always go straight to the bar/kitchen
+const COURSES = ['drinks', 'starter', 'main', 'dessert'];
+
+const courseRank = (course) => COURSES.indexOf(course);
+
+/**
+ * Decides which new items go to the kitchen now and which wait for the waiter to fire their course.
+ * An item is fired when it is a drink, when its course has already been fired on the order, or when it is
+ * in the earliest course of a fresh order; later courses are held. `hold: true` on a requested item keeps
+ * it back regardless, and `fireAll` sends everything at once (e.g. for quick-service orders).
+ * Updates the items and the order's course log without saving.
+ * @param {object} order - Order document (the new items may already be on it).
+ * @param {object[]} newItems - Order items being added.
+ * @param {object} [options]
+ * @param {boolean} [options.fireAll=false]
+ * @param {string} [options.firedBy] - Staff member placing the items.
+ */
+const applyCourseHolds = (order, newItems, { fireAll = false, firedBy } = {}) => {
+    const firedCourses = (order.courses || []).filter(entry => entry.firedAt).map(entry => entry.course);
+    const highestFired = firedCourses.reduce((rank, course) => Math.max(rank, courseRank(course)), -1);
+    const earliestNew = newItems
+        .filter(item => item.course !== 'drinks')
+        .reduce((rank, item) => Math.min(rank, courseRank(item.course)), COURSES.length);
+    const fireUpTo = highestFired >= 0 ? highestFired : earliestNew;
+
+    const now = new Date();
+    for (const item of newItems) {
+        const fire = !item.hold && (fireAll || item.course === 'drinks' || courseRank(item.course) <= fireUpTo);
+        item.fireStatus = fire ? 'fired' : 'held';
+        item.firedAt = fire ? now : undefined;
+        if (fire) {
+            recordCourseFired(order, item.course, firedBy, now);
+        } else {
+            ensureCourseEntry(order, item.course);
+        }
+    }
+};
+
+const ensureCourseEntry = (order, course) => {
+    let entry = order.courses.find(candidate => candidate.course === course);
+    if (!entry) {
+        order.courses.push({ course });
+        entry = order.courses[order.courses.length - 1];
+    }
+    return entry;
+};
+
+// Marks a course as fired in the order's course log; the first firing time is kept for pacing reports
+const recordCourseFired = (order, course, firedBy, at = new Date()) => {
+    const entry = ensureCourseEntry(order, course);
+    if (!entry.firedAt) {
+        entry.firedAt = at;
+        entry.firedBy = firedBy;
+    }
+    entry.readyAt = undefined; // New work on the course
+    return entry;
+};
+
+/**
+ * The next course with held items, in serving order.
+ * @param {object} order - Order document.
+ * @returns {(string|null)}
+ */
+const nextHeldCourse = (order) => {
+    const heldCourses = order.items
+        .filter(item => item.fireStatus === 'held' && !CLOSED_ITEM_STATUSES.includes(item.status))
+        .map(item => item.course);
+    return COURSES.find(course => heldCourses.includes(course)) || null;
+};
+
+/**
+ * Sends a course's held items to the kitchen. Updates the document without saving it.
+ * @param {object} order - Order document.
+ * @param {string} [course] - Defaults to the next held course.
+ * @param {string} [firedBy] - Staff member firing the course.
+ * @returns {{course: (string|null), firedItems: number, problem: ({status: number, message: string}|null)}}
+ */
+const fireCourse = (order, course, firedBy) => {
+    const target = course || nextHeldCourse(order);
+    if (!target) {
+        return { course: null, firedItems: 0, problem: { status: 400, message: 'There are no held courses to fire on this order.' } };
+    }
+    if (!COURSES.includes(target)) {
+        return { course: target, firedItems: 0, problem: { status: 400, message: `Unknown course '${target}'. Courses are: ${COURSES.join(', ')}.` } };
+    }
+
+    const heldItems = order.items.filter(item => item.course === target && item.fireStatus === 'held'
+        && !CLOSED_ITEM_STATUSES.includes(item.status));
+    if (heldItems.length === 0) {
+        return { course: target, firedItems: 0, problem: { status: 400, message: `No held ${target} items to fire on this order.` } };
+    }
+
+    const now = new Date();
+    heldItems.forEach(item => {
+        item.fireStatus = 'fired';
+        item.firedAt = now;
+    });
+    recordCourseFired(order, target, firedBy, now);
+    return { course: target, firedItems: heldItems.length, problem: null };
+};
+
+/**
+ * Records when each fired course has all its items ready. Updates the document without saving it.
+ * @param {object} order - Order document.
+ */
+const updateCourseReadiness = (order) => {
+    for (const entry of order.courses) {
+        const items = order.items.filter(item => item.course === entry.course && item.fireStatus === 'fired'
+            && !CLOSED_ITEM_STATUSES.includes(item.status));
+        const allReady = entry.firedAt && items.length > 0 && items.every(item => item.status === 'ready');
+        if (allReady && !entry.readyAt) {
+            entry.readyAt = new Date();
+        }
+    }
+};
+
+/**
+ * Groups fired items by course in serving order, for the KDS.
+ * @param {object} order - Plain order object.
+ * @returns {Array<{course: string, firedAt: Date, readyAt: Date, items: object[]}>}
+ */
+const groupFiredItemsByCourse = (order) => COURSES
+    .map(course => {
+        const entry = (order.courses || []).find(candidate => candidate.course === course) || {};
+        return {
+            course,
+            firedAt: entry.firedAt,
+            readyAt: entry.readyAt,
+            items: order.items.filter(item => item.course === course && item.fireStatus !== 'held'),
+        };
+    })
+    .filter(group => group.items.length > 0);
+
+/**
+ * Summarizes kitchen pacing from orders' course logs: how long each course took from firing to ready,
+ * and how long guests waited between one course being ready and the next being fired.
+ * @param {object[]} orders - Orders with their `courses`.
+ * @returns {{courses: object[], gaps: object[]}} - Averages in minutes.
+ */
+const summarizeCoursePacing = (orders) => {
+    const toReady = new Map(COURSES.map(course => [course, []]));
+    const gaps = new Map();
+
+    for (const order of orders) {
+        const fired = order.courses
+            .filter(entry => entry.firedAt)
+            .sort((a, b) => courseRank(a.course) - courseRank(b.course));
+        for (const entry of fired) {
+            if (entry.readyAt) {
+                toReady.get(entry.course).push((entry.readyAt - entry.firedAt) / MINUTE_MS);
+            }
+        }
+
+        const served = fired.filter(entry => entry.course !== 'drinks');
+        for (let index = 1; index < served.length; index += 1) {
+            const previous = served[index - 1];
+            const next = served[index];
+            if (!previous.readyAt) {
+                continue;
+            }
+            const key = `${previous.course} -> ${next.course}`;
+            if (!gaps.has(key)) {
+                gaps.set(key, []);
+            }
+            gaps.get(key).push(Math.max(0, (next.firedAt - previous.readyAt) / MINUTE_MS));
+        }
+    }
+
+    return {
+        courses: COURSES
+            .map(course => ({ course, orders: toReady.get(course).length, averageMinutesToReady: average(toReady.get(course)) }))
+            .filter(entry => entry.orders > 0),
+        gaps: [...gaps.entries()].map(([between, minutes]) => ({
+            between,
+            orders: minutes.length,
+            averageMinutesBetween: average(minutes),
+        })),
+    };
+};
+
+module.exports = {
+    COURSES,
+    applyCourseHolds,
+    nextHeldCourse,
+    fireCourse,
+    updateCourseReadiness,
+    groupFiredItemsByCourse,
+    summarizeCoursePacing,
+};
@@ -0,0 +1,130 @@
+// utils/orderItemStateMachine.js
+
+// Statuses an order item can move to from each status, and the roles allowed to make each move.
+// 'system' covers moves the app makes on someone's behalf, such as cancelling every item of a cancelled order.
+// Admin moves back to 'pending' happen when a correction changes the dish, which the kitchen must accept again.
+const ITEM_TRANSITIONS = {
+    pending: {
+        accepted: ['chef', 'admin'],
+        declined: ['chef', 'admin'],
+        cancellation_requested: ['waiter', 'admin'],
+        cancelled: ['admin', 'system'],
+    },
+    accepted: {
+        preparing: ['chef', 'admin'],
+        ready: ['chef', 'admin'],
+        cancellation_requested: ['waiter', 'admin'],
+        cancelled: ['admin', 'system'],
+        pending: ['admin'],
+    },
+    preparing: {
+        ready: ['chef', 'admin'],
+        cancellation_requested: ['waiter', 'admin'],
+        cancelled: ['admin', 'system'],
+        pending: ['admin'],
+    },
+    ready: {
+        preparing: ['chef', 'admin'], // Sent back to be remade
+        cancelled: ['admin', 'system'],
+        pending: ['admin'],
+    },
+    cancellation_requested: {
+        // Rejecting the request puts the item back where it was
+        pending: ['admin'],
+        accepted: ['admin'],
+        preparing: ['admin'],
+        ready: ['admin'],
+        cancelled: ['admin', 'system'],
+    },
+    declined: {},
+    cancelled: {},
+};
+
+const ITEM_STATUSES = Object.keys(ITEM_TRANSITIONS);
+
+// Items that will not be made, served or billed
+const CLOSED_ITEM_STATUSES = ['declined', 'cancelled'];
+
+/**
+ * Statuses a role may move an item to from its current status.
+ * @param {string} from - Current item status.
+ * @param {string} role - 'chef', 'waiter', 'admin' or 'system'.
+ * @returns {string[]}
+ */
+const allowedTransitions = (from, role) => Object.entries(ITEM_TRANSITIONS[from] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([to]) => to);
+
+/**
+ * Checks a status change against the state machine. Every rejected move is a conflict (409); when
+ * another role could make it, the message says which.
+ * @param {string} from - Current item status.
+ * @param {string} to - Requested status.
+ * @param {string} role
+ * @returns {({status: number, message: string}|null)}
+ */
+const checkItemTransition = (from, to, role) => {
+    const allowed = allowedTransitions(from, role);
+    const nextSteps = allowed.length > 0 ? `From '${from}' you can move it to: ${allowed.join(', ')}.` : `'${from}' is final.`;
+
+    if (from === to) {
+        return { status: 409, message: `Item is already '${to}'.` };
+    }
+    if (!(ITEM_TRANSITIONS[from] && ITEM_TRANSITIONS[from][to])) {
+        return { status: 409, message: `An item cannot move from '${from}' to '${to}'. ${nextSteps}` };
+    }
+    if (!ITEM_TRANSITIONS[from][to].includes(role)) {
+        const roles = ITEM_TRANSITIONS[from][to].filter(allowedRole => allowedRole !== 'system');
+        return {
+            status: 409,
+            message: `A ${role} cannot move an item from '${from}' to '${to}' (only ${roles.join(' or ')}). ${nextSteps}`,
+        };
+    }
+    return null;
+};
+
+/**
+ * Moves an item to a new status if the state machine allows it, recording the time in the item's
+ * timestamps and the move in its statusHistory. Updates the document without saving it.
+ * @param {object} item - Order item subdocument.
+ * @param {string} to - New status.
+ * @param {object} actor
+ * @param {string} actor.role - 'chef', 'waiter', 'admin' or 'system'.
+ * @param {string} [actor.by] - User making the change.
+ * @param {Date} [actor.at]
+ * @returns {({status: number, message: string}|null)} - The problem, or null when the item was moved.
+ */
+const transitionItem = (item, to, { role, by, at = new Date() }) => {
+    const problem = checkItemTransition(item.status, to, role);
+    if (problem) {
+        return problem;
+    }
+
+    // An item sent back (to be remade, or accepted again after a correction) can run late again
+    if (to === 'pending' || (item.status === 'ready' && to === 'preparing')) {
+        item.overdueAlertedAt = undefined;
+    }
+    item.statusHistory.push({ from: item.status, to, at, by, role });
+    item.set(`timestamps.${to}`, at); // Latest time the item reached the status; statusHistory keeps every move
+    item.status = to;
+    return null;
+};
+
+/**
+ * The status an item had before a cancellation was requested, so rejecting the request can restore it.
+ * @param {object} item - Order item.
+ * @returns {string}
+ */
+const statusBeforeCancellationRequest = (item) => {
+    const request = [...item.statusHistory].reverse().find(entry => entry.to === 'cancellation_requested');
+    return request ? request.from : 'accepted';
+};
+
+module.exports = {
+    ITEM_STATUSES,
+    CLOSED_ITEM_STATUSES,
+    allowedTransitions,
+    checkItemTransition,
+    transitionItem,
+    statusBeforeCancellationRequest,
+};
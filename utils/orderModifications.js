@@ -0,0 +1,82 @@
+// utils/orderModifications.js
+const Dish = require('../models/Dish');
+const { unitPrice } = require('./dishModifiers');
+const { basePrice } = require('./dishVariants');
+const { CLOSED_ITEM_STATUSES } = require('./orderItemStateMachine');
+
+// Why an admin changed an order; 'other' needs a note
+const MODIFICATION_REASON_CODES = [
+    'wrong_dish',
+    'wrong_quantity',
+    'guest_request',
+    'out_of_stock',
+    'kitchen_error',
+    'complimentary',
+    'other',
+];
+
+// Items the kitchen has already started on; changing them has to be flagged on the KDS
+const IN_PROGRESS_ITEM_STATUSES = ['accepted', 'preparing', 'ready'];
+
+/**
+ * Checks the reason given for an order modification.
+ * @param {object} params
+ * @param {string} params.reasonCode - One of MODIFICATION_REASON_CODES.
+ * @param {string} [params.reasonNote]
+ * @returns {({status: number, message: string}|null)}
+ */
+const checkModificationReason = ({ reasonCode, reasonNote }) => {
+    if (!MODIFICATION_REASON_CODES.includes(reasonCode)) {
+        return { status: 400, message: `Please give a reason code for the change: ${MODIFICATION_REASON_CODES.join(', ')}.` };
+    }
+    if (reasonCode === 'other' && !(reasonNote && reasonNote.trim())) {
+        return { status: 400, message: 'Please describe the reason in reasonNote when the reason code is \'other\'.' };
+    }
+    return null;
+};
+
+/**
+ * What the order will come to once served: every item that is not declined or cancelled, at the current
+ * price of its dish or variant plus the modifiers chosen.
+ * @param {object} order - Order document.
+ * @param {Map<string, object>} dishesById - Dish ID to Dish document.
+ * @returns {number}
+ */
+const estimateOrderTotal = (order, dishesById) => order.items.reduce((sum, item) => {
+    const dish = dishesById.get(String(item.dish._id || item.dish));
+    if (CLOSED_ITEM_STATUSES.includes(item.status) || !dish) {
+        return sum;
+    }
+    return sum + unitPrice(basePrice(dish, item.variant), item.modifiers) * item.quantity;
+}, 0);
+
+/**
+ * Loads the prices (and variant prices) of every dish on an order, plus any extra dishes about to be added.
+ * @param {object} order - Order document.
+ * @param {string[]} [extraDishIds]
+ * @returns {Promise<Map<string, object>>} - Dish ID to Dish document.
+ */
+const loadDishPrices = async (order, extraDishIds = []) => {
+    const dishIds = [...order.items.map(item => item.dish._id || item.dish), ...extraDishIds];
+    const dishes = await Dish.find({ _id: { $in: dishIds } }).select('price variants');
+    return new Map(dishes.map(dish => [String(dish._id), dish]));
+};
+
+/**
+ * Flags a changed item on the KDS until the kitchen next updates it. Updates the document without saving it.
+ * @param {object} item - Order item.
+ * @param {string} message
+ */
+const notifyKitchen = (item, message) => {
+    item.kitchenNotice = message;
+    item.kitchenNoticeAt = new Date();
+};
+
+module.exports = {
+    MODIFICATION_REASON_CODES,
+    IN_PROGRESS_ITEM_STATUSES,
+    checkModificationReason,
+    estimateOrderTotal,
+    loadDishPrices,
+    notifyKitchen,
+};
@@ -0,0 +1,126 @@
+// utils/orderTabs.js
+const Order = require('../models/Order');
+const Dish = require('../models/Dish');
+const { resolveModifiers } = require('./dishModifiers');
+const { resolveVariant, variantFields } = require('./dishVariants');
+const { COURSES, applyCourseHolds } = require('./orderCourses');
+
+// An order stays open as the table's tab, collecting rounds, until it is billed or cancelled
+const openOrdersQuery = (tableNumber) => ({
+    tableNumber,
+    isBilled: false,
+    orderStatus: { $ne: 'cancelled' },
+});
+
+/**
+ * Finds the open tab on a table. If a table somehow has several open orders, the oldest one is the tab.
+ * @param {string} tableNumber - The table's number.
+ * @returns {Promise<(object|null)>} - The Order, or null when the table has no open tab.
+ */
+const findOpenTab = (tableNumber) => Order.findOne(openOrdersQuery(tableNumber)).sort({ orderDate: 1 });
+
+/**
+ * Validates requested dishes, variants and modifiers and turns them into pending order items for one round.
+ * Items take their dish's course unless one is given; `hold: true` keeps an item back until its course is fired.
+ * @param {Array<{dish: string, variant: string, quantity: number, notes: string, modifiers: string[], course: string, hold: boolean}>} items - Modifiers are option IDs.
+ * @param {object} [options]
+ * @param {number} [options.round=1] - Round the items belong to.
+ * @param {string} [options.addedBy] - Staff member taking the round.
+ * @returns {Promise<{orderItems: object[], problem: ({status: number, message: string}|null)}>}
+ */
+const buildOrderItems = async (items, { round = 1, addedBy } = {}) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        return { orderItems: [], problem: { status: 400, message: 'Please provide at least one item.' } };
+    }
+
+    const orderItems = [];
+    const addedAt = new Date();
+    for (const item of items) {
+        const dish = await Dish.findById(item.dish);
+        if (!dish) {
+            return { orderItems: [], problem: { status: 404, message: `Dish with ID ${item.dish} not found.` } };
+        }
+        if (!(item.quantity >= 1)) {
+            return { orderItems: [], problem: { status: 400, message: `Quantity for dish ${dish.name} must be at least 1.` } };
+        }
+        if (item.course !== undefined && !COURSES.includes(item.course)) {
+            return { orderItems: [], problem: { status: 400, message: `Unknown course '${item.course}'. Courses are: ${COURSES.join(', ')}.` } };
+        }
+        const resolved = resolveVariant(dish, item.variant);
+        if (resolved.problem) {
+            return { orderItems: [], problem: resolved.problem };
+        }
+        const { modifiers, problem } = resolveModifiers(dish, item.modifiers);
+        if (problem) {
+            return { orderItems: [], problem };
+        }
+        orderItems.push({
+            dish: dish._id,
+            ...variantFields(resolved.variant),
+            quantity: item.quantity,
+            status: 'pending', // Default status for new items
+            notes: item.notes || '',
+            modifiers,
+            course: item.course || dish.course,
+            hold: Boolean(item.hold), // Read by applyCourseHolds; not stored
+            round,
+            addedAt,
+            addedBy,
+        });
+    }
+
+    return { orderItems, problem: null };
+};
+
+/**
+ * Adds a new round of items to an open tab, holding later courses, and reopens the tab for the kitchen
+ * if everything before was already ready or served. Updates the document without saving it.
+ * @param {object} order - Order document (the open tab).
+ * @param {object[]} orderItems - Items from buildOrderItems.
+ * @param {object} [options] - Passed to applyCourseHolds (fireAll, firedBy).
+ * @returns {({status: number, message: string}|null)} - The problem, or null when the round was added.
+ */
+const appendRound = (order, orderItems, options = {}) => {
+    if (order.isBilled || order.orderStatus === 'cancelled') {
+        return { status: 400, message: `Cannot add items to an order that is ${order.isBilled ? 'already billed' : 'cancelled'}.` };
+    }
+
+    const round = (order.currentRound || 1) + 1;
+    orderItems.forEach(item => {
+        item.round = round;
+    });
+    applyCourseHolds(order, orderItems, options);
+    order.items.push(...orderItems);
+    order.currentRound = round;
+
+    // The kitchen has new work on this tab, so it goes back on the KDS
+    if (orderItems.some(item => item.fireStatus === 'fired') && ['ready', 'completed'].includes(order.orderStatus)) {
+        order.orderStatus = 'preparing';
+    }
+    return null;
+};
+
+/**
+ * Groups an order's items into kitchen tickets, one per round.
+ * @param {object} order - Order document or plain object.
+ * @returns {Array<{round: number, addedAt: Date, items: object[]}>}
+ */
+const groupItemsIntoTickets = (order) => {
+    const tickets = new Map();
+    for (const item of order.items) {
+        const round = item.round || 1;
+        if (!tickets.has(round)) {
+            tickets.set(round, { round, addedAt: item.addedAt || order.orderDate, items: [] });
+        }
+        tickets.get(round).items.push(item);
+    }
+    return [...tickets.values()].sort((a, b) => a.round - b.round);
+};
+
+module.exports = {
+    openOrdersQuery,
+    findOpenTab,
+    buildOrderItems,
+    appendRound,
+    groupItemsIntoTickets,
+};
@@ -0,0 +1,38 @@
+// utils/payments/index.js
+const mockPaymentProvider = require('./mockPaymentProvider');
+
+/**
+ * A payment provider wraps one payment gateway. Implementations must provide:
+ *
+ * charge({ amount, currency, paymentMethod, reference, description })
+ *   -> Promise<{ paymentId: string|null, status: 'succeeded'|'failed', failureReason: string|null }>
+ *   Takes the money immediately. `paymentMethod` is the gateway's token for the card/wallet.
+ *
+ * refund({ paymentId, amount, reason })
+ *   -> Promise<{ refundId: string|null, status: 'succeeded'|'failed', failureReason: string|null }>
+ *   Returns all or part of an earlier charge.
+ */
+const providers = new Map([[mockPaymentProvider.name, mockPaymentProvider]]);
+
+/**
+ * Makes a payment provider available by name (e.g. a real gateway at startup).
+ * @param {object} provider - Object with `name`, `charge` and `refund`.
+ */
+const registerPaymentProvider = (provider) => {
+    providers.set(provider.name, provider);
+};
+
+/**
+ * Returns the configured payment provider (PAYMENT_PROVIDER, defaulting to the mock provider).
+ * @param {string} [name]
+ * @returns {object}
+ */
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+    const provider = providers.get(name);
+    if (!provider) {
+        throw new Error(`Payment provider '${name}' is not registered`);
+    }
+    return provider;
+};
+
+module.exports = { registerPaymentProvider, getPaymentProvider };
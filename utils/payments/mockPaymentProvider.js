@@ -0,0 +1,35 @@
+// utils/payments/mockPaymentProvider.js
+const { v4: uuidv4 } = require('uuid');
+
+// Local stand-in for a real payment gateway, for development and testing.
+// Any payment method succeeds except 'mock_card_declined'. Payments are kept in memory only.
+const payments = new Map();
+
+const mockPaymentProvider = {
+    name: 'mock',
+
+    charge: async ({ amount, currency, paymentMethod, reference }) => {
+        if (paymentMethod === 'mock_card_declined') {
+            return { paymentId: null, status: 'failed', failureReason: 'Card declined (mock)' };
+        }
+
+        const paymentId = `mock_pay_${uuidv4()}`;
+        payments.set(paymentId, { amount, currency, reference, refundedAmount: 0 });
+        return { paymentId, status: 'succeeded', failureReason: null };
+    },
+
+    refund: async ({ paymentId, amount }) => {
+        const payment = payments.get(paymentId);
+        if (!payment) {
+            return { refundId: null, status: 'failed', failureReason: `Unknown payment ${paymentId} (mock payments are lost on restart)` };
+        }
+        if (payment.refundedAmount + amount > payment.amount) {
+            return { refundId: null, status: 'failed', failureReason: 'Refund exceeds the amount paid' };
+        }
+
+        payment.refundedAmount += amount;
+        return { refundId: `mock_refund_${uuidv4()}`, status: 'succeeded', failureReason: null };
+    },
+};
+
+module.exports = mockPaymentProvider;
@@ -0,0 +1,81 @@
+// utils/phoneVerification.js
+const crypto = require('crypto');
+const PhoneVerification = require('../models/PhoneVerification');
+const reservationRules = require('../config/reservationRules');
+const { sendWhatsAppMessage } = require('./whatsappService');
+
+const hashCode = (phoneNumber, code) => crypto
+    .createHash('sha256')
+    .update(`${phoneNumber}:${code}`)
+    .digest('hex');
+
+/**
+ * Sends a 6-digit verification code to a phone number over WhatsApp.
+ * A new code replaces any earlier one, but not more often than the resend cooldown allows.
+ * @param {string} phoneNumber - E.164 phone number.
+ * @param {Date} [now]
+ * @returns {Promise<{expiresAt: (Date|null), problem: ({status: number, message: string}|null)}>}
+ */
+const sendVerificationCode = async (phoneNumber, now = new Date()) => {
+    const { codeExpiryMinutes, resendCooldownSeconds } = reservationRules.guestBooking;
+
+    const existing = await PhoneVerification.findOne({ phoneNumber });
+    if (existing && now - existing.sentAt < resendCooldownSeconds * 1000) {
+        return {
+            expiresAt: null,
+            problem: { status: 429, message: `Please wait ${resendCooldownSeconds} seconds before requesting another code.` },
+        };
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const expiresAt = new Date(now.getTime() + codeExpiryMinutes * 60 * 1000);
+
+    const sent = await sendWhatsAppMessage(
+        phoneNumber,
+        `Your reservation verification code is ${code}. It expires in ${codeExpiryMinutes} minutes.\n\n` +
+        `Restaurant Name` // Replace with your restaurant name
+    );
+    if (!sent) {
+        return { expiresAt: null, problem: { status: 502, message: 'We could not send a code to this phone number. Please check it and try again.' } };
+    }
+
+    await PhoneVerification.findOneAndUpdate(
+        { phoneNumber },
+        { $set: { codeHash: hashCode(phoneNumber, code), expiresAt, attempts: 0, sentAt: now } },
+        { upsert: true }
+    );
+
+    return { expiresAt, problem: null };
+};
+
+/**
+ * Checks a verification code. A correct code is used up, so each code books at most once.
+ * @param {string} phoneNumber
+ * @param {string} code
+ * @param {Date} [now]
+ * @returns {Promise<({status: number, message: string}|null)>} - The problem, or null when the code is correct.
+ */
+const verifyCode = async (phoneNumber, code, now = new Date()) => {
+    const verification = await PhoneVerification.findOne({ phoneNumber });
+
+    if (!verification || verification.expiresAt <= now) {
+        return { status: 400, message: 'The verification code has expired. Please request a new one.' };
+    }
+
+    if (verification.attempts >= reservationRules.guestBooking.maxCodeAttempts) {
+        return { status: 429, message: 'Too many incorrect codes. Please request a new one.' };
+    }
+
+    const expected = Buffer.from(verification.codeHash);
+    const given = Buffer.from(hashCode(phoneNumber, String(code)));
+    if (!crypto.timingSafeEqual(expected, given)) {
+        verification.attempts += 1;
+        await verification.save();
+        return { status: 400, message: 'The verification code is incorrect.' };
+    }
+
+    await verification.deleteOne();
+    return null;
+};
+
+module.exports = { sendVerificationCode, verifyCode };
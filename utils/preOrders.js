@@ -0,0 +1,190 @@
+// utils/preOrders.js
+const Dish = require('../models/Dish');
+const Order = require('../models/Order');
+const reservationRules = require('../config/reservationRules');
+const { MINUTE_MS } = require('./reservationTiming');
+const { occupyTable } = require('./tableStatus');
+const { findOpenTab, appendRound } = require('./orderTabs');
+const { resolveModifiers, unitPrice } = require('./dishModifiers');
+const { resolveVariant, variantFields } = require('./dishVariants');
+const { applyCourseHolds } = require('./orderCourses');
+const { publishOrderEvent } = require('./realtime');
+const { printKitchenTickets } = require('./printQueue');
+
+// Dietary needs a guest can ask for; a dish qualifies when it lists the need in its dietaryRestrictions
+const DIETARY_OPTIONS = Dish.schema.path('dietaryRestrictions').caster.enumValues;
+
+/**
+ * Checks that a reservation's pre-order can still be changed: the booking is confirmed and the
+ * cutoff before the reserved time has not passed.
+ * @param {object} reservation - Reservation document.
+ * @param {Date} [now]
+ * @returns {({status: number, message: string}|null)}
+ */
+const checkPreOrderWindow = (reservation, now = new Date()) => {
+    if (reservation.status !== 'confirmed') {
+        return { status: 400, message: `Dishes can only be pre-ordered for confirmed reservations; this one is ${reservation.status}.` };
+    }
+
+    const { cutoffMinutes } = reservationRules.preOrders;
+    if (reservation.reservationTime.getTime() - now.getTime() < cutoffMinutes * MINUTE_MS) {
+        return {
+            status: 400,
+            message: `Pre-orders close ${cutoffMinutes} minutes before the reservation. Please order at the table instead.`,
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Loads the dishes for a pre-order and copies their names, prices and chosen modifiers. Every dish must
+ * be available and meet the dietary requirements given for it.
+ * @param {Array<{dish: string, variant: string, quantity: number, notes: string, dietaryRequirements: string[], modifiers: string[]}>} items
+ * @returns {Promise<{preOrderItems: object[], problem: ({status: number, message: string}|null)}>}
+ */
+const buildPreOrderItems = async (items) => {
+    if (!Array.isArray(items)) {
+        return { preOrderItems: [], problem: { status: 400, message: 'Items must be an array of { dish, quantity } entries.' } };
+    }
+
+    const dishes = await Dish.find({ _id: { $in: items.map(item => item.dish) } });
+    const preOrderItems = [];
+    for (const item of items) {
+        const dish = dishes.find(candidate => candidate._id.equals(item.dish));
+        if (!dish) {
+            return { preOrderItems: [], problem: { status: 404, message: `Dish not found with ID: ${item.dish}` } };
+        }
+        if (!dish.isAvailable) {
+            return { preOrderItems: [], problem: { status: 400, message: `Dish '${dish.name}' is currently unavailable.` } };
+        }
+
+        const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+        const { maxQuantityPerDish } = reservationRules.preOrders;
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > maxQuantityPerDish) {
+            return {
+                preOrderItems: [],
+                problem: { status: 400, message: `Quantity for dish ${dish.name} must be a whole number from 1 to ${maxQuantityPerDish}.` },
+            };
+        }
+
+        const dietaryRequirements = item.dietaryRequirements || [];
+        if (!Array.isArray(dietaryRequirements)) {
+            return { preOrderItems: [], problem: { status: 400, message: 'Dietary requirements must be an array.' } };
+        }
+        const unknownRequirements = dietaryRequirements.filter(requirement => !DIETARY_OPTIONS.includes(requirement));
+        if (unknownRequirements.length > 0) {
+            return {
+                preOrderItems: [],
+                problem: { status: 400, message: `Unknown dietary requirement ${unknownRequirements.join(', ')}. Choose from: ${DIETARY_OPTIONS.join(', ')}.` },
+            };
+        }
+        const unmetRequirements = dietaryRequirements.filter(requirement => !dish.dietaryRestrictions.includes(requirement));
+        if (unmetRequirements.length > 0) {
+            return {
+                preOrderItems: [],
+                problem: { status: 400, message: `Dish '${dish.name}' is not ${unmetRequirements.join(' or ')}.` },
+            };
+        }
+
+        const resolved = resolveVariant(dish, item.variant);
+        if (resolved.problem) {
+            return { preOrderItems: [], problem: resolved.problem };
+        }
+        const { modifiers, problem } = resolveModifiers(dish, item.modifiers);
+        if (problem) {
+            return { preOrderItems: [], problem };
+        }
+
+        const { variant, variantName } = variantFields(resolved.variant);
+        preOrderItems.push({
+            dish: dish._id,
+            name: dish.name,
+            variant,
+            variantName,
+            price: unitPrice(resolved.variant ? resolved.variant.price : dish.price, modifiers),
+            modifiers,
+            quantity,
+            notes: item.notes || '',
+            dietaryRequirements,
+        });
+    }
+
+    return { preOrderItems, problem: null };
+};
+
+/**
+ * Sends a seated party's pre-order to the kitchen as an order for their table (or as a new round on
+ * the table's open tab), holding later courses, and links it to the reservation without saving the reservation.
+ * Dishes that became unavailable since are left out.
+ * @param {object} reservation - Reservation document with pre-ordered items.
+ * @param {string} waiterId - The staff member who seated the party.
+ * @returns {Promise<{order: (object|null), skippedItems: object[]}>} - Order is null when nothing could be sent.
+ */
+const createPreOrderOrder = async (reservation, waiterId) => {
+    const dishes = await Dish.find({ _id: { $in: reservation.preOrderItems.map(item => item.dish) } });
+    const findDish = item => dishes.find(dish => dish._id.equals(item.dish));
+    const findVariant = item => (item.variant && findDish(item) ? findDish(item).variants.id(item.variant) : null);
+    const isAvailable = item => Boolean(findDish(item) && findDish(item).isAvailable
+        && (!item.variant || (findVariant(item) && findVariant(item).isAvailable)));
+    const orderable = reservation.preOrderItems.filter(isAvailable);
+    const skippedItems = reservation.preOrderItems.filter(item => !isAvailable(item));
+
+    if (orderable.length === 0) {
+        return { order: null, skippedItems };
+    }
+
+    const dietaryNote = item => (item.dietaryRequirements.length > 0 ? `Must be ${item.dietaryRequirements.join(', ')}` : '');
+    const orderItems = orderable.map(item => ({
+        dish: item.dish,
+        ...variantFields(findVariant(item)),
+        quantity: item.quantity,
+        status: 'pending', // The kitchen accepts pre-ordered dishes like any other
+        notes: [dietaryNote(item), item.notes].filter(Boolean).join('. '),
+        modifiers: item.modifiers,
+        course: findDish(item).course,
+        addedAt: new Date(),
+        addedBy: waiterId,
+    }));
+
+    let order = await findOpenTab(reservation.tableNumber);
+    if (order) {
+        appendRound(order, orderItems, { firedBy: waiterId });
+        order.reservation = order.reservation || reservation._id;
+        await order.save();
+        const newItems = order.items.slice(-orderItems.length);
+        await publishOrderEvent(order, 'order.items_added', {
+            items: newItems,
+            payload: { round: order.currentRound, isPreOrder: true },
+        });
+        await printKitchenTickets(order, newItems.filter(item => item.fireStatus === 'fired'), 'PRE-ORDER');
+    } else {
+        order = new Order({
+            tableNumber: reservation.tableNumber,
+            customerName: reservation.customerName,
+            customerPhoneNumber: reservation.customerPhoneNumber,
+            waiter: waiterId,
+            reservation: reservation._id,
+            isPreOrder: true,
+            orderStatus: 'pending',
+            timestamps: { pending: new Date() },
+        });
+        // The first course goes to the kitchen; the waiter fires the rest
+        applyCourseHolds(order, orderItems, { firedBy: waiterId });
+        order.items = orderItems;
+        await order.save();
+        await publishOrderEvent(order, 'order.created', { payload: { isPreOrder: true } });
+        await printKitchenTickets(order, order.items.filter(item => item.fireStatus === 'fired'), 'PRE-ORDER');
+    }
+
+    await occupyTable(reservation.tableNumber);
+    reservation.preOrderOrder = order._id;
+    return { order, skippedItems };
+};
+
+module.exports = {
+    DIETARY_OPTIONS,
+    checkPreOrderWindow,
+    buildPreOrderItems,
+    createPreOrderOrder,
+};
@@ -0,0 +1,286 @@
+// utils/preparationTimes.js
+const Order = require('../models/Order');
+const Dish = require('../models/Dish');
+const { publishOrderEvent } = require('./realtime');
+const { MINUTE_MS } = require('./reservationTiming');
+const { CLOSED_ITEM_STATUSES } = require('./orderItemStateMachine');
+const { average } = require('./statistics');
+
+// Learned averages replace a dish's static estimate only once they rest on enough tickets
+const MIN_LEARNING_SAMPLES = 5;
+
+// Tickets taking longer than this were most likely left open by mistake and would skew the averages
+const MAX_SAMPLE_MINUTES = 240;
+
+// Dish fields needed to work out when an item should be ready
+const PREPARATION_FIELDS = 'name preparationTime learnedPreparationTime useLearnedPreparationTime';
+
+// Items the kitchen is still working on; anything else cannot be overdue
+const OPEN_ITEM_STATUSES = ['pending', 'accepted', 'preparing'];
+
+/**
+ * Minutes a dish takes: its learned average when the dish opts in and enough tickets back it,
+ * otherwise the static estimate.
+ * @param {object} dish - Dish document or populated dish.
+ * @returns {number}
+ */
+const effectivePreparationTime = (dish) => {
+    const learned = dish.learnedPreparationTime;
+    if (dish.useLearnedPreparationTime && learned && learned.sampleSize >= MIN_LEARNING_SAMPLES) {
+        return learned.minutes;
+    }
+    return dish.preparationTime || 0;
+};
+
+/**
+ * When an item should be ready: its prep time after it reached the kitchen. Held items have no promise yet.
+ * @param {object} item - Order item with `dish` populated.
+ * @param {object} order - The item's order.
+ * @returns {(Date|null)}
+ */
+const promisedReadyAt = (item, order) => {
+    if (item.fireStatus === 'held' || !item.dish || typeof item.dish !== 'object') {
+        return null;
+    }
+    const sentAt = item.firedAt || item.addedAt || order.timestamps.pending;
+    return new Date(new Date(sentAt).getTime() + effectivePreparationTime(item.dish) * MINUTE_MS);
+};
+
+/**
+ * Promised-ready time and overdue flag for an item.
+ * @param {object} item - Order item with `dish` populated.
+ * @param {object} order - The item's order.
+ * @param {Date} [now]
+ * @returns {{promisedReadyAt: (Date|null), isOverdue: boolean, overdueMinutes: number}}
+ */
+const itemTiming = (item, order, now = new Date()) => {
+    const promised = promisedReadyAt(item, order);
+    const isOverdue = Boolean(promised) && OPEN_ITEM_STATUSES.includes(item.status) && promised < now;
+    return {
+        promisedReadyAt: promised,
+        isOverdue,
+        overdueMinutes: isOverdue ? Math.floor((now - promised) / MINUTE_MS) : 0,
+    };
+};
+
+/**
+ * Promised-ready time for a whole order (its latest item) and whether any item is overdue.
+ * @param {object} order - Order with `items.dish` populated.
+ * @param {Date} [now]
+ * @returns {{promisedReadyAt: (Date|null), isOverdue: boolean, overdueItems: number}}
+ */
+const orderTiming = (order, now = new Date()) => {
+    const timings = order.items
+        .filter(item => !CLOSED_ITEM_STATUSES.includes(item.status))
+        .map(item => itemTiming(item, order, now));
+    const promised = timings.map(timing => timing.promisedReadyAt).filter(Boolean);
+    const overdueItems = timings.filter(timing => timing.isOverdue).length;
+    return {
+        promisedReadyAt: promised.length > 0 ? new Date(Math.max(...promised)) : null,
+        isOverdue: overdueItems > 0,
+        overdueItems,
+    };
+};
+
+/**
+ * Alerts the kitchen and the table's waiter about items that passed their promised-ready time.
+ * Each item is alerted once.
+ * @param {Date} [now] - Current time (injectable for testing).
+ * @returns {Promise<Array<{order: string, item: string, dishName: string, overdueMinutes: number}>>} - The alerts sent.
+ */
+const alertOverdueItems = async (now = new Date()) => {
+    const orders = await Order.find({
+        orderStatus: { $in: ['pending', 'preparing', 'ready'] },
+        items: { $elemMatch: { status: { $in: OPEN_ITEM_STATUSES }, fireStatus: { $ne: 'held' }, overdueAlertedAt: null } },
+    }).populate('items.dish', PREPARATION_FIELDS);
+
+    const alerts = [];
+    for (const order of orders) {
+        const overdue = order.items
+            .filter(item => !item.overdueAlertedAt)
+            .map(item => ({ item, timing: itemTiming(item, order, now) }))
+            .filter(({ timing }) => timing.isOverdue);
+        if (overdue.length === 0) {
+            continue;
+        }
+
+        // Set directly so the alert does not run the order's save hook (totals, status timestamps)
+        await Order.updateOne(
+            { _id: order._id },
+            { $set: { 'items.$[overdue].overdueAlertedAt': now } },
+            { arrayFilters: [{ 'overdue._id': { $in: overdue.map(({ item }) => item._id) } }] }
+        );
+
+        const orderAlerts = overdue.map(({ item, timing }) => ({
+            order: String(order._id),
+            item: String(item._id),
+            dishName: item.dish.name,
+            promisedReadyAt: timing.promisedReadyAt,
+            overdueMinutes: timing.overdueMinutes,
+        }));
+        await publishOrderEvent(order, 'order.item_overdue', {
+            items: overdue.map(({ item }) => item),
+            payload: { overdue: orderAlerts },
+        });
+        alerts.push(...orderAlerts);
+    }
+    return alerts;
+};
+
+/**
+ * Runs alertOverdueItems on a timer. Errors are logged so one bad run does not stop the monitor.
+ * @param {object} [options]
+ * @param {number} [options.intervalMs=60000]
+ * @returns {NodeJS.Timeout} - Pass to clearInterval to stop the monitor.
+ */
+const startKitchenAlertMonitor = ({ intervalMs = MINUTE_MS } = {}) => {
+    const run = async () => {
+        try {
+            const alerts = await alertOverdueItems();
+            if (alerts.length > 0) {
+                console.log(`Kitchen alert monitor: ${alerts.length} item(s) overdue.`);
+            }
+        } catch (error) {
+            console.error('Kitchen alert monitor failed:', error.message);
+        }
+    };
+
+    const timer = setInterval(run, intervalMs);
+    timer.unref(); // Do not keep the process alive just for the monitor
+    return timer;
+};
+
+const minutesBetween = (from, to) => (from && to ? (to - from) / MINUTE_MS : null);
+
+// Minutes from an item reaching the kitchen to it being ready, when its own timestamps record that
+const itemPreparationMinutes = (item) => (item.status === 'ready' && item.statusHistory.length > 0
+    ? minutesBetween(item.firedAt || item.addedAt, item.timestamps.ready)
+    : null);
+
+/**
+ * Learns how long dishes really take from finished tickets. Items whose status changes were timestamped
+ * give their own time from firing to ready. Older tickets only have order-level `timestamps.preparing` and
+ * `timestamps.ready`; their time is credited to the dishes that set the pace (the longest estimate on the
+ * ticket), and tickets with later rounds are skipped as those timestamps only cover the first round.
+ * @param {object} [options]
+ * @param {number} [options.days=30] - How far back to look.
+ * @param {Date} [options.now]
+ * @returns {Promise<Array<{dish: string, name: string, preparationTime: number, learnedMinutes: number, sampleSize: number, inUse: boolean}>>}
+ */
+const learnPreparationTimes = async ({ days = 30, now = new Date() } = {}) => {
+    const orders = await Order.find({
+        orderDate: { $gte: new Date(now.getTime() - days * 24 * 60 * MINUTE_MS) },
+        $or: [
+            { 'items.timestamps.ready': { $ne: null } },
+            { currentRound: 1, 'timestamps.preparing': { $ne: null }, 'timestamps.ready': { $ne: null } },
+        ],
+    })
+        .select('items timestamps currentRound')
+        .populate('items.dish', PREPARATION_FIELDS);
+
+    const samples = new Map();
+    const addSample = (dishId, minutes) => {
+        if (minutes <= 0 || minutes > MAX_SAMPLE_MINUTES) {
+            return;
+        }
+        if (!samples.has(dishId)) {
+            samples.set(dishId, []);
+        }
+        samples.get(dishId).push(minutes);
+    };
+
+    for (const order of orders) {
+        const timedItems = order.items.filter(item => item.dish && itemPreparationMinutes(item) !== null);
+        if (timedItems.length > 0) {
+            timedItems.forEach(item => addSample(String(item.dish._id), itemPreparationMinutes(item)));
+            continue;
+        }
+
+        const minutes = minutesBetween(order.timestamps.preparing, order.timestamps.ready);
+        if (order.currentRound !== 1 || minutes === null) {
+            continue;
+        }
+        const made = order.items.filter(item => item.dish && item.status === 'ready'
+            && (!item.firedAt || item.firedAt <= order.timestamps.ready));
+        const slowest = Math.max(...made.map(item => item.dish.preparationTime || 0));
+        const pacing = new Set(made.filter(item => (item.dish.preparationTime || 0) === slowest).map(item => String(item.dish._id)));
+        pacing.forEach(dishId => addSample(dishId, minutes));
+    }
+
+    const dishes = await Dish.find({ _id: { $in: [...samples.keys()] } });
+    const learned = [];
+    for (const dish of dishes) {
+        const minutes = samples.get(String(dish._id));
+        dish.learnedPreparationTime = {
+            minutes: average(minutes, 0),
+            sampleSize: minutes.length,
+            learnedAt: now,
+        };
+        await dish.save();
+        learned.push({
+            dish: String(dish._id),
+            name: dish.name,
+            preparationTime: dish.preparationTime,
+            learnedMinutes: dish.learnedPreparationTime.minutes,
+            sampleSize: minutes.length,
+            inUse: dish.useLearnedPreparationTime && minutes.length >= MIN_LEARNING_SAMPLES,
+        });
+    }
+    return learned;
+};
+
+/**
+ * Per-dish kitchen times from item timestamps: how long items waited to be accepted, how long they
+ * took from preparing to ready and from firing to ready, and how often they were declined or remade.
+ * @param {object[]} orders - Orders with `items.dish` populated (name).
+ * @returns {object[]} - One entry per dish, slowest first; averages in minutes.
+ */
+const summarizeDishKitchenTimes = (orders) => {
+    const byDish = new Map();
+    for (const order of orders) {
+        for (const item of order.items) {
+            if (!item.dish || item.statusHistory.length === 0) {
+                continue; // Items from before status changes were timestamped
+            }
+            const dishId = String(item.dish._id || item.dish);
+            if (!byDish.has(dishId)) {
+                byDish.set(dishId, { dish: dishId, name: item.dish.name, items: 0, declined: 0, remade: 0, toAccept: [], preparing: [], toReady: [] });
+            }
+            const entry = byDish.get(dishId);
+            const sentAt = item.firedAt || item.addedAt;
+            entry.items += 1;
+            entry.declined += item.status === 'declined' ? 1 : 0;
+            entry.remade += item.statusHistory.filter(change => change.from === 'ready' && change.to === 'preparing').length;
+            [
+                [entry.toAccept, minutesBetween(sentAt, item.timestamps.accepted)],
+                [entry.preparing, item.status === 'ready' ? minutesBetween(item.timestamps.preparing, item.timestamps.ready) : null],
+                [entry.toReady, itemPreparationMinutes(item)],
+            ].forEach(([values, minutes]) => {
+                if (minutes !== null && minutes >= 0) {
+                    values.push(minutes);
+                }
+            });
+        }
+    }
+
+    return [...byDish.values()]
+        .map(({ toAccept, preparing, toReady, ...entry }) => ({
+            ...entry,
+            averageMinutesToAccept: average(toAccept),
+            averageMinutesPreparing: average(preparing),
+            averageMinutesToReady: average(toReady),
+        }))
+        .sort((a, b) => (b.averageMinutesToReady || 0) - (a.averageMinutesToReady || 0));
+};
+
+module.exports = {
+    MIN_LEARNING_SAMPLES,
+    PREPARATION_FIELDS,
+    effectivePreparationTime,
+    itemTiming,
+    orderTiming,
+    alertOverdueItems,
+    startKitchenAlertMonitor,
+    learnPreparationTimes,
+    summarizeDishKitchenTimes,
+};
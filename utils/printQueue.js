@@ -0,0 +1,245 @@
+// utils/printQueue.js
+const net = require('net');
+const Printer = require('../models/Printer');
+const PrintJob = require('../models/PrintJob');
+const Dish = require('../models/Dish');
+const { registerJobHandler, scheduleJob, cancelJobs } = require('./jobScheduler');
+const { MINUTE_MS } = require('./reservationTiming');
+const { loadStationRouting, stationForDish } = require('./kitchenStations');
+const { renderKitchenTicket, renderReceipt, renderTestPage } = require('./printTemplates');
+
+const PRINT_JOB = 'print_job';
+
+// A printer that does not accept the connection and data within this time counts as offline
+const PRINTER_TIMEOUT_MS = 5 * 1000;
+
+// The first attempt happens straight away; the job scheduler makes the rest (after 1, 2, 4, ... minutes)
+const MAX_PRINT_ATTEMPTS = 5;
+
+// DLE EOT 1: asks the printer for its status byte before a job is sent
+const STATUS_QUERY = Buffer.from([0x10, 0x04, 0x01]);
+const STATUS_OFFLINE = 0x08; // Cover open, out of paper or feeding
+
+/**
+ * Sends raw bytes to a network printer's raw printing port. The printer must first answer a status
+ * query and report itself online, and the whole job must be handed over before the connection
+ * closes; anything less counts as a failed send so the job is retried.
+ * @param {object} printer - Printer document (name, host, port).
+ * @param {Buffer} data
+ * @returns {Promise<void>} - Rejects when the printer cannot be reached in time or does not take the job.
+ */
+const sendToPrinter = (printer, data) => new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host: printer.host, port: printer.port });
+    const fail = (message) => socket.destroy(new Error(`Printer ${printer.name} ${message}`));
+    let jobWritten = false; // The socket also finishes when the printer hangs up first
+
+    socket.setTimeout(PRINTER_TIMEOUT_MS);
+    socket.on('connect', () => socket.write(STATUS_QUERY));
+    socket.once('data', (status) => {
+        if (status[0] & STATUS_OFFLINE) {
+            fail('reports it is offline (cover open or out of paper)');
+            return;
+        }
+        jobWritten = true;
+        socket.end(data);
+    });
+    socket.on('finish', () => {
+        if (!jobWritten) {
+            return; // Rejected on close
+        }
+        resolve();
+        socket.destroy();
+    });
+    socket.on('timeout', () => fail(`did not respond within ${PRINTER_TIMEOUT_MS / 1000}s`));
+    socket.on('error', reject);
+    socket.on('close', () => reject(new Error(`Printer ${printer.name} closed the connection before taking the job`)));
+});
+
+/**
+ * Makes one attempt to print a job and records the outcome on it.
+ * @param {object} printJob - PrintJob document.
+ * @returns {Promise<object>} - The saved PrintJob. Rejects with the printer error when the attempt failed.
+ */
+const attemptPrintJob = async (printJob) => {
+    printJob.attempts += 1;
+    try {
+        const printer = await Printer.findById(printJob.printer);
+        if (!printer || !printer.isActive) {
+            throw new Error('Printer was removed or deactivated');
+        }
+        await sendToPrinter(printer, printJob.data);
+        printJob.status = 'printed';
+        printJob.printedAt = new Date();
+        printJob.lastError = undefined;
+        return await printJob.save();
+    } catch (error) {
+        printJob.lastError = error.message;
+        if (printJob.attempts >= MAX_PRINT_ATTEMPTS) {
+            printJob.status = 'failed';
+        }
+        await printJob.save();
+        throw error;
+    }
+};
+
+// Retries a print job from the job scheduler; throwing makes the scheduler try again later
+const retryPrintJob = async (job) => {
+    const printJob = await PrintJob.findById(job.refId);
+    if (!printJob || printJob.status !== 'queued') {
+        return; // Printed meanwhile, or given up on
+    }
+    await attemptPrintJob(printJob);
+};
+
+registerJobHandler(PRINT_JOB, retryPrintJob);
+
+// Hands a job whose first attempt failed to the job scheduler for the remaining attempts
+const scheduleRetries = (printJob) => scheduleJob({
+    type: PRINT_JOB,
+    runAt: new Date(Date.now() + MINUTE_MS),
+    refId: printJob._id,
+    maxAttempts: MAX_PRINT_ATTEMPTS - 1,
+});
+
+/**
+ * Queues a rendered document for a printer and tries to print it straight away. If the printer is
+ * unreachable, the job scheduler retries with backoff. Does not wait for the printer.
+ * @param {object} params
+ * @param {object} params.printer - Printer document.
+ * @param {string} params.kind - 'kitchen_ticket', 'receipt' or 'test'.
+ * @param {object} params.document - ESC/POS document from utils/escpos.js.
+ * @param {string} [params.order]
+ * @param {string} [params.bill]
+ * @returns {Promise<object>} - The PrintJob.
+ */
+const enqueuePrintJob = async ({ printer, kind, document, order, bill }) => {
+    const printJob = await PrintJob.create({
+        printer: printer._id,
+        kind,
+        order,
+        bill,
+        data: document.toBuffer(),
+        preview: document.toPreview(),
+    });
+    attemptPrintJob(printJob)
+        .catch(() => scheduleRetries(printJob))
+        .catch(error => console.error(`Could not schedule a retry for print job ${printJob._id}:`, error.message));
+    return printJob;
+};
+
+/**
+ * Puts a failed (or stuck) print job back in the queue and tries it again now.
+ * @param {object} printJob - PrintJob document.
+ * @returns {Promise<object>} - The PrintJob after the attempt; check its status.
+ */
+const reprintJob = async (printJob) => {
+    await cancelJobs({ refId: printJob._id, type: PRINT_JOB }); // This attempt replaces any pending retry
+    printJob.status = 'queued';
+    printJob.attempts = 0;
+    try {
+        return await attemptPrintJob(printJob);
+    } catch (error) {
+        await scheduleRetries(printJob);
+        return printJob;
+    }
+};
+
+/**
+ * Prints kitchen tickets for items that just reached the kitchen: one ticket per printer, holding the
+ * items of the stations it serves. Items whose station has no printer go to printers that take
+ * unassigned tickets. Never throws; a printer problem must not fail the order.
+ * @param {object} order - Order document.
+ * @param {object[]} items - Fired order items to print.
+ * @param {string} heading - e.g. 'NEW ORDER', 'ROUND 2', 'FIRE MAIN'.
+ * @returns {Promise<object[]>} - The PrintJobs queued.
+ */
+const printKitchenTickets = async (order, items, heading) => {
+    try {
+        const printers = await Printer.find({ isActive: true });
+        if (printers.length === 0 || items.length === 0) {
+            return [];
+        }
+        const [routing, dishes] = await Promise.all([
+            loadStationRouting(),
+            Dish.find({ _id: { $in: items.map(item => item.dish._id || item.dish) } }).select('name category station'),
+        ]);
+        const dishesById = new Map(dishes.map(dish => [String(dish._id), dish]));
+
+        const linesByPrinter = new Map();
+        for (const item of items) {
+            const dish = dishesById.get(String(item.dish._id || item.dish));
+            const station = stationForDish(dish, routing);
+            let targets = station
+                ? printers.filter(printer => printer.stations.some(id => String(id) === String(station._id)))
+                : [];
+            if (targets.length === 0) {
+                targets = printers.filter(printer => printer.printsUnassignedTickets);
+            }
+            for (const printer of targets) {
+                if (!linesByPrinter.has(String(printer._id))) {
+                    linesByPrinter.set(String(printer._id), { printer, lines: [] });
+                }
+                linesByPrinter.get(String(printer._id)).lines.push({
+                    item,
+                    dishName: dish ? dish.name : 'Unknown dish',
+                    stationName: station ? station.name : '',
+                });
+            }
+        }
+
+        const printJobs = [];
+        for (const { printer, lines } of linesByPrinter.values()) {
+            const document = renderKitchenTicket({ order, lines, heading, width: printer.lineWidth });
+            printJobs.push(await enqueuePrintJob({ printer, kind: 'kitchen_ticket', document, order: order._id }));
+        }
+        return printJobs;
+    } catch (error) {
+        console.error(`Failed to print kitchen tickets for order ${order._id}:`, error.message);
+        return [];
+    }
+};
+
+/**
+ * Prints a customer receipt for each bill on the first active receipt printer.
+ * Never throws; a printer problem must not fail billing.
+ * @param {object[]} bills - Bill documents (several for a split bill).
+ * @param {object} order - The bills' order.
+ * @returns {Promise<object[]>} - The PrintJobs queued.
+ */
+const printReceipts = async (bills, order) => {
+    try {
+        const printer = await Printer.findOne({ isActive: true, printsReceipts: true }).sort({ name: 1 });
+        if (!printer) {
+            return [];
+        }
+        const dishIds = bills.flatMap(bill => bill.items.map(item => item.dish));
+        const dishes = await Dish.find({ _id: { $in: dishIds } }).select('name');
+        const dishNames = new Map(dishes.map(dish => [String(dish._id), dish.name]));
+
+        const printJobs = [];
+        for (const bill of bills) {
+            const document = renderReceipt({ bill, order, dishNames, width: printer.lineWidth });
+            printJobs.push(await enqueuePrintJob({ printer, kind: 'receipt', document, order: order._id, bill: bill._id }));
+        }
+        return printJobs;
+    } catch (error) {
+        console.error(`Failed to print receipts for order ${order._id}:`, error.message);
+        return [];
+    }
+};
+
+/**
+ * Prints a test page on a printer.
+ * @param {object} printer - Printer document.
+ * @returns {Promise<object>} - The PrintJob.
+ */
+const printTestPage = (printer) => enqueuePrintJob({ printer, kind: 'test', document: renderTestPage(printer) });
+
+module.exports = {
+    PRINT_JOB,
+    sendToPrinter,
+    reprintJob,
+    printKitchenTickets,
+    printReceipts,
+    printTestPage,
+};
@@ -0,0 +1,114 @@
+// utils/printTemplates.js
+const { createEscPosDocument } = require('./escpos');
+const { formatModifiers } = require('./dishModifiers');
+const { COURSES } = require('./orderCourses');
+
+const RESTAURANT_NAME = process.env.FROM_NAME || 'Restaurant Name'; // Printed at the top of receipts
+
+const money = (amount) => `Rs. ${amount.toFixed(2)}`;
+
+const formatTime = (date) => new Date(date).toLocaleString('en-GB', { dateStyle: 'short', timeStyle: 'short' });
+
+const dishLabel = (name, variantName) => (variantName ? `${name} (${variantName})` : name);
+
+/**
+ * Renders a kitchen ticket: the items one printer has to make for a round or fired course,
+ * grouped by course, with modifiers and notes under each item.
+ * @param {object} params
+ * @param {object} params.order - Order document.
+ * @param {Array<{item: object, dishName: string, stationName: string}>} params.lines - Items to print.
+ * @param {string} params.heading - e.g. 'NEW ORDER', 'ROUND 2', 'FIRE MAIN'.
+ * @param {number} [params.width] - Printer line width.
+ * @returns {object} - ESC/POS document (toBuffer, toPreview).
+ */
+const renderKitchenTicket = ({ order, lines, heading, width }) => {
+    const document = createEscPosDocument({ width });
+    const stationNames = [...new Set(lines.map(line => line.stationName).filter(Boolean))];
+
+    document.align('center').large().bold().text(`TABLE ${order.tableNumber}`).bold(false).large(false)
+        .text(heading);
+    if (stationNames.length > 0) {
+        document.text(stationNames.join(' / '));
+    }
+    document.text(`Order ${String(order._id).slice(-6)} - ${formatTime(new Date())}`)
+        .align('left')
+        .divider();
+
+    for (const course of COURSES) {
+        const courseLines = lines.filter(line => line.item.course === course);
+        if (courseLines.length === 0) {
+            continue;
+        }
+        document.bold().text(`-- ${course.toUpperCase()} --`).bold(false);
+        for (const { item, dishName } of courseLines) {
+            document.large().text(`${item.quantity}x ${dishLabel(dishName, item.variantName)}`).large(false);
+            const modifiersText = formatModifiers(item.modifiers);
+            if (modifiersText) {
+                document.text(`   ${modifiersText}`);
+            }
+            if (item.notes) {
+                document.bold().text(`   NOTE: ${item.notes}`).bold(false);
+            }
+        }
+    }
+
+    return document.divider().cut();
+};
+
+/**
+ * Renders a customer receipt for a bill (or one part of a split bill).
+ * @param {object} params
+ * @param {object} params.bill - Bill document.
+ * @param {object} params.order - The bill's order.
+ * @param {Map<string, string>} params.dishNames - Dish ID to name.
+ * @param {number} [params.width] - Printer line width.
+ * @returns {object} - ESC/POS document (toBuffer, toPreview).
+ */
+const renderReceipt = ({ bill, order, dishNames, width }) => {
+    const document = createEscPosDocument({ width });
+
+    document.align('center').large().bold().text(RESTAURANT_NAME).bold(false).large(false)
+        .text(`Table ${order.tableNumber}`)
+        .text(formatTime(bill.billDate));
+    if (bill.isSplitBill && bill.customerName) {
+        document.text(`Split bill: ${bill.customerName}`);
+    }
+    document.text(`Bill ${String(bill._id).slice(-6)}`).align('left').divider();
+
+    for (const item of bill.items) {
+        const name = dishLabel(dishNames.get(String(item.dish)) || 'Item', item.variantName);
+        document.columns(`${item.quantity}x ${name}`, money(item.quantity * item.price));
+        const modifiersText = formatModifiers(item.modifiers);
+        if (modifiersText) {
+            document.text(`   ${modifiersText}`);
+        }
+    }
+
+    document.divider().bold().columns('TOTAL', money(bill.totalAmount)).bold(false);
+    if (bill.depositCredit > 0) {
+        document.columns('Reservation deposit', `-${money(bill.depositCredit)}`)
+            .bold().columns('AMOUNT DUE', money(bill.amountDue)).bold(false);
+    }
+
+    return document.feed().align('center').text('Thank you for your business!').cut();
+};
+
+/**
+ * Renders a short page to check a printer is reachable and set up with the right line width.
+ * @param {object} printer - Printer document.
+ * @returns {object} - ESC/POS document (toBuffer, toPreview).
+ */
+const renderTestPage = (printer) => createEscPosDocument({ width: printer.lineWidth })
+    .align('center').large().text('TEST PRINT').large(false)
+    .text(printer.name)
+    .text(formatTime(new Date()))
+    .align('left')
+    .divider()
+    .text('0123456789'.repeat(Math.ceil(printer.lineWidth / 10)).slice(0, printer.lineWidth))
+    .cut();
+
+module.exports = {
+    renderKitchenTicket,
+    renderReceipt,
+    renderTestPage,
+};
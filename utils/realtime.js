@@ -0,0 +1,283 @@
+// utils/realtime.js
+const mongoose = require('mongoose');
+const RealtimeEvent = require('../models/RealtimeEvent');
+const Counter = require('../models/Counter');
+const Dish = require('../models/Dish');
+const { loadStationRouting, stationForDish } = require('./kitchenStations');
+
+// Roles that follow the kitchen's work; waiters only receive events for their own orders
+const KITCHEN_ROLES = ['chef'];
+
+// A client that has been away too long is told to reload instead of replaying an unbounded backlog
+const MAX_REPLAY_EVENTS = 500;
+
+const EVENT_SEQUENCE = 'realtime_event';
+// Times the change stream is reopened in a row (without an event arriving in between) before giving up
+const MAX_FANOUT_REOPENS = 3;
+
+const HEARTBEAT_MS = 25 * 1000; // Keeps proxies from closing idle streams
+const RECONNECT_MS = 3 * 1000; // Sent to EventSource as its retry delay
+
+// Streams open on this server. Events are persisted first, so a client that lands on another
+// instance after reconnecting still replays them from the database.
+const clients = new Set();
+
+// With several instances, live events reach every instance's clients through a change stream on
+// RealtimeEvent (MongoDB replica sets and sharded clusters only). Without one, each instance pushes
+// the events it publishes to its own clients, which is enough for a single instance.
+let fanoutStream = null;
+let resumeToken = null; // Where a reopened change stream carries on from
+let fanoutReopens = 0;
+
+const isForClient = (event, client) => {
+    const { user, stations } = client;
+    if (user.role === 'admin') {
+        return true;
+    }
+    if (event.audience.waiter && String(event.audience.waiter) === String(user._id)) {
+        return true;
+    }
+    if (!event.audience.roles.includes(user.role)) {
+        return false;
+    }
+    if (stations.length === 0 || event.audience.stations.length === 0) {
+        return true;
+    }
+    return event.audience.stations.some(station => stations.includes(String(station)));
+};
+
+const writeEvent = (res, event) => {
+    const data = { type: event.type, order: event.order, createdAt: event.createdAt, ...event.payload };
+    res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const deliver = (client, event) => {
+    if (!isForClient(event, client)) {
+        return;
+    }
+    if (client.replaying) {
+        client.pending.push(event); // Sent once the replay has caught up, so events stay in order
+        return;
+    }
+    writeEvent(client.res, event);
+    client.lastEventId = event.seq;
+};
+
+// Tells a client it may have missed events and should reload the KDS or order list
+const sendResync = (client, reason) => {
+    client.lastEventId = null;
+    client.res.write(`event: resync\ndata: ${JSON.stringify({ reason })}\n\n`);
+};
+
+// Stations that prepare the given order items; empty when any of them has no station (every station sees it)
+const stationsForItems = async (items) => {
+    const dishIds = items.map(item => item.dish._id || item.dish);
+    const [routing, dishes] = await Promise.all([
+        loadStationRouting(),
+        Dish.find({ _id: { $in: dishIds } }).select('category station'),
+    ]);
+    const dishesById = new Map(dishes.map(dish => [String(dish._id), dish]));
+
+    const stations = new Set();
+    for (const item of items) {
+        const station = stationForDish(dishesById.get(String(item.dish._id || item.dish)), routing);
+        if (!station) {
+            return [];
+        }
+        stations.add(String(station._id));
+    }
+    return [...stations];
+};
+
+/**
+ * Records an order change and pushes it to every connected client allowed to see it: the kitchen
+ * (narrowed to the stations preparing the items concerned), the order's waiter and admins.
+ * Never throws; a failed push must not fail the request that changed the order.
+ * @param {object} order - Order document.
+ * @param {string} type - e.g. 'order.created', 'order.item_status'.
+ * @param {object} [options]
+ * @param {object[]} [options.items] - Items the event is about; defaults to the order's fired items.
+ * @param {object} [options.payload] - Extra fields sent to clients.
+ * @returns {Promise<(object|null)>} - The RealtimeEvent, or null when it could not be recorded.
+ */
+const publishOrderEvent = async (order, type, { items, payload = {} } = {}) => {
+    try {
+        const concerned = items || order.items.filter(item => item.fireStatus !== 'held');
+        const event = await RealtimeEvent.create({
+            seq: await Counter.next(EVENT_SEQUENCE),
+            type,
+            order: order._id,
+            audience: {
+                roles: KITCHEN_ROLES,
+                waiter: order.waiter && (order.waiter._id || order.waiter),
+                stations: await stationsForItems(concerned),
+            },
+            payload: {
+                tableNumber: order.tableNumber,
+                orderStatus: order.orderStatus,
+                items: concerned.map(item => ({
+                    _id: item._id,
+                    dish: item.dish._id || item.dish,
+                    quantity: item.quantity,
+                    status: item.status,
+                    fireStatus: item.fireStatus,
+                    course: item.course,
+                })),
+                ...payload,
+            },
+        });
+        if (!fanoutStream) {
+            clients.forEach(client => deliver(client, event));
+        }
+        return event;
+    } catch (error) {
+        console.error(`Failed to publish ${type} for order ${order._id}:`, error.message);
+        return null;
+    }
+};
+
+// Watches RealtimeEvent inserts, carrying on from the last event seen when the stream is reopened.
+// If it keeps failing, events from other instances can no longer be pushed here: this instance goes
+// back to delivering its own events and tells its clients to resync.
+const openFanoutStream = () => {
+    let stream;
+    const fail = (error) => {
+        if (stream && fanoutStream !== stream) {
+            return; // Already replaced
+        }
+        if (stream) {
+            stream.close().catch(() => {});
+        }
+        fanoutStream = null;
+        if (fanoutReopens < MAX_FANOUT_REOPENS) {
+            fanoutReopens += 1;
+            console.warn(`Realtime change stream failed (${error.message}); reopening it.`);
+            openFanoutStream();
+            return;
+        }
+        console.error('Realtime change stream keeps failing; events reach clients of this instance only:', error.message);
+        clients.forEach(client => sendResync(client, 'fanout_stopped'));
+    };
+
+    try {
+        stream = RealtimeEvent.watch(
+            [{ $match: { operationType: 'insert' } }],
+            resumeToken ? { resumeAfter: resumeToken } : {}
+        );
+    } catch (error) {
+        fail(error);
+        return;
+    }
+    stream.on('change', (change) => {
+        resumeToken = change._id;
+        fanoutReopens = 0;
+        const event = RealtimeEvent.hydrate(change.fullDocument);
+        clients.forEach(client => deliver(client, event));
+    });
+    stream.on('error', fail);
+    fanoutStream = stream;
+};
+
+/**
+ * Starts delivering events published by any instance to this instance's clients, through a change
+ * stream on RealtimeEvent. On a standalone MongoDB server (which has no change streams) the server
+ * keeps delivering only its own events. Never throws.
+ * @returns {Promise<boolean>} - Whether events are fanned out across instances.
+ */
+const startRealtimeFanout = async () => {
+    try {
+        await mongoose.connection.asPromise();
+        const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+        if (!hello.setName && hello.msg !== 'isdbgrid') {
+            console.log('MongoDB has no change streams here; realtime events reach clients of this instance only.');
+            return false;
+        }
+
+        openFanoutStream();
+        return true;
+    } catch (error) {
+        console.error('Failed to start realtime fan-out:', error.message);
+        return false;
+    }
+};
+
+/**
+ * Sends the events a reconnecting client missed. When its last event is unknown (expired or invalid)
+ * or it missed too many, it gets a 'resync' event and should reload the KDS or order list.
+ * @param {object} client
+ * @param {string} lastEventId
+ * @returns {Promise<void>}
+ */
+const replayMissedEvents = async (client, lastEventId) => {
+    const lastSeq = Number(lastEventId);
+    const known = Number.isInteger(lastSeq) && await RealtimeEvent.exists({ seq: lastSeq });
+    if (!known) {
+        sendResync(client, 'unknown_last_event');
+        return;
+    }
+
+    const missed = await RealtimeEvent.find({ seq: { $gt: lastSeq } })
+        .sort({ seq: 1 })
+        .limit(MAX_REPLAY_EVENTS + 1);
+    if (missed.length > MAX_REPLAY_EVENTS) {
+        sendResync(client, 'too_many_missed_events');
+        return;
+    }
+    for (const event of missed) {
+        client.replayed.add(event.seq);
+        if (isForClient(event, client)) {
+            writeEvent(client.res, event);
+            client.lastEventId = event.seq;
+        }
+    }
+};
+
+/**
+ * Opens a Server-Sent Events stream for the signed-in user and keeps it until the client disconnects.
+ * @param {object} req - Express request (`req.user` set by protect).
+ * @param {object} res - Express response.
+ * @param {object} [options]
+ * @param {string[]} [options.stations] - Kitchen station IDs to narrow kitchen events to.
+ * @param {string} [options.lastEventId] - Last event the client received, to replay what it missed.
+ * @returns {Promise<void>}
+ */
+const openEventStream = async (req, res, { stations = [], lastEventId } = {}) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    const client = { res, user: req.user, stations, replaying: Boolean(lastEventId), pending: [], replayed: new Set(), lastEventId };
+    clients.add(client);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(client);
+    });
+
+    if (lastEventId) {
+        try {
+            await replayMissedEvents(client, lastEventId);
+        } finally {
+            // Events that arrived live during the replay, less those the replay already covered
+            client.replaying = false;
+            client.pending
+                .filter(event => !client.replayed.has(event.seq))
+                .forEach(event => deliver(client, event));
+            client.pending = [];
+            client.replayed = new Set();
+        }
+    }
+
+    res.write(`event: ready\ndata: ${JSON.stringify({ replayed: Boolean(lastEventId), stations })}\n\n`);
+};
+
+module.exports = {
+    publishOrderEvent,
+    openEventStream,
+    startRealtimeFanout,
+};
@@ -0,0 +1,140 @@
+// utils/reservationAudit.js
+const ReservationHistory = require('../models/ReservationHistory');
+
+// Fields whose changes are recorded in the reservation history
+const TRACKED_FIELDS = [
+    'tableNumber',
+    'combinedTableNumbers',
+    'customerName',
+    'customerPhoneNumber',
+    'numberOfGuests',
+    'reservationTime',
+    'endTime',
+    'status',
+    'notes',
+    'guestResponse',
+    'isSeriesException',
+    'deposit.status',
+    'deposit.amount',
+    'preOrderItems',
+];
+
+const readField = (reservation, field) => {
+    const value = reservation.get(field);
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (Array.isArray(value)) {
+        return value.map((entry) => (entry && typeof entry.toObject === 'function' ? entry.toObject() : entry));
+    }
+    return value;
+};
+
+/**
+ * Captures the tracked fields of a reservation as plain values.
+ * @param {object} reservation - Reservation document.
+ * @returns {object}
+ */
+const snapshotReservation = (reservation) => Object.fromEntries(
+    TRACKED_FIELDS.map((field) => [field, readField(reservation, field)])
+);
+
+/**
+ * Lists the fields that differ between two snapshots (either may be null for a created or deleted reservation).
+ * @param {(object|null)} before
+ * @param {(object|null)} after
+ * @returns {{field: string, from: *, to: *}[]}
+ */
+const diffSnapshots = (before, after) => TRACKED_FIELDS
+    .map((field) => ({
+        field,
+        from: before ? before[field] : null,
+        to: after ? after[field] : null,
+    }))
+    .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+
+/**
+ * Attributes the next saves of a reservation to whoever is making the request.
+ * Staff and customers come from `req.user`; pass `actorName` for guests without an account.
+ * @param {object} reservation - Reservation document.
+ * @param {object} [options]
+ * @param {object} [options.user] - Logged-in user (`req.user`).
+ * @param {('staff'|'customer'|'system')} [options.channel] - Defaults from the user's role.
+ * @param {string} [options.actorName]
+ * @param {string} [options.action] - Names the next change (e.g. 'approved'); derived from the change when omitted.
+ * @param {string} [options.note]
+ * @returns {object} - The reservation, for chaining.
+ */
+const auditAs = (reservation, { user, channel, actorName, action, note } = {}) => {
+    let resolvedChannel = channel;
+    if (!resolvedChannel) {
+        resolvedChannel = user && user.role !== 'customer' ? 'staff' : 'customer';
+    }
+    reservation.$locals.audit = {
+        channel: resolvedChannel,
+        actor: user ? user._id : undefined,
+        actorName: actorName || (user ? user.name : undefined),
+        action,
+        note,
+    };
+    return reservation;
+};
+
+const deriveAction = (changes, { isNew, isDeleted }) => {
+    if (isNew) {
+        return 'created';
+    }
+    if (isDeleted) {
+        return 'deleted';
+    }
+    if (changes.some(({ field }) => field === 'status')) {
+        return 'status_changed';
+    }
+    if (changes.every(({ field }) => field.startsWith('deposit.'))) {
+        return 'deposit_changed';
+    }
+    return 'updated';
+};
+
+/**
+ * Writes a history entry for what changed since the reservation was loaded (or last recorded).
+ * Called from the Reservation model's save and delete hooks; saves without tracked changes are skipped.
+ * @param {object} reservation - Reservation document.
+ * @param {object} [options]
+ * @param {boolean} [options.isNew] - The save created the reservation.
+ * @param {boolean} [options.isDeleted] - The reservation was deleted.
+ * @returns {Promise<(object|null)>} - The ReservationHistory entry.
+ */
+const recordReservationChange = async (reservation, { isNew = false, isDeleted = false } = {}) => {
+    const before = isNew ? null : reservation.$locals.auditSnapshot;
+    const after = isDeleted ? null : snapshotReservation(reservation);
+    reservation.$locals.auditSnapshot = after;
+
+    const changes = diffSnapshots(before, after);
+    if (!isNew && !isDeleted && changes.length === 0) {
+        return null;
+    }
+
+    // The actor stays for later saves in the same request (e.g. a deposit refund after a cancellation);
+    // the action and note only describe this change
+    const audit = reservation.$locals.audit || { channel: 'system' };
+    reservation.$locals.audit = { ...audit, action: undefined, note: undefined };
+
+    return ReservationHistory.create({
+        reservation: reservation._id,
+        action: audit.action || deriveAction(changes, { isNew, isDeleted }),
+        channel: audit.channel,
+        actor: audit.actor,
+        actorName: audit.actorName,
+        changes,
+        note: audit.note,
+    });
+};
+
+module.exports = {
+    TRACKED_FIELDS,
+    snapshotReservation,
+    diffSnapshots,
+    auditAs,
+    recordReservationChange,
+};
@@ -0,0 +1,329 @@
+// utils/reservationAvailability.js
+const Reservation = require('../models/Reservation');
+const Table = require('../models/Table');
+const reservationRules = require('../config/reservationRules');
+const { rankTablesForParty, suggestTableCombinations } = require('./tableMatching');
+const {
+    MINUTE_MS,
+    resolveReservationEndTime,
+    overlappingReservationsQuery,
+    reservationOverlaps,
+} = require('./reservationTiming');
+const {
+    getRestaurantSchedule,
+    getOpeningPeriods,
+    getLastSeating,
+    checkOpeningHours,
+    findBlackouts,
+    summarizeBlackouts,
+} = require('./scheduleService');
+
+// Reservations in these statuses hold their table(s)
+const ACTIVE_RESERVATION_STATUSES = ['pending', 'confirmed', 'seated'];
+
+/**
+ * Lists every table a reservation holds (its main table plus any tables pushed together with it).
+ * @param {object} reservation - Reservation document.
+ * @returns {string[]}
+ */
+const getReservationTableNumbers = (reservation) => [
+    reservation.tableNumber,
+    ...(reservation.combinedTableNumbers || []),
+];
+
+/**
+ * Builds a Reservation query matching reservations that hold any of the given tables.
+ * @param {string[]} tableNumbers
+ * @returns {object}
+ */
+const tablesHeldQuery = (tableNumbers) => ({
+    $or: [
+        { tableNumber: { $in: tableNumbers } },
+        { combinedTableNumbers: { $in: tableNumbers } },
+    ],
+});
+
+/**
+ * Builds the Reservation query behind the staff reservation list filters (also used by calendar feeds).
+ * @param {object} filters
+ * @param {string} [filters.status]
+ * @param {string} [filters.date] - Day to list (YYYY-MM-DD, UTC).
+ * @param {string} [filters.tableNumber] - Includes reservations that joined this table to another.
+ * @returns {object}
+ */
+const reservationListQuery = ({ status, date, tableNumber }) => {
+    const query = {};
+
+    if (status) {
+        query.status = status;
+    }
+    if (tableNumber) {
+        Object.assign(query, tablesHeldQuery([tableNumber]));
+    }
+    if (date) {
+        const startOfDay = new Date(date);
+        startOfDay.setUTCHours(0, 0, 0, 0); // Start of the day in UTC
+        const endOfDay = new Date(date);
+        endOfDay.setUTCHours(23, 59, 59, 999); // End of the day in UTC
+
+        query.reservationTime = {
+            $gte: startOfDay,
+            $lte: endOfDay,
+        };
+    }
+
+    return query;
+};
+
+/**
+ * Finds an active reservation that holds any of the given tables during the requested interval.
+ * @param {object} params
+ * @param {string[]} params.tableNumbers - Tables the new booking would hold.
+ * @param {Date} params.reservationTime - Requested start time.
+ * @param {Date} params.endTime - Requested end time.
+ * @param {string} [params.excludeReservationId] - Reservation being updated (ignored in the check).
+ * @returns {Promise<object|null>} - The conflicting reservation, if any.
+ */
+const findConflictingReservation = async ({ tableNumbers, reservationTime, endTime, excludeReservationId }) => {
+    const query = {
+        $and: [
+            tablesHeldQuery(tableNumbers),
+            overlappingReservationsQuery(reservationTime, endTime),
+        ],
+        status: { $in: ACTIVE_RESERVATION_STATUSES },
+    };
+    if (excludeReservationId) {
+        query._id = { $ne: excludeReservationId };
+    }
+
+    return Reservation.findOne(query);
+};
+
+/**
+ * Checks a party is small enough to book as a reservation; larger parties are booked by the
+ * restaurant as events (/api/events).
+ * @param {number} numberOfGuests - Party size.
+ * @returns {({status: number, message: string}|null)}
+ */
+const checkPartySize = (numberOfGuests) => {
+    const maxGuests = reservationRules.events.largePartyMaxGuests;
+    if (numberOfGuests > maxGuests) {
+        return { status: 400, message: `Parties of more than ${maxGuests} guests are booked as private events. Please contact the restaurant.` };
+    }
+    return null;
+};
+
+/**
+ * Loads and validates the table(s) for a booking and checks they can seat the party.
+ * @param {object} params
+ * @param {string} params.tableNumber - Main table.
+ * @param {string[]} [params.combinedTableNumbers] - Extra tables pushed together with the main one.
+ * @param {number} params.numberOfGuests - Party size.
+ * @returns {Promise<{tables: object[], totalCapacity: number, problem: ({status: number, message: string}|null)}>}
+ */
+const resolveReservationTables = async ({ tableNumber, combinedTableNumbers = [], numberOfGuests }) => {
+    if (!Array.isArray(combinedTableNumbers)) {
+        return { tables: [], totalCapacity: 0, problem: { status: 400, message: 'Combined table numbers must be an array.' } };
+    }
+
+    const tableNumbers = [tableNumber, ...combinedTableNumbers];
+    if (new Set(tableNumbers).size !== tableNumbers.length) {
+        return { tables: [], totalCapacity: 0, problem: { status: 400, message: 'Each table can only be listed once per reservation.' } };
+    }
+
+    const tables = await Table.find({ number: { $in: tableNumbers }, isActive: true });
+    const missing = tableNumbers.filter(number => !tables.some(table => table.number === number));
+    if (missing.length > 0) {
+        return {
+            tables,
+            totalCapacity: 0,
+            problem: { status: 400, message: `Invalid table number: ${missing.join(', ')}. Please choose one of the active tables.` },
+        };
+    }
+
+    const totalCapacity = tables.reduce((sum, table) => sum + table.capacity, 0);
+    if (numberOfGuests > totalCapacity) {
+        return {
+            tables,
+            totalCapacity,
+            problem: {
+                status: 400,
+                message: `Table ${tableNumbers.join(' + ')} seats ${totalCapacity} guests, which is not enough for a party of ${numberOfGuests}.`,
+            },
+        };
+    }
+
+    return { tables, totalCapacity, problem: null };
+};
+
+/**
+ * Finds the tables that are free for the whole requested visit, ranked by how well they fit the party.
+ * The visit length comes from the same duration rules used when booking, so front-of-house and the
+ * customer portal always agree. When no single table seats the party, adjacent table combinations
+ * are suggested instead. Times outside opening hours, past the last seating, inside the minimum
+ * lead time or during a venue blackout have no available tables and an `unavailableReason`.
+ * @param {object} params
+ * @param {Date} params.reservationTime - Requested start time.
+ * @param {Date} [params.endTime] - Requested end time; derived from the duration rules when omitted.
+ * @param {number} [params.numberOfGuests] - Party size; when omitted every free table is returned.
+ * @param {boolean} [params.suggestCombinations=true] - Whether to suggest table combinations.
+ * @param {boolean} [params.enforceLeadTime=true] - Whether the minimum booking lead time applies.
+ * @returns {Promise<{endTime: Date, availableTables: object[], suggestedCombinations: object[], unavailableReason: (string|null)}>}
+ */
+const findAvailableTables = async ({ reservationTime, endTime, numberOfGuests, suggestCombinations = true, enforceLeadTime = true }) => {
+    const visitEndTime = endTime || resolveReservationEndTime({ reservationTime, numberOfGuests }).endTime;
+
+    const schedule = await getRestaurantSchedule();
+    const hoursProblem = checkOpeningHours({ schedule, reservationTime, enforceLeadTime });
+    if (hoursProblem) {
+        return { endTime: visitEndTime, availableTables: [], suggestedCombinations: [], unavailableReason: hoursProblem.message };
+    }
+
+    const [activeTables, conflictingReservations, blackouts] = await Promise.all([
+        Table.find({ isActive: true })
+            .collation({ locale: 'en', numericOrdering: true }) // So 'T-2' sorts before 'T-10'
+            .sort({ number: 1 }),
+        Reservation.find({
+            ...overlappingReservationsQuery(reservationTime, visitEndTime),
+            status: { $in: ACTIVE_RESERVATION_STATUSES },
+        }),
+        findBlackouts(reservationTime, visitEndTime),
+    ]);
+
+    const { venueBlackout, blockedTableNumbers } = summarizeBlackouts(blackouts);
+    if (venueBlackout) {
+        return {
+            endTime: visitEndTime,
+            availableTables: [],
+            suggestedCombinations: [],
+            unavailableReason: `The restaurant is not taking bookings at this time (${venueBlackout.title}).`,
+        };
+    }
+
+    const reservedTableNumbers = new Set(conflictingReservations.flatMap(getReservationTableNumbers));
+    const freeTables = activeTables.filter(table =>
+        !reservedTableNumbers.has(table.number) && !blockedTableNumbers.has(table.number)
+    );
+
+    if (!numberOfGuests) {
+        return { endTime: visitEndTime, availableTables: freeTables, suggestedCombinations: [], unavailableReason: null };
+    }
+
+    const availableTables = rankTablesForParty(freeTables, numberOfGuests);
+    const suggestedCombinations = availableTables.length === 0 && suggestCombinations
+        ? suggestTableCombinations(freeTables, numberOfGuests)
+        : [];
+
+    return { endTime: visitEndTime, availableTables, suggestedCombinations, unavailableReason: null };
+};
+
+/**
+ * Builds the bookable time slots for one day: for each slot, the tables that are free for the whole
+ * visit (best fit for the party first) and the seats still free. All reservations, tables and
+ * blackouts for the day are loaded once and every slot is computed in memory.
+ * @param {object} params
+ * @param {Date} params.day - Any time on the (local) day of interest.
+ * @param {number} [params.numberOfGuests] - Party size; when omitted all free tables count.
+ * @param {number} [params.intervalMinutes=15] - Spacing between slots.
+ * @param {boolean} [params.enforceLeadTime=true] - Drop slots inside the minimum booking lead time.
+ * @param {Date} [params.now] - Current time (injectable for testing).
+ * @returns {Promise<{slots: object[], unavailableReason: (string|null)}>}
+ */
+const buildDayAvailability = async ({ day, numberOfGuests, intervalMinutes = 15, enforceLeadTime = true, now = new Date() }) => {
+    const schedule = await getRestaurantSchedule();
+    const periods = getOpeningPeriods(schedule, day);
+
+    if (periods.length === 0) {
+        return { slots: [], unavailableReason: 'The restaurant is closed on this day.' };
+    }
+
+    const earliestBookable = enforceLeadTime
+        ? new Date(now.getTime() + schedule.minLeadTimeMinutes * MINUTE_MS)
+        : null;
+
+    // Work out every candidate slot (and how long that party would stay) before touching the database
+    const candidates = [];
+    for (const period of periods) {
+        const lastSeating = getLastSeating(schedule, period);
+        for (let time = new Date(period.openAt); time <= lastSeating; time = new Date(time.getTime() + intervalMinutes * MINUTE_MS)) {
+            if (earliestBookable && time < earliestBookable) {
+                continue;
+            }
+            const { endTime } = resolveReservationEndTime({ reservationTime: time, numberOfGuests });
+            candidates.push({ time, endTime });
+        }
+    }
+
+    if (candidates.length === 0) {
+        return { slots: [], unavailableReason: 'There are no bookable times left on this day.' };
+    }
+
+    const windowStart = candidates[0].time;
+    const windowEnd = new Date(Math.max(...candidates.map(candidate => candidate.endTime.getTime())));
+
+    const [activeTables, reservations, blackouts] = await Promise.all([
+        Table.find({ isActive: true })
+            .collation({ locale: 'en', numericOrdering: true })
+            .sort({ number: 1 }),
+        Reservation.find({
+            ...overlappingReservationsQuery(windowStart, windowEnd),
+            status: { $in: ACTIVE_RESERVATION_STATUSES },
+        }),
+        findBlackouts(windowStart, windowEnd),
+    ]);
+
+    const slots = candidates.map(({ time, endTime }) => {
+        const slotBlackouts = blackouts.filter(blackout => blackout.startsAt < endTime && blackout.endsAt > time);
+        const { venueBlackout, blockedTableNumbers } = summarizeBlackouts(slotBlackouts);
+
+        const heldTableNumbers = new Set(
+            reservations
+                .filter(reservation => reservationOverlaps(reservation, time, endTime))
+                .flatMap(getReservationTableNumbers)
+        );
+        const freeTables = venueBlackout
+            ? []
+            : activeTables.filter(table => !heldTableNumbers.has(table.number) && !blockedTableNumbers.has(table.number));
+
+        const fittingTables = numberOfGuests ? rankTablesForParty(freeTables, numberOfGuests) : freeTables;
+        const suggestedCombinations = numberOfGuests && fittingTables.length === 0
+            ? suggestTableCombinations(freeTables, numberOfGuests, { limit: 1 })
+            : [];
+
+        return {
+            time,
+            endTime,
+            isAvailable: fittingTables.length > 0 || suggestedCombinations.length > 0,
+            availableTables: fittingTables.map(table => table.number),
+            remainingCovers: freeTables.reduce((sum, table) => sum + table.capacity, 0),
+            suggestedCombinations,
+        };
+    });
+
+    return { slots, unavailableReason: null };
+};
+
+/**
+ * Shapes a table document for availability responses.
+ * @param {object} table - Table document.
+ * @returns {object}
+ */
+const toAvailableTable = (table) => ({
+    number: table.number,
+    capacity: table.capacity,
+    section: table.section,
+    shape: table.shape,
+});
+
+module.exports = {
+    ACTIVE_RESERVATION_STATUSES,
+    getReservationTableNumbers,
+    tablesHeldQuery,
+    reservationListQuery,
+    findConflictingReservation,
+    checkPartySize,
+    resolveReservationTables,
+    findAvailableTables,
+    buildDayAvailability,
+    toAvailableTable,
+};
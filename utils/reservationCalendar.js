@@ -0,0 +1,119 @@
+// utils/reservationCalendar.js
+const { buildCalendar } = require('./icalendar');
+const { resolveReservationEndTime } = require('./reservationTiming');
+
+const RESTAURANT_NAME = 'Restaurant Name'; // Replace with your restaurant name
+
+// Reservations that did not (or will not) happen are sent as cancelled events
+const CANCELLED_STATUSES = ['cancelled', 'no_show'];
+
+const EVENT_STATUSES = {
+    pending: 'TENTATIVE',
+    confirmed: 'CONFIRMED',
+    seated: 'CONFIRMED',
+    completed: 'CONFIRMED',
+    cancelled: 'CANCELLED',
+    no_show: 'CANCELLED',
+};
+
+// Domain part of event UIDs, so they stay unique across restaurants sharing a calendar
+const uidDomain = () => {
+    try {
+        return new URL(process.env.PUBLIC_BASE_URL).hostname;
+    } catch (error) {
+        return 'restaurant-management-system';
+    }
+};
+
+const describeTables = (reservation) => [reservation.tableNumber, ...(reservation.combinedTableNumbers || [])].join(' + ');
+
+/**
+ * Turns a reservation into a calendar event.
+ * @param {object} reservation - Reservation document.
+ * @param {('staff'|'guest')} [audience='staff'] - Staff see the guest's details; guests see their booking.
+ * @returns {object} - Event for utils/icalendar.
+ */
+const reservationToEvent = (reservation, audience = 'staff') => {
+    const tables = describeTables(reservation);
+    const endTime = reservation.endTime || resolveReservationEndTime({
+        reservationTime: reservation.reservationTime,
+        numberOfGuests: reservation.numberOfGuests,
+    }).endTime;
+
+    const details = audience === 'staff'
+        ? [
+            `Guest: ${reservation.customerName} (${reservation.customerPhoneNumber})`,
+            `Guests: ${reservation.numberOfGuests}`,
+            `Table: ${tables}`,
+            `Status: ${reservation.status}`,
+            reservation.notes ? `Notes: ${reservation.notes}` : null,
+        ]
+        : [
+            `Table ${tables} for ${reservation.numberOfGuests} guest(s).`,
+            reservation.referenceCode ? `Reference: ${reservation.referenceCode}` : null,
+            reservation.status === 'pending' ? 'Awaiting confirmation from the restaurant.' : null,
+        ];
+
+    return {
+        uid: `reservation-${reservation._id}@${uidDomain()}`,
+        sequence: reservation.calendarSequence || 0,
+        start: reservation.reservationTime,
+        end: endTime,
+        summary: audience === 'staff'
+            ? `${reservation.customerName} (${reservation.numberOfGuests}) - Table ${tables}`
+            : `Table reservation at ${RESTAURANT_NAME}`,
+        description: details.filter(Boolean).join('\n'),
+        location: RESTAURANT_NAME,
+        status: EVENT_STATUSES[reservation.status],
+        // Calendar apps need an organizer to apply a cancellation
+        organizer: process.env.SMTP_EMAIL
+            ? { name: process.env.FROM_NAME || RESTAURANT_NAME, email: process.env.SMTP_EMAIL }
+            : undefined,
+        lastModified: reservation.updatedAt,
+    };
+};
+
+/**
+ * Builds the .ics file for one reservation. A cancelled reservation is sent with METHOD:CANCEL
+ * so calendar apps remove the event imported earlier.
+ * @param {object} reservation - Reservation document.
+ * @param {('staff'|'guest')} [audience='staff']
+ * @returns {string}
+ */
+const buildReservationCalendar = (reservation, audience = 'staff') => buildCalendar({
+    method: CANCELLED_STATUSES.includes(reservation.status) ? 'CANCEL' : 'PUBLISH',
+    events: [reservationToEvent(reservation, audience)],
+});
+
+/**
+ * Builds a subscribable feed. Cancelled reservations stay in the feed as cancelled events,
+ * so subscribed calendars drop them on their next refresh.
+ * @param {object[]} reservations - Reservation documents.
+ * @param {object} [options]
+ * @param {string} [options.name] - Calendar name.
+ * @param {('staff'|'guest')} [options.audience='staff']
+ * @returns {string}
+ */
+const buildReservationFeed = (reservations, { name = `${RESTAURANT_NAME} reservations`, audience = 'staff' } = {}) => buildCalendar({
+    name,
+    events: reservations.map((reservation) => reservationToEvent(reservation, audience)),
+});
+
+/**
+ * Sends a calendar as an .ics attachment.
+ * @param {object} res - Express response.
+ * @param {string} calendar
+ * @param {string} filename
+ */
+const sendCalendar = (res, calendar, filename) => {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(calendar);
+};
+
+module.exports = {
+    reservationToEvent,
+    buildReservationCalendar,
+    buildReservationFeed,
+    sendCalendar,
+};
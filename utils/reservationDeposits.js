@@ -0,0 +1,237 @@
+// utils/reservationDeposits.js
+const GuestProfile = require('../models/GuestProfile');
+const Reservation = require('../models/Reservation');
+const reservationRules = require('../config/reservationRules');
+const { getPaymentProvider } = require('./payments');
+const { HOUR_MS, parseTimeOfDay, minutesIntoDay } = require('./reservationTiming');
+
+// Local calendar date as YYYY-MM-DD, matching how dates are written in the deposit rules
+const toLocalDateString = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+const ruleMatches = (rule, { reservationTime, numberOfGuests, tableNumbers }) => {
+    if (rule.minGuests && numberOfGuests < rule.minGuests) return false;
+    if (rule.daysOfWeek && !rule.daysOfWeek.includes(reservationTime.getDay())) return false;
+    if (rule.dates && !rule.dates.includes(toLocalDateString(reservationTime))) return false;
+    if (rule.fromTime && minutesIntoDay(reservationTime) < parseTimeOfDay(rule.fromTime)) return false;
+    if (rule.tableNumbers && !tableNumbers.some(number => rule.tableNumbers.includes(number))) return false;
+    return true;
+};
+
+const ruleAmount = (rule, numberOfGuests) => (rule.amount || 0) + (rule.amountPerGuest || 0) * numberOfGuests;
+
+/**
+ * Works out whether a booking needs a deposit and how much, from the configured rules and the
+ * guest's no-show history. The largest matching amount wins.
+ * @param {object} params
+ * @param {Date} params.reservationTime
+ * @param {number} params.numberOfGuests
+ * @param {string[]} params.tableNumbers
+ * @param {string} params.phoneNumber - Guest's phone number.
+ * @returns {Promise<{status: ('pending'|'not_required'), amount: number, currency: string, reason: (string|undefined)}>}
+ *   Ready to store as a reservation's `deposit`.
+ */
+const getDepositRequirement = async ({ reservationTime, numberOfGuests, tableNumbers, phoneNumber }) => {
+    const { currency, rules, noShowAmountPerGuest } = reservationRules.deposits;
+    let amount = 0;
+    let reason = null;
+
+    for (const rule of rules) {
+        const candidate = ruleAmount(rule, numberOfGuests);
+        if (candidate > amount && ruleMatches(rule, { reservationTime, numberOfGuests, tableNumbers })) {
+            amount = candidate;
+            reason = rule.name;
+        }
+    }
+
+    const guestProfile = await GuestProfile.findOne({ phoneNumber });
+    if (guestProfile && guestProfile.requiresDeposit && noShowAmountPerGuest * numberOfGuests > amount) {
+        amount = noShowAmountPerGuest * numberOfGuests;
+        reason = 'no_show_history';
+    }
+
+    return {
+        status: amount > 0 ? 'pending' : 'not_required',
+        amount,
+        currency,
+        reason: reason || undefined,
+    };
+};
+
+/**
+ * Sets the deposit a reservation needs from its current time, party size and tables.
+ * Deposits already paid (or settled) are left alone.
+ * @param {object} reservation - Reservation document (not saved here).
+ * @returns {Promise<object>} - The reservation.
+ */
+const refreshDepositRequirement = async (reservation) => {
+    if (!['not_required', 'pending'].includes(reservation.deposit.status)) {
+        return reservation;
+    }
+
+    const requirement = await getDepositRequirement({
+        reservationTime: reservation.reservationTime,
+        numberOfGuests: reservation.numberOfGuests,
+        tableNumbers: [reservation.tableNumber, ...(reservation.combinedTableNumbers || [])],
+        phoneNumber: reservation.customerPhoneNumber,
+    });
+
+    Object.assign(reservation.deposit, requirement);
+    return reservation;
+};
+
+/**
+ * Charges a reservation's pending deposit through the payment provider and saves the result.
+ * @param {object} reservation - Reservation document.
+ * @param {string} paymentMethod - Payment method token from the payment form.
+ * @returns {Promise<{reservation: object, problem: ({status: number, message: string}|null)}>}
+ */
+const chargeDeposit = async (reservation, paymentMethod) => {
+    if (reservation.deposit.status !== 'pending') {
+        return {
+            reservation,
+            problem: { status: 400, message: `No deposit is due for this reservation (deposit is ${reservation.deposit.status}).` },
+        };
+    }
+    if (!paymentMethod) {
+        return { reservation, problem: { status: 400, message: 'Please provide a payment method for the deposit.' } };
+    }
+
+    const provider = getPaymentProvider();
+    const result = await provider.charge({
+        amount: reservation.deposit.amount,
+        currency: reservation.deposit.currency,
+        paymentMethod,
+        reference: reservation._id.toString(),
+        description: `Deposit for reservation on ${reservation.reservationTime.toLocaleString()}`,
+    });
+
+    if (result.status !== 'succeeded') {
+        return { reservation, problem: { status: 402, message: `Deposit payment failed: ${result.failureReason}` } };
+    }
+
+    reservation.deposit.status = 'paid';
+    reservation.deposit.provider = provider.name;
+    reservation.deposit.paymentId = result.paymentId;
+    reservation.deposit.paidAt = new Date();
+    return { reservation: await reservation.save(), problem: null };
+};
+
+/**
+ * Refunds a paid deposit in full and saves the reservation.
+ * @param {object} reservation - Reservation document.
+ * @param {string} [reason]
+ * @returns {Promise<{reservation: object, problem: ({status: number, message: string}|null)}>}
+ */
+const refundDeposit = async (reservation, reason = 'Reservation cancelled') => {
+    if (reservation.deposit.status !== 'paid') {
+        return {
+            reservation,
+            problem: { status: 400, message: `Only a paid deposit can be refunded (deposit is ${reservation.deposit.status}).` },
+        };
+    }
+
+    const result = await getPaymentProvider(reservation.deposit.provider).refund({
+        paymentId: reservation.deposit.paymentId,
+        amount: reservation.deposit.amount,
+        reason,
+    });
+
+    if (result.status !== 'succeeded') {
+        return { reservation, problem: { status: 502, message: `Deposit refund failed: ${result.failureReason}` } };
+    }
+
+    reservation.deposit.status = 'refunded';
+    reservation.deposit.refundId = result.refundId;
+    reservation.deposit.refundedAt = new Date();
+    return { reservation: await reservation.save(), problem: null };
+};
+
+/**
+ * Keeps a paid deposit (late cancellation or no-show) and saves the reservation.
+ * @param {object} reservation - Reservation document.
+ * @param {Date} [now]
+ * @returns {Promise<object>}
+ */
+const forfeitDeposit = async (reservation, now = new Date()) => {
+    if (reservation.deposit.status !== 'paid') {
+        return reservation;
+    }
+    reservation.deposit.status = 'forfeited';
+    reservation.deposit.forfeitedAt = now;
+    return reservation.save();
+};
+
+/**
+ * Settles a paid deposit when a booking is cancelled: refunded when the restaurant cancels or the
+ * guest cancels at least `freeCancellationHours` ahead, forfeited otherwise. A failed refund leaves
+ * the deposit as paid so staff can refund it by hand; the cancellation itself still goes ahead.
+ * @param {object} reservation - Reservation document.
+ * @param {object} [options]
+ * @param {boolean} [options.cancelledByRestaurant=false]
+ * @param {Date} [options.now]
+ * @returns {Promise<{outcome: ('none'|'refunded'|'forfeited'|'refund_failed'), message: (string|null)}>}
+ */
+const settleDepositOnCancellation = async (reservation, { cancelledByRestaurant = false, now = new Date() } = {}) => {
+    if (reservation.deposit.status !== 'paid') {
+        return { outcome: 'none', message: null };
+    }
+
+    const hoursUntilBooking = (reservation.reservationTime - now) / HOUR_MS;
+    const { freeCancellationHours } = reservationRules.deposits;
+
+    if (cancelledByRestaurant || hoursUntilBooking >= freeCancellationHours) {
+        const { problem } = await refundDeposit(reservation);
+        if (problem) {
+            console.error(`Deposit refund for reservation ${reservation._id} failed: ${problem.message}`);
+            return { outcome: 'refund_failed', message: 'Your deposit refund could not be processed automatically. Our staff will refund it shortly.' };
+        }
+        return { outcome: 'refunded', message: `Your deposit of ${reservation.deposit.currency} ${reservation.deposit.amount} will be refunded.` };
+    }
+
+    await forfeitDeposit(reservation, now);
+    return {
+        outcome: 'forfeited',
+        message: `Cancellations less than ${freeCancellationHours} hours before the booking forfeit the deposit of ${reservation.deposit.currency} ${reservation.deposit.amount}.`,
+    };
+};
+
+/**
+ * Loads the reservation behind an order if its deposit has been paid and not yet credited.
+ * @param {string} [reservationId] - The order's reservation.
+ * @returns {Promise<object|null>} - The Reservation document, or null when there is nothing to credit.
+ */
+const findCreditableDeposit = async (reservationId) => {
+    if (!reservationId) {
+        return null;
+    }
+    const reservation = await Reservation.findById(reservationId);
+    return reservation && reservation.deposit.status === 'paid' ? reservation : null;
+};
+
+/**
+ * Records that a paid deposit has been credited against a bill.
+ * @param {object} reservation - Reservation document.
+ * @param {object} bill - Bill document the deposit was credited on.
+ * @returns {Promise<object>}
+ */
+const markDepositApplied = async (reservation, bill) => {
+    reservation.deposit.status = 'applied';
+    reservation.deposit.bill = bill._id;
+    reservation.deposit.appliedAt = new Date();
+    return reservation.save();
+};
+
+module.exports = {
+    getDepositRequirement,
+    refreshDepositRequirement,
+    chargeDeposit,
+    refundDeposit,
+    forfeitDeposit,
+    settleDepositOnCancellation,
+    findCreditableDeposit,
+    markDepositApplied,
+};
@@ -0,0 +1,91 @@
+// utils/reservationReminders.js
+const Reservation = require('../models/Reservation');
+const reservationRules = require('../config/reservationRules');
+const { sendWhatsAppMessage } = require('./whatsappService');
+const { registerJobHandler, scheduleJob, cancelJobs } = require('./jobScheduler');
+const { getReservationResponseUrl } = require('./reservationTokens');
+const { HOUR_MS } = require('./reservationTiming');
+
+const REMINDER_JOB = 'reservation_reminder';
+
+/**
+ * Cancels any pending reminders for a reservation.
+ * @param {object} reservation - Reservation document.
+ * @returns {Promise<number>}
+ */
+const cancelReservationReminders = (reservation) => cancelJobs({ refId: reservation._id, type: REMINDER_JOB });
+
+/**
+ * (Re)schedules the configured reminders for a confirmed reservation, replacing any pending ones.
+ * Reminders whose time has already passed are skipped.
+ * @param {object} reservation - Reservation document.
+ * @param {Date} [now]
+ * @returns {Promise<object[]>} - The scheduled jobs.
+ */
+const scheduleReservationReminders = async (reservation, now = new Date()) => {
+    await cancelReservationReminders(reservation);
+
+    if (reservation.status !== 'confirmed') {
+        return [];
+    }
+
+    const jobs = [];
+    for (const hoursBefore of reservationRules.reminders.hoursBefore) {
+        const runAt = new Date(reservation.reservationTime.getTime() - hoursBefore * HOUR_MS);
+        if (runAt <= now) {
+            continue;
+        }
+        jobs.push(await scheduleJob({
+            type: REMINDER_JOB,
+            runAt,
+            refId: reservation._id,
+            // The booked time is kept so a reminder left over from before a reschedule is ignored
+            payload: { hoursBefore, scheduledFor: runAt, reservationTime: reservation.reservationTime },
+        }));
+    }
+    return jobs;
+};
+
+/**
+ * Sends one reminder and records its delivery on the reservation.
+ * @param {object} job - ScheduledJob document.
+ * @param {Date} now
+ * @returns {Promise<void>}
+ */
+const sendReservationReminder = async (job, now) => {
+    const reservation = await Reservation.findById(job.refId);
+    const { hoursBefore, scheduledFor, reservationTime } = job.payload;
+
+    if (!reservation || reservation.status !== 'confirmed' ||
+        reservation.reservationTime.getTime() !== new Date(reservationTime).getTime()) {
+        return; // Cancelled, seated or moved since the reminder was scheduled
+    }
+
+    const tables = [reservation.tableNumber, ...reservation.combinedTableNumbers].join(' + ');
+    const messageBody = `Hello ${reservation.customerName}!\n\n` +
+                        `This is a reminder of your reservation for Table ${tables} ` +
+                        `at ${reservation.reservationTime.toLocaleString()} for ${reservation.numberOfGuests} guests.\n\n` +
+                        `Please confirm you are coming, or cancel if your plans have changed:\n` +
+                        `${getReservationResponseUrl(reservation)}\n\n` +
+                        `Restaurant Name`; // Replace with your restaurant name
+
+    const delivered = await sendWhatsAppMessage(reservation.customerPhoneNumber, messageBody);
+
+    reservation.reminders.push({
+        hoursBefore,
+        scheduledFor,
+        sentAt: now,
+        delivered,
+        channel: 'whatsapp',
+    });
+    await reservation.save();
+};
+
+registerJobHandler(REMINDER_JOB, sendReservationReminder);
+
+module.exports = {
+    REMINDER_JOB,
+    scheduleReservationReminders,
+    cancelReservationReminders,
+    sendReservationReminder,
+};
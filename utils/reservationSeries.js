@@ -0,0 +1,115 @@
+// utils/reservationSeries.js
+const { MINUTE_MS, parseTimeOfDay, resolveReservationEndTime } = require('./reservationTiming');
+const { findConflictingReservation } = require('./reservationAvailability');
+const { checkReservationSchedule } = require('./scheduleService');
+
+// Upper bound on how many occurrences one series can create (two years of weekly bookings)
+const MAX_SERIES_OCCURRENCES = 104;
+
+/**
+ * Lists the start times of a series' occurrences. Occurrences keep the first one's local time of day;
+ * monthly series skip months without that day (e.g. the 31st).
+ * @param {object} params
+ * @param {Date} params.firstReservationTime
+ * @param {('weekly'|'biweekly'|'monthly')} params.frequency
+ * @param {Date} [params.until] - Last day an occurrence may fall on.
+ * @param {number} [params.occurrenceCount]
+ * @returns {Date[]}
+ */
+const generateOccurrenceTimes = ({ firstReservationTime, frequency, until, occurrenceCount }) => {
+    const times = [];
+    const limit = Math.min(occurrenceCount || MAX_SERIES_OCCURRENCES, MAX_SERIES_OCCURRENCES);
+    const lastDay = until ? new Date(until) : null;
+    if (lastDay) {
+        lastDay.setHours(23, 59, 59, 999); // `until` is inclusive
+    }
+
+    // Monthly series can skip months, so allow more steps than occurrences
+    for (let step = 0; times.length < limit && step < MAX_SERIES_OCCURRENCES * 2; step += 1) {
+        const time = new Date(firstReservationTime);
+        if (frequency === 'monthly') {
+            time.setMonth(time.getMonth() + step);
+            if (time.getDate() !== firstReservationTime.getDate()) {
+                continue; // This month has no such day
+            }
+        } else {
+            time.setDate(time.getDate() + step * (frequency === 'biweekly' ? 14 : 7));
+        }
+
+        if (lastDay && time > lastDay) {
+            break;
+        }
+        times.push(time);
+    }
+
+    return times;
+};
+
+/**
+ * Moves a date to another local time of day ("HH:mm"), keeping the date.
+ * @param {Date} date
+ * @param {string} timeOfDay
+ * @returns {Date}
+ */
+const atTimeOfDay = (date, timeOfDay) => {
+    const minutes = parseTimeOfDay(timeOfDay);
+    const moved = new Date(date);
+    moved.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+    return moved;
+};
+
+/**
+ * Checks one occurrence against opening hours, blackouts and other bookings.
+ * @param {object} params
+ * @param {Date} params.reservationTime
+ * @param {number} params.numberOfGuests
+ * @param {string[]} params.tableNumbers
+ * @param {number} [params.durationMinutes] - Explicit visit length; duration rules apply when omitted.
+ * @param {string} [params.excludeReservationId] - Occurrence being changed.
+ * @returns {Promise<{endTime: (Date|null), isExplicit: boolean, problem: ({status: number, message: string}|null)}>}
+ */
+const checkOccurrence = async ({ reservationTime, numberOfGuests, tableNumbers, durationMinutes, excludeReservationId }) => {
+    const timing = resolveReservationEndTime({
+        reservationTime,
+        numberOfGuests,
+        endTime: durationMinutes ? new Date(reservationTime.getTime() + durationMinutes * MINUTE_MS) : undefined,
+    });
+    if (timing.problem) {
+        return timing;
+    }
+
+    const scheduleProblem = await checkReservationSchedule({
+        reservationTime,
+        endTime: timing.endTime,
+        tableNumbers,
+        enforceLeadTime: false, // Series are set up by staff
+    });
+    if (scheduleProblem) {
+        return { ...timing, problem: scheduleProblem };
+    }
+
+    const conflict = await findConflictingReservation({
+        tableNumbers,
+        reservationTime,
+        endTime: timing.endTime,
+        excludeReservationId,
+    });
+    if (conflict) {
+        return {
+            ...timing,
+            problem: {
+                status: 409,
+                message: `Table ${tableNumbers.join(' + ')} is already reserved between ${reservationTime.toLocaleTimeString()} and ${timing.endTime.toLocaleTimeString()} on ${reservationTime.toLocaleDateString()}.`,
+            },
+        };
+    }
+
+    return timing;
+};
+
+module.exports = {
+    MAX_SERIES_OCCURRENCES,
+    generateOccurrenceTimes,
+    atTimeOfDay,
+    checkOccurrence,
+};
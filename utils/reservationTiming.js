@@ -0,0 +1,173 @@
+// utils/reservationTiming.js
+const reservationRules = require('../config/reservationRules');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Converts an "HH:mm" string to minutes after midnight.
+ * @param {string} timeOfDay - e.g. '17:30'.
+ * @returns {number}
+ */
+const parseTimeOfDay = (timeOfDay) => {
+    const [hours, minutes] = timeOfDay.split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Minutes after local midnight for a date.
+ * @param {Date} date
+ * @returns {number}
+ */
+const minutesIntoDay = (date) => date.getHours() * 60 + date.getMinutes();
+
+/**
+ * Finds the configured day part (breakfast, lunch, ...) a time falls into.
+ * @param {Date} reservationTime
+ * @returns {object|null}
+ */
+const getDayPart = (reservationTime) => {
+    const minutes = minutesIntoDay(reservationTime);
+    return (reservationRules.dayParts || []).find(dayPart =>
+        minutes >= parseTimeOfDay(dayPart.start) && minutes < parseTimeOfDay(dayPart.end)
+    ) || null;
+};
+
+const durationForPartySize = (rules, numberOfGuests) => {
+    if (!rules || rules.length === 0) {
+        return null;
+    }
+    const rule = rules.find(candidate => numberOfGuests <= candidate.maxGuests) || rules[rules.length - 1];
+    return rule.durationMinutes;
+};
+
+/**
+ * Works out how long a party holds its table from the configured rules:
+ * day part first, then party size, then the default duration.
+ * @param {object} params
+ * @param {Date} params.reservationTime - Start of the reservation.
+ * @param {number} [params.numberOfGuests] - Party size (party size rules are skipped when unknown).
+ * @returns {number} - Duration in minutes.
+ */
+const getReservationDurationMinutes = ({ reservationTime, numberOfGuests }) => {
+    const dayPart = getDayPart(reservationTime);
+
+    if (dayPart && dayPart.durationMinutes) {
+        return dayPart.durationMinutes;
+    }
+    if (numberOfGuests) {
+        const dayPartDuration = dayPart ? durationForPartySize(dayPart.partySizeDurations, numberOfGuests) : null;
+        if (dayPartDuration) {
+            return dayPartDuration;
+        }
+        const partySizeDuration = durationForPartySize(reservationRules.partySizeDurations, numberOfGuests);
+        if (partySizeDuration) {
+            return partySizeDuration;
+        }
+    }
+    return reservationRules.defaultDurationMinutes;
+};
+
+/**
+ * Resolves when a reservation ends, either from an explicit end time or from the duration rules.
+ * @param {object} params
+ * @param {Date} params.reservationTime - Parsed start time.
+ * @param {number} [params.numberOfGuests] - Party size.
+ * @param {string|Date} [params.endTime] - Explicit end time requested by the caller.
+ * @returns {{endTime: (Date|null), isExplicit: boolean, problem: ({status: number, message: string}|null)}}
+ */
+const resolveReservationEndTime = ({ reservationTime, numberOfGuests, endTime }) => {
+    if (endTime) {
+        const parsedEndTime = new Date(endTime);
+        if (isNaN(parsedEndTime.getTime())) {
+            return { endTime: null, isExplicit: true, problem: { status: 400, message: 'Invalid end time format. Please provide a valid date/time (e.g., ISO 8601).' } };
+        }
+        if (parsedEndTime <= reservationTime) {
+            return { endTime: null, isExplicit: true, problem: { status: 400, message: 'End time must be after the reservation time.' } };
+        }
+        if (parsedEndTime - reservationTime > reservationRules.maxDurationMinutes * MINUTE_MS) {
+            return {
+                endTime: null,
+                isExplicit: true,
+                problem: { status: 400, message: `A reservation cannot last longer than ${reservationRules.maxDurationMinutes} minutes.` },
+            };
+        }
+        return { endTime: parsedEndTime, isExplicit: true, problem: null };
+    }
+
+    const durationMinutes = getReservationDurationMinutes({ reservationTime, numberOfGuests });
+    return {
+        endTime: new Date(reservationTime.getTime() + durationMinutes * MINUTE_MS),
+        isExplicit: false,
+        problem: null,
+    };
+};
+
+/**
+ * Builds a Reservation query matching reservations whose table time overlaps [startTime, endTime),
+ * including the turnover buffer needed to reset the table between parties. Reservations saved
+ * before end times existed are treated as lasting the default duration.
+ * @param {Date} startTime
+ * @param {Date} endTime
+ * @returns {object}
+ */
+const overlappingReservationsQuery = (startTime, endTime) => {
+    const bufferMs = reservationRules.turnoverBufferMinutes * MINUTE_MS;
+    const windowStart = new Date(startTime.getTime() - bufferMs);
+    const windowEnd = new Date(endTime.getTime() + bufferMs);
+
+    return {
+        reservationTime: { $lt: windowEnd },
+        $or: [
+            { endTime: { $gt: windowStart } },
+            {
+                endTime: { $exists: false },
+                reservationTime: {
+                    $lt: windowEnd,
+                    $gt: new Date(windowStart.getTime() - reservationRules.defaultDurationMinutes * MINUTE_MS),
+                },
+            },
+        ],
+    };
+};
+
+/**
+ * Start and end of the time a reservation holds its table(s).
+ * @param {object} reservation - Reservation document.
+ * @returns {{startTime: Date, endTime: Date}}
+ */
+const getReservationInterval = (reservation) => ({
+    startTime: reservation.reservationTime,
+    endTime: reservation.endTime ||
+        new Date(reservation.reservationTime.getTime() + reservationRules.defaultDurationMinutes * MINUTE_MS),
+});
+
+/**
+ * In-memory counterpart of overlappingReservationsQuery: whether a reservation holds its table(s)
+ * at any point in [startTime, endTime), including the turnover buffer.
+ * @param {object} reservation - Reservation document.
+ * @param {Date} startTime
+ * @param {Date} endTime
+ * @returns {boolean}
+ */
+const reservationOverlaps = (reservation, startTime, endTime) => {
+    const bufferMs = reservationRules.turnoverBufferMinutes * MINUTE_MS;
+    const interval = getReservationInterval(reservation);
+    return interval.startTime.getTime() < endTime.getTime() + bufferMs &&
+        interval.endTime.getTime() > startTime.getTime() - bufferMs;
+};
+
+module.exports = {
+    MINUTE_MS,
+    HOUR_MS,
+    DAY_MS,
+    parseTimeOfDay,
+    minutesIntoDay,
+    getDayPart,
+    getReservationDurationMinutes,
+    resolveReservationEndTime,
+    overlappingReservationsQuery,
+    getReservationInterval,
+    reservationOverlaps,
+};
@@ -0,0 +1,76 @@
+// utils/reservationTokens.js
+const crypto = require('crypto');
+
+// Links stay valid until a day after the booked time
+const TOKEN_VALID_AFTER_RESERVATION_MS = 24 * 60 * 60 * 1000;
+
+const sign = (value) => crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(value)
+    .digest('base64url');
+
+/**
+ * Creates a token that lets whoever holds it confirm or cancel one reservation without logging in
+ * (sent to the guest in reminder messages).
+ * @param {object} reservation - Reservation document.
+ * @returns {string}
+ */
+const createReservationActionToken = (reservation) => {
+    const expiresAt = reservation.reservationTime.getTime() + TOKEN_VALID_AFTER_RESERVATION_MS;
+    const value = `${reservation._id}.${expiresAt}`;
+    return `${value}.${sign(value)}`;
+};
+
+/**
+ * Checks a reservation action token.
+ * @param {string} token
+ * @param {Date} [now]
+ * @returns {(string|null)} - The reservation ID, or null if the token is invalid or expired.
+ */
+const verifyReservationActionToken = (token, now = new Date()) => {
+    const [reservationId, expiresAt, signature] = String(token).split('.');
+    if (!reservationId || !expiresAt || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(`${reservationId}.${expiresAt}`));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return null;
+    }
+    if (Number(expiresAt) < now.getTime()) {
+        return null;
+    }
+
+    return reservationId;
+};
+
+/**
+ * Public URL a guest opens to respond to a reservation reminder.
+ * @param {object} reservation - Reservation document.
+ * @returns {string}
+ */
+const getReservationResponseUrl = (reservation) => {
+    const baseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return `${baseUrl}/api/reservations/respond/${createReservationActionToken(reservation)}`;
+};
+
+// No 0/O or 1/I, so codes can be read out over the phone
+const REFERENCE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERENCE_CODE_LENGTH = 8;
+
+/**
+ * Generates a random booking reference code for guests without an account (e.g. 'K7MZ4QPA').
+ * @returns {string}
+ */
+const generateReferenceCode = () => Array.from(
+    { length: REFERENCE_CODE_LENGTH },
+    () => REFERENCE_CODE_ALPHABET[crypto.randomInt(REFERENCE_CODE_ALPHABET.length)]
+).join('');
+
+module.exports = {
+    generateReferenceCode,
+    createReservationActionToken,
+    verifyReservationActionToken,
+    getReservationResponseUrl,
+};
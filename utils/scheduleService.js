@@ -0,0 +1,177 @@
+// utils/scheduleService.js
+const RestaurantSchedule = require('../models/RestaurantSchedule');
+const Blackout = require('../models/Blackout');
+const { MINUTE_MS, parseTimeOfDay } = require('./reservationTiming');
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Loads the restaurant schedule, creating it with the default opening hours on first use.
+ * @returns {Promise<object>} - The RestaurantSchedule document.
+ */
+const getRestaurantSchedule = async () => {
+    const schedule = await RestaurantSchedule.findOne();
+    if (schedule) {
+        return schedule;
+    }
+    return RestaurantSchedule.create({});
+};
+
+const atTimeOfDay = (day, timeOfDay) => {
+    const date = new Date(day);
+    const minutes = parseTimeOfDay(timeOfDay);
+    date.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+    return date;
+};
+
+/**
+ * Lists the service periods (as concrete open/close dates) that start on the local day of `date`.
+ * Periods whose close time is before their open time run past midnight into the next day.
+ * @param {object} schedule - RestaurantSchedule document.
+ * @param {Date} date - Any time on the day of interest.
+ * @param {object} [options]
+ * @param {boolean} [options.includePreviousDay=false] - Also include the previous day's periods (for times after midnight).
+ * @returns {Array<{openAt: Date, closeAt: Date}>}
+ */
+const getOpeningPeriods = (schedule, date, { includePreviousDay = false } = {}) => {
+    const periods = [];
+    const offsets = includePreviousDay ? [-1, 0] : [0];
+
+    for (const offset of offsets) {
+        const day = new Date(date);
+        day.setHours(0, 0, 0, 0);
+        day.setDate(day.getDate() + offset);
+
+        const hours = schedule.weeklyHours.find(entry => entry.dayOfWeek === day.getDay());
+        if (!hours || hours.isClosed) {
+            continue;
+        }
+
+        for (const period of hours.periods) {
+            const openAt = atTimeOfDay(day, period.open);
+            const closeAt = atTimeOfDay(day, period.close);
+            if (closeAt <= openAt) {
+                closeAt.setDate(closeAt.getDate() + 1);
+            }
+            periods.push({ openAt, closeAt });
+        }
+    }
+
+    return periods.sort((a, b) => a.openAt - b.openAt);
+};
+
+/**
+ * Latest time a party can be seated within a service period.
+ * @param {object} schedule - RestaurantSchedule document.
+ * @param {{closeAt: Date}} period
+ * @returns {Date}
+ */
+const getLastSeating = (schedule, period) =>
+    new Date(period.closeAt.getTime() - schedule.lastSeatingMinutesBeforeClose * MINUTE_MS);
+
+/**
+ * Checks a requested start time against opening hours, last seating and the minimum lead time.
+ * @param {object} params
+ * @param {object} params.schedule - RestaurantSchedule document.
+ * @param {Date} params.reservationTime - Requested start time.
+ * @param {boolean} [params.enforceLeadTime=true] - Staff taking a booking at the host stand skip the lead time.
+ * @param {Date} [params.now] - Current time (injectable for testing).
+ * @returns {({status: number, message: string}|null)} - The problem, or null when the time is bookable.
+ */
+const checkOpeningHours = ({ schedule, reservationTime, enforceLeadTime = true, now = new Date() }) => {
+    if (enforceLeadTime) {
+        const earliest = new Date(now.getTime() + schedule.minLeadTimeMinutes * MINUTE_MS);
+        if (reservationTime < earliest) {
+            return {
+                status: 400,
+                message: `Reservations must be made at least ${schedule.minLeadTimeMinutes} minutes in advance.`,
+            };
+        }
+    }
+
+    const periods = getOpeningPeriods(schedule, reservationTime, { includePreviousDay: true });
+    const period = periods.find(candidate => reservationTime >= candidate.openAt && reservationTime < candidate.closeAt);
+
+    if (!period) {
+        const hours = schedule.weeklyHours.find(entry => entry.dayOfWeek === reservationTime.getDay());
+        const weekday = WEEKDAY_NAMES[reservationTime.getDay()];
+        if (!hours || hours.isClosed || hours.periods.length === 0) {
+            return { status: 400, message: `The restaurant is closed on ${weekday}s.` };
+        }
+        const openingHours = hours.periods.map(entry => `${entry.open}-${entry.close}`).join(', ');
+        return {
+            status: 400,
+            message: `The restaurant is not open at ${reservationTime.toLocaleTimeString()}. Opening hours on ${weekday}: ${openingHours}.`,
+        };
+    }
+
+    const lastSeating = getLastSeating(schedule, period);
+    if (reservationTime > lastSeating) {
+        return {
+            status: 400,
+            message: `The last seating is at ${lastSeating.toLocaleTimeString()}. Please choose an earlier time.`,
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Finds blackouts (holidays, closures, private events) overlapping an interval.
+ * @param {Date} startTime
+ * @param {Date} endTime
+ * @returns {Promise<object[]>}
+ */
+const findBlackouts = (startTime, endTime) => Blackout.find({
+    startsAt: { $lt: endTime },
+    endsAt: { $gt: startTime },
+});
+
+/**
+ * Splits blackouts into a whole-venue blackout (if any) and the set of individually blocked tables.
+ * @param {object[]} blackouts
+ * @returns {{venueBlackout: (object|null), blockedTableNumbers: Set<string>}}
+ */
+const summarizeBlackouts = (blackouts) => ({
+    venueBlackout: blackouts.find(blackout => blackout.tableNumbers.length === 0) || null,
+    blockedTableNumbers: new Set(blackouts.flatMap(blackout => blackout.tableNumbers)),
+});
+
+/**
+ * Checks a booking against opening hours, last seating, lead time and blackouts.
+ * @param {object} params
+ * @param {Date} params.reservationTime - Requested start time.
+ * @param {Date} params.endTime - Requested end time.
+ * @param {string[]} params.tableNumbers - Tables the booking would hold.
+ * @param {boolean} [params.enforceLeadTime=true]
+ * @param {Date} [params.now]
+ * @returns {Promise<({status: number, message: string}|null)>}
+ */
+const checkReservationSchedule = async ({ reservationTime, endTime, tableNumbers, enforceLeadTime = true, now = new Date() }) => {
+    const schedule = await getRestaurantSchedule();
+    const hoursProblem = checkOpeningHours({ schedule, reservationTime, enforceLeadTime, now });
+    if (hoursProblem) {
+        return hoursProblem;
+    }
+
+    const { venueBlackout, blockedTableNumbers } = summarizeBlackouts(await findBlackouts(reservationTime, endTime));
+    if (venueBlackout) {
+        return { status: 400, message: `The restaurant is not taking bookings at this time (${venueBlackout.title}).` };
+    }
+    const blocked = tableNumbers.filter(number => blockedTableNumbers.has(number));
+    if (blocked.length > 0) {
+        return { status: 409, message: `Table ${blocked.join(', ')} is blocked for a private event or closure at this time.` };
+    }
+
+    return null;
+};
+
+module.exports = {
+    getRestaurantSchedule,
+    getOpeningPeriods,
+    getLastSeating,
+    checkOpeningHours,
+    findBlackouts,
+    summarizeBlackouts,
+    checkReservationSchedule,
+};
@@ -0,0 +1,19 @@
+// utils/statistics.js
+
+/**
+ * Mean of a list of numbers, rounded to the given number of decimal places, or null for an empty list.
+ * @param {number[]} values
+ * @param {number} [decimals=1]
+ * @returns {(number|null)}
+ */
+const average = (values, decimals = 1) => {
+    if (values.length === 0) {
+        return null;
+    }
+    const factor = 10 ** decimals;
+    return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * factor) / factor;
+};
+
+module.exports = {
+    average,
+};
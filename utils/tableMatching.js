@@ -0,0 +1,108 @@
+// utils/tableMatching.js
+
+// How many tables may be pushed together for one party, and how many combinations to suggest
+const MAX_TABLES_PER_COMBINATION = 3;
+const MAX_SUGGESTED_COMBINATIONS = 5;
+
+const compareTableNumbers = (a, b) => a.localeCompare(b, 'en', { numeric: true });
+
+/**
+ * Filters tables that can seat a party on their own and ranks the best fit first
+ * (fewest empty seats, then table number).
+ * @param {Array<object>} tables - Free tables (documents or plain objects with number and capacity).
+ * @param {number} numberOfGuests - Party size.
+ * @returns {Array<object>} - Fitting tables, best fit first.
+ */
+const rankTablesForParty = (tables, numberOfGuests) => {
+    return tables
+        .filter(table => table.capacity >= numberOfGuests)
+        .sort((a, b) => (a.capacity - b.capacity) || compareTableNumbers(a.number, b.number));
+};
+
+/**
+ * Suggests groups of adjacent tables in the same section whose combined capacity seats the party.
+ * Tables are adjacent when either one lists the other in `adjacentTables`; every table in a
+ * group must be connected to the others through such links.
+ * @param {Array<object>} tables - Free tables (documents or plain objects).
+ * @param {number} numberOfGuests - Party size.
+ * @param {object} [options]
+ * @param {number} [options.maxTables] - Maximum number of tables in one combination.
+ * @param {number} [options.limit] - Maximum number of combinations to return.
+ * @returns {Array<{tableNumbers: string[], totalCapacity: number, section: string}>} - Best fit first.
+ */
+const suggestTableCombinations = (tables, numberOfGuests, options = {}) => {
+    const maxTables = options.maxTables || MAX_TABLES_PER_COMBINATION;
+    const limit = options.limit || MAX_SUGGESTED_COMBINATIONS;
+
+    const combinable = tables.filter(table => table.isCombinable !== false);
+    const byNumber = new Map(combinable.map(table => [table.number, table]));
+
+    // Build a symmetric adjacency map restricted to free, combinable tables in the same section
+    const neighbours = new Map(combinable.map(table => [table.number, new Set()]));
+    for (const table of combinable) {
+        for (const otherNumber of table.adjacentTables || []) {
+            const other = byNumber.get(otherNumber);
+            if (other && other.number !== table.number && other.section === table.section) {
+                neighbours.get(table.number).add(other.number);
+                neighbours.get(other.number).add(table.number);
+            }
+        }
+    }
+
+    const found = new Map(); // key -> combination
+    const visited = new Set();
+    let frontier = combinable.map(table => [table.number]);
+
+    // Grow connected groups one table at a time; stop growing a group once it seats the party
+    for (let size = 1; size < maxTables && frontier.length > 0; size++) {
+        const next = [];
+        for (const group of frontier) {
+            const groupCapacity = group.reduce((sum, number) => sum + byNumber.get(number).capacity, 0);
+            if (groupCapacity >= numberOfGuests) {
+                continue;
+            }
+            const candidates = new Set();
+            group.forEach(number => neighbours.get(number).forEach(n => candidates.add(n)));
+            for (const candidate of candidates) {
+                if (group.includes(candidate)) {
+                    continue;
+                }
+                const grown = [...group, candidate].sort(compareTableNumbers);
+                const key = grown.join('|');
+                if (visited.has(key)) {
+                    continue;
+                }
+                visited.add(key);
+
+                // A smaller combination already seats the party, so this one would only waste a table
+                const coversSmallerCombination = Array.from(found.values())
+                    .some(combination => combination.tableNumbers.every(number => grown.includes(number)));
+                if (coversSmallerCombination) {
+                    continue;
+                }
+
+                const totalCapacity = groupCapacity + byNumber.get(candidate).capacity;
+                if (totalCapacity >= numberOfGuests) {
+                    found.set(key, {
+                        tableNumbers: grown,
+                        totalCapacity,
+                        section: byNumber.get(candidate).section,
+                    });
+                } else {
+                    next.push(grown);
+                }
+            }
+        }
+        frontier = next;
+    }
+
+    return Array.from(found.values())
+        .sort((a, b) =>
+            (a.totalCapacity - b.totalCapacity) ||
+            (a.tableNumbers.length - b.tableNumbers.length) ||
+            compareTableNumbers(a.tableNumbers[0], b.tableNumbers[0])
+        )
+        .slice(0, limit);
+};
+
+module.exports = { rankTablesForParty, suggestTableCombinations, compareTableNumbers };
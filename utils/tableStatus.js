@@ -0,0 +1,47 @@
+// utils/tableStatus.js
+const Table = require('../models/Table');
+const Order = require('../models/Order');
+const { pageNextWaitlistParty } = require('./waitlistService');
+const { openOrdersQuery } = require('./orderTabs');
+
+/**
+ * Sets the live floor status of a table.
+ * @param {string} tableNumber - The table's number (e.g. 'T-1').
+ * @param {string} status - One of 'free', 'occupied', 'reserved', 'cleaning'.
+ * @returns {Promise<object|null>} - The updated table, or null if no such table exists.
+ */
+const setTableStatus = async (tableNumber, status) => {
+    return Table.findOneAndUpdate(
+        { number: tableNumber },
+        { $set: { status, statusUpdatedAt: new Date() } },
+        { new: true }
+    );
+};
+
+/**
+ * Marks a table as occupied (e.g. when an order is placed for it).
+ * @param {string} tableNumber - The table's number.
+ * @returns {Promise<object|null>}
+ */
+const occupyTable = async (tableNumber) => setTableStatus(tableNumber, 'occupied');
+
+/**
+ * Frees a table once it has no more open (unbilled, not cancelled) orders, and pages the next
+ * walk-in party on the waitlist that fits it.
+ * Several orders can be open on the same table, so billing one of them must not free the others.
+ * @param {string} tableNumber - The table's number.
+ * @returns {Promise<object|null>} - The freed table, or null if it still has open orders or does not exist.
+ */
+const releaseTableIfIdle = async (tableNumber) => {
+    const openOrders = await Order.countDocuments(openOrdersQuery(tableNumber));
+
+    if (openOrders > 0) {
+        return null;
+    }
+
+    const table = await setTableStatus(tableNumber, 'free');
+    await pageNextWaitlistParty(table);
+    return table;
+};
+
+module.exports = { setTableStatus, occupyTable, releaseTableIfIdle };
@@ -0,0 +1,214 @@
+// utils/waitlistService.js
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Table = require('../models/Table');
+const Order = require('../models/Order');
+const Reservation = require('../models/Reservation');
+const reservationRules = require('../config/reservationRules');
+const { sendWhatsAppMessage } = require('./whatsappService');
+const { MINUTE_MS, getReservationInterval } = require('./reservationTiming');
+
+const ACTIVE_WAITLIST_STATUSES = ['waiting', 'notified'];
+
+// Turn-time history window and the minimum number of orders before a table's own average is trusted
+const TURN_TIME_HISTORY_DAYS = 30;
+const MIN_TURN_TIME_SAMPLES = 3;
+// Time allowed to reset a table that is being cleaned
+const CLEANING_MINUTES = 10;
+
+/**
+ * Average table turn time (order placed until billed) over recent history, per table and overall.
+ * Falls back to the configured default reservation duration when there is no history yet.
+ * @returns {Promise<{overall: number, byTable: Map<string, number>}>}
+ */
+const getHistoricalTurnTimes = async () => {
+    const since = new Date(Date.now() - TURN_TIME_HISTORY_DAYS * 24 * 60 * MINUTE_MS);
+
+    const turnTimes = await Order.aggregate([
+        { $match: { 'timestamps.completed': { $gte: since }, 'timestamps.pending': { $exists: true } } },
+        {
+            $project: {
+                tableNumber: 1,
+                turnMinutes: { $divide: [{ $subtract: ['$timestamps.completed', '$timestamps.pending'] }, MINUTE_MS] },
+            },
+        },
+        { $match: { turnMinutes: { $gt: 0, $lte: reservationRules.maxDurationMinutes } } }, // Ignore tabs left open overnight
+        {
+            $group: {
+                _id: '$tableNumber',
+                averageTurnMinutes: { $avg: '$turnMinutes' },
+                samples: { $sum: 1 },
+            },
+        },
+    ]);
+
+    const byTable = new Map();
+    let totalMinutes = 0;
+    let totalSamples = 0;
+    for (const entry of turnTimes) {
+        totalMinutes += entry.averageTurnMinutes * entry.samples;
+        totalSamples += entry.samples;
+        if (entry.samples >= MIN_TURN_TIME_SAMPLES) {
+            byTable.set(entry._id, entry.averageTurnMinutes);
+        }
+    }
+
+    const overall = totalSamples >= MIN_TURN_TIME_SAMPLES
+        ? totalMinutes / totalSamples
+        : reservationRules.defaultDurationMinutes;
+
+    return { overall, byTable };
+};
+
+/**
+ * Loads what wait estimates are worked out from: active tables, historical turn times, upcoming
+ * reservations and the parties on the list. Load once and reuse it to estimate several parties.
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{tables: object[], turnTimes: object, upcomingReservations: object[], activeEntries: object[]}>}
+ */
+const loadWaitEstimateInputs = async ({ now = new Date() } = {}) => {
+    const tables = await Table.find({ isActive: true });
+    const tableNumbers = tables.map(table => table.number);
+
+    const [turnTimes, upcomingReservations, activeEntries] = await Promise.all([
+        getHistoricalTurnTimes(),
+        Reservation.find({
+            $or: [{ tableNumber: { $in: tableNumbers } }, { combinedTableNumbers: { $in: tableNumbers } }],
+            status: { $in: ['confirmed', 'seated'] },
+            reservationTime: { $lt: new Date(now.getTime() + reservationRules.maxDurationMinutes * MINUTE_MS) },
+            endTime: { $gt: now },
+        }),
+        WaitlistEntry.find({ status: { $in: ACTIVE_WAITLIST_STATUSES } }).select('partySize createdAt'),
+    ]);
+
+    return { tables, turnTimes, upcomingReservations, activeEntries };
+};
+
+/**
+ * Estimates a walk-in party's wait from inputs loaded by loadWaitEstimateInputs.
+ * @param {number} partySize
+ * @param {object} inputs - From loadWaitEstimateInputs.
+ * @param {object} [options] - As for estimateWaitMinutes.
+ * @returns {(number|null)}
+ */
+const computeWaitMinutes = (partySize, { tables: activeTables, turnTimes, upcomingReservations, activeEntries }, { joinedAt, excludeEntryId, now = new Date() } = {}) => {
+    const tables = activeTables.filter(table => table.capacity >= partySize);
+    if (tables.length === 0) {
+        return null;
+    }
+
+    const maxCapacity = Math.max(...tables.map(table => table.capacity));
+    const partiesAhead = activeEntries.filter(entry => entry.partySize <= maxCapacity
+        && entry.createdAt < (joinedAt || now)
+        && !(excludeEntryId && entry._id.equals(excludeEntryId))).length;
+
+    // When is each fitting table expected to be free for long enough to seat a walk-in?
+    const freeTimes = tables.map(table => {
+        const turnMinutes = turnTimes.byTable.get(table.number) || turnTimes.overall;
+        let freeAt = now.getTime();
+        if (table.status === 'occupied') {
+            freeAt = Math.max(freeAt, table.statusUpdatedAt.getTime() + turnMinutes * MINUTE_MS);
+        } else if (table.status === 'cleaning') {
+            freeAt = Math.max(freeAt, table.statusUpdatedAt.getTime() + CLEANING_MINUTES * MINUTE_MS);
+        }
+
+        // A booked table is only usable if the walk-in would finish before the reservation starts
+        const bookings = upcomingReservations
+            .filter(reservation => reservation.tableNumber === table.number || reservation.combinedTableNumbers.includes(table.number))
+            .map(getReservationInterval)
+            .sort((a, b) => a.startTime - b.startTime);
+        for (const booking of bookings) {
+            if (booking.startTime.getTime() < freeAt + turnMinutes * MINUTE_MS && booking.endTime.getTime() > freeAt) {
+                freeAt = booking.endTime.getTime();
+            }
+        }
+
+        return { freeAt, turnMinutes };
+    }).sort((a, b) => a.freeAt - b.freeAt);
+
+    // The party gets the table freed after everyone ahead of them has been seated
+    const slot = freeTimes[partiesAhead % freeTimes.length];
+    const rounds = Math.floor(partiesAhead / freeTimes.length);
+    const readyAt = slot.freeAt + rounds * slot.turnMinutes * MINUTE_MS;
+
+    const waitMinutes = Math.max(0, (readyAt - now.getTime()) / MINUTE_MS);
+    return Math.ceil(waitMinutes / 5) * 5;
+};
+
+/**
+ * Estimates how long a walk-in party will wait for a table, from current table occupancy,
+ * upcoming reservations, historical turn times and the parties already ahead on the list.
+ * @param {number} partySize
+ * @param {object} [options]
+ * @param {Date} [options.joinedAt] - When the party joined the list (parties who joined earlier are ahead).
+ * @param {string} [options.excludeEntryId] - Entry being re-estimated.
+ * @param {Date} [options.now]
+ * @returns {Promise<number|null>} - Estimated minutes (rounded up to 5), or null when no single table fits the party.
+ */
+const estimateWaitMinutes = async (partySize, options = {}) => {
+    const inputs = await loadWaitEstimateInputs({ now: options.now });
+    return computeWaitMinutes(partySize, inputs, options);
+};
+
+/**
+ * Pages a waitlisted party over WhatsApp that their table is ready.
+ * @param {object} entry - WaitlistEntry document.
+ * @param {string} [tableNumber] - Table being offered.
+ * @returns {Promise<object>} - The updated entry.
+ */
+const notifyWaitlistEntry = async (entry, tableNumber) => {
+    entry.status = 'notified';
+    entry.notifiedAt = new Date();
+    entry.notifyCount += 1;
+    if (tableNumber) {
+        entry.offeredTableNumber = tableNumber;
+    }
+    const updatedEntry = await entry.save();
+
+    const messageBody = `Hello ${entry.customerName}!\n\n` +
+                        `Your table${tableNumber ? ` (${tableNumber})` : ''} for ${entry.partySize} is ready. ` +
+                        `Please come to the host stand within the next 10 minutes.\n\n` +
+                        `Restaurant Name`; // Replace with your restaurant name
+
+    await sendWhatsAppMessage(entry.customerPhoneNumber, messageBody);
+
+    return updatedEntry;
+};
+
+/**
+ * Pages the longest-waiting party that fits a table which has just been freed.
+ * @param {object} table - Table document that became free.
+ * @returns {Promise<object|null>} - The paged entry, or null if nobody on the list fits.
+ */
+const pageNextWaitlistParty = async (table) => {
+    if (!table || !table.isActive) {
+        return null;
+    }
+
+    // Skip the table if another party has already been paged for it
+    const alreadyOffered = await WaitlistEntry.exists({ status: 'notified', offeredTableNumber: table.number });
+    if (alreadyOffered) {
+        return null;
+    }
+
+    const entry = await WaitlistEntry.findOne({
+        status: 'waiting',
+        partySize: { $lte: table.capacity },
+    }).sort({ createdAt: 1 });
+
+    if (!entry) {
+        return null;
+    }
+
+    return notifyWaitlistEntry(entry, table.number);
+};
+
+module.exports = {
+    ACTIVE_WAITLIST_STATUSES,
+    getHistoricalTurnTimes,
+    loadWaitEstimateInputs,
+    computeWaitMinutes,
+    estimateWaitMinutes,
+    notifyWaitlistEntry,
+    pageNextWaitlistParty,
+};